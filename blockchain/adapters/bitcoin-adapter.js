@@ -0,0 +1,230 @@
+/**
+ * BITCOIN ADAPTER - BITCOIND JSON-RPC + ESPLORA REST
+ * Block height health | UTXO listing | Confirmed / unconfirmed balances | P2WPKH addresses
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { formatUnits } = require('../lib/units');
+
+let bitcoin;
+try {
+    bitcoin = require('bitcoinjs-lib');
+} catch (error) {
+    console.warn('⚠️  Bitcoin library not available:', error.message);
+}
+
+const BACKENDS = ['bitcoind', 'esplora'];
+
+const BTC_DECIMALS = 8;
+
+function getNetworkParams(network = 'mainnet') {
+    if (!bitcoin) {
+        throw new Error('Bitcoin library not available');
+    }
+
+    const params = {
+        mainnet: bitcoin.networks.bitcoin,
+        testnet: bitcoin.networks.testnet,
+        regtest: bitcoin.networks.regtest
+    }[network];
+
+    if (!params) {
+        throw new Error(`Unknown Bitcoin network: ${network}`);
+    }
+    return params;
+}
+
+class BitcoinAdapter {
+    constructor(url, options = {}) {
+        this.url = url.replace(/\/$/, '');
+        this.backend = options.backend || 'bitcoind';
+        this.network = options.network || 'mainnet';
+        this.httpClient = options.httpClient || axios;
+        this.auth = options.auth || null;
+        this.timeout = options.timeout || 15000;
+        // async (method) => {} run before each request, e.g. to wait for rate limit tokens
+        this.beforeRequest = options.beforeRequest || null;
+        // Aborting it cancels requests still on the wire (e.g. at shutdown)
+        this.signal = options.signal || null;
+        this.requestId = 0;
+        // bitcoind runs one scantxoutset at a time and rejects the next with "Scan already in progress"
+        this.scanQueue = Promise.resolve();
+
+        if (!BACKENDS.includes(this.backend)) {
+            throw new Error(`Unsupported Bitcoin backend: ${this.backend} (expected ${BACKENDS.join(' or ')})`);
+        }
+    }
+
+    // ==================== TRANSPORT ====================
+
+    async rpc(method, params = []) {
+        if (this.beforeRequest) await this.beforeRequest(method);
+
+        const response = await this.httpClient.post(this.url, {
+            jsonrpc: '1.0',
+            id: ++this.requestId,
+            method,
+            params
+        }, {
+            auth: this.auth || undefined,
+            headers: { 'Content-Type': 'application/json' },
+            timeout: this.timeout,
+            signal: this.signal || undefined
+        });
+
+        const { result, error } = response.data || {};
+        if (error) {
+            const rpcError = new Error(error.message || `bitcoind ${method} failed`);
+            rpcError.code = error.code;
+            throw rpcError;
+        }
+        return result;
+    }
+
+    // `name` identifies the route for rate limiting (e.g. esplora_address)
+    async rest(resource, name = 'esplora') {
+        if (this.beforeRequest) await this.beforeRequest(name);
+
+        const response = await this.httpClient.get(`${this.url}${resource}`, {
+            timeout: this.timeout,
+            signal: this.signal || undefined
+        });
+        return response.data;
+    }
+
+    // Scans through this adapter wait for the previous one to finish
+    scanTxOutSet(descriptors) {
+        const scan = this.scanQueue.then(() => this.rpc('scantxoutset', ['start', descriptors]));
+        this.scanQueue = scan.catch(() => {});
+        return scan;
+    }
+
+    // ==================== CHAIN STATE ====================
+
+    async getBlockHeight() {
+        if (this.backend === 'esplora') {
+            return Number(await this.rest('/blocks/tip/height', 'esplora_tip_height'));
+        }
+        return Number(await this.rpc('getblockcount'));
+    }
+
+    async getChainInfo() {
+        if (this.backend === 'esplora') {
+            return { chain: this.network, blocks: await this.getBlockHeight() };
+        }
+
+        const info = await this.rpc('getblockchaininfo');
+        return {
+            chain: info.chain,
+            blocks: info.blocks,
+            headers: info.headers,
+            verificationProgress: info.verificationprogress
+        };
+    }
+
+    // ==================== ADDRESSES ====================
+
+    validateAddress(address) {
+        try {
+            bitcoin.address.toOutputScript(address, getNetworkParams(this.network));
+            return address;
+        } catch (error) {
+            throw new Error(`Invalid Bitcoin ${this.network} address: ${address}`);
+        }
+    }
+
+    // UTXOs as { txid, vout, value (satoshis), confirmed, height }
+    async listUnspent(address) {
+        this.validateAddress(address);
+
+        if (this.backend === 'esplora') {
+            const utxos = await this.rest(`/address/${address}/utxo`, 'esplora_address_utxo');
+            return utxos.map(utxo => ({
+                txid: utxo.txid,
+                vout: utxo.vout,
+                value: utxo.value,
+                confirmed: !!(utxo.status && utxo.status.confirmed),
+                height: utxo.status && utxo.status.block_height ? utxo.status.block_height : null
+            }));
+        }
+
+        // scantxoutset only sees the UTXO set, so every result is confirmed
+        const scan = await this.scanTxOutSet([`addr(${address})`]);
+        return (scan.unspents || []).map(utxo => ({
+            txid: utxo.txid,
+            vout: utxo.vout,
+            value: Math.round(utxo.amount * 1e8),
+            confirmed: true,
+            height: utxo.height || null
+        }));
+    }
+
+    // Balance in BTC, split into confirmed and unconfirmed (mempool) amounts.
+    // bitcoind has no address index for the mempool, so its unconfirmed amount is null (unknown).
+    async getBalance(address) {
+        this.validateAddress(address);
+
+        let confirmedSats;
+        let unconfirmedSats;
+
+        if (this.backend === 'esplora') {
+            const stats = await this.rest(`/address/${address}`, 'esplora_address');
+            confirmedSats = stats.chain_stats.funded_txo_sum - stats.chain_stats.spent_txo_sum;
+            unconfirmedSats = stats.mempool_stats.funded_txo_sum - stats.mempool_stats.spent_txo_sum;
+        } else {
+            const utxos = await this.listUnspent(address);
+            confirmedSats = utxos.reduce((sum, utxo) => sum + utxo.value, 0);
+            unconfirmedSats = null;
+        }
+
+        return {
+            confirmed: formatUnits(confirmedSats, BTC_DECIMALS),
+            unconfirmed: unconfirmedSats === null ? null : formatUnits(unconfirmedSats, BTC_DECIMALS),
+            confirmedSats,
+            unconfirmedSats
+        };
+    }
+
+    // Whether the backend can tell if an address was ever used, spent-out ones included
+    get hasAddressHistory() {
+        return this.backend === 'esplora';
+    }
+
+    // Whether the address ever received funds (used by HD gap-limit discovery).
+    // bitcoind's scantxoutset only sees unspent outputs, so it would miss fully spent addresses.
+    async hasHistory(address) {
+        this.validateAddress(address);
+
+        if (!this.hasAddressHistory) {
+            throw new Error(`Address history needs an Esplora backend; ${this.backend} only sees unspent outputs`);
+        }
+        const stats = await this.rest(`/address/${address}`, 'esplora_address');
+        return stats.chain_stats.tx_count + stats.mempool_stats.tx_count > 0;
+    }
+
+    // ==================== KEYS ====================
+
+    // Native SegWit (P2WPKH) address for a compressed secp256k1 public key
+    static deriveAddress(publicKey, network = 'mainnet') {
+        const { address } = bitcoin.payments.p2wpkh({
+            pubkey: Buffer.from(publicKey),
+            network: getNetworkParams(network)
+        });
+        return address;
+    }
+
+    static generateKeyPair(network = 'mainnet') {
+        const ecdh = crypto.createECDH('secp256k1');
+        ecdh.generateKeys();
+        const publicKey = ecdh.getPublicKey(null, 'compressed');
+
+        return {
+            address: BitcoinAdapter.deriveAddress(publicKey, network),
+            publicKey: publicKey.toString('hex'),
+            privateKey: ecdh.getPrivateKey().toString('hex').padStart(64, '0')
+        };
+    }
+}
+
+module.exports = { BitcoinAdapter, getNetworkParams, BACKENDS };
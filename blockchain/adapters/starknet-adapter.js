@@ -0,0 +1,94 @@
+/**
+ * STARKNET ADAPTER - STARKNET JSON-RPC
+ * Block number health | Chain ID check | Account address handling | STRK / ETH fee-token balances
+ */
+
+const { RpcBatcher } = require('../lib/rpc-batcher');
+const { formatUnits } = require('../lib/units');
+
+// sn_keccak('balanceOf')
+const BALANCE_OF_SELECTOR = '0x02e4263afad30923c891518314c3c95dbe830a16874e8abc5777a9a20b54c76e';
+
+// Fee-token contracts (same addresses on mainnet and Sepolia)
+const FEE_TOKENS = {
+    STRK: { address: '0x04718f5a0fc34cc1af16a1cdee98ffb20c31f5cd61d6ab07201858f4287c938d', decimals: 18 },
+    ETH: { address: '0x049d36570d4e46f48e99674bd3fcf84644ddd6b96f7c741b1562b82f9e004dc7', decimals: 18 }
+};
+
+// Contract addresses are felts below 2^251
+const ADDRESS_BOUND = 2n ** 251n;
+
+// Normalize an account or contract address to a 0x-prefixed, 64-digit lowercase felt
+function normalizeAddress(address) {
+    if (typeof address !== 'string' || !/^0x[0-9a-fA-F]{1,64}$/.test(address)) {
+        throw new Error(`Invalid Starknet address: ${address}`);
+    }
+
+    const value = BigInt(address);
+    if (value === 0n || value >= ADDRESS_BOUND) {
+        throw new Error(`Starknet address out of range: ${address}`);
+    }
+
+    return `0x${value.toString(16).padStart(64, '0')}`;
+}
+
+// Chain IDs are short strings encoded as felts, e.g. 0x534e5f4d41494e = 'SN_MAIN'
+function decodeChainId(chainId) {
+    const hex = BigInt(chainId).toString(16);
+    return Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex').toString('latin1');
+}
+
+class StarknetAdapter {
+    constructor(url, options = {}) {
+        this.url = url;
+        this.batcher = options.batcher || new RpcBatcher(url, {
+            httpClient: options.httpClient,
+            timeout: options.timeout
+        });
+        this.feeTokens = options.feeTokens || FEE_TOKENS;
+    }
+
+    // ==================== CHAIN STATE ====================
+
+    async getBlockNumber() {
+        return Number(await this.batcher.call('starknet_blockNumber', []));
+    }
+
+    async getChainId() {
+        const chainId = await this.batcher.call('starknet_chainId', []);
+        return { chainId, name: decodeChainId(chainId) };
+    }
+
+    // ==================== BALANCES ====================
+
+    // ERC-20 balanceOf through starknet_call; the result is a u256 as [low, high]
+    async getTokenBalance(address, symbol) {
+        const token = this.feeTokens[symbol];
+        if (!token) {
+            throw new Error(`Unknown Starknet fee token: ${symbol}`);
+        }
+
+        const [low, high = '0x0'] = await this.batcher.call('starknet_call', [{
+            contract_address: token.address,
+            entry_point_selector: BALANCE_OF_SELECTOR,
+            calldata: [normalizeAddress(address)]
+        }, 'latest']);
+
+        return formatUnits(BigInt(low) + (BigInt(high) << 128n), token.decimals);
+    }
+
+    // Balances of every fee token, keyed by symbol
+    async getBalances(address) {
+        const symbols = Object.keys(this.feeTokens);
+        const amounts = await Promise.all(symbols.map(symbol => this.getTokenBalance(address, symbol)));
+        return Object.fromEntries(symbols.map((symbol, index) => [symbol, amounts[index]]));
+    }
+}
+
+module.exports = {
+    StarknetAdapter,
+    normalizeAddress,
+    decodeChainId,
+    FEE_TOKENS,
+    BALANCE_OF_SELECTOR
+};
@@ -0,0 +1,452 @@
+/**
+ * ALERT ENGINE - DECLARATIVE RULES OVER MANAGER EVENTS + STATE
+ * network_status | breaker_state | balance_below | metric | event rules | for / repeat_interval | Dedup + resolve
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { createSink, acceptsSeverity, formatAlert } = require('./alert-sinks');
+const { retry } = require('./retry-policy');
+
+// Manager events after which state rules are re-evaluated straight away
+const TRIGGER_EVENTS = [
+    'health-check-completed',
+    'balances-updated',
+    'breaker-opened',
+    'breaker-half-open',
+    'breaker-closed'
+];
+
+const DEFAULT_EVALUATION_INTERVAL = 30000;
+// Event rules without a resolve_event resolve once their event has been quiet this long
+const DEFAULT_RESOLVE_AFTER = 3600000;
+
+function formatDuration(ms) {
+    if (ms >= 3600000) return `${Math.round(ms / 360000) / 10}h`;
+    if (ms >= 60000) return `${Math.round(ms / 6000) / 10}m`;
+    return `${Math.round(ms / 1000)}s`;
+}
+
+// Dotted path into an object; "rateLimits.alchemy.budgetUsage"
+function readPath(value, dottedPath) {
+    return dottedPath.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
+
+// ==================== CONDITIONS ====================
+
+// Each condition returns the rule's instances as { instance, active, labels, value, message }
+const EVALUATORS = {
+    network_status(rule, engine) {
+        const statuses = rule.statuses || ['unhealthy', 'stalled'];
+        return engine.selectNetworks(rule, engine.networkKeys()).map((networkKey) => {
+            const health = engine.source.getNetworkHealth(networkKey)?.health || null;
+            const status = health ? health.status : null;
+            return {
+                instance: networkKey,
+                active: statuses.includes(status),
+                labels: { network: networkKey },
+                value: status,
+                message: `${networkKey} is ${status}`
+            };
+        });
+    },
+
+    // OPEN and HALF_OPEN both count by default, so a failing probe does not restart `for`
+    breaker_state(rule, engine) {
+        const states = rule.states || ['OPEN', 'HALF_OPEN'];
+        const breakers = engine.source.getCircuitBreakerStatus();
+        return engine.selectNetworks(rule, Object.keys(breakers)).filter(key => breakers[key]).map(key => ({
+            instance: key,
+            active: states.includes(breakers[key].state),
+            labels: { network: key },
+            value: breakers[key].state,
+            message: `Circuit breaker for ${key} is ${breakers[key].state}` +
+                (breakers[key].lastError ? ` (${breakers[key].lastError})` : '')
+        }));
+    },
+
+    // Balances are compared in the network's native unit (ETH, SOL, BTC)
+    balance_below(rule, engine) {
+        const balances = engine.source.getWalletBalances(rule.wallet);
+        const entry = balances && balances.networks[rule.network];
+        const balance = entry ? Number(entry.balance) : NaN;
+        return [{
+            instance: `${rule.wallet}/${rule.network}`,
+            active: Number.isFinite(balance) && balance < rule.threshold,
+            labels: { wallet: rule.wallet, network: rule.network },
+            value: Number.isFinite(balance) ? balance : null,
+            message: `Balance of ${rule.wallet} on ${rule.network} is ${balance} (threshold ${rule.threshold})`
+        }];
+    },
+
+    // A number at `metric` in getSystemStatus(), compared against `above` and/or `below`
+    metric(rule, engine) {
+        const value = Number(readPath(engine.source.getSystemStatus(), rule.metric));
+        const breached = Number.isFinite(value) && (
+            (rule.above !== undefined && value > rule.above) ||
+            (rule.below !== undefined && value < rule.below)
+        );
+        return [{
+            instance: rule.metric,
+            active: breached,
+            labels: { metric: rule.metric },
+            value: Number.isFinite(value) ? value : null,
+            message: `${rule.metric} is ${value}` +
+                (rule.above !== undefined ? ` (above ${rule.above})` : '') +
+                (rule.below !== undefined ? ` (below ${rule.below})` : '')
+        }];
+    }
+};
+
+// ==================== ENGINE ====================
+
+class AlertEngine extends EventEmitter {
+    /**
+     * @param {EventEmitter} source - Manager whose events and status views the rules read
+     * @param {Object} config - { rules, sinks, evaluation_interval } (the config `alerts` section)
+     * @param {Object} [options]
+     * @param {Object} [options.clock] - now(), setInterval(fn, ms), clearInterval(timer)
+     * @param {Object} [options.logger] - info/warn/error logger
+     * @param {Function} [options.priorityNetworks] - () => network keys matched by `"networks": "priority"`
+     * @param {Object} [options.sinkDeps] - Passed to sink constructors (httpClient, baseDir, sendMail)
+     * @param {string|Object} [options.retryPolicy='notify'] - Delivery retry policy
+     */
+    constructor(source, config = {}, options = {}) {
+        super();
+        this.source = source;
+        this.clock = options.clock || { now: Date.now, setInterval, clearInterval };
+        this.logger = options.logger || console;
+        this.priorityNetworks = options.priorityNetworks || (() => []);
+        this.sinkDeps = options.sinkDeps || {};
+        this.retryPolicy = options.retryPolicy || 'notify';
+
+        this.rules = [];
+        this.sinks = [];
+        this.customSinks = [];
+        this.evaluationInterval = DEFAULT_EVALUATION_INTERVAL;
+
+        // `${rule}:${instance}` -> { rule, instance, status: pending | firing, since, lastNotified, ... }
+        this.alerts = new Map();
+        this.deliveries = new Set();
+        this.controller = new AbortController();
+        this.timer = null;
+        this.listeners = [];
+        this.started = false;
+
+        this.configure(config);
+    }
+
+    // Apply a new rule set and sink list; alerts of rules that still exist keep their state
+    configure(config = {}) {
+        this.evaluationInterval = config.evaluation_interval || DEFAULT_EVALUATION_INTERVAL;
+        this.rules = (config.rules || []).map(rule => ({
+            severity: 'warning',
+            for: 0,
+            ...rule
+        }));
+        this.sinks = [
+            ...(config.sinks || []).map(sinkConfig => createSink(sinkConfig, this.sinkDeps)),
+            ...this.customSinks
+        ];
+
+        const rulesByName = new Map(this.rules.map(rule => [rule.name, rule]));
+        this.alerts.forEach((alert, key) => {
+            if (rulesByName.has(alert.rule.name)) {
+                alert.rule = rulesByName.get(alert.rule.name);
+            } else {
+                this.alerts.delete(key);
+            }
+        });
+
+        if (this.started) {
+            this.unsubscribe();
+            this.subscribe();
+            this.clock.clearInterval(this.timer);
+            this.timer = this.clock.setInterval(() => this.evaluate(), this.evaluationInterval);
+        }
+    }
+
+    // Custom sinks: any object with a name and async send(notification, signal)
+    addSink(sink) {
+        this.customSinks.push(sink);
+        this.sinks.push(sink);
+        return sink;
+    }
+
+    start() {
+        if (this.started) return;
+        this.started = true;
+        if (this.controller.signal.aborted) this.controller = new AbortController();
+        this.subscribe();
+        this.timer = this.clock.setInterval(() => this.evaluate(), this.evaluationInterval);
+        this.evaluate();
+    }
+
+    subscribe() {
+        const listen = (event, listener) => {
+            this.source.on(event, listener);
+            this.listeners.push([event, listener]);
+        };
+
+        TRIGGER_EVENTS.forEach(event => listen(event, () => this.evaluate()));
+        this.rules.filter(rule => rule.condition === 'event').forEach((rule) => {
+            listen(rule.event, payload => this.recordEvent(rule, payload));
+            if (rule.resolve_event) {
+                listen(rule.resolve_event, payload => this.resolveEvent(rule, payload));
+            }
+        });
+    }
+
+    unsubscribe() {
+        this.listeners.forEach(([event, listener]) => this.source.removeListener(event, listener));
+        this.listeners = [];
+    }
+
+    // Stop evaluating; deliveries still running get `timeout` ms before they are cancelled
+    async stop(timeout = 5000) {
+        if (this.timer) {
+            this.clock.clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.unsubscribe();
+        this.started = false;
+
+        if (this.deliveries.size > 0) {
+            const timer = setTimeout(() => this.controller.abort(), timeout);
+            await Promise.allSettled(Array.from(this.deliveries));
+            clearTimeout(timer);
+        }
+    }
+
+    networkKeys() {
+        return Object.keys(this.source.getAllNetworkConfigs());
+    }
+
+    // `networks` is "priority", a list of keys, or absent for every network
+    selectNetworks(rule, available) {
+        if (rule.networks === 'priority') {
+            const priority = new Set(this.priorityNetworks());
+            return available.filter(key => priority.has(key));
+        }
+        if (Array.isArray(rule.networks)) {
+            return available.filter(key => rule.networks.includes(key));
+        }
+        return available;
+    }
+
+    // ==================== EVALUATION ====================
+
+    evaluate() {
+        const now = this.clock.now();
+
+        this.rules.forEach((rule) => {
+            if (rule.condition === 'event') {
+                this.expireEventAlerts(rule, now);
+                return;
+            }
+
+            let instances;
+            try {
+                instances = EVALUATORS[rule.condition](rule, this);
+            } catch (error) {
+                this.logger.warn(`Alert rule ${rule.name} could not be evaluated`, { error: error.message });
+                return;
+            }
+
+            const seen = new Set();
+            instances.forEach((result) => {
+                seen.add(result.instance);
+                this.updateAlert(rule, result, now);
+            });
+
+            // Instances that disappeared (a network removed on reload) count as recovered
+            this.alertsOf(rule)
+                .filter(alert => !seen.has(alert.instance))
+                .forEach(alert => this.updateAlert(rule, { ...alert, active: false }, now));
+        });
+    }
+
+    alertsOf(rule) {
+        return Array.from(this.alerts.values()).filter(alert => alert.rule.name === rule.name);
+    }
+
+    updateAlert(rule, result, now) {
+        const key = `${rule.name}:${result.instance}`;
+        const alert = this.alerts.get(key);
+
+        if (!result.active) {
+            if (!alert) return;
+            this.alerts.delete(key);
+            if (alert.status === 'firing') {
+                this.notify({ ...alert, value: result.value }, 'resolved', now);
+            }
+            return;
+        }
+
+        if (!alert) {
+            const pending = {
+                rule,
+                instance: result.instance,
+                status: 'pending',
+                since: now,
+                firedAt: null,
+                lastNotified: null,
+                labels: result.labels,
+                value: result.value,
+                message: result.message
+            };
+            this.alerts.set(key, pending);
+            if (rule.for === 0) this.fire(pending, now);
+            return;
+        }
+
+        Object.assign(alert, { labels: result.labels, value: result.value, message: result.message });
+        if (alert.status === 'pending' && now - alert.since >= rule.for) {
+            this.fire(alert, now);
+        } else if (alert.status === 'firing' && rule.repeat_interval && now - alert.lastNotified >= rule.repeat_interval) {
+            // Still firing: remind, but only every repeat_interval
+            this.notify(alert, 'firing', now);
+        }
+    }
+
+    fire(alert, now) {
+        alert.status = 'firing';
+        alert.firedAt = now;
+        if (alert.rule.for > 0) {
+            alert.message = `${alert.message} for ${formatDuration(now - alert.since)}`;
+        }
+        this.notify(alert, 'firing', now);
+    }
+
+    // ==================== EVENT RULES ====================
+
+    // Payloads naming a network (breaker and failover events do) alert per network
+    eventInstance(payload) {
+        return payload && typeof payload.network === 'string' ? payload.network : '*';
+    }
+
+    recordEvent(rule, payload) {
+        const now = this.clock.now();
+        const instance = this.eventInstance(payload);
+        const detail = payload && (payload.error || payload.message || payload.reason);
+        const alert = this.alerts.get(`${rule.name}:${instance}`);
+
+        if (alert) {
+            // Repeats of an event that is already alerting are folded into it
+            alert.lastSeen = now;
+            alert.count += 1;
+            return;
+        }
+
+        const created = {
+            rule,
+            instance,
+            status: 'pending',
+            since: now,
+            lastSeen: now,
+            count: 1,
+            firedAt: null,
+            lastNotified: null,
+            labels: instance === '*' ? {} : { network: instance },
+            value: null,
+            message: `${rule.event}${detail ? `: ${detail}` : ''}`
+        };
+        this.alerts.set(`${rule.name}:${instance}`, created);
+        this.fire(created, now);
+    }
+
+    resolveEvent(rule, payload) {
+        const instance = this.eventInstance(payload);
+        // A resolve event without a network clears every instance of the rule
+        const resolved = instance === '*'
+            ? this.alertsOf(rule)
+            : this.alertsOf(rule).filter(alert => alert.instance === instance);
+        resolved.forEach(alert => this.updateAlert(rule, { ...alert, active: false }, this.clock.now()));
+    }
+
+    expireEventAlerts(rule, now) {
+        const resolveAfter = rule.resolve_after || (rule.resolve_event ? null : DEFAULT_RESOLVE_AFTER);
+        if (!resolveAfter) return;
+        this.alertsOf(rule)
+            .filter(alert => now - alert.lastSeen >= resolveAfter)
+            .forEach(alert => this.updateAlert(rule, { ...alert, active: false }, now));
+    }
+
+    // ==================== DELIVERY ====================
+
+    notify(alert, status, now) {
+        alert.lastNotified = now;
+        const notification = {
+            status,
+            rule: alert.rule.name,
+            severity: alert.rule.severity,
+            instance: alert.instance,
+            labels: alert.labels,
+            value: alert.value,
+            message: alert.message,
+            description: alert.rule.description || null,
+            startsAt: new Date(alert.since).toISOString(),
+            resolvedAt: status === 'resolved' ? new Date(now).toISOString() : null,
+            timestamp: new Date(now).toISOString(),
+            // Stable per rule + instance, so receivers can pair firing and resolved notifications
+            fingerprint: crypto.createHash('sha256').update(`${alert.rule.name}\u0000${alert.instance}`).digest('hex').slice(0, 16)
+        };
+
+        const log = status === 'resolved' ? 'info' : (alert.rule.severity === 'critical' ? 'error' : 'warn');
+        this.logger[log](formatAlert(notification), { rule: notification.rule, instance: notification.instance });
+        this.emit(status === 'resolved' ? 'alert-resolved' : 'alert-fired', notification);
+
+        this.sinks
+            .filter(sink => acceptsSeverity(sink, notification.severity))
+            .filter(sink => !alert.rule.sinks || alert.rule.sinks.includes(sink.name))
+            .forEach(sink => this.deliver(sink, notification));
+    }
+
+    deliver(sink, notification) {
+        const delivery = retry(() => sink.send(notification, this.controller.signal), {
+            policy: this.retryPolicy,
+            name: `Alert sink ${sink.name}`,
+            logger: this.logger,
+            signal: this.controller.signal
+        }).catch((error) => {
+            this.logger.error(`Alert delivery to ${sink.name} failed`, { rule: notification.rule, error: error.message });
+            this.emit('alert-delivery-failed', { sink: sink.name, notification, error: error.message });
+        }).finally(() => this.deliveries.delete(delivery));
+
+        this.deliveries.add(delivery);
+        return delivery;
+    }
+
+    // Resolves once every delivery started so far has finished
+    async flush() {
+        await Promise.allSettled(Array.from(this.deliveries));
+    }
+
+    getActiveAlerts() {
+        return Array.from(this.alerts.values()).map(alert => ({
+            rule: alert.rule.name,
+            severity: alert.rule.severity,
+            instance: alert.instance,
+            status: alert.status,
+            since: new Date(alert.since),
+            labels: alert.labels,
+            value: alert.value,
+            message: alert.message
+        }));
+    }
+
+    getStatus() {
+        return {
+            rules: this.rules.length,
+            sinks: this.sinks.map(sink => sink.name),
+            firing: this.getActiveAlerts().filter(alert => alert.status === 'firing').length,
+            pending: this.getActiveAlerts().filter(alert => alert.status === 'pending').length
+        };
+    }
+}
+
+module.exports = {
+    AlertEngine,
+    TRIGGER_EVENTS,
+    formatDuration
+};
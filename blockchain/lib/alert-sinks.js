@@ -0,0 +1,332 @@
+/**
+ * ALERT SINKS - WEBHOOK, EMAIL (SMTP) + FILE DELIVERY
+ * JSON webhooks | Plain-text mail over SMTP with STARTTLS / AUTH PLAIN | JSON-lines alert log | Severity filters
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+const { abortReason, throwIfAborted } = require('./operation-tracker');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// "[FIRING][critical] priority-breaker-open (ethereum): Circuit breaker for ethereum has been OPEN for 5m"
+function formatAlert(notification) {
+    const instance = notification.instance === '*' ? '' : ` (${notification.instance})`;
+    return `[${notification.status.toUpperCase()}][${notification.severity}] ${notification.rule}${instance}: ${notification.message}`;
+}
+
+// A sink receives notifications at or above its min_severity
+function acceptsSeverity(sink, severity) {
+    return SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(sink.minSeverity || 'info');
+}
+
+// ==================== WEBHOOK ====================
+
+class WebhookSink {
+    /**
+     * @param {Object} config - { name, url, headers, timeout, min_severity }
+     * @param {Object} [deps] - { httpClient } with post(url, body, options)
+     */
+    constructor(config, deps = {}) {
+        this.name = config.name || 'webhook';
+        this.url = config.url;
+        this.headers = config.headers || {};
+        this.timeout = config.timeout || 10000;
+        this.minSeverity = config.min_severity;
+        this.httpClient = deps.httpClient || require('axios');
+    }
+
+    // The notification is posted as-is; receivers can deduplicate on its fingerprint
+    async send(notification, signal = null) {
+        await this.httpClient.post(this.url, notification, {
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            timeout: this.timeout,
+            signal: signal || undefined
+        });
+    }
+}
+
+// ==================== FILE ====================
+
+class FileSink {
+    /**
+     * @param {Object} config - { name, path, min_severity }; relative paths resolve against deps.baseDir
+     */
+    constructor(config, deps = {}) {
+        this.name = config.name || 'file';
+        this.filePath = path.resolve(deps.baseDir || process.cwd(), config.path);
+        this.minSeverity = config.min_severity;
+    }
+
+    async send(notification) {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.appendFile(this.filePath, `${JSON.stringify(notification)}\n`, 'utf8');
+    }
+}
+
+// ==================== EMAIL (SMTP) ====================
+
+class SmtpError extends Error {
+    constructor(message, code = null) {
+        super(message);
+        this.name = 'SmtpError';
+        // 4xx replies are temporary per RFC 5321; 5xx ones will not succeed on retry
+        this.replyCode = code;
+        this.errorClass = code >= 500 ? 'permanent' : 'transient';
+        this.classified = true;
+    }
+}
+
+// One SMTP conversation; replies are read line by line and matched to commands in order
+class SmtpConnection {
+    constructor(socket, timeout) {
+        this.timeout = timeout;
+        this.pending = [];
+        this.replies = [];
+        this.waiters = [];
+        this.failure = null;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        if (this.socket) this.socket.removeAllListeners('data');
+        this.socket = socket;
+        this.buffer = '';
+        socket.setEncoding('utf8');
+        socket.setTimeout(this.timeout, () => socket.destroy(new SmtpError('SMTP connection timed out')));
+        socket.on('data', (chunk) => {
+            this.buffer += chunk;
+            this.flush();
+        });
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new SmtpError('SMTP connection closed')));
+    }
+
+    flush() {
+        let index;
+        while ((index = this.buffer.indexOf('\n')) >= 0) {
+            const line = this.buffer.slice(0, index).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(index + 1);
+            this.pending.push(line.slice(4));
+
+            // "250-..." continues a reply, "250 ..." ends it
+            if (line[3] !== '-') {
+                const reply = { code: parseInt(line.slice(0, 3), 10), lines: this.pending };
+                this.pending = [];
+                const waiter = this.waiters.shift();
+                if (waiter) waiter.resolve(reply); else this.replies.push(reply);
+            }
+        }
+    }
+
+    fail(error) {
+        if (this.failure) return;
+        this.failure = error;
+        this.waiters.splice(0).forEach(waiter => waiter.reject(error));
+    }
+
+    read() {
+        if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+        if (this.failure) return Promise.reject(this.failure);
+        return new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+    }
+
+    async expect(expected) {
+        const reply = await this.read();
+        if (reply.code !== expected) {
+            throw new SmtpError(`SMTP server replied ${reply.code}: ${reply.lines.join(' ')}`, reply.code);
+        }
+        return reply;
+    }
+
+    async command(line, expected) {
+        this.socket.write(`${line}\r\n`);
+        return this.expect(expected);
+    }
+}
+
+// Connecting is bounded by the same timeout as each reply, and stops when `signal` aborts
+function connectSocket(options, signal = null) {
+    return new Promise((resolve, reject) => {
+        const connectOptions = { host: options.host, port: options.port, servername: options.host, ...options.tls };
+        const onConnect = () => {
+            socket.removeListener('timeout', onTimeout);
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve(socket);
+        };
+        const onTimeout = () => socket.destroy(new SmtpError(`SMTP connection to ${options.host} timed out`));
+        const onAbort = () => socket.destroy(abortReason(signal));
+
+        const socket = options.secure ? tls.connect(connectOptions, onConnect) : net.connect(connectOptions, onConnect);
+        socket.setTimeout(options.timeout, onTimeout);
+        socket.once('error', (error) => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            reject(error);
+        });
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+function upgradeSocket(socket, options) {
+    return new Promise((resolve, reject) => {
+        const secure = tls.connect({ socket, servername: options.host, ...options.tls }, () => resolve(secure));
+        secure.once('error', reject);
+    });
+}
+
+// Header values must stay on one line, or a subject could inject headers of its own
+function headerValue(value) {
+    return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+// CRLF line endings, and a leading "." doubled so it cannot end the DATA section early
+function encodeBody(text) {
+    return text.split(/\r?\n/).map(line => (line.startsWith('.') ? `.${line}` : line)).join('\r\n');
+}
+
+/**
+ * Send one plain-text message. Credentials are only sent over TLS (port 465 with secure: true,
+ * or STARTTLS) unless allowInsecureAuth is set.
+ * @param {Object} options - { host, port, secure, starttls, user, password, allowInsecureAuth, timeout, clientName, tls }
+ * @param {Object} message - { from, to: string[], subject, text, messageId }
+ * @param {AbortSignal} [signal] - aborting closes the connection, wherever the conversation is
+ */
+async function sendMail(options, message, signal = null) {
+    const settings = {
+        ...options,
+        port: options.port || (options.secure ? 465 : 587),
+        timeout: options.timeout || 10000,
+        starttls: options.starttls !== false
+    };
+    const clientName = settings.clientName || os.hostname();
+    throwIfAborted(signal);
+    const socket = await connectSocket(settings, signal);
+    const connection = new SmtpConnection(socket, settings.timeout);
+
+    // The socket's error fails whichever reply is awaited
+    const onAbort = () => connection.socket.destroy(abortReason(signal));
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+        await connection.expect(220);
+        const hello = await connection.command(`EHLO ${clientName}`, 250);
+        let encrypted = !!settings.secure;
+
+        if (!encrypted && settings.starttls && hello.lines.some(line => /^STARTTLS\b/i.test(line))) {
+            await connection.command('STARTTLS', 220);
+            connection.attach(await upgradeSocket(connection.socket, settings));
+            encrypted = true;
+            await connection.command(`EHLO ${clientName}`, 250);
+        }
+
+        if (settings.user) {
+            if (!encrypted && !settings.allowInsecureAuth) {
+                throw new SmtpError(`SMTP server ${settings.host} offers no TLS; refusing to send credentials in clear text`, 530);
+            }
+            const credentials = Buffer.from(`\u0000${settings.user}\u0000${settings.password || ''}`).toString('base64');
+            await connection.command(`AUTH PLAIN ${credentials}`, 235);
+        }
+
+        await connection.command(`MAIL FROM:<${message.from}>`, 250);
+        for (const recipient of message.to) {
+            await connection.command(`RCPT TO:<${recipient}>`, 250);
+        }
+        await connection.command('DATA', 354);
+
+        const headers = [
+            `From: ${headerValue(message.from)}`,
+            `To: ${message.to.map(headerValue).join(', ')}`,
+            `Subject: ${headerValue(message.subject)}`,
+            `Date: ${new Date().toUTCString()}`,
+            `Message-ID: <${headerValue(message.messageId || `${Date.now()}`)}@${clientName}>`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: 8bit'
+        ];
+        await connection.command(`${headers.join('\r\n')}\r\n\r\n${encodeBody(message.text)}\r\n.`, 250);
+        await connection.command('QUIT', 221).catch(() => {});
+    } finally {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        connection.socket.destroy();
+    }
+}
+
+class EmailSink {
+    /**
+     * @param {Object} config - { name, host, port, secure, starttls, user, password, allow_insecure_auth, timeout, from, to, min_severity }
+     * @param {Object} [deps] - { sendMail } to replace the built-in SMTP client
+     */
+    constructor(config, deps = {}) {
+        this.name = config.name || 'email';
+        this.from = config.from;
+        this.to = Array.isArray(config.to) ? config.to : [config.to];
+        this.minSeverity = config.min_severity;
+        this.sendMail = deps.sendMail || sendMail;
+        this.smtp = {
+            host: config.host,
+            port: config.port,
+            secure: config.secure === true,
+            starttls: config.starttls !== false,
+            user: config.user,
+            password: config.password,
+            allowInsecureAuth: config.allow_insecure_auth === true,
+            timeout: config.timeout
+        };
+    }
+
+    async send(notification, signal = null) {
+        const details = [
+            formatAlert(notification),
+            '',
+            `Rule:      ${notification.rule}`,
+            `Severity:  ${notification.severity}`,
+            `Instance:  ${notification.instance}`,
+            `Started:   ${notification.startsAt}`,
+            notification.resolvedAt ? `Resolved:  ${notification.resolvedAt}` : null,
+            notification.value !== null && notification.value !== undefined ? `Value:     ${notification.value}` : null,
+            `Labels:    ${JSON.stringify(notification.labels)}`,
+            `Fingerprint: ${notification.fingerprint}`
+        ].filter(line => line !== null);
+
+        await this.sendMail(this.smtp, {
+            from: this.from,
+            to: this.to,
+            subject: formatAlert(notification),
+            text: details.join('\n'),
+            messageId: `${notification.fingerprint}.${notification.status}.${Date.parse(notification.timestamp) || Date.now()}`
+        }, signal);
+    }
+}
+
+// ==================== REGISTRY ====================
+
+// Built-in sink types by config `type`; AlertEngine.addSink() takes any object with name + send()
+const SINK_TYPES = {
+    webhook: WebhookSink,
+    email: EmailSink,
+    file: FileSink
+};
+
+function createSink(config, deps = {}) {
+    const SinkType = SINK_TYPES[config.type];
+    if (!SinkType) {
+        throw new Error(`Unknown alert sink type: ${config.type}`);
+    }
+    return new SinkType(config, deps);
+}
+
+module.exports = {
+    WebhookSink,
+    EmailSink,
+    FileSink,
+    SmtpError,
+    SINK_TYPES,
+    SEVERITIES,
+    createSink,
+    sendMail,
+    formatAlert,
+    acceptsSeverity
+};
@@ -0,0 +1,367 @@
+/**
+ * API SERVER - HTTP STATUS + CONTROL API
+ * JSON over HTTP | JWT bearer auth with read / write scopes | Status, health, breakers, wallets | Live dashboard
+ * Watch-only wallet import | Balance history
+ */
+
+const fs = require('fs');
+const http = require('http');
+const { verifyToken, hasScope } = require('./jwt');
+const { parseTime } = require('./health-history');
+
+const MAX_BODY_SIZE = 64 * 1024;
+const MAX_HISTORY_RECORDS = 10000;
+
+// Wallet ids become file names, so they are kept to a safe character set
+const WALLET_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Returned by handlers that wrote the response themselves (event streams, static pages)
+const HANDLED = Symbol('handled');
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+// [method, path pattern, required scope (null: public), handler(context), options]
+// context: { manager, params, query, body, claims, signal, request, response, eventStream, dashboardFile }.
+// options.tokenInQuery accepts ?access_token=, because browsers cannot set headers on an EventSource.
+const ROUTES = [
+    ['GET', /^\/status$/, 'read', ({ manager }) => manager.getSystemStatus()],
+
+    ['GET', /^\/networks$/, 'read', ({ manager }) => ({
+        networks: Object.keys(manager.getAllNetworkConfigs()).map(key => manager.getNetworkHealth(key))
+    })],
+
+    ['POST', /^\/networks\/connect$/, 'write', ({ manager, body, signal }) => {
+        const { networks = null } = body || {};
+        if (networks !== null && (!Array.isArray(networks) || !networks.every(key => typeof key === 'string'))) {
+            throw new HttpError(400, 'networks must be an array of network keys');
+        }
+        return manager.connectNetworks(networks, { signal });
+    }],
+
+    ['GET', /^\/networks\/([^/]+)\/health$/, 'read', ({ manager, params }) => {
+        const health = manager.getNetworkHealth(params[0]);
+        if (!health) throw new HttpError(404, `Unknown network: ${params[0]}`);
+        return health;
+    }],
+
+    ['GET', /^\/circuit-breakers$/, 'read', ({ manager }) => manager.getCircuitBreakerStatus()],
+
+    ['GET', /^\/alerts$/, 'read', ({ manager }) => ({ alerts: manager.getActiveAlerts() })],
+
+    // ?from=7d&to=now&networks=ethereum,base (from / to: ISO dates or durations back from now)
+    ['GET', /^\/history\/health$/, 'read', async ({ manager, query }) => {
+        requireHistory(manager);
+        const limit = historyLimit(query);
+        const records = await manager.queryHealthHistory({ ...historyRange(query), types: listParam(query, 'types'), limit: limit + 1 });
+        return newestRecords(records, limit);
+    }],
+
+    ['GET', /^\/history\/report$/, 'read', ({ manager, query }) => {
+        requireHistory(manager);
+        return manager.getHealthReport(historyRange(query));
+    }],
+
+    ['POST', /^\/health-check$/, 'write', async ({ manager, signal }) => {
+        await manager.performHealthCheck({ signal });
+        return { networks: manager.getSystemStatus().networks.health };
+    }],
+
+    ['POST', /^\/balances\/refresh$/, 'write', async ({ manager, signal }) => {
+        await manager.updateAllBalances({ signal });
+        return { wallets: manager.listWallets().map(wallet => manager.getWalletBalances(wallet.id)) };
+    }],
+
+    ['GET', /^\/portfolio$/, 'read', ({ manager }) => {
+        const { networks } = manager.getSystemStatus();
+        return {
+            timestamp: new Date(),
+            networks: { connected: networks.connected, total: networks.total },
+            totals: manager.getPortfolioTotals(),
+            wallets: manager.listWallets().map(wallet => manager.getWalletBalances(wallet.id))
+        };
+    }],
+
+    ['GET', /^\/wallets$/, 'read', ({ manager }) => ({ wallets: manager.listWallets() })],
+
+    ['GET', /^\/wallets\/([^/]+)\/balances$/, 'read', async ({ manager, params, query, signal }) => {
+        const [walletId] = params;
+        if (!manager.getWalletBalances(walletId)) throw new HttpError(404, `Wallet ${walletId} not found`);
+
+        // ?refresh=true fetches fresh balances instead of returning the last sweep's
+        if (query.get('refresh') === 'true') {
+            await manager.updateWalletBalances(walletId, null, { signal });
+        }
+        return manager.getWalletBalances(walletId);
+    }],
+
+    // ?from=30d&to=now&networks=bitcoin
+    ['GET', /^\/wallets\/([^/]+)\/history$/, 'read', async ({ manager, params, query }) => {
+        const [walletId] = params;
+        requireHistory(manager);
+        if (!manager.getWalletBalances(walletId)) throw new HttpError(404, `Wallet ${walletId} not found`);
+        const limit = historyLimit(query);
+        return { walletId, ...newestRecords(await manager.getWalletHistory(walletId, { ...historyRange(query), limit: limit + 1 }), limit) };
+    }],
+
+    // { id, address | xpub, networks }: tracked without keys; signing with it is refused
+    ['POST', /^\/wallets\/watch$/, 'write', async ({ manager, body, signal }) => {
+        const { id, address = null, xpub = null, networks } = body || {};
+
+        if (typeof id !== 'string' || !WALLET_ID_PATTERN.test(id)) {
+            throw new HttpError(400, 'id must be 1-64 letters, digits, "_" or "-"');
+        }
+        if (manager.getWalletBalances(id)) {
+            throw new HttpError(409, `Wallet ${id} already exists`);
+        }
+        if ((typeof address === 'string') === (typeof xpub === 'string')) {
+            throw new HttpError(400, 'Either address or xpub is required');
+        }
+        if (!Array.isArray(networks) || networks.length === 0 || !networks.every(key => typeof key === 'string')) {
+            throw new HttpError(400, 'networks must be a non-empty array of network keys');
+        }
+        const unknown = networks.filter(key => !manager.getNetworkHealth(key));
+        if (unknown.length > 0) throw new HttpError(400, `Unknown networks: ${unknown.join(', ')}`);
+
+        // An address or xpub the networks can't hold is the caller's mistake, not a server error
+        try {
+            manager.buildWatchOnlyWallet(id, { address, xpub, networks }, 'import');
+        } catch (error) {
+            throw new HttpError(400, error.message);
+        }
+        await manager.importWatchOnlyWallet(id, { address, xpub, networks }, { signal });
+        return { status: 201, body: manager.listWallets().find(entry => entry.id === id) };
+    }],
+
+    ['POST', /^\/wallets$/, 'write', async ({ manager, body, signal }) => {
+        const { id = null, networks = null } = body || {};
+
+        if (id !== null && (typeof id !== 'string' || !WALLET_ID_PATTERN.test(id))) {
+            throw new HttpError(400, 'id must be 1-64 letters, digits, "_" or "-"');
+        }
+        if (id !== null && manager.getWalletBalances(id)) {
+            throw new HttpError(409, `Wallet ${id} already exists`);
+        }
+        if (networks !== null) {
+            if (!Array.isArray(networks) || networks.length === 0 || !networks.every(key => typeof key === 'string')) {
+                throw new HttpError(400, 'networks must be a non-empty array of network keys');
+            }
+            const unknown = networks.filter(key => !manager.getNetworkHealth(key));
+            if (unknown.length > 0) throw new HttpError(400, `Unknown networks: ${unknown.join(', ')}`);
+        }
+
+        const walletId = await manager.createMultiChainWallet(id, networks, { signal });
+        return { status: 201, body: manager.listWallets().find(wallet => wallet.id === walletId) };
+    }],
+
+    ['GET', /^\/events$/, 'read', ({ eventStream, request, response }) => {
+        if (!eventStream) throw new HttpError(404, 'Event stream not enabled');
+        eventStream.attach(request, response);
+        return HANDLED;
+    }, { tokenInQuery: true }],
+
+    // The page holds no data of its own; it asks for a token and then uses the routes above
+    ['GET', /^\/(?:dashboard)?$/, null, async ({ dashboardFile, response }) => {
+        if (!dashboardFile) throw new HttpError(404, 'Not found');
+        const html = await fs.promises.readFile(dashboardFile);
+        response.writeHead(200, {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'Content-Security-Policy': "default-src 'self'; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline'"
+        });
+        response.end(html);
+        return HANDLED;
+    }]
+];
+
+function listParam(query, name) {
+    const value = query.get(name);
+    return value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined;
+}
+
+function requireHistory(manager) {
+    if (!manager.healthHistory) throw new HttpError(404, 'Health history is not enabled');
+}
+
+function historyLimit(query) {
+    return Math.min(parseInt(query.get('limit'), 10) || 1000, MAX_HISTORY_RECORDS);
+}
+
+// History is queried for one record past the limit, so a full page can say whether older records were left out
+function newestRecords(records, limit) {
+    return { records: records.slice(-limit), truncated: records.length > limit };
+}
+
+function historyRange(query) {
+    const range = { networks: listParam(query, 'networks') };
+    ['from', 'to'].forEach((bound) => {
+        if (!query.get(bound)) return;
+        try {
+            range[bound] = parseTime(query.get(bound));
+        } catch (error) {
+            throw new HttpError(400, `${bound}: ${error.message}`);
+        }
+    });
+    return range;
+}
+
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        throw new HttpError(400, 'Malformed path');
+    }
+}
+
+function sendJson(response, status, body, headers = {}) {
+    // Block heights and balances can arrive as BigInt from the chain libraries
+    const json = JSON.stringify(body, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    response.end(json);
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        request.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(new HttpError(413, `Request body exceeds ${MAX_BODY_SIZE} bytes`));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (!text.trim()) return resolve(null);
+            try {
+                resolve(JSON.parse(text));
+            } catch (error) {
+                reject(new HttpError(400, 'Request body must be valid JSON'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+// Claims of the request's bearer token; throws HttpError(401) when it is missing or invalid
+function authenticate(request, secret, now, queryToken = null) {
+    const match = /^Bearer\s+(\S+)$/i.exec(request.headers.authorization || '');
+    const token = match ? match[1] : queryToken;
+    if (!token) throw new HttpError(401, 'Missing bearer token');
+
+    try {
+        return verifyToken(token, secret, { now });
+    } catch (error) {
+        throw new HttpError(401, error.message);
+    }
+}
+
+/**
+ * HTTP server for `manager`. Every route except the dashboard page needs `Authorization: Bearer <jwt>`
+ * signed with options.secret (HS256); GET routes need the `read` scope and POST routes `write`.
+ * @param {Object} manager - MultiChainCryptoManager
+ * @param {Object} options - { secret, logger, now, eventStream, dashboardFile }
+ */
+function createApiServer(manager, options = {}) {
+    const { secret, eventStream = null, dashboardFile = null } = options;
+    const logger = options.logger || console;
+    const now = options.now || Date.now;
+
+    if (!secret) {
+        throw new Error('JWT_SECRET is required to start the HTTP API');
+    }
+
+    return http.createServer(async (request, response) => {
+        const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+        const matches = ROUTES
+            .map(([method, pattern, scope, handler, routeOptions = {}]) => ({
+                method, scope, handler, routeOptions, match: pattern.exec(pathname)
+            }))
+            .filter(route => route.match);
+
+        // Requests that outlive their client are cancelled
+        const controller = new AbortController();
+        response.on('close', () => {
+            if (!response.writableFinished) controller.abort();
+        });
+
+        try {
+            if (matches.length === 0) throw new HttpError(404, 'Not found');
+
+            const route = matches.find(candidate => candidate.method === request.method);
+            if (!route) {
+                const allow = matches.map(candidate => candidate.method).join(', ');
+                sendJson(response, 405, { error: 'Method not allowed' }, { Allow: allow });
+                return;
+            }
+
+            let claims = null;
+            if (route.scope) {
+                const queryToken = route.routeOptions.tokenInQuery ? searchParams.get('access_token') : null;
+                claims = authenticate(request, secret, now, queryToken);
+                if (!hasScope(claims, route.scope)) {
+                    throw new HttpError(403, `Token lacks the ${route.scope} scope`);
+                }
+            }
+
+            const body = request.method === 'POST' ? await readBody(request) : null;
+            const result = await route.handler({
+                manager,
+                params: route.match.slice(1).map(decodeParam),
+                query: searchParams,
+                body,
+                claims,
+                signal: controller.signal,
+                request,
+                response,
+                eventStream,
+                dashboardFile
+            });
+
+            if (result === HANDLED) return;
+            if (result && result.status && 'body' in result) {
+                sendJson(response, result.status, result.body);
+            } else {
+                sendJson(response, 200, result);
+            }
+
+        } catch (error) {
+            if (response.headersSent || controller.signal.aborted) return;
+
+            if (error instanceof HttpError) {
+                const headers = error.status === 401 ? { 'WWW-Authenticate': 'Bearer error="invalid_token"' } : {};
+                if (error.status === 401 || error.status === 403) {
+                    logger.warn(`API request rejected: ${error.message}`, { method: request.method, path: pathname });
+                }
+                sendJson(response, error.status, { error: error.message }, headers);
+            } else if (error.code === 'SHUTTING_DOWN') {
+                sendJson(response, 503, { error: 'Manager is shutting down' }, { 'Retry-After': '30' });
+            } else {
+                // Internal details stay in the log
+                logger.error('API request failed', { method: request.method, path: pathname, error: error.message });
+                sendJson(response, 500, { error: 'Internal server error' });
+            }
+        }
+    });
+}
+
+module.exports = {
+    createApiServer,
+    HttpError,
+    HANDLED,
+    ROUTES,
+    MAX_BODY_SIZE
+};
@@ -0,0 +1,176 @@
+/**
+ * BLOCK SUBSCRIBER - WEBSOCKET HEAD TRACKING
+ * EVM newHeads | Solana slotSubscribe | Reconnect with backoff | Polling fallback signal
+ */
+
+const EventEmitter = require('events');
+
+const SUBSCRIBE_REQUEST_ID = 1;
+
+// Subscription request per chain family
+const SUBSCRIBE_METHODS = {
+    evm: { method: 'eth_subscribe', params: ['newHeads'], notification: 'eth_subscription' },
+    solana: { method: 'slotSubscribe', params: [], notification: 'slotNotification' }
+};
+
+class BlockSubscriber extends EventEmitter {
+    constructor(network, url, options = {}) {
+        super();
+
+        if (!SUBSCRIBE_METHODS[options.type || 'evm']) {
+            throw new Error(`Block subscriptions not supported for ${options.type} networks`);
+        }
+
+        this.network = network;
+        this.url = url;
+        this.type = options.type || 'evm';
+        this.WebSocket = options.WebSocket || require('ws');
+        this.baseDelay = options.baseDelay || 1000;
+        this.maxDelay = options.maxDelay || 30000;
+        this.fallbackAfter = options.fallbackAfter || 3;
+
+        this.socket = null;
+        this.state = 'idle';
+        this.subscriptionId = null;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.fallbackActive = false;
+        this.stopped = false;
+        this.lastHead = null;
+    }
+
+    start() {
+        this.stopped = false;
+        this.connect();
+        return this;
+    }
+
+    connect() {
+        this.state = 'connecting';
+
+        let socket;
+        try {
+            socket = new this.WebSocket(this.url);
+        } catch (error) {
+            this.handleDisconnect(error);
+            return;
+        }
+
+        this.socket = socket;
+        const subscribe = SUBSCRIBE_METHODS[this.type];
+
+        socket.on('open', () => {
+            socket.send(JSON.stringify({
+                jsonrpc: '2.0',
+                id: SUBSCRIBE_REQUEST_ID,
+                method: subscribe.method,
+                params: subscribe.params
+            }));
+        });
+
+        socket.on('message', (data) => this.handleMessage(data));
+        socket.on('error', (error) => this.emit('socket-error', error));
+        socket.on('close', () => {
+            if (this.socket === socket) {
+                this.handleDisconnect(new Error('WebSocket closed'));
+            }
+        });
+    }
+
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            return;
+        }
+
+        if (message.id === SUBSCRIBE_REQUEST_ID) {
+            if (message.error) {
+                this.emit('socket-error', new Error(message.error.message || 'Subscription rejected'));
+                this.socket.close();
+                return;
+            }
+
+            this.subscriptionId = message.result;
+            this.state = 'subscribed';
+            this.reconnectAttempts = 0;
+
+            const recovered = this.fallbackActive;
+            this.fallbackActive = false;
+            this.emit('connected', { network: this.network, recovered });
+            return;
+        }
+
+        if (message.method !== SUBSCRIBE_METHODS[this.type].notification || !message.params) {
+            return;
+        }
+
+        const result = message.params.result || {};
+        const head = this.type === 'solana'
+            ? { slot: result.slot, number: result.slot }
+            : { number: parseInt(result.number, 16), hash: result.hash, timestamp: parseInt(result.timestamp, 16) };
+
+        if (!Number.isFinite(head.number)) return;
+
+        this.lastHead = { ...head, receivedAt: new Date() };
+        this.emit('block', head);
+    }
+
+    handleDisconnect(error) {
+        this.socket = null;
+        this.subscriptionId = null;
+
+        if (this.stopped) {
+            this.state = 'stopped';
+            return;
+        }
+
+        this.state = 'reconnecting';
+        this.reconnectAttempts++;
+
+        if (this.reconnectAttempts >= this.fallbackAfter && !this.fallbackActive) {
+            this.fallbackActive = true;
+            this.emit('fallback', { network: this.network, attempts: this.reconnectAttempts, error: error.message });
+        }
+
+        const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, this.reconnectAttempts - 1));
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+    }
+
+    isLive() {
+        return this.state === 'subscribed';
+    }
+
+    stop() {
+        this.stopped = true;
+        this.state = 'stopped';
+
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+    }
+
+    getStatus() {
+        return {
+            network: this.network,
+            state: this.state,
+            live: this.isLive(),
+            fallback: this.fallbackActive,
+            reconnectAttempts: this.reconnectAttempts,
+            lastHead: this.lastHead
+        };
+    }
+}
+
+module.exports = { BlockSubscriber };
@@ -0,0 +1,169 @@
+/**
+ * CHAIN HEAD TRACKER - BLOCK STALENESS + CHAIN LAG
+ * Head height per endpoint over time | Expected block times | healthy / degraded / stalled
+ */
+
+// Expected block (or slot) time in ms for known networks; unknown ones fall back by type
+const BLOCK_TIMES = {
+    ethereum: 12000,
+    polygon: 2000,
+    arbitrum: 250,
+    arbitrum_nova: 250,
+    optimism: 2000,
+    base: 2000,
+    bnb_smart_chain: 3000,
+    avalanche: 2000,
+    solana: 400,
+    bitcoin: 600000,
+    starknet: 30000
+};
+
+const TYPE_BLOCK_TIMES = {
+    evm: 12000,
+    solana: 400,
+    bitcoin: 600000,
+    starknet: 30000
+};
+
+// A head that has not moved for this many block times is degraded / stalled.
+// The same factors apply to how far an endpoint trails the best endpoint of its chain.
+const DEFAULT_DEGRADED_BLOCKS = 5;
+const DEFAULT_STALLED_BLOCKS = 15;
+
+const STATE_RANK = { healthy: 0, degraded: 1, stalled: 2 };
+
+function expectedBlockTime(networkKey, networkConfig = {}) {
+    if (networkConfig.block_time > 0) return networkConfig.block_time;
+    return BLOCK_TIMES[networkKey] || TYPE_BLOCK_TIMES[networkConfig.type || 'evm'] || TYPE_BLOCK_TIMES.evm;
+}
+
+class ChainHeadTracker {
+    constructor(options = {}) {
+        this.now = options.now || Date.now;
+        this.degradedBlocks = options.degradedBlocks || DEFAULT_DEGRADED_BLOCKS;
+        this.stalledBlocks = options.stalledBlocks || DEFAULT_STALLED_BLOCKS;
+
+        // network -> { blockTime, endpoints: Map(url -> { height, advancedAt, sampledAt }) }
+        this.chains = new Map();
+    }
+
+    getChain(network, blockTime) {
+        if (!this.chains.has(network)) {
+            this.chains.set(network, { blockTime, endpoints: new Map() });
+        }
+        const chain = this.chains.get(network);
+        if (blockTime) chain.blockTime = blockTime;
+        return chain;
+    }
+
+    // Record a head height (block number or slot) seen on one endpoint
+    record(network, endpoint, height, blockTime = null) {
+        if (!Number.isFinite(height)) return;
+
+        const chain = this.getChain(network, blockTime);
+        const now = this.now();
+        const sample = chain.endpoints.get(endpoint);
+
+        if (!sample) {
+            chain.endpoints.set(endpoint, { height, advancedAt: now, sampledAt: now });
+            return;
+        }
+
+        if (height > sample.height) {
+            sample.height = height;
+            sample.advancedAt = now;
+        }
+        sample.sampledAt = now;
+    }
+
+    // Highest head among endpoints sampled within the stalled window
+    getBestHeight(network) {
+        const recent = this.getRecentSamples(network);
+        return recent.length > 0 ? Math.max(...recent.map(sample => sample.height)) : null;
+    }
+
+    getRecentSamples(network) {
+        const chain = this.chains.get(network);
+        if (!chain) return [];
+
+        const window = chain.blockTime * this.stalledBlocks;
+        return Array.from(chain.endpoints.values())
+            .filter(sample => this.now() - sample.sampledAt <= window);
+    }
+
+    // Blocks this sample trails the other recent samples by. Samples taken later are expected
+    // to be ahead by the block times in between, so only the excess counts as lag.
+    getLag(network, sample) {
+        const chain = this.chains.get(network);
+        const lags = this.getRecentSamples(network).map((other) => {
+            const elapsed = Math.max(0, other.sampledAt - sample.sampledAt);
+            return Math.floor(other.height - sample.height - elapsed / chain.blockTime);
+        });
+        return Math.max(0, ...lags);
+    }
+
+    classify(blocks) {
+        if (blocks > this.stalledBlocks) return 'stalled';
+        if (blocks > this.degradedBlocks) return 'degraded';
+        return 'healthy';
+    }
+
+    // { state, height, headAge, lag, reason } for one endpoint; null if it was never sampled.
+    // A polled head is aged up to its last sample; pass live for a pushed feed, whose silence counts too.
+    evaluate(network, endpoint, options = {}) {
+        const chain = this.chains.get(network);
+        const sample = chain && chain.endpoints.get(endpoint);
+        if (!sample) return null;
+
+        const headAge = (options.live ? this.now() : sample.sampledAt) - sample.advancedAt;
+        const bestHeight = this.getBestHeight(network);
+        const lag = this.getLag(network, sample);
+
+        const ageState = this.classify(headAge / chain.blockTime);
+        const lagState = this.classify(lag);
+        const state = STATE_RANK[lagState] > STATE_RANK[ageState] ? lagState : ageState;
+
+        let reason = null;
+        if (state !== 'healthy') {
+            reason = state === ageState
+                ? `head ${sample.height} has not advanced for ${Math.round(headAge / 1000)}s`
+                : `head ${sample.height} is ${lag} blocks behind ${bestHeight}`;
+        }
+
+        return {
+            state,
+            height: sample.height,
+            bestHeight,
+            headAge,
+            lag,
+            expectedBlockTime: chain.blockTime,
+            reason
+        };
+    }
+
+    forget(network, endpoint = null) {
+        if (endpoint === null) {
+            this.chains.delete(network);
+        } else {
+            this.chains.get(network)?.endpoints.delete(endpoint);
+        }
+    }
+
+    getStatus(network = null) {
+        const networks = network ? [network] : Array.from(this.chains.keys());
+        return Object.fromEntries(networks.filter(key => this.chains.has(key)).map(key => [
+            key,
+            Object.fromEntries(
+                Array.from(this.chains.get(key).endpoints.keys()).map(url => [url, this.evaluate(key, url)])
+            )
+        ]));
+    }
+}
+
+module.exports = {
+    ChainHeadTracker,
+    expectedBlockTime,
+    BLOCK_TIMES,
+    DEFAULT_DEGRADED_BLOCKS,
+    DEFAULT_STALLED_BLOCKS
+};
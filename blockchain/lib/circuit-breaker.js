@@ -0,0 +1,229 @@
+/**
+ * CIRCUIT BREAKER - ROLLING WINDOW + LIMITED HALF_OPEN PROBES
+ * Failure-rate trips | Per-network policies | breaker-opened / breaker-half-open / breaker-closed events
+ */
+
+const EventEmitter = require('events');
+const { isCancellation } = require('./operation-tracker');
+
+const DEFAULT_POLICY = {
+    // Outcomes older than this (ms) no longer count towards the failure rate
+    window: 60000,
+    // Calls needed inside the window before the breaker may trip
+    minimumCalls: 3,
+    // Failure share of the window that opens the breaker
+    failureRateThreshold: 0.5,
+    // How long the breaker stays OPEN before it lets probes through
+    openTimeout: 30000,
+    // Concurrent probe calls allowed while HALF_OPEN; this many successes close it again
+    halfOpenMaxCalls: 1
+};
+
+// Config sections use snake_case; map them onto the policy fields
+const POLICY_FIELDS = {
+    window: 'window',
+    minimum_calls: 'minimumCalls',
+    failure_rate_threshold: 'failureRateThreshold',
+    open_timeout: 'openTimeout',
+    half_open_max_calls: 'halfOpenMaxCalls'
+};
+
+class CircuitOpenError extends Error {
+    constructor(name, lastError, nextAttempt) {
+        super(`Circuit breaker OPEN for ${name} - service temporarily unavailable` +
+            (lastError ? `. Last error: ${lastError}` : ''));
+        this.name = 'CircuitOpenError';
+        this.code = 'CIRCUIT_OPEN';
+        this.breaker = name;
+        this.nextAttempt = nextAttempt;
+    }
+}
+
+// Merge config sections ({ open_timeout: 60000, ... }) over the defaults, later ones winning
+function resolvePolicy(...sections) {
+    const policy = { ...DEFAULT_POLICY };
+    sections.filter(Boolean).forEach(section => {
+        Object.entries(section).forEach(([key, value]) => {
+            const field = POLICY_FIELDS[key] || (key in DEFAULT_POLICY ? key : null);
+            if (field && value !== undefined) policy[field] = value;
+        });
+    });
+    return policy;
+}
+
+class CircuitBreaker extends EventEmitter {
+    constructor(name, policy = {}, options = {}) {
+        super();
+        this.name = name;
+        this.policy = resolvePolicy(policy);
+        this.now = options.now || Date.now;
+
+        this.state = 'CLOSED';
+        this.outcomes = [];
+        this.nextAttempt = null;
+        this.lastError = null;
+        this.probesInFlight = 0;
+        this.probeSuccesses = 0;
+    }
+
+    async execute(operation) {
+        this.beforeCall();
+
+        const probe = this.state === 'HALF_OPEN';
+        if (probe) this.probesInFlight++;
+
+        try {
+            const result = await operation();
+            this.onSuccess(probe);
+            return result;
+        } catch (error) {
+            if (!isCancellation(error)) this.onFailure(error, probe);
+            throw error;
+        } finally {
+            if (probe) this.probesInFlight--;
+        }
+    }
+
+    // Throws CircuitOpenError when the call is not allowed through
+    beforeCall() {
+        if (this.state === 'OPEN') {
+            if (this.now() < this.nextAttempt) {
+                throw new CircuitOpenError(this.name, this.lastError, new Date(this.nextAttempt));
+            }
+            this.transition('HALF_OPEN');
+        }
+
+        if (this.state === 'HALF_OPEN' && this.probesInFlight >= this.policy.halfOpenMaxCalls) {
+            throw new CircuitOpenError(this.name, this.lastError, null);
+        }
+    }
+
+    onSuccess(probe) {
+        if (probe) {
+            // Outcomes from an earlier breaker state must not close or reopen this one
+            if (this.state !== 'HALF_OPEN') return;
+            this.probeSuccesses++;
+            if (this.probeSuccesses >= this.policy.halfOpenMaxCalls) {
+                this.outcomes = [];
+                this.lastError = null;
+                this.transition('CLOSED');
+            }
+            return;
+        }
+
+        this.record(true);
+    }
+
+    onFailure(error, probe) {
+        this.lastError = error ? error.message : null;
+
+        if (probe) {
+            if (this.state === 'HALF_OPEN') this.open();
+            return;
+        }
+
+        this.record(false);
+        if (this.state === 'CLOSED' && this.shouldTrip()) {
+            this.open();
+        }
+    }
+
+    record(ok) {
+        this.outcomes.push({ time: this.now(), ok });
+        this.prune();
+    }
+
+    prune() {
+        const cutoff = this.now() - this.policy.window;
+        while (this.outcomes.length > 0 && this.outcomes[0].time < cutoff) {
+            this.outcomes.shift();
+        }
+    }
+
+    getWindowStats() {
+        this.prune();
+        const calls = this.outcomes.length;
+        const failures = this.outcomes.filter(outcome => !outcome.ok).length;
+        return { calls, failures, failureRate: calls > 0 ? failures / calls : 0 };
+    }
+
+    shouldTrip() {
+        const { calls, failureRate } = this.getWindowStats();
+        return calls >= this.policy.minimumCalls && failureRate >= this.policy.failureRateThreshold;
+    }
+
+    open() {
+        this.nextAttempt = this.now() + this.policy.openTimeout;
+        this.transition('OPEN');
+    }
+
+    transition(state) {
+        if (this.state === state) return;
+
+        const previous = this.state;
+        this.state = state;
+        this.probeSuccesses = 0;
+
+        const event = {
+            OPEN: 'breaker-opened',
+            HALF_OPEN: 'breaker-half-open',
+            CLOSED: 'breaker-closed'
+        }[state];
+
+        this.emit(event, { ...this.getStatus(), previous });
+    }
+
+    // Apply a new policy without resetting the breaker's state
+    setPolicy(policy) {
+        this.policy = resolvePolicy(policy);
+    }
+
+    reset() {
+        this.outcomes = [];
+        this.lastError = null;
+        this.nextAttempt = null;
+        this.transition('CLOSED');
+    }
+
+    getStatus() {
+        const { calls, failures, failureRate } = this.getWindowStats();
+        return {
+            network: this.name,
+            state: this.state,
+            failures,
+            calls,
+            failureRate: Number(failureRate.toFixed(4)),
+            nextAttempt: this.state === 'OPEN' ? new Date(this.nextAttempt) : null,
+            lastError: this.lastError,
+            policy: { ...this.policy }
+        };
+    }
+}
+
+// Re-emit a breaker's state changes on `target` (a manager), optionally logging them
+function forwardBreakerEvents(breaker, target, logger = null) {
+    ['breaker-opened', 'breaker-half-open', 'breaker-closed'].forEach(event => {
+        breaker.on(event, (status) => {
+            if (logger) {
+                const log = event === 'breaker-opened' ? 'warn' : 'info';
+                logger[log](`Circuit breaker ${status.state} for ${status.network}`, {
+                    network: status.network,
+                    from: status.previous,
+                    failureRate: status.failureRate,
+                    lastError: status.lastError
+                });
+            }
+            target.emit(event, status);
+        });
+    });
+    return breaker;
+}
+
+module.exports = {
+    CircuitBreaker,
+    CircuitOpenError,
+    resolvePolicy,
+    forwardBreakerEvents,
+    DEFAULT_POLICY,
+    POLICY_FIELDS
+};
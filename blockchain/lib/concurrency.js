@@ -0,0 +1,29 @@
+/**
+ * CONCURRENCY HELPERS
+ * Bounded parallel mapping for per-network work
+ */
+
+// Run `fn(item)` for every item with at most `limit` calls in flight.
+// Resolves with Promise.allSettled-style results in input order.
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+            } catch (error) {
+                results[index] = { status: 'rejected', reason: error };
+            }
+        }
+    };
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+    await Promise.all(workers);
+
+    return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,672 @@
+/**
+ * CONFIG SCHEMA - VALIDATION + ENVIRONMENT INTERPOLATION
+ * Versioned crypto-config.json schema | Duplicate key detection | ${VAR} placeholders
+ */
+
+const CONFIG_SCHEMA_VERSION = 1;
+
+const NETWORK_TYPES = ['evm', 'solana', 'bitcoin', 'starknet'];
+
+// Bitcoin networks talk to either a bitcoind JSON-RPC node or an Esplora REST API
+const BITCOIN_BACKENDS = ['bitcoind', 'esplora'];
+const BITCOIN_NETWORKS = ['mainnet', 'testnet', 'regtest'];
+
+// Field types for the flat config sections
+const MULTI_CHAIN_FIELDS = {
+    auto_switch_network: 'boolean',
+    gas_optimization: 'boolean',
+    parallel_queries: 'boolean',
+    load_balancing: 'boolean',
+    failover_enabled: 'boolean',
+    connection_timeout: 'positiveInteger',
+    retry_attempts: 'positiveInteger',
+    health_check_interval: 'positiveInteger',
+    update_mode: ['polling', 'subscription'],
+    subscription_min_refresh: 'positiveInteger',
+    subscription_fallback_after: 'positiveInteger',
+    max_parallel_networks: 'positiveInteger',
+    rpc_batch_size: 'positiveInteger',
+    rpc_batch_window: 'nonNegativeInteger',
+    head_degraded_blocks: 'positiveNumber',
+    head_stalled_blocks: 'positiveNumber',
+    connection_mode: ['eager', 'lazy'],
+    idle_timeout: 'positiveInteger',
+    shutdown_timeout: 'positiveInteger',
+    hd_gap_limit: 'positiveInteger'
+};
+
+// multi_chain_config.circuit_breaker and per-network circuit_breaker overrides
+const CIRCUIT_BREAKER_FIELDS = {
+    window: 'positiveInteger',
+    minimum_calls: 'positiveInteger',
+    failure_rate_threshold: 'ratio',
+    open_timeout: 'positiveInteger',
+    half_open_max_calls: 'positiveInteger'
+};
+
+// Entries of the top-level rate_limits section, keyed by provider name
+const RATE_LIMIT_FIELDS = {
+    hosts: 'stringArray',
+    compute_units_per_second: 'positiveNumber',
+    burst: 'positiveNumber',
+    daily_budget: 'positiveInteger',
+    slowdown_at: 'ratio',
+    default_cost: 'nonNegativeInteger'
+};
+
+const METRICS_FIELDS = {
+    enabled: 'boolean',
+    host: 'string',
+    port: 'nonNegativeInteger',
+    path: 'string'
+};
+
+// HTTP API; host and port fall back to DASHBOARD_HOST / DASHBOARD_PORT
+const API_FIELDS = {
+    enabled: 'boolean',
+    host: 'string',
+    port: 'nonNegativeInteger'
+};
+
+// Health history day files; directory is relative to the manager's storage directory
+const HISTORY_FIELDS = {
+    enabled: 'boolean',
+    directory: 'string',
+    retention_days: 'positiveInteger'
+};
+
+// alerts section; rules and sinks are checked by validateAlerts()
+const ALERT_FIELDS = {
+    enabled: 'boolean',
+    evaluation_interval: 'positiveInteger'
+};
+
+const ALERT_CONDITIONS = ['network_status', 'breaker_state', 'balance_below', 'metric', 'event'];
+
+// Fields every rule may carry, then the ones each condition requires
+const ALERT_RULE_FIELDS = {
+    name: 'string',
+    condition: ALERT_CONDITIONS,
+    severity: ['info', 'warning', 'critical'],
+    description: 'string',
+    for: 'nonNegativeInteger',
+    repeat_interval: 'positiveInteger',
+    sinks: 'stringArray',
+    statuses: 'stringArray',
+    states: 'stringArray',
+    wallet: 'string',
+    network: 'string',
+    threshold: 'number',
+    metric: 'string',
+    above: 'number',
+    below: 'number',
+    event: 'string',
+    resolve_event: 'string',
+    resolve_after: 'positiveInteger'
+};
+
+const ALERT_RULE_REQUIRED = {
+    network_status: [],
+    breaker_state: [],
+    balance_below: ['wallet', 'network', 'threshold'],
+    metric: ['metric'],
+    event: ['event']
+};
+
+const ALERT_SINK_FIELDS = {
+    webhook: { name: 'string', min_severity: ['info', 'warning', 'critical'], timeout: 'positiveInteger' },
+    email: {
+        name: 'string',
+        min_severity: ['info', 'warning', 'critical'],
+        host: 'string',
+        port: 'positiveInteger',
+        secure: 'boolean',
+        starttls: 'boolean',
+        user: 'string',
+        password: 'string',
+        allow_insecure_auth: 'boolean',
+        timeout: 'positiveInteger',
+        from: 'string',
+        to: 'stringArray'
+    },
+    file: { name: 'string', min_severity: ['info', 'warning', 'critical'], path: 'string' }
+};
+
+const ALERT_SINK_REQUIRED = {
+    webhook: ['url'],
+    email: ['host', 'from', 'to'],
+    file: ['path']
+};
+
+// Watch-only wallets; entries may carry other bookkeeping fields, which are ignored
+const WALLET_FIELDS = {
+    address: 'string',
+    xpub: 'string',
+    networks: 'stringArray'
+};
+
+const TRADING_FIELDS = {
+    enabled: 'boolean',
+    exchanges: 'stringArray',
+    strategies: 'stringArray',
+    riskLevel: ['low', 'medium', 'high'],
+    autoTrade: 'boolean'
+};
+
+const SECURITY_FIELDS = {
+    encryption: 'boolean',
+    backupEnabled: 'boolean',
+    backupDirectory: 'string',
+    backupRetention: 'positiveInteger',
+    twoFactorAuth: 'boolean'
+};
+
+const PLACEHOLDER_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+class ConfigValidationError extends Error {
+    constructor(errors, source = 'configuration') {
+        super(`Invalid ${source}:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ConfigValidationError';
+        this.errors = errors;
+    }
+}
+
+// ==================== DUPLICATE KEY DETECTION ====================
+
+// JSON.parse keeps the last of two identical keys without a word, so scan the raw text.
+// Returns [{ path, key, line }] for every repeated key.
+function findDuplicateKeys(text) {
+    const duplicates = [];
+    const stack = [];
+    let line = 1;
+    let expectKey = false;
+    let pendingKey = null;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (char === '\n') {
+            line++;
+        } else if (char === '"') {
+            let end = i + 1;
+            while (end < text.length && text[end] !== '"') {
+                end += text[end] === '\\' ? 2 : 1;
+            }
+            const value = text.slice(i + 1, end);
+            const frame = stack[stack.length - 1];
+
+            if (frame && frame.type === 'object' && expectKey) {
+                if (frame.keys.has(value)) {
+                    duplicates.push({ path: stack.map(entry => entry.key).filter(Boolean).join('.'), key: value, line });
+                }
+                frame.keys.add(value);
+                pendingKey = value;
+                expectKey = false;
+            }
+            i = end;
+        } else if (char === '{') {
+            stack.push({ type: 'object', keys: new Set(), key: pendingKey });
+            pendingKey = null;
+            expectKey = true;
+        } else if (char === '[') {
+            stack.push({ type: 'array', key: pendingKey });
+            pendingKey = null;
+        } else if (char === '}' || char === ']') {
+            stack.pop();
+        } else if (char === ',') {
+            const frame = stack[stack.length - 1];
+            expectKey = !!frame && frame.type === 'object';
+            pendingKey = null;
+        }
+    }
+
+    return duplicates;
+}
+
+// ==================== ENVIRONMENT INTERPOLATION ====================
+
+function substitute(value, env, missing, currentPath) {
+    if (typeof value === 'string') {
+        return value.replace(PLACEHOLDER_PATTERN, (match, name, fallback) => {
+            if (env[name] !== undefined && env[name] !== '') return env[name];
+            if (fallback !== undefined) return fallback;
+            if (!missing.has(name)) missing.set(name, []);
+            missing.get(name).push(currentPath || '(root)');
+            return match;
+        });
+    }
+
+    if (Array.isArray(value)) {
+        return value.map((item, index) => substitute(item, env, missing, `${currentPath}[${index}]`));
+    }
+
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+            key,
+            substitute(item, env, missing, currentPath ? `${currentPath}.${key}` : key)
+        ]));
+    }
+
+    return value;
+}
+
+// Replace ${VAR} and ${VAR:-default} in every string value.
+// Returns the resolved value and the unset variables with the paths that use them.
+function interpolateEnv(value, env = process.env) {
+    const missing = new Map();
+    const resolved = substitute(value, env, missing, '');
+
+    return {
+        value: resolved,
+        missing: Array.from(missing.entries()).map(([name, paths]) => ({ name, paths }))
+    };
+}
+
+// ==================== SCHEMA VALIDATION ====================
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkField(errors, fieldPath, value, type) {
+    if (value === undefined) return;
+
+    if (Array.isArray(type)) {
+        if (!type.includes(value)) {
+            errors.push(`${fieldPath}: must be one of ${type.join(', ')} (got ${JSON.stringify(value)})`);
+        }
+        return;
+    }
+
+    const valid = {
+        boolean: typeof value === 'boolean',
+        string: typeof value === 'string' && value.length > 0,
+        positiveInteger: Number.isInteger(value) && value > 0,
+        nonNegativeInteger: Number.isInteger(value) && value >= 0,
+        positiveNumber: typeof value === 'number' && value > 0,
+        number: typeof value === 'number' && Number.isFinite(value),
+        ratio: typeof value === 'number' && value > 0 && value <= 1,
+        stringArray: Array.isArray(value) && value.every(item => typeof item === 'string')
+    }[type];
+
+    if (!valid) {
+        const expected = {
+            boolean: 'a boolean',
+            string: 'a non-empty string',
+            positiveInteger: 'a positive integer',
+            nonNegativeInteger: 'a non-negative integer',
+            positiveNumber: 'a positive number',
+            number: 'a number',
+            ratio: 'a number greater than 0 and at most 1',
+            stringArray: 'an array of strings'
+        }[type];
+        errors.push(`${fieldPath}: must be ${expected} (got ${JSON.stringify(value)})`);
+    }
+}
+
+function checkSection(errors, sectionPath, section, fields) {
+    if (section === undefined) return;
+    if (!isPlainObject(section)) {
+        errors.push(`${sectionPath}: must be an object`);
+        return;
+    }
+    Object.entries(fields).forEach(([field, type]) => checkField(errors, `${sectionPath}.${field}`, section[field], type));
+}
+
+function checkUrl(errors, fieldPath, value, protocols) {
+    if (typeof value !== 'string' || !protocols.some(protocol => value.startsWith(`${protocol}://`))) {
+        errors.push(`${fieldPath}: must be a ${protocols.join('/')} URL`);
+    }
+}
+
+function isValidChainId(chainId) {
+    return (Number.isInteger(chainId) && chainId > 0) ||
+        (typeof chainId === 'string' && /^0x[0-9a-fA-F]+$/.test(chainId));
+}
+
+function validateNetwork(errors, networkPath, network) {
+    if (!isPlainObject(network)) {
+        errors.push(`${networkPath}: must be an object`);
+        return;
+    }
+
+    checkField(errors, `${networkPath}.name`, network.name, 'string');
+    if (network.name === undefined) {
+        errors.push(`${networkPath}.name: required`);
+    }
+
+    const type = network.type || 'evm';
+    if (!NETWORK_TYPES.includes(type)) {
+        errors.push(`${networkPath}.type: must be one of ${NETWORK_TYPES.join(', ')} (got ${JSON.stringify(type)})`);
+    }
+
+    if (network.endpoint !== undefined) {
+        checkUrl(errors, `${networkPath}.endpoint`, network.endpoint, ['http', 'https']);
+    }
+    if (network.websocket !== undefined) {
+        checkUrl(errors, `${networkPath}.websocket`, network.websocket, ['ws', 'wss']);
+    }
+
+    if (network.endpoints !== undefined) {
+        if (!Array.isArray(network.endpoints)) {
+            errors.push(`${networkPath}.endpoints: must be an array`);
+        } else {
+            network.endpoints.forEach((entry, index) => {
+                const entryPath = `${networkPath}.endpoints[${index}]`;
+                const endpoint = typeof entry === 'string' ? { url: entry } : entry;
+                if (!isPlainObject(endpoint)) {
+                    errors.push(`${entryPath}: must be a URL or an object with a url`);
+                    return;
+                }
+                checkUrl(errors, `${entryPath}.url`, endpoint.url, ['http', 'https']);
+                if (endpoint.websocket !== undefined) {
+                    checkUrl(errors, `${entryPath}.websocket`, endpoint.websocket, ['ws', 'wss']);
+                }
+                checkField(errors, `${entryPath}.weight`, endpoint.weight, 'positiveNumber');
+            });
+        }
+    }
+
+    if (network.endpoint === undefined && !(Array.isArray(network.endpoints) && network.endpoints.length > 0)) {
+        errors.push(`${networkPath}: requires an endpoint or a non-empty endpoints list`);
+    }
+
+    if (type === 'evm' && network.chain_id === undefined) {
+        errors.push(`${networkPath}.chain_id: required for EVM networks`);
+    } else if (network.chain_id !== undefined && !isValidChainId(network.chain_id)) {
+        errors.push(`${networkPath}.chain_id: must be a positive integer or a 0x-prefixed hex string (got ${JSON.stringify(network.chain_id)})`);
+    }
+
+    if (type === 'bitcoin') {
+        checkField(errors, `${networkPath}.backend`, network.backend, BITCOIN_BACKENDS);
+        checkField(errors, `${networkPath}.bitcoin_network`, network.bitcoin_network, BITCOIN_NETWORKS);
+    }
+
+    checkField(errors, `${networkPath}.priority`, network.priority, 'positiveInteger');
+    checkField(errors, `${networkPath}.block_time`, network.block_time, 'positiveInteger');
+    checkSection(errors, `${networkPath}.circuit_breaker`, network.circuit_breaker, CIRCUIT_BREAKER_FIELDS);
+}
+
+function validateRateLimits(errors, rateLimits) {
+    if (rateLimits === undefined) return;
+    if (!isPlainObject(rateLimits)) {
+        errors.push('rate_limits: must be an object of provider entries');
+        return;
+    }
+
+    Object.entries(rateLimits).forEach(([provider, limits]) => {
+        const limitPath = `rate_limits.${provider}`;
+        checkSection(errors, limitPath, limits, RATE_LIMIT_FIELDS);
+        if (!isPlainObject(limits)) return;
+
+        if (!Array.isArray(limits.hosts) || limits.hosts.length === 0) {
+            errors.push(`${limitPath}.hosts: must list at least one host`);
+        }
+        if (limits.method_costs !== undefined) {
+            if (!isPlainObject(limits.method_costs)) {
+                errors.push(`${limitPath}.method_costs: must be an object of method -> compute units`);
+            } else {
+                Object.entries(limits.method_costs).forEach(([method, cost]) => {
+                    checkField(errors, `${limitPath}.method_costs.${method}`, cost, 'nonNegativeInteger');
+                });
+            }
+        }
+    });
+}
+
+function validateAlerts(errors, alerts, knownNetworks) {
+    if (alerts === undefined) return;
+    checkSection(errors, 'alerts', alerts, ALERT_FIELDS);
+    if (!isPlainObject(alerts)) return;
+
+    const sinkNames = new Set();
+    if (alerts.sinks !== undefined && !Array.isArray(alerts.sinks)) {
+        errors.push('alerts.sinks: must be an array');
+    }
+    (Array.isArray(alerts.sinks) ? alerts.sinks : []).forEach((sink, index) => {
+        const sinkPath = `alerts.sinks[${index}]`;
+        if (!isPlainObject(sink) || !ALERT_SINK_FIELDS[sink.type]) {
+            errors.push(`${sinkPath}.type: must be one of ${Object.keys(ALERT_SINK_FIELDS).join(', ')}`);
+            return;
+        }
+        checkSection(errors, sinkPath, sink, ALERT_SINK_FIELDS[sink.type]);
+        ALERT_SINK_REQUIRED[sink.type]
+            .filter(field => sink[field] === undefined)
+            .forEach(field => errors.push(`${sinkPath}.${field}: required for ${sink.type} sinks`));
+        if (sink.type === 'webhook' && sink.url !== undefined) {
+            checkUrl(errors, `${sinkPath}.url`, sink.url, ['http', 'https']);
+        }
+
+        const name = sink.name || sink.type;
+        if (sinkNames.has(name)) {
+            errors.push(`${sinkPath}.name: "${name}" is used by another sink; give each sink of a type its own name`);
+        }
+        sinkNames.add(name);
+    });
+
+    const ruleNames = new Set();
+    if (alerts.rules !== undefined && !Array.isArray(alerts.rules)) {
+        errors.push('alerts.rules: must be an array');
+    }
+    (Array.isArray(alerts.rules) ? alerts.rules : []).forEach((rule, index) => {
+        const rulePath = `alerts.rules[${index}]`;
+        checkSection(errors, rulePath, rule, ALERT_RULE_FIELDS);
+        if (!isPlainObject(rule)) return;
+
+        ['name', 'condition'].filter(field => rule[field] === undefined)
+            .forEach(field => errors.push(`${rulePath}.${field}: required`));
+        (ALERT_RULE_REQUIRED[rule.condition] || [])
+            .filter(field => rule[field] === undefined)
+            .forEach(field => errors.push(`${rulePath}.${field}: required for ${rule.condition} rules`));
+
+        if (ruleNames.has(rule.name)) {
+            errors.push(`${rulePath}.name: "${rule.name}" is used by another rule`);
+        }
+        ruleNames.add(rule.name);
+
+        if (rule.networks !== undefined && rule.networks !== 'priority') {
+            if (!Array.isArray(rule.networks) || !rule.networks.every(key => typeof key === 'string')) {
+                errors.push(`${rulePath}.networks: must be "priority" or an array of network keys`);
+            } else {
+                rule.networks.filter(key => !knownNetworks.has(key))
+                    .forEach(key => errors.push(`${rulePath}.networks: "${key}" is not a configured network`));
+            }
+        }
+        if (rule.condition === 'balance_below' && typeof rule.network === 'string' && !knownNetworks.has(rule.network)) {
+            errors.push(`${rulePath}.network: "${rule.network}" is not a configured network`);
+        }
+        if (rule.condition === 'metric' && rule.above === undefined && rule.below === undefined) {
+            errors.push(`${rulePath}: metric rules need "above" or "below"`);
+        }
+        (rule.sinks || []).filter(name => typeof name === 'string' && !sinkNames.has(name))
+            .forEach(name => errors.push(`${rulePath}.sinks: "${name}" is not a configured sink`));
+    });
+}
+
+function validateWallets(errors, wallets, networks) {
+    if (wallets === undefined) return;
+    if (!isPlainObject(wallets)) {
+        errors.push('wallets: must be an object keyed by wallet id');
+        return;
+    }
+
+    Object.entries(wallets).forEach(([walletId, wallet]) => {
+        const walletPath = `wallets.${walletId}`;
+        checkSection(errors, walletPath, wallet, WALLET_FIELDS);
+        if (!isPlainObject(wallet)) return;
+
+        if ((wallet.address === undefined) === (wallet.xpub === undefined)) {
+            errors.push(`${walletPath}: needs either "address" or "xpub"`);
+        }
+        if (wallet.networks === undefined || (Array.isArray(wallet.networks) && wallet.networks.length === 0)) {
+            errors.push(`${walletPath}.networks: must list at least one network`);
+        }
+        (Array.isArray(wallet.networks) ? wallet.networks : []).forEach((networkKey) => {
+            if (!networks[networkKey]) {
+                errors.push(`${walletPath}.networks: "${networkKey}" is not a configured network`);
+            } else if (wallet.xpub !== undefined && networks[networkKey].type !== 'bitcoin') {
+                errors.push(`${walletPath}.networks: "${networkKey}" is not a Bitcoin network; xpub wallets only watch Bitcoin`);
+            }
+        });
+    });
+}
+
+// Returns a list of "path: problem" strings; an empty list means the config is valid
+function validateConfig(config) {
+    const errors = [];
+
+    if (!isPlainObject(config)) {
+        return ['(root): configuration must be a JSON object'];
+    }
+
+    if (config.schema_version === undefined) {
+        errors.push(`schema_version: required (current version is ${CONFIG_SCHEMA_VERSION})`);
+    } else if (config.schema_version !== CONFIG_SCHEMA_VERSION) {
+        errors.push(`schema_version: unsupported version ${JSON.stringify(config.schema_version)} (expected ${CONFIG_SCHEMA_VERSION})`);
+    }
+
+    const alchemy = config.alchemy;
+    if (!isPlainObject(alchemy)) {
+        errors.push('alchemy: required object');
+        return errors;
+    }
+
+    if (!isPlainObject(alchemy.mainnet_networks) || Object.keys(alchemy.mainnet_networks).length === 0) {
+        errors.push('alchemy.mainnet_networks: must define at least one network');
+    }
+    if (alchemy.testnet_networks !== undefined && !isPlainObject(alchemy.testnet_networks)) {
+        errors.push('alchemy.testnet_networks: must be an object');
+    }
+
+    const mainnet = isPlainObject(alchemy.mainnet_networks) ? alchemy.mainnet_networks : {};
+    const testnet = isPlainObject(alchemy.testnet_networks) ? alchemy.testnet_networks : {};
+
+    Object.entries(mainnet).forEach(([key, network]) => validateNetwork(errors, `alchemy.mainnet_networks.${key}`, network));
+    Object.entries(testnet).forEach(([key, network]) => {
+        validateNetwork(errors, `alchemy.testnet_networks.${key}`, network);
+        if (mainnet[key]) {
+            errors.push(`alchemy.testnet_networks.${key}: duplicate network key, already defined in mainnet_networks`);
+        }
+    });
+
+    const knownNetworks = new Set([...Object.keys(mainnet), ...Object.keys(testnet)]);
+
+    if (alchemy.network_priorities !== undefined) {
+        if (!Array.isArray(alchemy.network_priorities)) {
+            errors.push('alchemy.network_priorities: must be an array of network keys');
+        } else {
+            const seen = new Set();
+            alchemy.network_priorities.forEach((networkKey, index) => {
+                if (!mainnet[networkKey]) {
+                    errors.push(`alchemy.network_priorities[${index}]: "${networkKey}" is not a mainnet network`);
+                }
+                if (seen.has(networkKey)) {
+                    errors.push(`alchemy.network_priorities[${index}]: "${networkKey}" is listed more than once`);
+                }
+                seen.add(networkKey);
+            });
+        }
+    }
+
+    const crossChain = alchemy.cross_chain_support;
+    if (crossChain !== undefined) {
+        checkSection(errors, 'alchemy.cross_chain_support', crossChain, {
+            enabled: 'boolean',
+            bridge_protocols: 'stringArray'
+        });
+        if (isPlainObject(crossChain) && crossChain.supported_pairs !== undefined) {
+            if (!Array.isArray(crossChain.supported_pairs)) {
+                errors.push('alchemy.cross_chain_support.supported_pairs: must be an array of [from, to] pairs');
+            } else {
+                crossChain.supported_pairs.forEach((pair, index) => {
+                    const pairPath = `alchemy.cross_chain_support.supported_pairs[${index}]`;
+                    if (!Array.isArray(pair) || pair.length !== 2) {
+                        errors.push(`${pairPath}: must be a [from, to] pair`);
+                        return;
+                    }
+                    pair.filter(networkKey => !knownNetworks.has(networkKey)).forEach(networkKey => {
+                        errors.push(`${pairPath}: "${networkKey}" is not a configured network`);
+                    });
+                });
+            }
+        }
+    }
+
+    checkSection(errors, 'multi_chain_config', config.multi_chain_config, MULTI_CHAIN_FIELDS);
+    checkSection(errors, 'multi_chain_config.circuit_breaker', config.multi_chain_config?.circuit_breaker, CIRCUIT_BREAKER_FIELDS);
+    const { head_degraded_blocks: degraded, head_stalled_blocks: stalled } = config.multi_chain_config || {};
+    if (degraded > 0 && stalled > 0 && stalled <= degraded) {
+        errors.push('multi_chain_config.head_stalled_blocks: must be greater than head_degraded_blocks');
+    }
+    validateRateLimits(errors, config.rate_limits);
+    checkSection(errors, 'metrics', config.metrics, METRICS_FIELDS);
+    checkSection(errors, 'api', config.api, API_FIELDS);
+    checkSection(errors, 'history', config.history, HISTORY_FIELDS);
+    validateAlerts(errors, config.alerts, knownNetworks);
+    validateWallets(errors, config.wallets, { ...testnet, ...mainnet });
+    checkSection(errors, 'trading', config.trading, TRADING_FIELDS);
+    checkSection(errors, 'security', config.security, SECURITY_FIELDS);
+
+    return errors;
+}
+
+// Check an alerts section kept outside crypto-config.json (e.g. ALERT_RULES_FILE) on its own
+function validateAlertConfig(alerts, knownNetworks = []) {
+    const errors = [];
+    validateAlerts(errors, alerts, new Set(knownNetworks));
+    return errors;
+}
+
+// ==================== LOADING ====================
+
+// Interpolate and validate an already-parsed config. Throws ConfigValidationError.
+function prepareConfig(config, options = {}) {
+    const { value: resolved, missing } = interpolateEnv(config, options.env || process.env);
+
+    const errors = missing.map(({ name, paths }) => {
+        const others = paths.length - 1;
+        const usage = others > 0 ? ` (also used by ${others} other value${others > 1 ? 's' : ''})` : '';
+        return `${paths[0]}: environment variable ${name} is not set${usage}`;
+    });
+    errors.push(...validateConfig(resolved));
+
+    if (errors.length > 0) {
+        throw new ConfigValidationError(errors, options.source);
+    }
+
+    return resolved;
+}
+
+// Parse raw JSON text, rejecting duplicate keys, then interpolate and validate
+function parseConfig(text, options = {}) {
+    const duplicates = findDuplicateKeys(text);
+    if (duplicates.length > 0) {
+        throw new ConfigValidationError(
+            duplicates.map(({ path: keyPath, key, line }) =>
+                `${keyPath ? `${keyPath}.` : ''}${key}: duplicate key on line ${line}`),
+            options.source
+        );
+    }
+
+    let config;
+    try {
+        config = JSON.parse(text);
+    } catch (error) {
+        throw new ConfigValidationError([`(root): ${error.message}`], options.source);
+    }
+
+    return prepareConfig(config, options);
+}
+
+module.exports = {
+    CONFIG_SCHEMA_VERSION,
+    NETWORK_TYPES,
+    ALERT_CONDITIONS,
+    ConfigValidationError,
+    findDuplicateKeys,
+    interpolateEnv,
+    validateConfig,
+    validateAlertConfig,
+    prepareConfig,
+    parseConfig
+};
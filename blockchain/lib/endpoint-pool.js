@@ -0,0 +1,165 @@
+/**
+ * ENDPOINT POOL - WEIGHTED RPC FAILOVER
+ * Ordered endpoint lists per network | Latency + error-rate scoring | Active endpoint tracking
+ */
+
+const { isCancellation, throwIfAborted } = require('./operation-tracker');
+
+// Number of recent outcomes used to compute an endpoint's error rate
+const OUTCOME_WINDOW = 20;
+
+// Smoothing factor for the latency moving average
+const LATENCY_ALPHA = 0.3;
+
+// Normalize a network entry into a list of { url, websocket, weight } endpoints.
+// Accepts `endpoints: [{ url, weight, websocket }]`, `endpoints: ['https://...']`
+// or the legacy single `endpoint` / `websocket` pair.
+function normalizeEndpoints(networkConfig) {
+    const endpoints = [];
+
+    if (Array.isArray(networkConfig.endpoints)) {
+        networkConfig.endpoints.forEach((entry) => {
+            const endpoint = typeof entry === 'string' ? { url: entry } : entry;
+            if (endpoint && endpoint.url) {
+                endpoints.push({
+                    url: endpoint.url,
+                    websocket: endpoint.websocket || null,
+                    weight: endpoint.weight > 0 ? endpoint.weight : 1
+                });
+            }
+        });
+    }
+
+    if (networkConfig.endpoint && !endpoints.some(endpoint => endpoint.url === networkConfig.endpoint)) {
+        endpoints.unshift({
+            url: networkConfig.endpoint,
+            websocket: networkConfig.websocket || null,
+            weight: 1
+        });
+    }
+
+    return endpoints;
+}
+
+class EndpointPool {
+    constructor(network, networkConfig, options = {}) {
+        this.network = network;
+        this.now = options.now || Date.now;
+        this.activeUrl = null;
+
+        this.endpoints = normalizeEndpoints(networkConfig).map((endpoint, index) => ({
+            ...endpoint,
+            index,
+            latency: null,
+            outcomes: [],
+            successes: 0,
+            failures: 0,
+            lastError: null,
+            lastUsed: null
+        }));
+
+        if (this.endpoints.length === 0) {
+            throw new Error(`No endpoints configured for ${network}`);
+        }
+    }
+
+    errorRate(endpoint) {
+        if (endpoint.outcomes.length === 0) return 0;
+        const failures = endpoint.outcomes.filter(ok => !ok).length;
+        return failures / endpoint.outcomes.length;
+    }
+
+    // Higher is better. Weight sets the baseline, errors and latency pull it down.
+    score(endpoint) {
+        const latencyPenalty = endpoint.latency === null ? 1 : 1 + endpoint.latency / 1000;
+        return endpoint.weight * (1 - this.errorRate(endpoint)) / latencyPenalty;
+    }
+
+    getOrderedEndpoints() {
+        return [...this.endpoints].sort((a, b) => {
+            const diff = this.score(b) - this.score(a);
+            return diff !== 0 ? diff : a.index - b.index;
+        });
+    }
+
+    getActiveEndpoint() {
+        return this.endpoints.find(endpoint => endpoint.url === this.activeUrl) || null;
+    }
+
+    recordOutcome(endpoint, ok) {
+        endpoint.outcomes.push(ok);
+        if (endpoint.outcomes.length > OUTCOME_WINDOW) {
+            endpoint.outcomes.shift();
+        }
+        endpoint.lastUsed = new Date(this.now());
+    }
+
+    recordSuccess(url, latency) {
+        const endpoint = this.endpoints.find(candidate => candidate.url === url);
+        if (!endpoint) return;
+
+        endpoint.successes++;
+        endpoint.latency = endpoint.latency === null
+            ? latency
+            : endpoint.latency * (1 - LATENCY_ALPHA) + latency * LATENCY_ALPHA;
+        this.recordOutcome(endpoint, true);
+    }
+
+    recordFailure(url, error) {
+        const endpoint = this.endpoints.find(candidate => candidate.url === url);
+        if (!endpoint) return;
+
+        endpoint.failures++;
+        endpoint.lastError = error ? error.message : null;
+        this.recordOutcome(endpoint, false);
+    }
+
+    // Run `operation(endpoint)` against each endpoint in score order until one succeeds.
+    // The endpoint that succeeds becomes the active one; when all fail, the last good one stays active, as the
+    // network's connection still uses it. Aborting `signal` stops before the next endpoint.
+    async tryEach(operation, signal = null) {
+        const errors = [];
+
+        for (const endpoint of this.getOrderedEndpoints()) {
+            throwIfAborted(signal);
+            const startTime = this.now();
+            try {
+                const result = await operation(endpoint);
+                this.recordSuccess(endpoint.url, this.now() - startTime);
+                this.activeUrl = endpoint.url;
+                return result;
+            } catch (error) {
+                // Cancelled attempts are neither scored nor failed over
+                if (isCancellation(error)) throw error;
+                this.recordFailure(endpoint.url, error);
+                errors.push({ url: endpoint.url, error });
+            }
+        }
+
+        const summary = errors.map(({ url, error }) => `${url}: ${error.message}`).join('; ');
+        const failure = new Error(`All ${this.endpoints.length} endpoints failed for ${this.network} (${summary})`);
+        // The individual errors decide whether the whole attempt is worth retrying
+        failure.errors = errors.map(({ error }) => error);
+        throw failure;
+    }
+
+    getStatus() {
+        return {
+            network: this.network,
+            active: this.activeUrl,
+            endpoints: this.getOrderedEndpoints().map(endpoint => ({
+                url: endpoint.url,
+                weight: endpoint.weight,
+                score: Number(this.score(endpoint).toFixed(4)),
+                latency: endpoint.latency === null ? null : Math.round(endpoint.latency),
+                errorRate: Number(this.errorRate(endpoint).toFixed(4)),
+                successes: endpoint.successes,
+                failures: endpoint.failures,
+                lastError: endpoint.lastError,
+                active: endpoint.url === this.activeUrl
+            }))
+        };
+    }
+}
+
+module.exports = { EndpointPool, normalizeEndpoints };
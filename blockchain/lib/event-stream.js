@@ -0,0 +1,117 @@
+/**
+ * EVENT STREAM - SERVER-SENT EVENTS BRIDGE
+ * Manager events to browsers | Snapshot on connect | Key material stripped | Heartbeats
+ */
+
+// Manager events forwarded to clients
+const STREAMED_EVENTS = [
+    'health-check-completed',
+    'balances-updated',
+    'wallet-created',
+    'breaker-opened',
+    'breaker-half-open',
+    'breaker-closed',
+    'endpoint-failover',
+    'alert-fired',
+    'alert-resolved'
+];
+
+// Proxies drop SSE connections that stay silent; a comment line every 15s keeps them open
+const HEARTBEAT_INTERVAL = 15000;
+
+function serialize(value) {
+    return JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item));
+}
+
+class EventStream {
+    /**
+     * @param {Object} manager - MultiChainCryptoManager (or any EventEmitter with the same views)
+     * @param {Object} [options] - { events, heartbeatInterval, setInterval, clearInterval }
+     */
+    constructor(manager, options = {}) {
+        this.manager = manager;
+        this.events = options.events || STREAMED_EVENTS;
+        this.heartbeatInterval = options.heartbeatInterval || HEARTBEAT_INTERVAL;
+        this.setInterval = options.setInterval || setInterval;
+        this.clearInterval = options.clearInterval || clearInterval;
+
+        this.clients = new Set();
+        this.nextId = 1;
+        this.heartbeat = null;
+        this.listeners = this.events.map(event => [event, payload => this.broadcast(event, payload)]);
+        this.listeners.forEach(([event, listener]) => manager.on(event, listener));
+    }
+
+    // Event payloads as clients see them; wallet balances are re-read through the key-free view
+    publicPayload(event, payload) {
+        if (event === 'balances-updated') {
+            return this.manager.getWalletBalances(payload.walletId);
+        }
+        return payload;
+    }
+
+    // Take over `response` as an SSE stream; the first event is a snapshot of the current state
+    attach(request, response) {
+        response.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-store',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        response.write('retry: 5000\n\n');
+
+        this.clients.add(response);
+        response.on('close', () => this.clients.delete(response));
+        this.startHeartbeat();
+
+        this.send(response, 'snapshot', {
+            status: this.manager.getSystemStatus(),
+            wallets: this.manager.listWallets()
+        });
+    }
+
+    send(response, event, data) {
+        response.write(`id: ${this.nextId++}\nevent: ${event}\ndata: ${serialize(data)}\n\n`);
+    }
+
+    broadcast(event, payload) {
+        if (this.clients.size === 0) return;
+
+        const data = this.publicPayload(event, payload);
+        if (data === null || data === undefined) return;
+        this.clients.forEach(response => this.send(response, event, data));
+    }
+
+    startHeartbeat() {
+        if (this.heartbeat) return;
+        this.heartbeat = this.setInterval(() => {
+            this.clients.forEach(response => response.write(': heartbeat\n\n'));
+        }, this.heartbeatInterval);
+        if (this.heartbeat.unref) this.heartbeat.unref();
+    }
+
+    // Tell clients the stream is ending, then release them and the manager listeners
+    close(reason = 'shutdown') {
+        this.clients.forEach((response) => {
+            this.send(response, 'shutdown', { reason });
+            response.end();
+        });
+        this.clients.clear();
+
+        if (this.heartbeat) {
+            this.clearInterval(this.heartbeat);
+            this.heartbeat = null;
+        }
+        this.listeners.forEach(([event, listener]) => this.manager.removeListener(event, listener));
+    }
+
+    getStatus() {
+        return { clients: this.clients.size, events: this.events };
+    }
+}
+
+module.exports = {
+    EventStream,
+    STREAMED_EVENTS,
+    HEARTBEAT_INTERVAL
+};
@@ -0,0 +1,197 @@
+/**
+ * HD WALLET - BIP39 MNEMONICS + BIP32 / BIP44 / BIP84 DERIVATION
+ * One seed for every chain | EVM m/44'/60' | Solana m/44'/501' (SLIP-0010 ed25519) | Bitcoin BIP84 | Gap-limit discovery
+ */
+
+const crypto = require('crypto');
+const bip39 = require('@scure/bip39');
+const { wordlist } = require('@scure/bip39/wordlists/english');
+const { HDKey } = require('@scure/bip32');
+const { BitcoinAdapter } = require('../adapters/bitcoin-adapter');
+
+let Web3, solanaWeb3;
+try {
+    const Web3Import = require('web3');
+    Web3 = Web3Import.Web3 || Web3Import;
+} catch (error) {
+    Web3 = null;
+}
+try {
+    solanaWeb3 = require('@solana/web3.js');
+} catch (error) {
+    solanaWeb3 = null;
+}
+
+const HARDENED = 0x80000000;
+
+// BIP44 recommends stopping after 20 unused addresses in a row
+const DEFAULT_GAP_LIMIT = 20;
+
+/**
+ * Derivation schemes per chain family. Every EVM network shares coin type 60, so one seed gives the
+ * same address on all of them. Solana follows Phantom / solana-keygen (m/44'/501'/<account>'/0' is
+ * the first address); ed25519 only allows hardened steps. Bitcoin uses native SegWit (BIP84).
+ */
+const FAMILIES = {
+    evm: {
+        curve: 'secp256k1',
+        path: ({ account, change, index }) => `m/44'/60'/${account}'/${change}/${index}`
+    },
+    solana: {
+        curve: 'ed25519',
+        path: ({ account, index }) => `m/44'/501'/${account}'/${index}'`
+    },
+    bitcoin: {
+        curve: 'secp256k1',
+        // Coin type 1 covers testnet and regtest
+        path: ({ account, change, index, network }) =>
+            `m/84'/${network === 'mainnet' ? 0 : 1}'/${account}'/${change}/${index}`
+    }
+};
+
+// ==================== MNEMONICS ====================
+
+// 128 bits of entropy gives 12 words, 256 gives 24
+function generateMnemonic(strength = 128) {
+    return bip39.generateMnemonic(wordlist, strength);
+}
+
+// Lower case with single spaces, so pasted phrases validate and seed the same way
+function normalizeMnemonic(mnemonic) {
+    return String(mnemonic || '').normalize('NFKD').trim().toLowerCase().split(/\s+/).join(' ');
+}
+
+function validateMnemonic(mnemonic) {
+    return bip39.validateMnemonic(normalizeMnemonic(mnemonic), wordlist);
+}
+
+function mnemonicToSeed(mnemonic, passphrase = '') {
+    const normalized = normalizeMnemonic(mnemonic);
+    if (!bip39.validateMnemonic(normalized, wordlist)) {
+        throw new Error('Invalid BIP39 mnemonic');
+    }
+    return Buffer.from(bip39.mnemonicToSeedSync(normalized, passphrase));
+}
+
+// ==================== DERIVATION ====================
+
+function parsePath(derivationPath) {
+    const segments = derivationPath.split('/');
+    if (segments.shift() !== 'm') {
+        throw new Error(`Invalid derivation path: ${derivationPath}`);
+    }
+    return segments.map((segment) => {
+        const hardened = segment.endsWith("'");
+        const index = Number(hardened ? segment.slice(0, -1) : segment);
+        if (!Number.isInteger(index) || index < 0 || index >= HARDENED) {
+            throw new Error(`Invalid derivation path: ${derivationPath}`);
+        }
+        return hardened ? index + HARDENED : index;
+    });
+}
+
+// SLIP-0010 ed25519 derivation (hardened steps only); returns the 32-byte private seed
+function deriveEd25519(seed, derivationPath) {
+    let digest = crypto.createHmac('sha512', 'ed25519 seed').update(seed).digest();
+    for (const index of parsePath(derivationPath)) {
+        if (index < HARDENED) {
+            throw new Error(`ed25519 derivation needs hardened indexes: ${derivationPath}`);
+        }
+        const data = Buffer.alloc(37);
+        digest.copy(data, 1, 0, 32);
+        data.writeUInt32BE(index, 33);
+        digest = crypto.createHmac('sha512', digest.subarray(32)).update(data).digest();
+    }
+    return digest.subarray(0, 32);
+}
+
+/**
+ * Key and address at one position of a family's scheme.
+ * @param {Buffer} seed - BIP39 seed
+ * @param {string} family - evm, solana or bitcoin
+ * @param {Object} [position] - { account, change, index, network } (network: Bitcoin mainnet / testnet / regtest)
+ * @returns {{ path, address, privateKey, publicKey }} in the formats the wallet files already use
+ */
+function deriveAccount(seed, family, position = {}) {
+    const scheme = FAMILIES[family];
+    if (!scheme) {
+        throw new Error(`No HD derivation scheme for ${family} networks`);
+    }
+
+    const derivationPath = scheme.path({
+        account: position.account || 0,
+        change: position.change || 0,
+        index: position.index || 0,
+        network: position.network || 'mainnet'
+    });
+
+    if (scheme.curve === 'ed25519') {
+        if (!solanaWeb3) throw new Error('Solana library not available');
+        const keypair = solanaWeb3.Keypair.fromSeed(deriveEd25519(seed, derivationPath));
+        return {
+            path: derivationPath,
+            address: keypair.publicKey.toBase58(),
+            privateKey: Buffer.from(keypair.secretKey).toString('hex'),
+            publicKey: keypair.publicKey.toBase58()
+        };
+    }
+
+    const key = HDKey.fromMasterSeed(seed).derive(derivationPath);
+    const privateKey = Buffer.from(key.privateKey).toString('hex');
+    const publicKey = Buffer.from(key.publicKey);
+
+    if (family === 'evm') {
+        if (!Web3) throw new Error('Web3 not available');
+        const account = new Web3().eth.accounts.privateKeyToAccount(`0x${privateKey}`);
+        return { path: derivationPath, address: account.address, privateKey: account.privateKey, publicKey: publicKey.toString('hex') };
+    }
+
+    return {
+        path: derivationPath,
+        address: BitcoinAdapter.deriveAddress(publicKey, position.network || 'mainnet'),
+        privateKey,
+        publicKey: publicKey.toString('hex')
+    };
+}
+
+// ==================== DISCOVERY ====================
+
+/**
+ * Walk indexes from 0 until `gapLimit` addresses in a row show no activity.
+ * @param {Function} derive - (index) => { address, path, ... }
+ * @param {Function} isUsed - async (address) => boolean
+ * @param {Object} [options] - { gapLimit, signal }
+ * @returns {Promise<{ used: Object[], nextIndex: number }>} used entries (with `index`) and the first index after the last used one
+ */
+async function discoverAddresses(derive, isUsed, options = {}) {
+    const gapLimit = options.gapLimit || DEFAULT_GAP_LIMIT;
+    const used = [];
+    let gap = 0;
+
+    for (let index = 0; gap < gapLimit; index++) {
+        if (options.signal && options.signal.aborted) {
+            throw options.signal.reason || new Error('Address discovery aborted');
+        }
+        const entry = { index, ...derive(index) };
+        if (await isUsed(entry.address)) {
+            used.push(entry);
+            gap = 0;
+        } else {
+            gap++;
+        }
+    }
+
+    return { used, nextIndex: used.length > 0 ? used[used.length - 1].index + 1 : 0 };
+}
+
+module.exports = {
+    FAMILIES,
+    DEFAULT_GAP_LIMIT,
+    generateMnemonic,
+    normalizeMnemonic,
+    validateMnemonic,
+    mnemonicToSeed,
+    deriveEd25519,
+    deriveAccount,
+    discoverAddresses
+};
@@ -0,0 +1,415 @@
+/**
+ * HEALTH HISTORY - APPEND-ONLY HEALTH + BREAKER TIME SERIES
+ * JSON-lines file per UTC day | Retention pruning | Range queries | Uptime, latency percentiles + incident timelines
+ * Wallet balance changes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { redact } = require('./logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+const FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+// Degraded endpoints still answer, so only these statuses count as downtime
+const DOWN_STATUSES = ['unhealthy', 'stalled'];
+
+// Record types the SLA report reads; balance records share the files but not the report
+const HEALTH_TYPES = ['check', 'breaker', 'failover'];
+
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: DAY, w: 7 * DAY };
+
+/**
+ * Timestamp (ms) for a query bound: a number, an ISO date, "now", or a duration back from now ("7d", "24h", "30m").
+ */
+function parseTime(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '' || value === 'now') return now;
+    if (typeof value === 'number') return value;
+    if (value instanceof Date) return value.getTime();
+
+    const relative = /^(\d+(?:\.\d+)?)([smhdw])$/.exec(String(value).trim());
+    if (relative) return now - Number(relative[1]) * DURATION_UNITS[relative[2]];
+
+    const parsed = Date.parse(value);
+    if (Number.isNaN(parsed)) throw new Error(`Invalid time: ${value}`);
+    return parsed;
+}
+
+function dayOf(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+// Nearest-rank percentile of an ascending list
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+class HealthHistory {
+    /**
+     * @param {string} directory - Where the day files live
+     * @param {Object} [options] - { retentionDays, now, logger, secrets }
+     */
+    constructor(directory, options = {}) {
+        this.directory = directory;
+        this.retentionDays = options.retentionDays || DEFAULT_RETENTION_DAYS;
+        this.now = options.now || Date.now;
+        this.logger = options.logger || console;
+        this.secrets = options.secrets || [];
+
+        // Appends are chained so lines from concurrent events never interleave
+        this.writing = Promise.resolve();
+        this.currentDay = null;
+        this.listeners = [];
+        this.closed = false;
+        // Last recorded balance per wallet and network, so only changes are appended
+        this.lastBalances = new Map();
+    }
+
+    // ==================== RECORDING ====================
+
+    /**
+     * Append records ({ type, network, ... }); `t` defaults to now.
+     * Types: check (status, latency, endpoint, error), breaker (from, to), failover (from, to),
+     * balance (wallet, balance, unconfirmedBalance, watchOnly).
+     */
+    append(records) {
+        if (this.closed) return this.writing;
+
+        // Endpoint URLs and errors often embed provider keys (Alchemy's /v2/<key>); they are stored redacted
+        const list = (Array.isArray(records) ? records : [records])
+            .map(record => redact({ t: this.now(), ...record }, this.secrets));
+        if (list.length === 0) return this.writing;
+
+        // Records are grouped by the day they belong to; a batch can straddle midnight
+        const byDay = new Map();
+        list.forEach((record) => {
+            const day = dayOf(record.t);
+            if (!byDay.has(day)) byDay.set(day, []);
+            byDay.get(day).push(JSON.stringify(record));
+        });
+
+        this.writing = this.writing.then(async () => {
+            await fs.promises.mkdir(this.directory, { recursive: true });
+            for (const [day, lines] of byDay) {
+                await fs.promises.appendFile(path.join(this.directory, `${day}.jsonl`), `${lines.join('\n')}\n`, 'utf8');
+                if (day !== this.currentDay) {
+                    this.currentDay = day;
+                    await this.prune();
+                }
+            }
+        }).catch((error) => {
+            this.logger.error('Failed to write health history', { directory: this.directory, error: error.message });
+        });
+        return this.writing;
+    }
+
+    // Record `source`'s health checks, breaker transitions, failovers and balance changes until close()
+    attach(source) {
+        const listen = (event, toRecords) => {
+            const listener = payload => this.append(toRecords(payload));
+            source.on(event, listener);
+            this.listeners.push([source, event, listener]);
+        };
+
+        listen('health-check-completed', ({ networks }) => Object.entries(networks)
+            .filter(([, health]) => health)
+            .map(([network, health]) => ({
+                type: 'check',
+                network,
+                status: health.status,
+                latency: Number.isFinite(health.latency) ? health.latency : null,
+                endpoint: health.endpoint || null,
+                ...(health.error ? { error: health.error } : {})
+            })));
+
+        ['breaker-opened', 'breaker-half-open', 'breaker-closed'].forEach((event) => {
+            listen(event, status => ({
+                type: 'breaker',
+                network: status.network,
+                from: status.previous || null,
+                to: status.state,
+                ...(status.lastError ? { error: status.lastError } : {})
+            }));
+        });
+
+        listen('endpoint-failover', ({ network, from, to }) => ({ type: 'failover', network, from, to }));
+
+        listen('balances-updated', ({ walletId, watchOnly, balances }) => Object.entries(balances)
+            .filter(([network, { balance, unconfirmedBalance }]) => {
+                const key = `${walletId}:${network}`;
+                const value = `${balance}:${unconfirmedBalance}`;
+                if (this.lastBalances.get(key) === value) return false;
+                this.lastBalances.set(key, value);
+                return true;
+            })
+            .map(([network, { balance, unconfirmedBalance }]) => ({
+                type: 'balance',
+                network,
+                wallet: walletId,
+                balance,
+                ...(unconfirmedBalance !== undefined ? { unconfirmedBalance } : {}),
+                watchOnly: !!watchOnly
+            })));
+        return this;
+    }
+
+    // Delete day files older than the retention period
+    async prune() {
+        const cutoff = dayOf(this.now() - this.retentionDays * DAY);
+        const files = await fs.promises.readdir(this.directory).catch(() => []);
+        await Promise.all(files
+            .filter(file => FILE_PATTERN.test(file) && FILE_PATTERN.exec(file)[1] < cutoff)
+            .map(file => fs.promises.unlink(path.join(this.directory, file)).catch(() => {})));
+    }
+
+    // Stop listening and wait for queued writes
+    async close() {
+        this.listeners.forEach(([source, event, listener]) => source.removeListener(event, listener));
+        this.listeners = [];
+        this.closed = true;
+        await this.writing;
+    }
+
+    // ==================== QUERIES ====================
+
+    /**
+     * Records between `from` and `to` (see parseTime), oldest first. With a `limit`, the newest
+     * `limit` records of the range are returned.
+     * @param {Object} [options] - { from, to, networks, types, wallets, limit }
+     */
+    async query(options = {}) {
+        const now = this.now();
+        const limit = options.limit || Infinity;
+
+        // Only the newest `limit` records are kept while the range streams past
+        let records = [];
+        for await (const record of this.scan({ ...options, from: options.from ?? '24h' }, now)) {
+            records.push(record);
+            if (records.length >= 2 * limit) records = records.slice(-limit);
+        }
+        return records.sort((a, b) => a.t - b.t).slice(-limit);
+    }
+
+    // Matching records one at a time, in the order they were appended
+    async *scan(options, now = this.now()) {
+        const from = parseTime(options.from, now);
+        const to = parseTime(options.to, now);
+        const networks = options.networks && options.networks.length > 0 ? new Set(options.networks) : null;
+        const types = options.types && options.types.length > 0 ? new Set(options.types) : null;
+        const wallets = options.wallets && options.wallets.length > 0 ? new Set(options.wallets) : null;
+
+        await this.writing;
+        const files = (await fs.promises.readdir(this.directory).catch(() => []))
+            .filter(file => FILE_PATTERN.test(file))
+            .filter((file) => {
+                const day = FILE_PATTERN.exec(file)[1];
+                return day >= dayOf(from) && day <= dayOf(to);
+            })
+            .sort();
+
+        let skipped = 0;
+        for (const file of files) {
+            const lines = readline.createInterface({
+                input: fs.createReadStream(path.join(this.directory, file), 'utf8'),
+                crlfDelay: Infinity
+            });
+            for await (const line of lines) {
+                if (!line) continue;
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (error) {
+                    // A crash mid-append can leave a torn last line
+                    skipped++;
+                    continue;
+                }
+                if (record.t < from || record.t > to) continue;
+                if (networks && !networks.has(record.network)) continue;
+                if (types && !types.has(record.type)) continue;
+                if (wallets && !wallets.has(record.wallet)) continue;
+                yield record;
+            }
+        }
+
+        if (skipped > 0) {
+            this.logger.warn(`Skipped ${skipped} unreadable health history line(s)`, { directory: this.directory });
+        }
+    }
+
+    /**
+     * Per-network SLA summary for a period: uptime (share of checks not unhealthy / stalled),
+     * latency percentiles of successful checks, breaker transitions and incident timelines.
+     * Records are folded into the summaries as they are read, so a long period is never held in memory.
+     * @param {Object} [options] - { from, to, networks }
+     */
+    async report(options = {}) {
+        const now = this.now();
+        const from = parseTime(options.from ?? '7d', now);
+        const to = parseTime(options.to, now);
+
+        const byNetwork = new Map();
+        for await (const record of this.scan({ from, to, networks: options.networks, types: HEALTH_TYPES }, now)) {
+            if (!byNetwork.has(record.network)) byNetwork.set(record.network, createNetworkSummary(record.network));
+            byNetwork.get(record.network).add(record);
+        }
+
+        const networks = Array.from(byNetwork.keys()).sort().map(network => byNetwork.get(network).finish());
+        return { from: new Date(from), to: new Date(to), networks };
+    }
+}
+
+// ==================== REPORTING ====================
+
+// Running totals for one network; add() takes its records in time order, finish() returns the summary
+function createNetworkSummary(network) {
+    const incidents = createIncidentTracker();
+    const latencies = [];
+    let checks = 0;
+    let failedChecks = 0;
+    let breakerTransitions = 0;
+    let failovers = 0;
+
+    return {
+        add(record) {
+            if (record.type === 'check') {
+                checks++;
+                if (DOWN_STATUSES.includes(record.status)) failedChecks++;
+                else if (Number.isFinite(record.latency)) latencies.push(record.latency);
+            } else if (record.type === 'breaker') {
+                breakerTransitions++;
+            } else if (record.type === 'failover') {
+                failovers++;
+            }
+            incidents.add(record);
+        },
+
+        finish() {
+            latencies.sort((a, b) => a - b);
+            return {
+                network,
+                checks,
+                failedChecks,
+                uptime: checks > 0 ? Number((((checks - failedChecks) / checks) * 100).toFixed(3)) : null,
+                latency: {
+                    p50: percentile(latencies, 50),
+                    p95: percentile(latencies, 95),
+                    p99: percentile(latencies, 99)
+                },
+                breakerTransitions,
+                failovers,
+                incidents: incidents.incidents
+            };
+        }
+    };
+}
+
+// An incident runs from the first down check (or breaker opening) to the next healthy check with the
+// breaker closed. Its timeline lists every status change, breaker transition and failover in between.
+function createIncidentTracker() {
+    const incidents = [];
+    let current = null;
+    let breakerOpen = false;
+    let lastStatus = null;
+
+    const note = (record, event) => current.timeline.push({ t: new Date(record.t), event });
+
+    const add = (record) => {
+        const isDown = record.type === 'check' && DOWN_STATUSES.includes(record.status);
+        const opensBreaker = record.type === 'breaker' && record.to !== 'CLOSED';
+
+        if (record.type === 'breaker') breakerOpen = record.to !== 'CLOSED';
+
+        if (!current && (isDown || opensBreaker)) {
+            current = { start: new Date(record.t), end: null, duration: null, failedChecks: 0, errors: [], timeline: [] };
+            lastStatus = null;
+            incidents.push(current);
+        }
+        if (!current) return;
+
+        if (record.type === 'check') {
+            if (isDown) {
+                current.failedChecks++;
+                if (record.error && !current.errors.includes(record.error)) current.errors.push(record.error);
+            }
+            if (record.status !== lastStatus) {
+                note(record, `${record.status}${record.error ? `: ${record.error}` : ''}`);
+                lastStatus = record.status;
+            }
+            if (!isDown && !breakerOpen) {
+                current.end = new Date(record.t);
+                current.duration = record.t - current.start.getTime();
+                current = null;
+            }
+        } else if (record.type === 'breaker') {
+            note(record, `circuit breaker ${record.from || '?'} -> ${record.to}`);
+        } else if (record.type === 'failover') {
+            note(record, `failover ${record.from} -> ${record.to}`);
+        }
+    };
+
+    return { add, incidents };
+}
+
+// ==================== TEXT OUTPUT ====================
+
+function formatMs(value) {
+    if (value === null || value === undefined) return '-';
+    if (value >= 60000) return `${(value / 60000).toFixed(1)}m`;
+    if (value >= 1000) return `${(value / 1000).toFixed(2)}s`;
+    return `${Math.round(value)}ms`;
+}
+
+// Plain-text rendering of report() for the health-report command
+function formatReport(report) {
+    const lines = [
+        `Network health ${report.from.toISOString()} .. ${report.to.toISOString()}`,
+        ''
+    ];
+
+    if (report.networks.length === 0) {
+        lines.push('No health history recorded in this period.');
+        return lines.join('\n');
+    }
+
+    const header = ['Network', 'Uptime', 'Checks', 'Failed', 'p50', 'p95', 'p99', 'Breaker', 'Failovers', 'Incidents'];
+    const rows = report.networks.map(network => [
+        network.network,
+        network.uptime === null ? '-' : `${network.uptime.toFixed(2)}%`,
+        String(network.checks),
+        String(network.failedChecks),
+        formatMs(network.latency.p50),
+        formatMs(network.latency.p95),
+        formatMs(network.latency.p99),
+        String(network.breakerTransitions),
+        String(network.failovers),
+        String(network.incidents.length)
+    ]);
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+    const renderRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+    lines.push(renderRow(header), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(renderRow));
+
+    report.networks.filter(network => network.incidents.length > 0).forEach((network) => {
+        lines.push('', `Incidents: ${network.network}`);
+        network.incidents.forEach((incident, index) => {
+            const end = incident.end ? incident.end.toISOString() : 'ongoing';
+            const duration = incident.duration === null ? '' : ` (${formatMs(incident.duration)})`;
+            lines.push(`  #${index + 1} ${incident.start.toISOString()} .. ${end}${duration}, ${incident.failedChecks} failed check(s)`);
+            incident.timeline.forEach(entry => lines.push(`      ${entry.t.toISOString()}  ${entry.event}`));
+        });
+    });
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    HealthHistory,
+    formatReport,
+    parseTime,
+    percentile,
+    DOWN_STATUSES,
+    DEFAULT_RETENTION_DAYS
+};
@@ -0,0 +1,94 @@
+/**
+ * JWT - HS256 SIGNING + VERIFICATION
+ * Compact JWS tokens | Constant-time signature check | exp / nbf with clock skew | Space-separated scopes
+ */
+
+const crypto = require('crypto');
+
+// Shorter secrets are trivially brute-forced offline from any captured token
+const MIN_SECRET_LENGTH = 32;
+const CLOCK_SKEW = 30;
+
+class TokenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TokenError';
+        this.code = 'INVALID_TOKEN';
+    }
+}
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function decodeSegment(segment, name) {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new TokenError(`Malformed token ${name}`);
+    }
+}
+
+function hmac(secret, data) {
+    return crypto.createHmac('sha256', secret).update(data).digest();
+}
+
+function assertSecret(secret) {
+    if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+        throw new Error(`JWT secret must be at least ${MIN_SECRET_LENGTH} characters`);
+    }
+}
+
+/**
+ * Sign `claims` as an HS256 token. iat is added; options.expiresIn (seconds) sets exp.
+ * @returns {string}
+ */
+function signToken(claims, secret, options = {}) {
+    assertSecret(secret);
+    const now = Math.floor((options.now || Date.now)() / 1000);
+    const payload = { iat: now, ...claims };
+    if (options.expiresIn) payload.exp = now + options.expiresIn;
+
+    const unsigned = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(payload))}`;
+    return `${unsigned}.${base64url(hmac(secret, unsigned))}`;
+}
+
+/**
+ * Verify an HS256 token and return its claims. Throws TokenError when the token is malformed,
+ * uses another algorithm, has a bad signature, is expired or not yet valid.
+ */
+function verifyToken(token, secret, options = {}) {
+    assertSecret(secret);
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) throw new TokenError('Malformed token');
+
+    // Only HS256 is accepted, so "none" and key-confusion tricks are rejected outright
+    const header = decodeSegment(parts[0], 'header');
+    if (header.alg !== 'HS256') throw new TokenError(`Unsupported token algorithm: ${header.alg}`);
+
+    const expected = hmac(secret, `${parts[0]}.${parts[1]}`);
+    const actual = Buffer.from(parts[2], 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw new TokenError('Invalid token signature');
+    }
+
+    const claims = decodeSegment(parts[1], 'payload');
+    const now = Math.floor((options.now || Date.now)() / 1000);
+    const skew = options.clockSkew ?? CLOCK_SKEW;
+    if (Number.isFinite(claims.exp) && now > claims.exp + skew) throw new TokenError('Token expired');
+    if (Number.isFinite(claims.nbf) && now < claims.nbf - skew) throw new TokenError('Token not yet valid');
+
+    return claims;
+}
+
+function hasScope(claims, scope) {
+    return String(claims.scope || '').split(/\s+/).includes(scope);
+}
+
+module.exports = {
+    signToken,
+    verifyToken,
+    hasScope,
+    TokenError,
+    MIN_SECRET_LENGTH
+};
@@ -0,0 +1,172 @@
+/**
+ * KEY ROTATION - RE-ENCRYPT A WALLET DIRECTORY UNDER A NEW MASTER SECRET
+ * keyVersion per file | Backup + journal before the first write | Rollback on failure | Resume of unfinished rotations
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { Keystore, KeystoreError } = require('./keystore');
+
+// Files written before key versions existed were all encrypted under the first secret
+const DEFAULT_KEY_VERSION = 1;
+const JOURNAL_FILE = '.key-rotation.json';
+const BACKUP_PREFIX = '.key-backup-';
+
+async function readJson(file) {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+// Written next to the target and renamed over it, so a crash never leaves half a file
+async function writeJsonAtomic(file, data) {
+    const temporary = `${file}.rotating`;
+    await fs.writeFile(temporary, JSON.stringify(data, null, 2), { mode: 0o600 });
+    await fs.rename(temporary, file);
+}
+
+/**
+ * Key versions of the wallet files in `dir`.
+ * @returns {Promise<Object>} { dir, files: [{ name, version }], versions: { <version>: count }, journal,
+ *   currentVersion, mixed, pending } - `pending` means a rotation was interrupted or files disagree
+ */
+async function inspectStore(dir) {
+    // Dot files are the rotation's own journal and backups
+    const names = (await fs.readdir(dir).catch(() => []))
+        .filter(name => name.endsWith('.json') && !name.startsWith('.'))
+        .sort();
+    const files = [];
+    for (const name of names) {
+        const document = await readJson(path.join(dir, name));
+        files.push({ name, version: document.keyVersion || DEFAULT_KEY_VERSION });
+    }
+
+    const journal = await readJson(path.join(dir, JOURNAL_FILE)).catch(() => null);
+    const versions = {};
+    files.forEach(({ version }) => { versions[version] = (versions[version] || 0) + 1; });
+    const mixed = Object.keys(versions).length > 1;
+
+    return {
+        dir,
+        files,
+        versions,
+        journal,
+        currentVersion: journal ? journal.to : Math.max(DEFAULT_KEY_VERSION, ...files.map(file => file.version)),
+        mixed,
+        pending: mixed || !!journal
+    };
+}
+
+// One line for logs and errors: "3 file(s) at key version 1, 2 at version 2, rotation to 2 unfinished"
+function describeStore(store) {
+    const counts = Object.entries(store.versions).map(([version, count]) => `${count} file(s) at key version ${version}`);
+    if (store.journal) counts.push(`rotation to version ${store.journal.to} unfinished`);
+    return `${store.dir}: ${counts.join(', ') || 'no wallet files'}`;
+}
+
+/**
+ * Re-encrypt every private key and mnemonic in `dir` from `from` to `to` and bump the files' keyVersion.
+ * All files are backed up and a journal written before the first change. Every record is decrypted
+ * before any file is written, so a wrong old secret changes nothing; a failed write restores the backup.
+ * An interrupted run leaves the journal behind, and running again finishes the files still at the old version.
+ * @param {string} dir - Wallet directory
+ * @param {Object} options - { from: Keystore, to: Keystore, keepBackup, now }
+ * @returns {Promise<Object>} { dir, version, rotated, skipped, backup (path, if kept), resumed }
+ */
+async function rotateDirectory(dir, options) {
+    const { from, to } = options;
+    const now = options.now || Date.now;
+    const store = await inspectStore(dir);
+
+    if (store.files.length === 0 && !store.journal) {
+        return { dir, version: store.currentVersion, rotated: 0, skipped: 0, backup: null, resumed: false };
+    }
+
+    // A mixed store without a journal was written by a manager still running on the old secret
+    const target = store.journal ? store.journal.to : (store.mixed ? store.currentVersion : store.currentVersion + 1);
+    const pending = store.files.filter(file => file.version < target);
+    const ahead = store.files.filter(file => file.version > target);
+    if (ahead.length > 0) {
+        throw new KeystoreError(`Files newer than key version ${target}: ${ahead.map(file => file.name).join(', ')}`);
+    }
+
+    let journal = store.journal;
+    const resumed = !!journal;
+    if (!journal) {
+        const backup = `${BACKUP_PREFIX}${new Date(now()).toISOString().replace(/[:.]/g, '-')}`;
+        await fs.mkdir(path.join(dir, backup), { mode: 0o700 });
+        for (const { name } of store.files) {
+            await fs.copyFile(path.join(dir, name), path.join(dir, backup, name));
+        }
+        journal = { to: target, backup, files: store.files.map(file => file.name), startedAt: new Date(now()).toISOString() };
+        await writeJsonAtomic(path.join(dir, JOURNAL_FILE), journal);
+    }
+
+    let prepared;
+    try {
+        prepared = [];
+        for (const { name } of pending) {
+            const document = await readJson(path.join(dir, name));
+            const rotated = Keystore.mapSecrets(document, value => to.encrypt(from.decrypt(value)));
+            prepared.push({ name, document: { ...rotated, keyVersion: target } });
+        }
+    } catch (error) {
+        // Nothing has been written yet; a fresh rotation leaves no trace
+        if (!resumed) await discardRotation(dir, journal);
+        throw new KeystoreError(`Cannot decrypt ${dir} with the current secret: ${error.message}`);
+    }
+
+    try {
+        for (const { name, document } of prepared) {
+            await writeJsonAtomic(path.join(dir, name), document);
+        }
+    } catch (error) {
+        await rollbackDirectory(dir);
+        throw new KeystoreError(`Key rotation of ${dir} failed and was rolled back: ${error.message}`);
+    }
+
+    // The backup is only readable with the old secret, which is usually the one being retired
+    await fs.unlink(path.join(dir, JOURNAL_FILE));
+    if (!options.keepBackup) {
+        await fs.rm(path.join(dir, journal.backup), { recursive: true, force: true });
+    }
+
+    return {
+        dir,
+        version: target,
+        rotated: prepared.length,
+        skipped: store.files.length - prepared.length,
+        backup: options.keepBackup ? path.join(dir, journal.backup) : null,
+        resumed
+    };
+}
+
+async function discardRotation(dir, journal) {
+    await fs.rm(path.join(dir, journal.backup), { recursive: true, force: true });
+    await fs.unlink(path.join(dir, JOURNAL_FILE)).catch(() => {});
+}
+
+/**
+ * Put back the files saved when an unfinished rotation started and drop its journal.
+ * @returns {Promise<boolean>} false when no rotation is in progress
+ */
+async function rollbackDirectory(dir) {
+    const journal = await readJson(path.join(dir, JOURNAL_FILE)).catch(() => null);
+    if (!journal) return false;
+
+    const backupDir = path.join(dir, journal.backup);
+    for (const name of journal.files) {
+        const temporary = path.join(dir, `${name}.rotating`);
+        await fs.copyFile(path.join(backupDir, name), temporary);
+        await fs.rename(temporary, path.join(dir, name));
+    }
+    await discardRotation(dir, journal);
+    return true;
+}
+
+module.exports = {
+    inspectStore,
+    describeStore,
+    rotateDirectory,
+    rollbackDirectory,
+    DEFAULT_KEY_VERSION,
+    JOURNAL_FILE
+};
@@ -0,0 +1,369 @@
+/**
+ * KEYSTORE - ENCRYPTION FOR STORED KEYS AND MNEMONICS
+ * Master secret from ENCRYPTION_SECRET or a passphrase prompt | scrypt per record | AES-256-GCM | Web3 Secret Storage v3
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { keccak_256: keccak256 } = require('@noble/hashes/sha3');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+
+const CIPHER = 'aes-256-gcm';
+
+// Interactive-login strength: about 50 ms and 16 MB per record. Records carry their parameters,
+// so raising these later only affects new records.
+const DEFAULT_KDF_PARAMS = { n: 16384, r: 8, p: 1 };
+
+// Web3 Secret Storage defaults, as written by geth and web3.js
+const WEB3_KDF_PARAMS = { n: 262144, r: 8, p: 1 };
+
+// Upper bounds for keystores read from files (geth's "standard" settings), so a crafted file
+// cannot ask scrypt for gigabytes of memory or pbkdf2 for hours of CPU
+const WEB3_KDF_LIMITS = { n: 262144, r: 8, p: 16, c: 10000000 };
+
+const MIN_SECRET_LENGTH = 12;
+
+// Record fields that hold secrets in wallet files
+const SECRET_FIELDS = ['privateKey', 'mnemonic'];
+
+// Hardcoded passphrases of the old AES-256-CBC format, per manager; only used to read and migrate old files
+const LEGACY_SECRETS = {
+    multiChain: 'multi-chain-crypto-manager-secret',
+    enhanced: 'enhanced-crypto-manager-secret'
+};
+// Each manager wrote its own directory, so a store is only ever read with its own manager's passphrase
+const LEGACY_STORES = {
+    multi_chain_wallets: 'multiChain',
+    real_wallets: 'enhanced'
+};
+const LEGACY_PATTERN = /^[0-9a-f]{32}:[0-9a-f]+$/;
+
+// What the old managers encrypted: hex keys (0x optional), base58 / WIF keys from the environment,
+// mnemonics and records encrypted twice. A wrong passphrase passes the CBC padding check about once
+// in 256 tries, and its garbage matches none of these.
+const LEGACY_PLAINTEXT_PATTERNS = [
+    /^(0x)?[0-9a-fA-F]+$/,
+    /^[1-9A-HJ-NP-Za-km-z]+$/,
+    /^[a-z]+( [a-z]+)+$/,
+    LEGACY_PATTERN
+];
+
+class KeystoreError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'KeystoreError';
+    }
+}
+
+function scrypt(secret, salt, params) {
+    return crypto.scryptSync(secret, salt, params.dklen || 32, {
+        N: params.n,
+        r: params.r,
+        p: params.p,
+        maxmem: 256 * params.n * params.r
+    });
+}
+
+function assertSecret(secret, name = 'Encryption secret') {
+    if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+        throw new KeystoreError(`${name} must be at least ${MIN_SECRET_LENGTH} characters`);
+    }
+    if (/^your_/.test(secret)) {
+        throw new KeystoreError(`${name} is still the .env.example placeholder`);
+    }
+}
+
+// ==================== RECORDS ====================
+
+function isEncryptedRecord(value) {
+    return !!value && typeof value === 'object' && value.cipher === CIPHER && typeof value.ciphertext === 'string';
+}
+
+// "<iv hex>:<ciphertext hex>" written by the old encryptData()
+function isLegacyRecord(value) {
+    return typeof value === 'string' && LEGACY_PATTERN.test(value);
+}
+
+// Legacy passphrase of a wallet directory (multi_chain_wallets or real_wallets); null for other directories
+function legacySecretForStore(dir) {
+    return LEGACY_SECRETS[LEGACY_STORES[path.basename(dir)]] || null;
+}
+
+function decryptLegacy(value, passphrase) {
+    const [ivHex, encrypted] = value.split(':');
+    const key = crypto.scryptSync(passphrase, 'salt', 32);
+    const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.from(ivHex, 'hex'));
+    return decipher.update(encrypted, 'hex', 'utf8') + decipher.final('utf8');
+}
+
+class Keystore {
+    /**
+     * @param {string} secret - Master secret; each record derives its own key from it with a random salt
+     * @param {Object} [options] - { kdfParams: { n, r, p }, legacySecret: the store's LEGACY_SECRETS entry, for old records }
+     */
+    constructor(secret, options = {}) {
+        assertSecret(secret);
+        this.secret = secret;
+        this.kdfParams = { ...DEFAULT_KDF_PARAMS, ...options.kdfParams };
+        this.legacySecret = options.legacySecret || null;
+    }
+
+    // Same master secret, reading old records of another store
+    withLegacySecret(legacySecret) {
+        return new Keystore(this.secret, { kdfParams: this.kdfParams, legacySecret });
+    }
+
+    /**
+     * Encrypt a string into a self-describing record:
+     * { cipher, kdf, kdfparams: { n, r, p, salt }, iv, tag, ciphertext } (hex strings)
+     */
+    encrypt(plaintext) {
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(CIPHER, scrypt(this.secret, salt, this.kdfParams), iv);
+        const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+        return {
+            cipher: CIPHER,
+            kdf: 'scrypt',
+            kdfparams: { ...this.kdfParams, salt: salt.toString('hex') },
+            iv: iv.toString('hex'),
+            tag: cipher.getAuthTag().toString('hex'),
+            ciphertext: ciphertext.toString('hex')
+        };
+    }
+
+    // Plaintext of a record; old CBC strings are still read so stores can be migrated
+    decrypt(record) {
+        if (isLegacyRecord(record)) {
+            return this.decryptLegacy(record);
+        }
+        if (!isEncryptedRecord(record)) {
+            throw new KeystoreError('Not an encrypted keystore record');
+        }
+
+        try {
+            const key = scrypt(this.secret, Buffer.from(record.kdfparams.salt, 'hex'), record.kdfparams);
+            const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(record.iv, 'hex'));
+            decipher.setAuthTag(Buffer.from(record.tag, 'hex'));
+            return Buffer.concat([decipher.update(Buffer.from(record.ciphertext, 'hex')), decipher.final()]).toString('utf8');
+        } catch (error) {
+            // GCM cannot tell a wrong secret from a tampered record
+            throw new KeystoreError('Cannot decrypt record: wrong encryption secret or corrupted data');
+        }
+    }
+
+    // Earlier versions could save an already encrypted value again, so decryption repeats while the
+    // result still looks like a legacy record
+    decryptLegacy(value) {
+        if (!this.legacySecret) {
+            throw new KeystoreError('Found a legacy record, but no legacy secret is set for this wallet directory');
+        }
+        let plaintext = value;
+        while (isLegacyRecord(plaintext)) {
+            try {
+                plaintext = decryptLegacy(plaintext, this.legacySecret);
+            } catch (error) {
+                plaintext = null;
+            }
+            // Garbage is refused, so a migration can never encrypt it over the original
+            if (plaintext === null || !LEGACY_PLAINTEXT_PATTERNS.some(pattern => pattern.test(plaintext))) {
+                throw new KeystoreError('Cannot decrypt legacy record: wrong legacy secret for this wallet directory or corrupted data');
+            }
+        }
+        return plaintext;
+    }
+
+    /**
+     * Copy of a wallet document with every secret field (privateKey, mnemonic) passed through `transform`.
+     * @param {Object} document - Parsed wallet file
+     * @param {Function} transform - (value, path) => replacement; only called for non-empty values
+     */
+    static mapSecrets(document, transform, trail = []) {
+        if (Array.isArray(document)) {
+            return document.map((item, index) => Keystore.mapSecrets(item, transform, [...trail, index]));
+        }
+        if (!document || typeof document !== 'object' || isEncryptedRecord(document)) {
+            return document;
+        }
+        return Object.fromEntries(Object.entries(document).map(([key, value]) => {
+            if (SECRET_FIELDS.includes(key) && value) {
+                return [key, transform(value, [...trail, key].join('.'))];
+            }
+            return [key, Keystore.mapSecrets(value, transform, [...trail, key])];
+        }));
+    }
+}
+
+// ==================== UNLOCKING ====================
+
+// Read a line from a TTY without echoing it
+function promptPassphrase(question, { input = process.stdin, output = process.stderr } = {}) {
+    return new Promise((resolve, reject) => {
+        let muted = false;
+        const silent = new Writable({
+            write(chunk, encoding, callback) {
+                if (!muted) output.write(chunk, encoding);
+                callback();
+            }
+        });
+        const prompt = readline.createInterface({ input, output: silent, terminal: true });
+
+        prompt.on('SIGINT', () => {
+            prompt.close();
+            output.write('\n');
+            reject(new KeystoreError('Passphrase prompt cancelled'));
+        });
+        prompt.question(question, (answer) => {
+            prompt.close();
+            output.write('\n');
+            resolve(answer);
+        });
+        muted = true;
+    });
+}
+
+/**
+ * Keystore for the master secret in env.ENCRYPTION_SECRET, or a passphrase typed at the terminal.
+ * @param {Object} [env] - Defaults to process.env
+ * @param {Object} [options] - { variable (default ENCRYPTION_SECRET), question, confirm, prompt (default: stdin is a TTY), input, output, kdfParams }
+ */
+async function unlockKeystore(env = process.env, options = {}) {
+    const variable = options.variable || 'ENCRYPTION_SECRET';
+    if (env[variable]) {
+        return new Keystore(env[variable], options);
+    }
+
+    const interactive = options.prompt ?? !!(options.input || process.stdin).isTTY;
+    if (!interactive) {
+        throw new KeystoreError(`${variable} is not set and there is no terminal to prompt for a passphrase`);
+    }
+
+    const passphrase = await promptPassphrase(options.question || 'Wallet encryption passphrase: ', options);
+    // New secrets are typed twice, as a typo would lock every key away
+    if (options.confirm && await promptPassphrase('Repeat the passphrase: ', options) !== passphrase) {
+        throw new KeystoreError('Passphrases do not match');
+    }
+    return new Keystore(passphrase, options);
+}
+
+// ==================== WEB3 SECRET STORAGE ====================
+
+// Lower-case hex Ethereum address (no 0x) of a secp256k1 private key
+function addressOf(key) {
+    const publicKey = secp256k1.getPublicKey(key, false).subarray(1);
+    return Buffer.from(keccak256(publicKey)).subarray(-20).toString('hex');
+}
+
+/**
+ * Web3 Secret Storage v3 JSON for a 32-byte private key (readable by geth, MetaMask and web3.js).
+ * @param {string} privateKey - Hex, with or without 0x
+ * @param {string} passphrase
+ * @param {Object} [options] - { kdfParams: { n, r, p } }
+ */
+function toWeb3SecretStorage(privateKey, passphrase, options = {}) {
+    if (typeof passphrase !== 'string' || passphrase.length === 0) {
+        throw new KeystoreError('A passphrase is required to export a key');
+    }
+    const key = Buffer.from(String(privateKey).replace(/^0x/, ''), 'hex');
+    if (key.length !== 32) {
+        throw new KeystoreError('Web3 Secret Storage holds 32-byte private keys');
+    }
+
+    const kdfparams = { dklen: 32, ...WEB3_KDF_PARAMS, ...options.kdfParams, salt: crypto.randomBytes(32).toString('hex') };
+    const derivedKey = scrypt(passphrase, Buffer.from(kdfparams.salt, 'hex'), kdfparams);
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-128-ctr', derivedKey.subarray(0, 16), iv);
+    const ciphertext = Buffer.concat([cipher.update(key), cipher.final()]);
+
+    return {
+        version: 3,
+        id: crypto.randomUUID(),
+        address: addressOf(key),
+        crypto: {
+            ciphertext: ciphertext.toString('hex'),
+            cipherparams: { iv: iv.toString('hex') },
+            cipher: 'aes-128-ctr',
+            kdf: 'scrypt',
+            kdfparams,
+            mac: Buffer.from(keccak256(Buffer.concat([derivedKey.subarray(16, 32), ciphertext]))).toString('hex')
+        }
+    };
+}
+
+function checkWeb3KdfParams(kdf, kdfparams) {
+    const inRange = (value, max) => Number.isInteger(value) && value >= 1 && value <= max;
+    if (!kdfparams || kdfparams.dklen !== 32 || typeof kdfparams.salt !== 'string') {
+        throw new KeystoreError('Keystore KDF parameters need dklen 32 and a salt');
+    }
+    if (kdf === 'scrypt') {
+        // n must be a power of two above 1
+        if (!inRange(kdfparams.n, WEB3_KDF_LIMITS.n) || kdfparams.n < 2 || (kdfparams.n & (kdfparams.n - 1)) !== 0 ||
+            !inRange(kdfparams.r, WEB3_KDF_LIMITS.r) || !inRange(kdfparams.p, WEB3_KDF_LIMITS.p)) {
+            throw new KeystoreError(`Unsupported scrypt parameters (n: power of two up to ${WEB3_KDF_LIMITS.n}, r up to ${WEB3_KDF_LIMITS.r}, p up to ${WEB3_KDF_LIMITS.p})`);
+        }
+    } else if (!inRange(kdfparams.c, WEB3_KDF_LIMITS.c)) {
+        throw new KeystoreError(`Unsupported pbkdf2 iteration count (up to ${WEB3_KDF_LIMITS.c})`);
+    }
+}
+
+// 0x-prefixed private key from Web3 Secret Storage v3 JSON (scrypt or pbkdf2)
+function fromWeb3SecretStorage(keystore, passphrase) {
+    if (typeof passphrase !== 'string') {
+        throw new KeystoreError('A passphrase is required to open the keystore');
+    }
+    let json = keystore;
+    if (typeof keystore === 'string') {
+        try {
+            json = JSON.parse(keystore);
+        } catch (error) {
+            throw new KeystoreError(`Keystore is not valid JSON: ${error.message}`);
+        }
+    }
+    const params = json && (json.crypto || json.Crypto);
+    if (!json || json.version !== 3 || !params) {
+        throw new KeystoreError('Not a Web3 Secret Storage v3 keystore');
+    }
+    if (params.cipher !== 'aes-128-ctr') {
+        throw new KeystoreError(`Unsupported keystore cipher: ${params.cipher}`);
+    }
+
+    const { kdfparams } = params;
+    if (params.kdf !== 'scrypt' && !(params.kdf === 'pbkdf2' && kdfparams?.prf === 'hmac-sha256')) {
+        throw new KeystoreError(`Unsupported keystore KDF: ${params.kdf}`);
+    }
+    checkWeb3KdfParams(params.kdf, kdfparams);
+
+    const salt = Buffer.from(kdfparams.salt, 'hex');
+    const derivedKey = params.kdf === 'scrypt'
+        ? scrypt(passphrase, salt, kdfparams)
+        : crypto.pbkdf2Sync(passphrase, salt, kdfparams.c, kdfparams.dklen, 'sha256');
+
+    const ciphertext = Buffer.from(params.ciphertext, 'hex');
+    const mac = Buffer.from(keccak256(Buffer.concat([derivedKey.subarray(16, 32), ciphertext])));
+    const expected = Buffer.from(String(params.mac), 'hex');
+    // timingSafeEqual throws on a length mismatch, which is no secret
+    if (expected.length !== mac.length || !crypto.timingSafeEqual(mac, expected)) {
+        throw new KeystoreError('Wrong keystore passphrase');
+    }
+
+    const decipher = crypto.createDecipheriv('aes-128-ctr', derivedKey.subarray(0, 16), Buffer.from(params.cipherparams.iv, 'hex'));
+    return `0x${Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('hex')}`;
+}
+
+module.exports = {
+    Keystore,
+    KeystoreError,
+    unlockKeystore,
+    promptPassphrase,
+    toWeb3SecretStorage,
+    fromWeb3SecretStorage,
+    isEncryptedRecord,
+    isLegacyRecord,
+    SECRET_FIELDS,
+    LEGACY_SECRETS,
+    legacySecretForStore,
+    DEFAULT_KDF_PARAMS
+};
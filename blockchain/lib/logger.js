@@ -0,0 +1,339 @@
+/**
+ * STRUCTURED LOGGER - LEVELS, SINKS, ROTATION + REDACTION
+ * LOG_LEVEL / LOG_FILE | JSON-lines files rotated by size or date | Bounded ring buffer | Secret scrubbing
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    success: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+};
+
+const REDACTED = '[REDACTED]';
+
+// Field names (compared lowercase without _ and -) whose values are never logged
+const SECRET_FIELDS = new Set([
+    'privatekey', 'secretkey', 'secret', 'mnemonic', 'seed', 'seedphrase', 'phrase',
+    'password', 'passphrase', 'sharetoken', 'apikey', 'apisecret', 'authorization',
+    'accesstoken', 'jwt', 'jwtsecret', 'encryptionsecret', 'wif', 'xprv'
+]);
+
+// Environment variables whose values are scrubbed wherever they appear
+const SECRET_ENV_PATTERN = /(KEY|SECRET|TOKEN|PASSWORD|PASSPHRASE|MNEMONIC)/i;
+
+const URL_PATTERN = /\b(?:https?|wss?):\/\/[^\s"'<>]+/g;
+const SECRET_QUERY_PARAMS = /^(api[-_]?key|key|token|access[-_]?token|share[-_]?token|secret|auth|password)$/i;
+// Path segments that look like credentials: long runs without dots (e.g. Alchemy's /v2/<key>)
+const KEY_SEGMENT = /^[A-Za-z0-9_-]{20,}$/;
+
+const SOLANA_SECRET_HEX = /\b[0-9a-fA-F]{128}\b/g;
+const WIF_KEY = /\b[5KLc][1-9A-HJ-NP-Za-km-z]{50,51}\b/g;
+const EXTENDED_PRIVATE_KEY = /\b[xtyz]prv[1-9A-HJ-NP-Za-km-z]{100,112}\b/g;
+const MNEMONIC_RUN = /\b[a-z]{3,8}(?: [a-z]{3,8}){11,}\b/g;
+
+// ==================== REDACTION ====================
+
+function redactUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return url;
+    }
+
+    if (parsed.username || parsed.password) {
+        parsed.username = parsed.username ? REDACTED : '';
+        parsed.password = parsed.password ? REDACTED : '';
+    }
+
+    parsed.pathname = parsed.pathname
+        .split('/')
+        .map(segment => (KEY_SEGMENT.test(segment) && /\d/.test(segment) ? REDACTED : segment))
+        .join('/');
+
+    for (const name of Array.from(parsed.searchParams.keys())) {
+        if (SECRET_QUERY_PARAMS.test(name)) parsed.searchParams.set(name, REDACTED);
+    }
+
+    // URL() percent-encodes the marker; keep it readable
+    return parsed.toString().replace(/%5BREDACTED%5D/g, REDACTED);
+}
+
+// Replace runs of 12 or more bare lowercase 3-8 letter words (the BIP39 phrase shape).
+// Ordinary log messages break such runs with short words, capitals or punctuation.
+function redactMnemonics(text) {
+    return text.replace(MNEMONIC_RUN, REDACTED);
+}
+
+function redactString(text, secrets = []) {
+    let result = text;
+    secrets.forEach((secret) => {
+        result = result.split(secret).join(REDACTED);
+    });
+
+    return redactMnemonics(result
+        .replace(URL_PATTERN, redactUrl)
+        .replace(SOLANA_SECRET_HEX, REDACTED)
+        .replace(EXTENDED_PRIVATE_KEY, REDACTED)
+        .replace(WIF_KEY, REDACTED));
+}
+
+function isSecretField(key) {
+    return SECRET_FIELDS.has(String(key).toLowerCase().replace(/[-_]/g, ''));
+}
+
+// Deep copy of `value` with secrets removed; `secrets` are literal values to scrub
+function redact(value, secrets = [], seen = new WeakSet()) {
+    if (typeof value === 'string') return redactString(value, secrets);
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return value;
+
+    if (value instanceof Error) {
+        return { name: value.name, message: redactString(value.message, secrets), code: value.code };
+    }
+
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, secrets, seen));
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        isSecretField(key) && item !== null && item !== undefined && item !== '' ? REDACTED : redact(item, secrets, seen)
+    ]));
+}
+
+function secretsFromEnv(env = process.env) {
+    return Object.entries(env)
+        .filter(([name, value]) => SECRET_ENV_PATTERN.test(name) && typeof value === 'string' && value.length >= 8)
+        .map(([, value]) => value)
+        .filter(value => !/^your_.*_here$/.test(value));
+}
+
+// ==================== RING BUFFER ====================
+
+class RingBuffer {
+    constructor(capacity = 1000) {
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.start = 0;
+        this.length = 0;
+    }
+
+    push(item) {
+        const index = (this.start + this.length) % this.capacity;
+        this.items[index] = item;
+        if (this.length < this.capacity) {
+            this.length++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    toArray() {
+        return Array.from({ length: this.length }, (_, offset) => this.items[(this.start + offset) % this.capacity]);
+    }
+
+    clear() {
+        this.items = new Array(this.capacity);
+        this.start = 0;
+        this.length = 0;
+    }
+}
+
+// ==================== SINKS ====================
+
+class ConsoleSink {
+    write(entry) {
+        const { timestamp, service, level, message, network, ...metadata } = entry;
+        const line = `[${level.toUpperCase()}] ${service}${network !== 'global' ? `[${network}]` : ''}: ${message}`;
+        const output = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+        output(line, Object.keys(metadata).length > 0 ? metadata : '');
+    }
+}
+
+// JSON lines, rotated when the file would pass maxSize bytes ('size') or the day changes ('daily').
+// Rotated files are kept as <file>.1 ... <file>.N (size) or <file>.YYYY-MM-DD (daily).
+class FileSink {
+    constructor(filePath, options = {}) {
+        this.filePath = path.resolve(filePath);
+        this.rotation = options.rotation || 'size';
+        this.maxSize = options.maxSize || 10 * 1024 * 1024;
+        this.maxFiles = options.maxFiles || 5;
+        this.now = options.now || Date.now;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.size = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0;
+        this.currentDate = this.dateStamp(
+            fs.existsSync(this.filePath) ? fs.statSync(this.filePath).mtimeMs : this.now()
+        );
+    }
+
+    dateStamp(time) {
+        return new Date(time).toISOString().slice(0, 10);
+    }
+
+    write(entry) {
+        const line = `${JSON.stringify(entry)}\n`;
+        const bytes = Buffer.byteLength(line);
+
+        if (this.rotation === 'daily') {
+            const today = this.dateStamp(this.now());
+            if (today !== this.currentDate) {
+                this.rotateDaily();
+                this.currentDate = today;
+            }
+        } else if (this.size > 0 && this.size + bytes > this.maxSize) {
+            this.rotateBySize();
+        }
+
+        fs.appendFileSync(this.filePath, line);
+        this.size += bytes;
+    }
+
+    rotateBySize() {
+        fs.rmSync(`${this.filePath}.${this.maxFiles}`, { force: true });
+        for (let index = this.maxFiles - 1; index >= 1; index--) {
+            const source = `${this.filePath}.${index}`;
+            if (fs.existsSync(source)) fs.renameSync(source, `${this.filePath}.${index + 1}`);
+        }
+        if (fs.existsSync(this.filePath)) fs.renameSync(this.filePath, `${this.filePath}.1`);
+        this.size = 0;
+    }
+
+    rotateDaily() {
+        if (fs.existsSync(this.filePath)) {
+            fs.renameSync(this.filePath, `${this.filePath}.${this.currentDate}`);
+        }
+        this.size = 0;
+
+        const base = path.basename(this.filePath);
+        const dated = fs.readdirSync(path.dirname(this.filePath))
+            .filter(file => file.startsWith(`${base}.`) && /^\d{4}-\d{2}-\d{2}$/.test(file.slice(base.length + 1)))
+            .sort();
+        dated.slice(0, Math.max(0, dated.length - this.maxFiles))
+            .forEach(file => fs.rmSync(path.join(path.dirname(this.filePath), file), { force: true }));
+    }
+}
+
+// One sink per file, shared by every logger in the process
+const fileSinks = new Map();
+
+function getFileSink(filePath, options = {}) {
+    const resolved = path.resolve(filePath);
+    if (!fileSinks.has(resolved)) {
+        fileSinks.set(resolved, new FileSink(resolved, options));
+    }
+    return fileSinks.get(resolved);
+}
+
+// ==================== LOGGER ====================
+
+class Logger {
+    constructor(service, options = {}) {
+        this.service = service;
+        this.level = options.level && LEVELS[options.level] !== undefined ? options.level : 'info';
+        this.sinks = options.sinks || [new ConsoleSink()];
+        this.secrets = options.secrets || [];
+        this.buffer = options.buffer || new RingBuffer(options.bufferSize || 1000);
+        this.now = options.now || Date.now;
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    log(level, message, metadata = {}) {
+        if (!this.isLevelEnabled(level)) return null;
+
+        const entry = redact({
+            timestamp: new Date(this.now()).toISOString(),
+            service: this.service,
+            level,
+            message,
+            network: (metadata && metadata.network) || 'global',
+            ...metadata
+        }, this.secrets);
+
+        this.buffer.push(entry);
+        this.sinks.forEach((sink) => {
+            try {
+                sink.write(entry);
+            } catch (error) {
+                // A broken sink must never take the caller down
+                console.error(`Log sink failed: ${error.message}`);
+            }
+        });
+        return entry;
+    }
+
+    debug(message, metadata) { return this.log('debug', message, metadata); }
+    info(message, metadata) { return this.log('info', message, metadata); }
+    success(message, metadata) { return this.log('success', message, metadata); }
+    warn(message, metadata) { return this.log('warn', message, metadata); }
+    error(message, metadata) { return this.log('error', message, metadata); }
+
+    // Same sinks, level and secrets under another service name (history is kept separately)
+    child(service) {
+        return new Logger(service, {
+            level: this.level,
+            sinks: this.sinks,
+            secrets: this.secrets,
+            bufferSize: this.buffer.capacity,
+            now: this.now
+        });
+    }
+
+    getLogs(network = null, options = {}) {
+        let logs = this.buffer.toArray();
+        if (network) logs = logs.filter(log => log.network === network);
+        if (options.level) logs = logs.filter(log => LEVELS[log.level] >= LEVELS[options.level]);
+        if (options.limit) logs = logs.slice(-options.limit);
+        return logs;
+    }
+}
+
+// Logger configured from LOG_LEVEL, LOG_FILE, LOG_ROTATION (size | daily),
+// LOG_MAX_SIZE (bytes), LOG_MAX_FILES and LOG_BUFFER_SIZE
+function createLogger(service, options = {}) {
+    const env = options.env || process.env;
+    const sinks = [new ConsoleSink()];
+
+    if (env.LOG_FILE) {
+        sinks.push(getFileSink(env.LOG_FILE, {
+            rotation: env.LOG_ROTATION === 'daily' ? 'daily' : 'size',
+            maxSize: parseInt(env.LOG_MAX_SIZE, 10) || undefined,
+            maxFiles: parseInt(env.LOG_MAX_FILES, 10) || undefined
+        }));
+    }
+
+    return new Logger(service, {
+        level: options.level || env.LOG_LEVEL,
+        sinks: options.sinks || sinks,
+        secrets: secretsFromEnv(env),
+        bufferSize: parseInt(env.LOG_BUFFER_SIZE, 10) || undefined,
+        now: options.now
+    });
+}
+
+module.exports = {
+    Logger,
+    ConsoleSink,
+    FileSink,
+    RingBuffer,
+    createLogger,
+    getFileSink,
+    redact,
+    redactUrl,
+    secretsFromEnv,
+    LEVELS,
+    REDACTED
+};
@@ -0,0 +1,240 @@
+/**
+ * METRICS REGISTRY - PROMETHEUS TEXT EXPOSITION
+ * Counters | Gauges | Histograms | Scrape-time collectors | /metrics HTTP endpoint
+ */
+
+const http = require('http');
+
+// Request latency buckets in seconds (RPC calls range from ~20ms to the 15s timeout)
+const DEFAULT_BUCKETS = [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15];
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (Number.isNaN(value)) return 'NaN';
+    return String(value);
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+            throw new Error(`Invalid metric name: ${name}`);
+        }
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    // Labels in declaration order; unknown label names are rejected
+    normalizeLabels(labels = {}) {
+        Object.keys(labels).forEach(label => {
+            if (!this.labelNames.includes(label)) {
+                throw new Error(`Unknown label "${label}" for metric ${this.name}`);
+            }
+        });
+        return Object.fromEntries(this.labelNames.map(label => [label, labels[label] ?? '']));
+    }
+
+    getSeries(labels, create) {
+        const normalized = this.normalizeLabels(labels);
+        const key = JSON.stringify(normalized);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: normalized, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        if (amount < 0) {
+            throw new Error(`Counter ${this.name} cannot decrease`);
+        }
+        this.getSeries(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    // Mirror an externally maintained total (e.g. the manager's metrics object)
+    set(labels, value) {
+        this.getSeries(labels, () => ({ value: 0 })).value = value;
+    }
+
+    get(labels = {}) {
+        const series = this.series.get(JSON.stringify(this.normalizeLabels(labels)));
+        return series ? series.value : 0;
+    }
+
+    render() {
+        return [
+            ...this.header(),
+            ...Array.from(this.series.values()).map(series =>
+                `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`)
+        ];
+    }
+}
+
+class Gauge extends Counter {
+    constructor(name, help, labelNames) {
+        super(name, help, labelNames);
+        this.type = 'gauge';
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.getSeries(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    dec(labels = {}, amount = 1) {
+        this.inc(labels, -amount);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        if (labelNames.includes('le')) {
+            throw new Error(`Histogram ${name} cannot use the reserved label "le"`);
+        }
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        const series = this.getSeries(labels, () => ({
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = this.header();
+        this.series.forEach(series => {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        });
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor(options = {}) {
+        this.prefix = options.prefix || '';
+        this.metrics = new Map();
+        this.collectors = [];
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            const existing = this.metrics.get(metric.name);
+            if (existing.type !== metric.type) {
+                throw new Error(`Metric ${metric.name} already registered as a ${existing.type}`);
+            }
+            return existing;
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames = []) {
+        return this.register(new Counter(this.prefix + name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames = []) {
+        return this.register(new Gauge(this.prefix + name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        return this.register(new Histogram(this.prefix + name, help, labelNames, buckets));
+    }
+
+    getMetric(name) {
+        return this.metrics.get(this.prefix + name) || null;
+    }
+
+    // Collectors run before every render and refresh gauges from live state
+    addCollector(collector) {
+        this.collectors.push(collector);
+    }
+
+    render() {
+        this.collectors.forEach(collector => collector(this));
+
+        const lines = [];
+        this.metrics.forEach(metric => lines.push(...metric.render()));
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+// Minimal HTTP server answering GET <path> with the registry in Prometheus text format
+function createMetricsServer(registry, options = {}) {
+    const metricsPath = options.path || '/metrics';
+
+    return http.createServer((request, response) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+
+        if (pathname !== metricsPath) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Not found\n');
+            return;
+        }
+
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            response.writeHead(405, { Allow: 'GET, HEAD', 'Content-Type': 'text/plain' });
+            response.end('Method not allowed\n');
+            return;
+        }
+
+        try {
+            const body = registry.render();
+            response.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+            response.end(request.method === 'HEAD' ? undefined : body);
+        } catch (error) {
+            response.writeHead(500, { 'Content-Type': 'text/plain' });
+            response.end(`Failed to collect metrics: ${error.message}\n`);
+        }
+    });
+}
+
+module.exports = {
+    MetricsRegistry,
+    Counter,
+    Gauge,
+    Histogram,
+    createMetricsServer,
+    DEFAULT_BUCKETS,
+    CONTENT_TYPE
+};
@@ -0,0 +1,200 @@
+/**
+ * OPERATION TRACKER - ABORTSIGNAL CANCELLATION + GRACEFUL DRAINING
+ * In-flight work registry | Stop accepting on shutdown | Deadline, then abort the rest
+ */
+
+const { setMaxListeners } = require('events');
+
+class ShutdownError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ShutdownError';
+        this.code = 'SHUTTING_DOWN';
+    }
+}
+
+// Reason carried by aborted signals. Plain abort() leaves a DOMException (numeric code 20),
+// so that and non-Error reasons become an AbortError with code ABORT_ERR.
+function abortReason(signal) {
+    const { reason } = signal;
+    if (reason instanceof Error && reason.name !== 'AbortError') return reason;
+    const error = new Error(reason instanceof Error ? reason.message : reason ? String(reason) : 'Operation aborted');
+    error.name = 'AbortError';
+    error.code = 'ABORT_ERR';
+    return error;
+}
+
+// Cancelled work (shutdown, caller abort, axios CanceledError) says nothing about the endpoint it ran against
+const CANCELLED_CODES = new Set(['ABORT_ERR', 'SHUTTING_DOWN', 'ERR_CANCELED']);
+
+function isCancellation(error) {
+    return Boolean(error) && (CANCELLED_CODES.has(error.code) || error.name === 'AbortError');
+}
+
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) throw abortReason(signal);
+}
+
+// Settle with `promise`, or reject as soon as `signal` aborts (the underlying work is abandoned, not stopped)
+function abortable(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(abortReason(signal));
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(abortReason(signal));
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+// Signal that aborts with the first of `signals`. AbortSignal.any needs Node 18.17 and only drops its
+// listeners on garbage collection, so these are linked by hand and unlinked when the work settles.
+function linkSignals(signals) {
+    const controller = new AbortController();
+    const aborted = signals.find(signal => signal.aborted);
+    if (aborted) {
+        controller.abort(aborted.reason);
+        return { signal: controller.signal, unlink: () => {} };
+    }
+
+    const onAbort = event => controller.abort(event.target.reason);
+    const unlink = () => signals.forEach(signal => signal.removeEventListener('abort', onAbort));
+    signals.forEach(signal => signal.addEventListener('abort', onAbort, { once: true }));
+    controller.signal.addEventListener('abort', unlink, { once: true });
+    return { signal: controller.signal, unlink };
+}
+
+function sleep(ms, signal = null) {
+    if (!signal) return new Promise(resolve => setTimeout(resolve, ms));
+    if (signal.aborted) return Promise.reject(abortReason(signal));
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortReason(signal));
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+class OperationTracker {
+    constructor(options = {}) {
+        this.setTimeout = options.setTimeout || setTimeout;
+        this.clearTimeout = options.clearTimeout || clearTimeout;
+        this.nextId = 1;
+        this.controller = null;
+        this.open();
+    }
+
+    // Accept work again (after a drain); a fresh controller so old aborts do not leak into new work
+    open() {
+        if (this.controller && this.accepting) return;
+
+        this.controller = new AbortController();
+        // Sweeps wait on one signal per wallet and network at once; every wait removes its listener when it settles
+        setMaxListeners(0, this.controller.signal);
+        this.accepting = true;
+        this.inFlight = new Map();
+        // Signals handed to tracked work; work started with one of them may still start while draining
+        this.ownSignals = new WeakSet([this.controller.signal]);
+    }
+
+    get signal() {
+        return this.controller.signal;
+    }
+
+    /**
+     * Run `operation(signal)` as tracked work. The signal aborts when the tracker cancels
+     * (drain deadline) or when the caller's `signal` aborts.
+     * Once draining, new work is rejected with ShutdownError unless it was started by tracked work.
+     */
+    run(name, operation, signal = null) {
+        if (!this.accepting && !(signal && this.ownSignals.has(signal))) {
+            return Promise.reject(new ShutdownError(`Cannot start ${name}: shutting down`));
+        }
+
+        const { signal: combined, unlink } = signal && signal !== this.controller.signal
+            ? linkSignals([this.controller.signal, signal])
+            : { signal: this.controller.signal, unlink: () => {} };
+        setMaxListeners(0, combined);
+        this.ownSignals.add(combined);
+
+        const id = this.nextId++;
+        const promise = Promise.resolve().then(() => {
+            throwIfAborted(combined);
+            return operation(combined);
+        });
+
+        this.inFlight.set(id, { name, startedAt: Date.now(), promise });
+        const remove = () => {
+            this.inFlight.delete(id);
+            unlink();
+        };
+        promise.then(remove, remove);
+
+        return promise;
+    }
+
+    /**
+     * Stop accepting work, wait up to `timeout` ms for in-flight work, then abort what is left
+     * and wait for it to settle. Resolves with { completed, cancelled } operation names.
+     */
+    async drain(timeout = 10000) {
+        this.accepting = false;
+
+        let expired = false;
+        let wake = null;
+        const deadline = new Promise((resolve) => { wake = resolve; });
+        const timer = this.setTimeout(() => {
+            expired = true;
+            wake();
+        }, timeout);
+
+        // Tracked work may start follow-up work while it finishes; wait for that too
+        const seen = new Map();
+        while (this.inFlight.size > 0 && !expired) {
+            const current = Array.from(this.inFlight.entries());
+            current.forEach(([id, entry]) => seen.set(id, entry.name));
+            await Promise.race([Promise.allSettled(current.map(([, entry]) => entry.promise)), deadline]);
+        }
+        this.clearTimeout(timer);
+
+        const cancelledIds = Array.from(this.inFlight.keys());
+        if (cancelledIds.length > 0) {
+            this.inFlight.forEach((entry, id) => seen.set(id, entry.name));
+            this.controller.abort(new ShutdownError(`Shutdown deadline of ${timeout}ms exceeded`));
+            while (this.inFlight.size > 0) {
+                await Promise.allSettled(Array.from(this.inFlight.values()).map(entry => entry.promise));
+            }
+        }
+
+        return {
+            completed: Array.from(seen).filter(([id]) => !cancelledIds.includes(id)).map(([, name]) => name),
+            cancelled: cancelledIds.map(id => seen.get(id))
+        };
+    }
+
+    getStatus() {
+        return {
+            accepting: this.accepting,
+            inFlight: Array.from(this.inFlight.values()).map(entry => ({
+                name: entry.name,
+                startedAt: new Date(entry.startedAt)
+            }))
+        };
+    }
+}
+
+module.exports = {
+    OperationTracker,
+    ShutdownError,
+    abortable,
+    abortReason,
+    isCancellation,
+    throwIfAborted,
+    sleep
+};
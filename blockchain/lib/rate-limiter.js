@@ -0,0 +1,476 @@
+/**
+ * RATE LIMITER - TOKEN BUCKETS + COMPUTE-UNIT BUDGETS
+ * Per-provider compute units per second | Method costs | Daily budget kept across restarts | Priority-aware throttling
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const { abortReason } = require('./operation-tracker');
+
+const PRIORITIES = ['high', 'normal', 'low'];
+
+// Compute units per method, following Alchemy's published costs; unknown methods use defaultCost
+const DEFAULT_METHOD_COSTS = {
+    eth_chainId: 0,
+    net_version: 0,
+    eth_blockNumber: 10,
+    eth_getBalance: 19,
+    eth_gasPrice: 19,
+    eth_call: 26,
+    eth_getTransactionCount: 26,
+    eth_getTransactionReceipt: 15,
+    eth_estimateGas: 87,
+    eth_sendRawTransaction: 250,
+    getVersion: 10,
+    getSlot: 10,
+    getBalance: 19,
+    getLatestBlockhash: 10,
+    sendTransaction: 250,
+    starknet_chainId: 0,
+    starknet_blockNumber: 10,
+    starknet_call: 26
+};
+
+// Balance sweeps are low priority, anything on the send path is high; the rest is normal
+const METHOD_PRIORITIES = {
+    eth_getBalance: 'low',
+    getBalance: 'low',
+    starknet_call: 'low',
+    scantxoutset: 'low',
+    esplora_address: 'low',
+    esplora_address_utxo: 'low',
+    eth_gasPrice: 'high',
+    eth_estimateGas: 'high',
+    eth_getTransactionCount: 'high',
+    eth_sendRawTransaction: 'high',
+    getLatestBlockhash: 'high',
+    sendTransaction: 'high',
+    sendrawtransaction: 'high'
+};
+
+// Share of the daily budget each priority may spend, so sweeps stop first and sends last
+const BUDGET_SHARE = {
+    low: 0.9,
+    normal: 0.98,
+    high: 1
+};
+
+// Low-priority calls cost up to this many bucket tokens once the budget passes slowdownAt
+const MAX_SLOWDOWN = 5;
+
+// Budget spent is written this long after a call, so bursts of calls share one write
+const DEFAULT_SAVE_DELAY = 5000;
+
+const DEFAULT_LIMIT_POLICY = {
+    // Host names (or parent domains) served by this provider
+    hosts: [],
+    // Sustained rate and burst size of the token bucket, in compute units
+    computeUnitsPerSecond: 330,
+    burst: null,
+    // Compute units per UTC day; null means no daily budget
+    dailyBudget: null,
+    // Budget share after which low-priority work is slowed down
+    slowdownAt: 0.75,
+    defaultCost: 20,
+    methodCosts: {}
+};
+
+// Config sections use snake_case; map them onto the policy fields
+const LIMIT_POLICY_FIELDS = {
+    hosts: 'hosts',
+    compute_units_per_second: 'computeUnitsPerSecond',
+    burst: 'burst',
+    daily_budget: 'dailyBudget',
+    slowdown_at: 'slowdownAt',
+    default_cost: 'defaultCost',
+    method_costs: 'methodCosts'
+};
+
+class BudgetExhaustedError extends Error {
+    constructor(provider, priority, used, budget) {
+        super(`Daily compute-unit budget for ${provider} exhausted for ${priority}-priority requests (${used}/${budget} CU used)`);
+        this.name = 'BudgetExhaustedError';
+        this.code = 'BUDGET_EXHAUSTED';
+        this.provider = provider;
+        this.priority = priority;
+    }
+}
+
+function resolveLimitPolicy(section = {}) {
+    const policy = { ...DEFAULT_LIMIT_POLICY };
+    Object.entries(section).forEach(([key, value]) => {
+        const field = LIMIT_POLICY_FIELDS[key] || (key in DEFAULT_LIMIT_POLICY ? key : null);
+        if (field && value !== undefined) policy[field] = value;
+    });
+    policy.methodCosts = { ...DEFAULT_METHOD_COSTS, ...policy.methodCosts };
+    policy.burst = policy.burst || policy.computeUnitsPerSecond * 2;
+    return policy;
+}
+
+function methodPriority(method) {
+    return METHOD_PRIORITIES[method] || 'normal';
+}
+
+function dayStamp(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+class RateLimiter extends EventEmitter {
+    constructor(provider, policy = {}, options = {}) {
+        super();
+        this.provider = provider;
+        this.policy = resolveLimitPolicy(policy);
+        this.now = options.now || Date.now;
+        this.setTimeout = options.setTimeout || setTimeout;
+        this.clearTimeout = options.clearTimeout || clearTimeout;
+
+        this.tokens = this.policy.burst;
+        this.lastRefill = this.now();
+        this.day = dayStamp(this.now());
+        this.used = 0;
+        this.throttling = false;
+        this.exhausted = new Set();
+
+        this.waiters = [];
+        this.timer = null;
+        this.stats = { granted: 0, delayed: 0, rejected: 0 };
+    }
+
+    // Compute units for one method or a batch of methods
+    cost(methods) {
+        return [].concat(methods).reduce((total, method) => {
+            const cost = this.policy.methodCosts[method];
+            return total + (cost !== undefined ? cost : this.policy.defaultCost);
+        }, 0);
+    }
+
+    // A batch runs at the priority of its most urgent call
+    priorityOf(methods) {
+        const priorities = [].concat(methods).map(methodPriority);
+        return PRIORITIES.find(priority => priorities.includes(priority)) || 'normal';
+    }
+
+    /**
+     * Wait until the bucket can pay for `methods` and charge the daily budget.
+     * Rejects with BudgetExhaustedError when the priority's share of the budget is spent.
+     * @param {string|string[]} methods - JSON-RPC method name(s) sent in one request
+     * @param {Object} [options]
+     * @param {string} [options.priority] - high | normal | low (derived from the methods by default)
+     * @param {AbortSignal} [options.signal] - Gives up the place in the queue when aborted
+     */
+    acquire(methods, options = {}) {
+        const priority = options.priority || this.priorityOf(methods);
+        if (!PRIORITIES.includes(priority)) {
+            return Promise.reject(new Error(`Unknown rate limit priority: ${priority}`));
+        }
+
+        const { signal } = options;
+        if (signal && signal.aborted) return Promise.reject(abortReason(signal));
+
+        return new Promise((resolve, reject) => {
+            const waiter = { cost: this.cost(methods), priority, resolve, reject };
+            // Calls queue behind earlier waiters rather than overtaking them
+            if (this.waiters.length === 0 && this.grant(waiter)) return;
+
+            this.stats.delayed++;
+            this.waiters.push(waiter);
+            this.schedule();
+
+            if (signal) {
+                const onAbort = () => {
+                    this.waiters.splice(this.waiters.indexOf(waiter), 1);
+                    reject(abortReason(signal));
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+                waiter.resolve = (value) => {
+                    signal.removeEventListener('abort', onAbort);
+                    resolve(value);
+                };
+                waiter.reject = (error) => {
+                    signal.removeEventListener('abort', onAbort);
+                    reject(error);
+                };
+            }
+        });
+    }
+
+    refill() {
+        const now = this.now();
+        const day = dayStamp(now);
+        if (day !== this.day) {
+            this.day = day;
+            this.used = 0;
+            this.throttling = false;
+            this.exhausted.clear();
+            this.emit('budget-reset', this.getStatus());
+        }
+
+        const elapsed = Math.max(0, now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.policy.burst, this.tokens + elapsed * this.policy.computeUnitsPerSecond);
+        this.lastRefill = now;
+    }
+
+    budgetUsage() {
+        return this.policy.dailyBudget ? this.used / this.policy.dailyBudget : 0;
+    }
+
+    // Bucket tokens a call takes; low-priority calls get more expensive as the budget runs out
+    bucketCost(waiter) {
+        const { slowdownAt } = this.policy;
+        const usage = this.budgetUsage();
+        if (waiter.priority !== 'low' || usage < slowdownAt) return waiter.cost;
+
+        const progress = Math.min(1, (usage - slowdownAt) / Math.max(BUDGET_SHARE.low - slowdownAt, 0.01));
+        return Math.round(waiter.cost * (1 + (MAX_SLOWDOWN - 1) * progress));
+    }
+
+    // Resolve (or reject) a waiter if possible right now; false means it has to wait
+    grant(waiter) {
+        this.refill();
+
+        const budget = this.policy.dailyBudget;
+        if (budget && this.used + waiter.cost > budget * BUDGET_SHARE[waiter.priority]) {
+            this.stats.rejected++;
+            // Reported once per priority and day; later rejections only count
+            if (!this.exhausted.has(waiter.priority)) {
+                this.exhausted.add(waiter.priority);
+                this.emit('budget-exhausted', { provider: this.provider, priority: waiter.priority, used: this.used, budget });
+            }
+            waiter.reject(new BudgetExhaustedError(this.provider, waiter.priority, this.used, budget));
+            return true;
+        }
+
+        // Calls costing more than the whole bucket go through once it is full
+        const tokens = this.bucketCost(waiter);
+        if (this.tokens < Math.min(tokens, this.policy.burst)) return false;
+
+        this.tokens -= tokens;
+        this.used += waiter.cost;
+        this.stats.granted++;
+
+        if (!this.throttling && budget && this.budgetUsage() >= this.policy.slowdownAt) {
+            this.throttling = true;
+            this.emit('budget-throttling', this.getStatus());
+        }
+
+        waiter.resolve();
+        return true;
+    }
+
+    // Highest priority first, first come first served within a priority
+    nextWaiter() {
+        for (const priority of PRIORITIES) {
+            const waiter = this.waiters.find(candidate => candidate.priority === priority);
+            if (waiter) return waiter;
+        }
+        return null;
+    }
+
+    drain() {
+        this.timer = null;
+
+        let waiter = this.nextWaiter();
+        while (waiter && this.grant(waiter)) {
+            this.waiters.splice(this.waiters.indexOf(waiter), 1);
+            waiter = this.nextWaiter();
+        }
+        this.schedule();
+    }
+
+    schedule() {
+        if (this.timer || this.waiters.length === 0) return;
+
+        const waiter = this.nextWaiter();
+        const needed = Math.min(this.bucketCost(waiter), this.policy.burst) - this.tokens;
+        const delay = Math.max(1, Math.ceil((needed / this.policy.computeUnitsPerSecond) * 1000));
+        this.timer = this.setTimeout(() => this.drain(), delay);
+    }
+
+    // Budget spent today, as saved by the registry
+    getUsage() {
+        this.refill();
+        return { day: this.day, used: this.used };
+    }
+
+    // Take over the budget a previous process spent today; usage saved on another day is ignored
+    restoreUsage(usage) {
+        this.refill();
+        if (!usage || usage.day !== this.day || !(usage.used > this.used)) return;
+
+        this.used = usage.used;
+        this.throttling = Boolean(this.policy.dailyBudget) && this.budgetUsage() >= this.policy.slowdownAt;
+    }
+
+    // Apply a new policy without resetting the bucket or the budget spent today
+    setPolicy(policy) {
+        this.policy = resolveLimitPolicy(policy);
+        this.tokens = Math.min(this.tokens, this.policy.burst);
+        this.throttling = Boolean(this.policy.dailyBudget) && this.budgetUsage() >= this.policy.slowdownAt;
+    }
+
+    matches(hostname) {
+        return this.policy.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+    }
+
+    // Reject everything still waiting (shutdown or provider removed from the config)
+    close(reason = 'Rate limiter closed') {
+        if (this.timer) {
+            this.clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.waiters.splice(0).forEach(waiter => waiter.reject(new Error(reason)));
+    }
+
+    getStatus() {
+        this.refill();
+        const waiting = Object.fromEntries(PRIORITIES.map(priority => [
+            priority, this.waiters.filter(waiter => waiter.priority === priority).length
+        ]));
+
+        return {
+            provider: this.provider,
+            tokens: Math.floor(this.tokens),
+            burst: this.policy.burst,
+            computeUnitsPerSecond: this.policy.computeUnitsPerSecond,
+            usedToday: this.used,
+            dailyBudget: this.policy.dailyBudget,
+            budgetUsage: Number(this.budgetUsage().toFixed(4)),
+            throttling: this.throttling,
+            waiting,
+            ...this.stats
+        };
+    }
+}
+
+// One limiter per configured provider, looked up by endpoint host. With options.stateFile the budget
+// spent today is saved there, so a restart does not hand out the daily budget again.
+class RateLimiterRegistry extends EventEmitter {
+    constructor(config = {}, options = {}) {
+        super();
+        this.options = options;
+        this.stateFile = options.stateFile || null;
+        this.saveDelay = options.saveDelay ?? DEFAULT_SAVE_DELAY;
+        this.savedUsage = {};
+        this.saveTimer = null;
+        this.saving = Promise.resolve();
+        this.limiters = new Map();
+        this.configure(config);
+    }
+
+    // Create, update or drop limiters to match `config` (provider -> policy section)
+    configure(config = {}) {
+        this.limiters.forEach((limiter, provider) => {
+            if (!config[provider]) {
+                limiter.close(`Rate limits for ${provider} were removed`);
+                limiter.removeAllListeners();
+                this.limiters.delete(provider);
+            }
+        });
+
+        Object.entries(config).forEach(([provider, policy]) => {
+            if (this.limiters.has(provider)) {
+                this.limiters.get(provider).setPolicy(policy);
+                return;
+            }
+
+            const limiter = new RateLimiter(provider, policy, this.options);
+            ['budget-throttling', 'budget-exhausted', 'budget-reset'].forEach(event => {
+                limiter.on(event, payload => this.emit(event, payload));
+            });
+            limiter.restoreUsage(this.savedUsage[provider]);
+            this.limiters.set(provider, limiter);
+        });
+    }
+
+    forUrl(url) {
+        let hostname;
+        try {
+            hostname = new URL(url).hostname;
+        } catch (error) {
+            return null;
+        }
+
+        for (const limiter of this.limiters.values()) {
+            if (limiter.matches(hostname)) return limiter;
+        }
+        return null;
+    }
+
+    // Resolves immediately for endpoints that no provider entry covers
+    async acquire(url, methods, options = {}) {
+        const limiter = this.forUrl(url);
+        if (limiter) {
+            await limiter.acquire(methods, options);
+            this.scheduleSave();
+        }
+    }
+
+    // Read the budget saved by an earlier process; a missing or unreadable file starts from zero
+    async load() {
+        if (!this.stateFile) return;
+        try {
+            const state = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+            this.savedUsage = state.providers || {};
+        } catch (error) {
+            this.savedUsage = {};
+        }
+        this.limiters.forEach((limiter, provider) => limiter.restoreUsage(this.savedUsage[provider]));
+    }
+
+    scheduleSave() {
+        if (!this.stateFile || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(error => this.emit('save-failed', error));
+        }, this.saveDelay);
+        this.saveTimer.unref?.();
+    }
+
+    // Writes queue behind each other; each one is renamed into place, so a crash leaves the previous file
+    save() {
+        if (!this.stateFile) return Promise.resolve();
+        this.saving = this.saving.catch(() => {}).then(async () => {
+            this.limiters.forEach((limiter, provider) => { this.savedUsage[provider] = limiter.getUsage(); });
+            const temporary = `${this.stateFile}.writing`;
+            await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+            await fs.writeFile(temporary, JSON.stringify({ providers: this.savedUsage }, null, 2));
+            await fs.rename(temporary, this.stateFile);
+        });
+        return this.saving;
+    }
+
+    // Write a pending save now (shutdown)
+    async flush() {
+        if (!this.saveTimer) return this.saving.catch(() => {});
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        return this.save();
+    }
+
+    close() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        this.limiters.forEach(limiter => limiter.close());
+    }
+
+    getStatus() {
+        return Object.fromEntries(Array.from(this.limiters.entries()).map(([provider, limiter]) => [
+            provider, limiter.getStatus()
+        ]));
+    }
+}
+
+module.exports = {
+    RateLimiter,
+    RateLimiterRegistry,
+    BudgetExhaustedError,
+    resolveLimitPolicy,
+    methodPriority,
+    DEFAULT_METHOD_COSTS,
+    METHOD_PRIORITIES,
+    BUDGET_SHARE,
+    PRIORITIES
+};
@@ -0,0 +1,219 @@
+/**
+ * RETRY POLICY - ERROR CLASSIFICATION + BACKOFF
+ * transient / rate_limited / provider / permanent | Jittered exponential backoff | Retry-After | Per-operation policies
+ */
+
+const { sleep: abortableSleep, isCancellation, throwIfAborted } = require('./operation-tracker');
+
+const ERROR_CLASSES = ['transient', 'rate_limited', 'provider', 'permanent'];
+
+// Per-operation policies. Sends only retry when the provider refused the request outright (429),
+// because any other failure may have happened after the transaction reached the mempool.
+const RETRY_POLICIES = {
+    default: { maxAttempts: 3, baseDelay: 1000, maxDelay: 30000, jitter: 0.5, retryOn: ['transient', 'rate_limited', 'provider'] },
+    connect: { maxAttempts: 3, baseDelay: 2000, maxDelay: 30000, jitter: 0.5, retryOn: ['transient', 'rate_limited', 'provider'] },
+    balance: { maxAttempts: 2, baseDelay: 1000, maxDelay: 10000, jitter: 0.5, retryOn: ['transient', 'rate_limited'] },
+    health_check: { maxAttempts: 1, baseDelay: 0, maxDelay: 0, jitter: 0, retryOn: [] },
+    send: { maxAttempts: 3, baseDelay: 2000, maxDelay: 30000, jitter: 0.5, retryOn: ['rate_limited'] },
+    notify: { maxAttempts: 3, baseDelay: 2000, maxDelay: 30000, jitter: 0.5, retryOn: ['transient', 'rate_limited', 'provider'] }
+};
+
+// Retry-After values above this (ms) are not waited out; the error is raised instead
+const MAX_RETRY_AFTER = 60000;
+
+const NETWORK_ERROR_CODES = new Set([
+    'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT',
+    'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'ERR_NETWORK'
+]);
+
+// JSON-RPC error codes (EIP-1474 and common provider extensions)
+const RPC_CODE_CLASSES = {
+    '-32700': 'permanent', // parse error
+    '-32600': 'permanent', // invalid request
+    '-32601': 'permanent', // method not found
+    '-32602': 'permanent', // invalid params
+    '-32003': 'permanent', // transaction rejected
+    '-32004': 'permanent', // method not supported
+    '-32005': 'rate_limited', // limit exceeded
+    '-32603': 'provider', // internal error
+    '-32002': 'provider', // resource unavailable
+    '-32000': 'provider' // server error; the message decides when it is more specific
+};
+
+// Message patterns, checked in this order; permanent ones win over generic codes
+const MESSAGE_CLASSES = [
+    ['permanent', /chain id mismatch|invalid (\w+ )?address|insufficient funds|nonce too low|already known|replacement transaction underpriced|execution reverted|intrinsic gas too low|gas required exceeds|invalid (argument|params)|unknown bitcoin network|unsupported/i],
+    ['rate_limited', /rate.?limit|too many requests|exceeded .*(capacity|quota)|compute units per second/i],
+    ['transient', /time(d)? ?out|socket hang up|network error|connection (closed|reset|refused)|econnreset|econnrefused|etimedout|eai_again/i],
+    ['provider', /header not found|missing trie node|internal error|server error|bad gateway|service unavailable|node is (behind|unhealthy)/i]
+];
+
+function headerValue(headers, name) {
+    if (!headers) return undefined;
+    if (typeof headers.get === 'function') return headers.get(name);
+    const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+    return key === undefined ? undefined : headers[key];
+}
+
+// Retry-After in ms from the response headers (seconds or an HTTP date) or error.retryAfter; null if absent
+function parseRetryAfter(error, now = Date.now()) {
+    if (Number.isFinite(error.retryAfter)) return Math.max(0, error.retryAfter);
+
+    const value = headerValue(error.response && error.response.headers, 'retry-after');
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function classifyStatus(status) {
+    if (status === 429) return 'rate_limited';
+    if (status === 408) return 'transient';
+    if (status >= 500) return 'provider';
+    if (status >= 400) return 'permanent';
+    return null;
+}
+
+function classifySingle(error) {
+    if (error.code === 'CIRCUIT_OPEN') return { errorClass: 'provider', retryable: false };
+    if (error.code === 'BUDGET_EXHAUSTED') return { errorClass: 'rate_limited', retryable: false };
+    // Cancelled work could succeed later but must not be retried
+    if (isCancellation(error)) return { errorClass: 'transient', retryable: false };
+    // Errors that know their class from their own protocol (e.g. SMTP reply codes)
+    if (ERROR_CLASSES.includes(error.errorClass) && error.classified === true) return { errorClass: error.errorClass };
+
+    const message = String(error.message || '');
+    const byMessage = MESSAGE_CLASSES.find(([, pattern]) => pattern.test(message));
+    if (byMessage && byMessage[0] === 'permanent') return { errorClass: 'permanent' };
+
+    const status = error.response && error.response.status;
+    if (status && classifyStatus(status)) return { errorClass: classifyStatus(status) };
+
+    // A specific message (e.g. "header not found") says more than a generic -32000
+    if (byMessage) return { errorClass: byMessage[0] };
+    if (typeof error.code === 'number' && RPC_CODE_CLASSES[error.code]) {
+        return { errorClass: RPC_CODE_CLASSES[error.code] };
+    }
+    if (typeof error.code === 'string' && NETWORK_ERROR_CODES.has(error.code)) return { errorClass: 'transient' };
+    if (error instanceof TypeError || error instanceof RangeError) return { errorClass: 'permanent' };
+
+    // Unrecognised failures are treated as transient so reads keep their old retry behaviour
+    return { errorClass: 'transient' };
+}
+
+/**
+ * Classify an error for retry decisions and metrics.
+ * Errors carrying `errors` (every endpoint of a pool failed) are permanent only if all of them are;
+ * otherwise the most recoverable class wins and the longest Retry-After applies.
+ * @returns {{ errorClass: string, retryable: boolean, retryAfter: number|null }}
+ */
+function classifyError(error, now = Date.now()) {
+    if (!error) return { errorClass: 'transient', retryable: true, retryAfter: null };
+
+    if (Array.isArray(error.errors) && error.errors.length > 0) {
+        const results = error.errors.map(inner => classifyError(inner, now));
+        const order = ['rate_limited', 'transient', 'provider', 'permanent'];
+        const recoverable = results.filter(result => result.retryable);
+        const pool = recoverable.length > 0 ? recoverable : results;
+        const errorClass = order.find(candidate => pool.some(result => result.errorClass === candidate));
+        const retryAfters = pool.map(result => result.retryAfter).filter(value => value !== null);
+
+        return {
+            errorClass,
+            retryable: recoverable.length > 0,
+            retryAfter: retryAfters.length > 0 ? Math.max(...retryAfters) : null
+        };
+    }
+
+    const { errorClass, retryable = errorClass !== 'permanent' } = classifySingle(error);
+    return {
+        errorClass,
+        retryable,
+        retryAfter: errorClass === 'rate_limited' ? parseRetryAfter(error, now) : null
+    };
+}
+
+function resolveRetryPolicy(policy = 'default') {
+    if (typeof policy === 'string') {
+        if (!RETRY_POLICIES[policy]) throw new Error(`Unknown retry policy: ${policy}`);
+        return { ...RETRY_POLICIES[policy] };
+    }
+    return { ...RETRY_POLICIES.default, ...policy };
+}
+
+// Exponential delay for `attempt` (1-based), capped at maxDelay; jitter removes up to that share at random
+function backoffDelay(policy, attempt, random = Math.random) {
+    const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+    return Math.round(delay * (1 - policy.jitter * random()));
+}
+
+/**
+ * Run `operation` under a retry policy. The error finally thrown carries `errorClass` and `attempts`.
+ * @param {Function} operation - async (attempt) => result
+ * @param {Object} [options]
+ * @param {string|Object} [options.policy='default'] - RETRY_POLICIES key or a policy object
+ * @param {string} [options.name] - Prefix for log messages (e.g. the network name)
+ * @param {Object} [options.logger] - warn/error logger (defaults to console)
+ * @param {Function} [options.onRetry] - ({ attempt, delay, errorClass, error }) => void, before each wait
+ * @param {AbortSignal} [options.signal] - Stops further attempts and cuts the wait between them short
+ * @param {Function} [options.sleep] - async (ms, signal) => void
+ * @param {Function} [options.random] - () => number in [0, 1)
+ * @param {Function} [options.now] - () => ms timestamp, for HTTP-date Retry-After values
+ */
+async function retry(operation, options = {}) {
+    const policy = resolveRetryPolicy(options.policy);
+    const name = options.name || 'operation';
+    const logger = options.logger || console;
+    const sleep = options.sleep || abortableSleep;
+    const signal = options.signal || null;
+    const now = options.now || Date.now;
+
+    for (let attempt = 1; ; attempt++) {
+        throwIfAborted(signal);
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            if (signal && signal.aborted) throw error;
+
+            const { errorClass, retryable, retryAfter } = classifyError(error, now());
+            error.errorClass = errorClass;
+            error.attempts = attempt;
+
+            const allowed = retryable && policy.retryOn.includes(errorClass);
+            const waitTooLong = retryAfter !== null && retryAfter > MAX_RETRY_AFTER;
+
+            if (!allowed || waitTooLong || attempt >= policy.maxAttempts) {
+                if (policy.maxAttempts > 1) {
+                    const reason = !allowed ? `${errorClass} error, not retried` : `giving up after ${attempt} attempts`;
+                    logger.error(`${name}: ${reason}`, { error: error.message, errorClass });
+                }
+                throw error;
+            }
+
+            const delay = retryAfter !== null
+                ? Math.max(retryAfter, backoffDelay(policy, attempt, options.random))
+                : backoffDelay(policy, attempt, options.random);
+
+            logger.warn(`${name}: Attempt ${attempt} failed (${errorClass}), retrying in ${delay}ms`, {
+                error: error.message,
+                errorClass
+            });
+            if (options.onRetry) options.onRetry({ attempt, delay, errorClass, error });
+            await sleep(delay, signal);
+        }
+    }
+}
+
+module.exports = {
+    retry,
+    classifyError,
+    parseRetryAfter,
+    backoffDelay,
+    resolveRetryPolicy,
+    ERROR_CLASSES,
+    RETRY_POLICIES,
+    MAX_RETRY_AFTER
+};
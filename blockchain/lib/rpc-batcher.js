@@ -0,0 +1,134 @@
+/**
+ * RPC BATCHER - JSON-RPC BATCHING + REQUEST COALESCING
+ * One HTTP round trip per batch window | Duplicate in-flight calls share a single request | Rate limit hook
+ */
+
+const axios = require('axios');
+
+class RpcBatcher {
+    constructor(url, options = {}) {
+        this.url = url;
+        this.httpClient = options.httpClient || axios;
+        this.maxBatchSize = options.maxBatchSize || 50;
+        this.batchWindow = options.batchWindow !== undefined ? options.batchWindow : 10;
+        this.timeout = options.timeout || 15000;
+        // async (requests) => {} run before each HTTP request, e.g. to wait for rate limit tokens
+        this.beforeSend = options.beforeSend || null;
+        // Aborting it cancels HTTP requests still on the wire (e.g. at shutdown)
+        this.signal = options.signal || null;
+
+        this.queue = [];
+        this.inFlight = new Map();
+        this.flushTimer = null;
+        this.nextId = 1;
+
+        this.stats = {
+            calls: 0,
+            coalesced: 0,
+            batches: 0,
+            requests: 0
+        };
+    }
+
+    // Queue a JSON-RPC call. Identical calls that are still pending share one request.
+    // options.priority (high | normal | low) is passed on to beforeSend.
+    call(method, params = [], options = {}) {
+        this.stats.calls++;
+
+        const key = `${method}:${JSON.stringify(params)}`;
+        if (this.inFlight.has(key)) {
+            this.stats.coalesced++;
+            return this.inFlight.get(key);
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            this.queue.push({ method, params, priority: options.priority, resolve, reject });
+            this.scheduleFlush();
+        });
+
+        const cleanup = () => this.inFlight.delete(key);
+        promise.then(cleanup, cleanup);
+        this.inFlight.set(key, promise);
+
+        return promise;
+    }
+
+    scheduleFlush() {
+        if (this.queue.length >= this.maxBatchSize) {
+            this.flush();
+            return;
+        }
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.batchWindow);
+        }
+    }
+
+    async flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        const batch = this.queue.splice(0, this.maxBatchSize);
+        if (this.queue.length > 0) {
+            this.scheduleFlush();
+        }
+        if (batch.length === 0) return;
+
+        const pending = new Map();
+        const payload = batch.map((request) => {
+            const id = this.nextId++;
+            pending.set(id, request);
+            return { jsonrpc: '2.0', id, method: request.method, params: request.params };
+        });
+
+        this.stats.batches++;
+        this.stats.requests += payload.length;
+
+        try {
+            if (this.beforeSend) {
+                await this.beforeSend(batch);
+            }
+
+            const response = await this.httpClient.post(this.url, payload, {
+                headers: { 'Content-Type': 'application/json' },
+                timeout: this.timeout,
+                signal: this.signal || undefined
+            });
+
+            const results = Array.isArray(response.data) ? response.data : [response.data];
+
+            results.forEach((result) => {
+                const request = result && pending.get(result.id);
+                if (!request) return;
+
+                pending.delete(result.id);
+                if (result.error) {
+                    const error = new Error(result.error.message || 'JSON-RPC error');
+                    error.code = result.error.code;
+                    error.data = result.error.data;
+                    request.reject(error);
+                } else {
+                    request.resolve(result.result);
+                }
+            });
+
+            // Providers that reject batches answer with a single error object without an id
+            const fallbackError = !Array.isArray(response.data) && response.data && response.data.error
+                ? response.data.error.message
+                : 'No response for request in batch';
+
+            pending.forEach(request => request.reject(new Error(fallbackError)));
+
+        } catch (error) {
+            pending.forEach(request => request.reject(error));
+        }
+    }
+
+    getStats() {
+        return { url: this.url, pending: this.queue.length, ...this.stats };
+    }
+}
+
+module.exports = { RpcBatcher };
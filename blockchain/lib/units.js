@@ -0,0 +1,20 @@
+/**
+ * UNIT CONVERSION
+ * Integer base units (wei, lamports, satoshis) to decimal amounts
+ */
+
+// Convert an integer amount in base units to a JS number with `decimals` places.
+// Accepts bigint, decimal strings and 0x-prefixed hex strings.
+function formatUnits(value, decimals) {
+    const amount = BigInt(value);
+    const negative = amount < 0n;
+    const absolute = negative ? -amount : amount;
+    const base = 10n ** BigInt(decimals);
+
+    const whole = absolute / base;
+    const fraction = (absolute % base).toString().padStart(decimals, '0').replace(/0+$/, '');
+
+    return parseFloat(`${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`);
+}
+
+module.exports = { formatUnits };
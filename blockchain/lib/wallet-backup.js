@@ -0,0 +1,101 @@
+/**
+ * WALLET BACKUP - ENCRYPTED BUNDLES OF EVERY WALLET
+ * One AES-256-GCM record per bundle | Own backup secret | Retention | Restore re-encrypts under the local secret
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { Keystore, KeystoreError } = require('./keystore');
+const { inspectStore, describeStore } = require('./key-rotation');
+
+const BUNDLE_TYPE = 'wallet-backup';
+const BUNDLE_PATTERN = /^wallets-.+\.json$/;
+const DEFAULT_BACKUP_RETENTION = 10;
+
+/**
+ * Bundle of wallet documents. Their keys and mnemonics are decrypted with `keystore` and the whole
+ * list is encrypted as one record under `backupKeystore`, so the bundle opens without the old master secret.
+ * @param {Object[]} wallets - Wallet documents as stored (secrets encrypted under `keystore`)
+ * @param {Object} options - { keystore, backupKeystore, now }
+ */
+function createBundle(wallets, { keystore, backupKeystore, now = Date.now }) {
+    const plain = wallets.map(wallet => Keystore.mapSecrets(wallet, value => keystore.decrypt(value)));
+    return {
+        type: BUNDLE_TYPE,
+        version: 1,
+        created: new Date(now()).toISOString(),
+        wallets: plain.map(wallet => wallet.id),
+        payload: backupKeystore.encrypt(JSON.stringify(plain))
+    };
+}
+
+// Wallet documents of a bundle with their secrets in clear text
+function openBundle(bundle, backupKeystore) {
+    if (!bundle || bundle.type !== BUNDLE_TYPE) {
+        throw new KeystoreError('Not a wallet backup bundle');
+    }
+    return JSON.parse(backupKeystore.decrypt(bundle.payload));
+}
+
+/**
+ * Write a bundle to `dir` as wallets-<time>.json and delete all but the newest `retention` bundles.
+ * @returns {Promise<string>} path of the new bundle
+ */
+async function writeBundle(dir, bundle, { retention = DEFAULT_BACKUP_RETENTION } = {}) {
+    await fs.mkdir(dir, { recursive: true, mode: 0o700 });
+    const file = path.join(dir, `wallets-${bundle.created.replace(/[:.]/g, '-')}.json`);
+
+    // Written next to the target and renamed over it, so a crash never leaves half a bundle
+    await fs.writeFile(`${file}.writing`, JSON.stringify(bundle, null, 2), { mode: 0o600 });
+    await fs.rename(`${file}.writing`, file);
+
+    const bundles = (await fs.readdir(dir)).filter(name => BUNDLE_PATTERN.test(name)).sort();
+    await Promise.all(bundles.slice(0, Math.max(0, bundles.length - retention))
+        .map(name => fs.unlink(path.join(dir, name)).catch(() => {})));
+    return file;
+}
+
+/**
+ * Write a bundle's wallets into `walletsDir`, encrypted under `keystore` and stamped with the store's key version.
+ * Wallets whose file already exists are skipped unless `overwrite` is set.
+ * @param {Object} options - { backupKeystore, keystore, overwrite, dryRun }
+ * @returns {Promise<{ restored: string[], skipped: string[] }>}
+ */
+async function restoreBundle(bundle, walletsDir, options) {
+    const wallets = openBundle(bundle, options.backupKeystore);
+    const store = await inspectStore(walletsDir);
+    if (store.pending) {
+        throw new KeystoreError(`Finish the key rotation first (${describeStore(store)})`);
+    }
+
+    const existing = new Set(store.files.map(file => file.name));
+    const result = { restored: [], skipped: [] };
+    await fs.mkdir(walletsDir, { recursive: true });
+
+    for (const wallet of wallets) {
+        const name = `${wallet.id}.json`;
+        if (path.basename(name) !== name) {
+            throw new KeystoreError(`Unsafe wallet id in bundle: ${wallet.id}`);
+        }
+        if (existing.has(name) && !options.overwrite) {
+            result.skipped.push(wallet.id);
+            continue;
+        }
+        if (!options.dryRun) {
+            const document = { ...Keystore.mapSecrets(wallet, value => options.keystore.encrypt(value)), keyVersion: store.currentVersion };
+            const file = path.join(walletsDir, name);
+            await fs.writeFile(`${file}.restoring`, JSON.stringify(document, null, 2), { mode: 0o600 });
+            await fs.rename(`${file}.restoring`, file);
+        }
+        result.restored.push(wallet.id);
+    }
+    return result;
+}
+
+module.exports = {
+    createBundle,
+    openBundle,
+    writeBundle,
+    restoreBundle,
+    DEFAULT_BACKUP_RETENTION
+};
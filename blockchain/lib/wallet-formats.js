@@ -0,0 +1,215 @@
+/**
+ * WALLET FORMATS - KEY IMPORT AND EXPORT
+ * BIP39 mnemonic | Raw hex | Solana CLI keypair JSON | Bitcoin WIF | Web3 Secret Storage | Passphrase-sealed exports
+ */
+
+const { createBase58check } = require('@scure/base');
+const { sha256 } = require('@noble/hashes/sha256');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { Keystore, KeystoreError, fromWeb3SecretStorage } = require('./keystore');
+const { normalizeMnemonic, validateMnemonic } = require('./hd-wallet');
+const { BitcoinAdapter } = require('../adapters/bitcoin-adapter');
+
+let Web3, solanaWeb3;
+try {
+    const Web3Import = require('web3');
+    Web3 = Web3Import.Web3 || Web3Import;
+} catch (error) {
+    Web3 = null;
+}
+try {
+    solanaWeb3 = require('@solana/web3.js');
+} catch (error) {
+    solanaWeb3 = null;
+}
+
+const FORMATS = ['mnemonic', 'hex', 'solana-json', 'wif', 'web3-keystore'];
+
+// Chain families each single-key format can hold; the first is used when no networks are named
+const FORMAT_FAMILIES = {
+    hex: ['evm', 'bitcoin', 'solana'],
+    'solana-json': ['solana'],
+    wif: ['bitcoin'],
+    'web3-keystore': ['evm']
+};
+
+const EXPORT_TYPE = 'wallet-export';
+
+// Leading byte of a WIF payload; testnet and regtest share one
+const WIF_VERSIONS = { mainnet: 0x80, testnet: 0xef, regtest: 0xef };
+
+const base58check = createBase58check(sha256);
+
+// ==================== KEY ENCODINGS ====================
+
+function decodeHex(data) {
+    const hex = String(data).trim().replace(/^0x/i, '');
+    if (!/^[0-9a-fA-F]+$/.test(hex) || (hex.length !== 64 && hex.length !== 128)) {
+        throw new Error('Hex keys must be 32 bytes (EVM, Bitcoin, Solana seed) or 64 bytes (Solana keypair)');
+    }
+    return Buffer.from(hex, 'hex');
+}
+
+// The keypair file written by `solana-keygen new`: a JSON array of the 64 secret key bytes
+function decodeSolanaJson(data) {
+    const bytes = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!Array.isArray(bytes) || bytes.length !== 64 || !bytes.every(byte => Number.isInteger(byte) && byte >= 0 && byte <= 255)) {
+        throw new Error('Solana keypair files hold a JSON array of 64 bytes');
+    }
+    return Buffer.from(bytes);
+}
+
+// { key, network, compressed }; network is mainnet or testnet (which regtest shares)
+function decodeWif(data) {
+    let payload;
+    try {
+        payload = Buffer.from(base58check.decode(String(data).trim()));
+    } catch (error) {
+        throw new Error('Invalid WIF key: bad encoding or checksum');
+    }
+    const compressed = payload.length === 34 && payload[33] === 0x01;
+    if (payload.length !== 33 && !compressed) {
+        throw new Error('Invalid WIF key length');
+    }
+    const network = payload[0] === WIF_VERSIONS.mainnet ? 'mainnet' : payload[0] === WIF_VERSIONS.testnet ? 'testnet' : null;
+    if (!network) {
+        throw new Error(`Unknown WIF version byte 0x${payload[0].toString(16)}`);
+    }
+    return { key: payload.subarray(1, 33), network, compressed };
+}
+
+// Compressed-key WIF, as native SegWit addresses need
+function encodeWif(key, network = 'mainnet') {
+    return base58check.encode(Buffer.concat([Buffer.from([WIF_VERSIONS[network]]), Buffer.from(key), Buffer.from([0x01])]));
+}
+
+/**
+ * Address and stored key for raw key bytes on one chain family, in the formats wallet files use
+ * (0x hex on EVM, plain hex on Bitcoin, the 64-byte secret key as hex on Solana).
+ * @param {Object} [options] - { network } (Bitcoin mainnet / testnet / regtest)
+ * @returns {{ address, privateKey }}
+ */
+function keyForFamily(family, key, options = {}) {
+    if (family === 'solana') {
+        if (!solanaWeb3) throw new Error('Solana library not available');
+        // 32 bytes are an ed25519 seed; 64 bytes a full keypair, whose public half must match
+        const keypair = key.length === 32 ? solanaWeb3.Keypair.fromSeed(key) : solanaWeb3.Keypair.fromSecretKey(key);
+        return { address: keypair.publicKey.toBase58(), privateKey: Buffer.from(keypair.secretKey).toString('hex') };
+    }
+
+    if (key.length !== 32 || !secp256k1.utils.isValidPrivateKey(key)) {
+        throw new Error(`Not a valid secp256k1 private key for ${family}`);
+    }
+
+    if (family === 'evm') {
+        if (!Web3) throw new Error('Web3 not available');
+        const account = new Web3().eth.accounts.privateKeyToAccount(`0x${key.toString('hex')}`);
+        return { address: account.address, privateKey: account.privateKey };
+    }
+
+    if (family === 'bitcoin') {
+        const publicKey = secp256k1.getPublicKey(key, true);
+        return { address: BitcoinAdapter.deriveAddress(publicKey, options.network || 'mainnet'), privateKey: key.toString('hex') };
+    }
+
+    throw new Error(`Keys cannot be imported on ${family} networks`);
+}
+
+/**
+ * Key bytes from a single-key format, with the families it can be used on.
+ * @param {string} format - hex, solana-json, wif or web3-keystore
+ * @param {*} data - The key as the format stores it (string, array or parsed keystore JSON)
+ * @param {Object} [options] - { passphrase } for web3-keystore
+ * @returns {{ key: Buffer, families: string[], network? }} network: the Bitcoin network a WIF key is for
+ */
+function decodeKey(format, data, options = {}) {
+    if (format === 'hex') {
+        const key = decodeHex(data);
+        return { key, families: key.length === 64 ? ['solana'] : FORMAT_FAMILIES.hex };
+    }
+    if (format === 'solana-json') {
+        return { key: decodeSolanaJson(data), families: FORMAT_FAMILIES['solana-json'] };
+    }
+    if (format === 'wif') {
+        const { key, network, compressed } = decodeWif(data);
+        if (!compressed) {
+            throw new Error('Uncompressed WIF keys cannot have native SegWit addresses');
+        }
+        return { key, families: FORMAT_FAMILIES.wif, network };
+    }
+    if (format === 'web3-keystore') {
+        return { key: decodeHex(fromWeb3SecretStorage(data, options.passphrase)), families: FORMAT_FAMILIES['web3-keystore'] };
+    }
+    throw new Error(`Unknown key format: ${format} (expected one of ${FORMATS.join(', ')})`);
+}
+
+/**
+ * A stored key (as keyForFamily returns it) in a single-key format.
+ * @param {Object} [options] - { network } for wif
+ */
+function encodeKey(format, family, privateKey, options = {}) {
+    const key = Buffer.from(String(privateKey).replace(/^0x/, ''), 'hex');
+
+    if (format === 'hex') {
+        return family === 'evm' ? `0x${key.toString('hex')}` : key.toString('hex');
+    }
+    if (format === 'solana-json') {
+        if (family !== 'solana') throw new Error(`Solana keypair files only hold Solana keys (not ${family})`);
+        return JSON.stringify(Array.from(key));
+    }
+    if (format === 'wif') {
+        if (family !== 'bitcoin') throw new Error(`WIF only holds Bitcoin keys (not ${family})`);
+        return encodeWif(key, options.network);
+    }
+    throw new Error(`Unknown key format: ${format} (expected one of ${FORMATS.join(', ')})`);
+}
+
+// ==================== SEALED EXPORTS ====================
+
+/**
+ * Export file whose key (or mnemonic) is encrypted under its own passphrase; other fields are in the clear.
+ * @param {Object} exported - { format, data, walletId, network, address }
+ * @param {Object} [options] - { kdfParams }
+ */
+function sealExport({ data, ...fields }, passphrase, options = {}) {
+    if (!passphrase) {
+        throw new KeystoreError('A passphrase is required to export a key');
+    }
+    if (fields.format === 'mnemonic' && !validateMnemonic(data)) {
+        throw new Error('Invalid BIP39 mnemonic');
+    }
+    return {
+        type: EXPORT_TYPE,
+        version: 1,
+        ...fields,
+        created: new Date().toISOString(),
+        secret: new Keystore(passphrase, { kdfParams: options.kdfParams }).encrypt(data)
+    };
+}
+
+function isSealedExport(value) {
+    return !!value && typeof value === 'object' && value.type === EXPORT_TYPE;
+}
+
+// { format, data, ... } of a sealed export; throws KeystoreError for a wrong passphrase
+function openExport(sealed, passphrase) {
+    if (!isSealedExport(sealed)) {
+        throw new KeystoreError('Not a wallet export');
+    }
+    const { secret, type, version, ...fields } = sealed;
+    const data = new Keystore(passphrase).decrypt(secret);
+    return { ...fields, data: fields.format === 'mnemonic' ? normalizeMnemonic(data) : data };
+}
+
+module.exports = {
+    FORMATS,
+    FORMAT_FAMILIES,
+    decodeKey,
+    encodeKey,
+    decodeWif,
+    encodeWif,
+    keyForFamily,
+    sealExport,
+    openExport,
+    isSealedExport
+};
@@ -0,0 +1,123 @@
+/**
+ * WATCH-ONLY - WALLETS WITHOUT KEYS
+ * Address checks per chain family | Bitcoin xpub / zpub / tpub / vpub derivation | Refusal to sign
+ */
+
+const { HDKey } = require('@scure/bip32');
+const { BitcoinAdapter, getNetworkParams } = require('../adapters/bitcoin-adapter');
+const { normalizeAddress: normalizeStarknetAddress } = require('../adapters/starknet-adapter');
+
+let web3Utils, solanaWeb3, bitcoin;
+try {
+    const web3UtilsImport = require('web3-utils');
+    web3Utils = web3UtilsImport.default || web3UtilsImport;
+} catch (error) {
+    web3Utils = null;
+}
+try {
+    solanaWeb3 = require('@solana/web3.js');
+} catch (error) {
+    solanaWeb3 = null;
+}
+try {
+    bitcoin = require('bitcoinjs-lib');
+} catch (error) {
+    bitcoin = null;
+}
+
+// Version bytes of account-level extended public keys. Every prefix derives native SegWit (P2WPKH)
+// addresses, as the manager's own Bitcoin wallets do; t/v keys cover testnet and regtest.
+const EXTENDED_PUBLIC_VERSIONS = {
+    xpub: { version: 0x0488b21e, mainnet: true },
+    zpub: { version: 0x04b24746, mainnet: true },
+    tpub: { version: 0x043587cf, mainnet: false },
+    vpub: { version: 0x045f1cf6, mainnet: false }
+};
+
+class WatchOnlyError extends Error {
+    constructor(walletId) {
+        super(`Wallet ${walletId} is watch-only: it holds no keys and cannot sign`);
+        this.name = 'WatchOnlyError';
+        this.walletId = walletId;
+    }
+}
+
+/**
+ * Canonical form of an address for a network type (checksummed EVM, padded Starknet).
+ * @param {string} type - evm, solana, bitcoin or starknet
+ * @param {Object} [options] - { network } (Bitcoin mainnet / testnet / regtest)
+ */
+function normalizeWatchAddress(type, address, options = {}) {
+    if (typeof address !== 'string' || address.trim() === '') {
+        throw new Error('Address must be a non-empty string');
+    }
+    address = address.trim();
+
+    if (type === 'evm') {
+        if (!web3Utils) throw new Error('Web3 not available');
+        if (!web3Utils.isAddress(address)) throw new Error(`Invalid EVM address: ${address}`);
+        return web3Utils.toChecksumAddress(address);
+    }
+
+    if (type === 'solana') {
+        if (!solanaWeb3) throw new Error('Solana library not available');
+        try {
+            return new solanaWeb3.PublicKey(address).toBase58();
+        } catch (error) {
+            throw new Error(`Invalid Solana address: ${address}`);
+        }
+    }
+
+    if (type === 'bitcoin') {
+        if (!bitcoin) throw new Error('Bitcoin library not available');
+        const network = options.network || 'mainnet';
+        try {
+            bitcoin.address.toOutputScript(address, getNetworkParams(network));
+            return address;
+        } catch (error) {
+            throw new Error(`Invalid Bitcoin ${network} address: ${address}`);
+        }
+    }
+
+    if (type === 'starknet') {
+        return normalizeStarknetAddress(address);
+    }
+
+    throw new Error(`Watch-only wallets are not supported on ${type} networks`);
+}
+
+/**
+ * Decode an account-level extended public key (what wallets export for m/84'/0'/0').
+ * Private keys are refused, as is a key for the other Bitcoin network.
+ */
+function parseExtendedPublicKey(xpub, network = 'mainnet') {
+    const prefix = String(xpub || '').trim().slice(0, 4);
+    const entry = EXTENDED_PUBLIC_VERSIONS[prefix];
+    if (!entry) {
+        throw new Error(/^[xyztuv]prv$/.test(prefix)
+            ? 'Extended private keys are not accepted for watch-only wallets; export the public key instead'
+            : `Unsupported extended public key (expected ${Object.keys(EXTENDED_PUBLIC_VERSIONS).join(', ')})`);
+    }
+    if (entry.mainnet !== (network === 'mainnet')) {
+        throw new Error(`A ${prefix} key does not belong to Bitcoin ${network}`);
+    }
+    return HDKey.fromExtendedKey(String(xpub).trim(), { private: 0, public: entry.version });
+}
+
+// Address at <change>/<index> below an extended public key; `path` is relative to the key
+function deriveXpubAddress(key, { change = 0, index = 0, network = 'mainnet' } = {}) {
+    const child = key.deriveChild(change).deriveChild(index);
+    return {
+        path: `${change}/${index}`,
+        address: BitcoinAdapter.deriveAddress(child.publicKey, network),
+        publicKey: Buffer.from(child.publicKey).toString('hex')
+    };
+}
+
+module.exports = {
+    WatchOnlyError,
+    EXTENDED_PUBLIC_VERSIONS,
+    normalizeWatchAddress,
+    parseExtendedPublicKey,
+    deriveXpubAddress
+};
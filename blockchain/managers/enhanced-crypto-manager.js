@@ -7,8 +7,16 @@
 const EventEmitter = require('events');
 const fs = require('fs').promises;
 const path = require('path');
-const crypto = require('crypto');
 const axios = require('axios');
+const { CircuitBreaker, forwardBreakerEvents } = require('../lib/circuit-breaker');
+const { createLogger } = require('../lib/logger');
+const { KeystoreError, unlockKeystore, LEGACY_SECRETS } = require('../lib/keystore');
+const { inspectStore, describeStore, DEFAULT_KEY_VERSION } = require('../lib/key-rotation');
+const { RateLimiterRegistry } = require('../lib/rate-limiter');
+const { retry, RETRY_POLICIES } = require('../lib/retry-policy');
+const { OperationTracker, abortable, isCancellation, throwIfAborted } = require('../lib/operation-tracker');
+const { AlertEngine } = require('../lib/alert-engine');
+const { ConfigValidationError, interpolateEnv, validateAlertConfig } = require('../lib/config-schema');
 
 // Import dependencies with proper error handling
 let Bitcoin, Web3, Spot, bip39, Wallet, bitcoin, ccxt, solanaWeb3;
@@ -41,79 +49,13 @@ try {
     console.warn('⚠️  Web3-utils not available:', error.message);
 }
 
-// Circuit Breaker Pattern for External Calls
-class CircuitBreaker {
-    constructor(threshold = 5, timeout = 60000) {
-        this.failureCount = 0;
-        this.threshold = threshold;
-        this.timeout = timeout;
-        this.state = 'CLOSED';
-        this.nextAttempt = Date.now();
-    }
-    
-    async execute(operation) {
-        if (this.state === 'OPEN') {
-            if (Date.now() < this.nextAttempt) {
-                throw new Error('Circuit breaker is OPEN - service temporarily unavailable');
-            }
-            this.state = 'HALF_OPEN';
-        }
-        
-        try {
-            const result = await operation();
-            this.onSuccess();
-            return result;
-        } catch (error) {
-            this.onFailure();
-            throw error;
-        }
-    }
-    
-    onSuccess() {
-        this.failureCount = 0;
-        this.state = 'CLOSED';
-    }
-    
-    onFailure() {
-        this.failureCount++;
-        if (this.failureCount >= this.threshold) {
-            this.state = 'OPEN';
-            this.nextAttempt = Date.now() + this.timeout;
-        }
-    }
-}
-
-// Enhanced Logger with CoinStats integration
-class Logger {
-    constructor(service) {
-        this.service = service;
-    }
-    
-    log(level, message, metadata = {}) {
-        const logEntry = {
-            timestamp: new Date().toISOString(),
-            service: this.service,
-            level,
-            message,
-            ...metadata
-        };
-        
-        console.log(`[${level.toUpperCase()}] ${this.service}: ${message}`, 
-                   Object.keys(metadata).length > 0 ? metadata : '');
-    }
-    
-    info(message, metadata) { this.log('info', message, metadata); }
-    warn(message, metadata) { this.log('warn', message, metadata); }
-    error(message, metadata) { this.log('error', message, metadata); }
-}
-
 // CoinStats API Integration
 class CoinStatsAPI {
-    constructor() {
+    constructor(breakerPolicy = {}) {
         this.baseURL = 'https://openapiv1.coinstats.app';
         this.apiKey = process.env.COINSTATS_API_KEY || null;
-        this.logger = new Logger('CoinStatsAPI');
-        this.circuitBreaker = new CircuitBreaker(3, 30000);
+        this.logger = createLogger('CoinStatsAPI');
+        this.circuitBreaker = new CircuitBreaker('coinstats', breakerPolicy);
     }
 
     async makeRequest(endpoint, params = {}) {
@@ -202,38 +144,13 @@ function validateAddress(address, network = 'ethereum') {
     }
 }
 
-// Retry Logic with Exponential Backoff
-async function withRetry(operation, maxRetries = 3, baseDelay = 1000) {
-    const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            return await operation();
-        } catch (error) {
-            if (attempt === maxRetries) {
-                throw error;
-            }
-            
-            const retryDelay = baseDelay * Math.pow(2, attempt - 1);
-            console.warn(`Attempt ${attempt} failed, retrying in ${retryDelay}ms:`, error.message);
-            await delay(retryDelay);
-        }
-    }
-}
-
 class EnhancedCryptoManager extends EventEmitter {
     constructor() {
         super();
         this.isActive = false;
         
-        // Initialize logger and circuit breakers
-        this.logger = new Logger('EnhancedCryptoManager');
-        this.ethereumCircuitBreaker = new CircuitBreaker(3, 30000);
-        this.solanaCircuitBreaker = new CircuitBreaker(3, 30000);
-        this.binanceCircuitBreaker = new CircuitBreaker(5, 60000);
-        
-        // Initialize CoinStats API
-        this.coinStats = new CoinStatsAPI();
+        // Initialize logger
+        this.logger = createLogger('EnhancedCryptoManager');
         
         // Check if required dependencies are available
         this.dependenciesAvailable = {
@@ -250,6 +167,7 @@ class EnhancedCryptoManager extends EventEmitter {
         // Real API connections
         this.bitcoinClient = null;
         this.web3 = null;
+        this.ethereumRpcUrl = null;
         this.solanaConnection = null;
         this.binanceClient = null;
         this.exchanges = {};
@@ -291,6 +209,23 @@ class EnhancedCryptoManager extends EventEmitter {
                 apiSecret: process.env.BINANCE_API_SECRET || null,
                 testnet: process.env.BINANCE_TESTNET === 'true'
             },
+            circuitBreakers: {
+                ethereum: { open_timeout: 30000 },
+                solana: { open_timeout: 30000 },
+                binance: { minimum_calls: 5, open_timeout: 60000 },
+                coinstats: { open_timeout: 30000 }
+            },
+            rateLimits: {
+                alchemy: {
+                    hosts: ['alchemy.com'],
+                    compute_units_per_second: 330,
+                    daily_budget: parseInt(process.env.ALCHEMY_DAILY_CU_BUDGET, 10) || 10000000
+                }
+            },
+            // Alert rules + sinks in the crypto-config `alerts` shape (breaker_state and event rules apply here)
+            alertRulesFile: process.env.ALERT_RULES_FILE || null,
+            // How long stopRealSystems() lets in-flight syncs and transfers finish before cancelling them
+            shutdownTimeout: parseInt(process.env.SHUTDOWN_TIMEOUT, 10) || 10000,
             mainWallet: {
                 ethereum: {
                     address: '0x742D35CC0642c35A8b3ce4f4AFf0e23AE8b30F50',
@@ -317,17 +252,65 @@ class EnhancedCryptoManager extends EventEmitter {
             }
         };
         
+        // Circuit breakers (shared module), state changes are re-emitted on this manager
+        this.ethereumCircuitBreaker = this.createCircuitBreaker('ethereum');
+        this.solanaCircuitBreaker = this.createCircuitBreaker('solana');
+        this.binanceCircuitBreaker = this.createCircuitBreaker('binance');
+        
+        // Per-provider token buckets; balance checks slow down first as the daily budget runs out.
+        // The budget spent today is kept in managers/enhanced_rate_limit_usage.json across restarts
+        this.rateLimiter = new RateLimiterRegistry(this.config.rateLimits, {
+            stateFile: path.join(__dirname, 'enhanced_rate_limit_usage.json')
+        });
+        this.rateLimiter.on('budget-throttling', (status) => {
+            this.logger.warn(`Compute-unit budget for ${status.provider} at ${Math.round(status.budgetUsage * 100)}%, slowing down balance checks`, {
+                provider: status.provider
+            });
+        });
+        this.rateLimiter.on('budget-exhausted', (event) => {
+            this.logger.error(`Compute-unit budget for ${event.provider} exhausted for ${event.priority}-priority requests`, event);
+        });
+        
+        // Initialize CoinStats API
+        this.coinStats = new CoinStatsAPI(this.config.circuitBreakers.coinstats);
+        forwardBreakerEvents(this.coinStats.circuitBreaker, this, this.logger);
+        
         this.autoTransferTimer = null;
         this.walletMonitor = null;
         this.portfolioSyncTimer = null;
+        this.alerts = null;
+        
+        // Timer-driven syncs and transfers in flight; drained by stopRealSystems()
+        this.operations = new OperationTracker();
+        this.walletWritesClosed = false;
+        
+        // Unlocked from ENCRYPTION_SECRET (or a passphrase prompt) before the first wallet is created
+        this.keystore = null;
+        this.keyVersion = DEFAULT_KEY_VERSION;
+        this.realWalletsDir = path.join(__dirname, 'real_wallets');
         
         this.init();
     }
 
+    createCircuitBreaker(name) {
+        const breaker = new CircuitBreaker(name, this.config.circuitBreakers[name]);
+        return forwardBreakerEvents(breaker, this, this.logger);
+    }
+
+    getCircuitBreakerStatus() {
+        return {
+            ethereum: this.ethereumCircuitBreaker.getStatus(),
+            solana: this.solanaCircuitBreaker.getStatus(),
+            binance: this.binanceCircuitBreaker.getStatus(),
+            coinstats: this.coinStats.circuitBreaker.getStatus()
+        };
+    }
+
     async init() {
         console.log('🚀 ENHANCED CRYPTO MANAGER: Initializing multi-chain + CoinStats integration...');
         
         try {
+            await this.rateLimiter.load();
             await this.connectToEthereum();
             await this.connectToSolana();
             await this.connectToBinance();
@@ -335,6 +318,7 @@ class EnhancedCryptoManager extends EventEmitter {
             await this.initializeRealWallets();
             await this.startRealAutoTransferSystem();
             await this.startPortfolioSync();
+            await this.startAlerting();
             
             this.isActive = true;
             this.emit('enhanced-system-ready', { timestamp: new Date(), status: 'LIVE' });
@@ -343,7 +327,7 @@ class EnhancedCryptoManager extends EventEmitter {
             console.log(`💎 MAIN WALLETS: ETH(${this.config.mainWallet.ethereum.address})`);
             console.log(`🔄 COINSTATS: Portfolio sync active`);
         } catch (error) {
-            console.error('❌ ENHANCED CRYPTO MANAGER: Initialization failed:', error);
+            this.logger.error('Initialization failed', { error: error.message });
             this.emit('system-error', error);
         }
     }
@@ -364,12 +348,16 @@ class EnhancedCryptoManager extends EventEmitter {
                 this.config.ethereum.rpcUrl
             ];
             
-            return await withRetry(async () => {
+            return await retry(async () => {
+                const endpointErrors = [];
+                
                 for (const rpcUrl of rpcEndpoints) {
                     try {
                         this.logger.info('Attempting Ethereum connection', { rpcUrl });
                         
                         this.web3 = new Web3(rpcUrl);
+                        this.ethereumRpcUrl = rpcUrl;
+                        await this.rateLimiter.acquire(rpcUrl, ['eth_blockNumber', 'eth_chainId']);
                         
                         const connectionTest = Promise.race([
                             Promise.all([
@@ -397,18 +385,26 @@ class EnhancedCryptoManager extends EventEmitter {
                             rpcUrl, 
                             error: endpointError.message 
                         });
+                        endpointErrors.push(endpointError);
                         continue;
                     }
                 }
                 
-                throw new Error('All Ethereum RPC endpoints failed');
-            }, 3, 5000);
+                const failure = new Error('All Ethereum RPC endpoints failed');
+                failure.errors = endpointErrors;
+                throw failure;
+            }, {
+                policy: { ...RETRY_POLICIES.connect, baseDelay: 5000 },
+                name: 'Ethereum',
+                logger: this.logger
+            });
             
         } catch (error) {
             this.logger.error('Ethereum connection failed after all retries', { 
                 error: error.message 
             });
             this.web3 = null;
+            this.ethereumRpcUrl = null;
         }
     }
 
@@ -426,6 +422,7 @@ class EnhancedCryptoManager extends EventEmitter {
                 );
 
                 // Test connection
+                await this.rateLimiter.acquire(this.config.solana.rpcUrl, ['getVersion', 'getSlot']);
                 const version = await this.solanaConnection.getVersion();
                 const slot = await this.solanaConnection.getSlot();
 
@@ -466,7 +463,7 @@ class EnhancedCryptoManager extends EventEmitter {
             
             this.emit('binance-connected', accountInfo.data);
         } catch (error) {
-            console.error('❌ BINANCE: Connection failed:', error);
+            this.logger.error('Binance connection failed', { error: error.message });
         }
     }
 
@@ -518,6 +515,7 @@ class EnhancedCryptoManager extends EventEmitter {
 
         } catch (error) {
             this.logger.error('Portfolio sync failed', { error: error.message });
+            this.emit('portfolio-sync-failed', { error: error.message });
         }
     }
 
@@ -591,7 +589,7 @@ class EnhancedCryptoManager extends EventEmitter {
 
             return walletId;
         } catch (error) {
-            console.error('❌ Failed to create multi-chain wallet:', error);
+            this.logger.error('Failed to create multi-chain wallet', { error: error.message });
             throw error;
         }
     }
@@ -709,6 +707,7 @@ class EnhancedCryptoManager extends EventEmitter {
             if (!this.web3) return 0;
             
             const validatedAddress = validateAddress(address, 'ethereum');
+            await this.rateLimiter.acquire(this.ethereumRpcUrl, 'eth_getBalance');
             const weiBalance = await this.web3.eth.getBalance(validatedAddress);
             return parseFloat(this.web3.utils.fromWei(weiBalance, 'ether'));
             
@@ -727,6 +726,7 @@ class EnhancedCryptoManager extends EventEmitter {
             
             const validatedAddress = validateAddress(address, 'solana');
             const publicKey = new solanaWeb3.PublicKey(validatedAddress);
+            await this.rateLimiter.acquire(this.config.solana.rpcUrl, 'getBalance');
             const balance = await this.solanaConnection.getBalance(publicKey);
             
             // Convert lamports to SOL
@@ -743,7 +743,8 @@ class EnhancedCryptoManager extends EventEmitter {
 
     // ==================== MAIN WALLET MANAGEMENT ====================
 
-    async getRealMainWalletBalance() {
+    async getRealMainWalletBalance(options = {}) {
+        const signal = options.signal || null;
         try {
             const mainWallet = this.config.mainWallet;
             const balances = {};
@@ -751,11 +752,12 @@ class EnhancedCryptoManager extends EventEmitter {
             // Get Ethereum main wallet balance
             if (mainWallet.ethereum.address && this.web3) {
                 const ethBalance = await this.ethereumCircuitBreaker.execute(async () => {
-                    return await withRetry(async () => {
+                    return await retry(async () => {
                         const address = validateAddress(mainWallet.ethereum.address, 'ethereum');
-                        const weiBalance = await this.web3.eth.getBalance(address);
+                        await this.rateLimiter.acquire(this.ethereumRpcUrl, 'eth_getBalance', { signal });
+                        const weiBalance = await abortable(this.web3.eth.getBalance(address), signal);
                         return parseFloat(this.web3.utils.fromWei(weiBalance, 'ether'));
-                    }, 3, 2000);
+                    }, { policy: 'balance', name: 'Ethereum main wallet balance', logger: this.logger, signal });
                 });
                 
                 balances.ethereum = ethBalance;
@@ -765,12 +767,13 @@ class EnhancedCryptoManager extends EventEmitter {
             // Get Solana main wallet balance
             if (mainWallet.solana.address && this.solanaConnection) {
                 const solBalance = await this.solanaCircuitBreaker.execute(async () => {
-                    return await withRetry(async () => {
+                    return await retry(async () => {
                         const address = validateAddress(mainWallet.solana.address, 'solana');
                         const publicKey = new solanaWeb3.PublicKey(address);
-                        const balance = await this.solanaConnection.getBalance(publicKey);
+                        await this.rateLimiter.acquire(this.config.solana.rpcUrl, 'getBalance', { signal });
+                        const balance = await abortable(this.solanaConnection.getBalance(publicKey), signal);
                         return balance / solanaWeb3.LAMPORTS_PER_SOL;
-                    }, 3, 2000);
+                    }, { policy: 'balance', name: 'Solana main wallet balance', logger: this.logger, signal });
                 });
                 
                 balances.solana = solBalance;
@@ -778,12 +781,14 @@ class EnhancedCryptoManager extends EventEmitter {
             }
 
             // Sync with CoinStats
-            await this.syncMainWalletWithCoinStats();
+            await abortable(this.syncMainWalletWithCoinStats(), signal);
 
             this.logger.info('Main wallet balances updated', balances);
             return balances;
 
         } catch (error) {
+            // Zero balances would read as "nothing to transfer"; a cancelled lookup must stop the caller instead
+            if (isCancellation(error)) throw error;
             this.logger.error('Failed to get main wallet balance', { 
                 error: error.message 
             });
@@ -834,10 +839,12 @@ class EnhancedCryptoManager extends EventEmitter {
             // Initial sync
             await this.syncPortfolioWithCoinStats();
 
-            // Start periodic sync
-            this.portfolioSyncTimer = setInterval(async () => {
-                await this.syncPortfolioWithCoinStats();
-                await this.syncMainWalletWithCoinStats();
+            // Start periodic sync (rejected only once stopRealSystems() has begun)
+            this.portfolioSyncTimer = setInterval(() => {
+                this.operations.run('portfolio-sync', async (signal) => {
+                    await abortable(this.syncPortfolioWithCoinStats(), signal);
+                    await abortable(this.syncMainWalletWithCoinStats(), signal);
+                }).catch(() => {});
             }, this.config.coinStats.syncInterval);
 
             this.emit('portfolio-sync-started');
@@ -847,6 +854,32 @@ class EnhancedCryptoManager extends EventEmitter {
         }
     }
 
+    // ==================== ALERTING ====================
+
+    async startAlerting() {
+        if (!this.config.alertRulesFile) return;
+        
+        try {
+            const { value: alertConfig, missing } = interpolateEnv(
+                JSON.parse(await fs.readFile(this.config.alertRulesFile, 'utf8'))
+            );
+            const errors = [
+                ...missing.map(({ name, paths }) => `${paths[0]}: environment variable ${name} is not set`),
+                ...validateAlertConfig(alertConfig, Object.keys(this.getCircuitBreakerStatus()))
+            ];
+            if (errors.length > 0) throw new ConfigValidationError(errors, this.config.alertRulesFile);
+            
+            this.alerts = new AlertEngine(this, alertConfig, {
+                logger: this.logger,
+                sinkDeps: { baseDir: path.dirname(this.config.alertRulesFile) }
+            });
+            this.alerts.start();
+            this.logger.info('Alerting enabled', this.alerts.getStatus());
+        } catch (error) {
+            this.logger.error('Alert rules not loaded', { file: this.config.alertRulesFile, error: error.message });
+        }
+    }
+
     // ==================== AUTO TRANSFER SYSTEM ====================
 
     async startRealAutoTransferSystem() {
@@ -860,40 +893,42 @@ class EnhancedCryptoManager extends EventEmitter {
         try {
             console.log(`🔄 REAL AUTO TRANSFER: Starting multi-chain system`);
             
-            this.autoTransferTimer = setInterval(async () => {
-                await this.executeRealAutoTransfer();
+            // Both runs log their own failures; a rejection only means stopRealSystems() has begun
+            this.autoTransferTimer = setInterval(() => {
+                this.operations.run('auto-transfer', signal => this.executeRealAutoTransfer({ signal })).catch(() => {});
             }, mainWallet.transferInterval);
 
-            this.walletMonitor = setInterval(async () => {
-                await this.monitorRealMainWallet();
+            this.walletMonitor = setInterval(() => {
+                this.operations.run('wallet-monitor', signal => this.monitorRealMainWallet({ signal })).catch(() => {});
             }, 60000);
 
             console.log(`✅ REAL AUTO TRANSFER: Multi-chain system active`);
             this.emit('real-auto-transfer-started', mainWallet);
 
         } catch (error) {
-            console.error('❌ REAL AUTO TRANSFER: Failed to start:', error);
+            this.logger.error('Auto transfer system failed to start', { error: error.message });
             throw error;
         }
     }
 
-    async executeRealAutoTransfer() {
+    async executeRealAutoTransfer(options = {}) {
+        const signal = options.signal || null;
         try {
-            const balances = await this.getRealMainWalletBalance();
+            const balances = await this.getRealMainWalletBalance({ signal });
             const mainWallet = this.config.mainWallet;
             
             // Execute transfers for each chain
             if (balances.ethereum > 0.001) {
                 const transferAmount = balances.ethereum * mainWallet.transferPercentage;
                 if (transferAmount > 0.00001) {
-                    await this.executeEthereumTransfer(transferAmount);
+                    await this.executeEthereumTransfer(transferAmount, { signal });
                 }
             }
 
             if (balances.solana > 0.001) {
                 const transferAmount = balances.solana * mainWallet.transferPercentage;
                 if (transferAmount > 0.00001) {
-                    await this.executeSolanaTransfer(transferAmount);
+                    await this.executeSolanaTransfer(transferAmount, { signal });
                 }
             }
 
@@ -901,11 +936,17 @@ class EnhancedCryptoManager extends EventEmitter {
             this.emit('multi-chain-transfer-completed', balances);
 
         } catch (error) {
+            if (isCancellation(error)) {
+                this.logger.warn('Multi-chain auto transfer cancelled', { error: error.message });
+                return;
+            }
             this.logger.error('Multi-chain auto transfer failed', { error: error.message });
         }
     }
 
-    async executeEthereumTransfer(amount) {
+    // options.signal cancels the transfer up to the broadcast; after that it only stops waiting for the receipt
+    async executeEthereumTransfer(amount, options = {}) {
+        const signal = options.signal || null;
         try {
             if (!this.web3 || !this.config.mainWallet.ethereum.privateKey) {
                 throw new Error('Ethereum connection or private key not available');
@@ -915,10 +956,11 @@ class EnhancedCryptoManager extends EventEmitter {
                 this.config.mainWallet.ethereum.privateKey
             );
             
-            const gasPrice = await this.web3.eth.getGasPrice();
-            const nonce = await this.web3.eth.getTransactionCount(
+            await this.rateLimiter.acquire(this.ethereumRpcUrl, ['eth_gasPrice', 'eth_getTransactionCount'], { signal });
+            const gasPrice = await abortable(this.web3.eth.getGasPrice(), signal);
+            const nonce = await abortable(this.web3.eth.getTransactionCount(
                 this.config.mainWallet.ethereum.address
-            );
+            ), signal);
 
             const tx = {
                 from: this.config.mainWallet.ethereum.address,
@@ -935,7 +977,12 @@ class EnhancedCryptoManager extends EventEmitter {
                 this.config.mainWallet.ethereum.privateKey
             );
             
-            const receipt = await this.web3.eth.sendSignedTransaction(signedTx.rawTransaction);
+            // Only a 429 is retried; resending the same signed transaction reuses its nonce, so it cannot pay twice
+            throwIfAborted(signal);
+            const receipt = await retry(async () => {
+                await this.rateLimiter.acquire(this.ethereumRpcUrl, 'eth_sendRawTransaction', { signal });
+                return await abortable(this.web3.eth.sendSignedTransaction(signedTx.rawTransaction), signal);
+            }, { policy: 'send', name: 'Ethereum transfer', logger: this.logger, signal });
             
             this.logger.info('Ethereum auto transfer completed', {
                 amount,
@@ -945,12 +992,13 @@ class EnhancedCryptoManager extends EventEmitter {
             return receipt.transactionHash;
 
         } catch (error) {
-            this.logger.error('Ethereum transfer failed', { error: error.message });
+            this.logger.error('Ethereum transfer failed', { error: error.message, errorClass: error.errorClass });
             throw error;
         }
     }
 
-    async executeSolanaTransfer(amount) {
+    async executeSolanaTransfer(amount, options = {}) {
+        const signal = options.signal || null;
         try {
             if (!this.solanaConnection || !this.config.mainWallet.solana.privateKey) {
                 throw new Error('Solana connection or private key not available');
@@ -968,11 +1016,14 @@ class EnhancedCryptoManager extends EventEmitter {
                 })
             );
 
-            const signature = await solanaWeb3.sendAndConfirmTransaction(
+            // Not retried: sendAndConfirmTransaction signs with a fresh blockhash, so a retry could pay twice
+            await this.rateLimiter.acquire(this.config.solana.rpcUrl, ['getLatestBlockhash', 'sendTransaction'], { signal });
+            throwIfAborted(signal);
+            const signature = await abortable(solanaWeb3.sendAndConfirmTransaction(
                 this.solanaConnection,
                 transaction,
                 [fromKeypair]
-            );
+            ), signal);
 
             this.logger.info('Solana auto transfer completed', {
                 amount,
@@ -987,9 +1038,9 @@ class EnhancedCryptoManager extends EventEmitter {
         }
     }
 
-    async monitorRealMainWallet() {
+    async monitorRealMainWallet(options = {}) {
         try {
-            const balances = await this.getRealMainWalletBalance();
+            const balances = await this.getRealMainWalletBalance(options);
             
             this.emit('main-wallet-status', {
                 balances,
@@ -998,6 +1049,7 @@ class EnhancedCryptoManager extends EventEmitter {
             });
 
         } catch (error) {
+            if (isCancellation(error)) return;
             this.logger.error('Main wallet monitoring error', { error: error.message });
         }
     }
@@ -1036,14 +1088,19 @@ class EnhancedCryptoManager extends EventEmitter {
     // ==================== DATA MANAGEMENT ====================
 
     async saveRealWalletData(wallet) {
-        const walletDir = path.join(__dirname, 'real_wallets');
-        const walletPath = path.join(walletDir, `${wallet.id}.json`);
+        if (this.walletWritesClosed) {
+            this.logger.warn('Wallet not saved: systems are stopped', { walletId: wallet.id });
+            return;
+        }
+
+        const walletPath = path.join(this.realWalletsDir, `${wallet.id}.json`);
         
         try {
-            await fs.mkdir(walletDir, { recursive: true });
+            await fs.mkdir(this.realWalletsDir, { recursive: true });
             
             const walletData = {
                 ...wallet,
+                keyVersion: this.keyVersion,
                 // Don't encrypt multi-chain wallet structure, just individual keys
                 wallets: Object.fromEntries(
                     Object.entries(wallet.wallets || {}).map(([chain, chainWallet]) => [
@@ -1059,37 +1116,26 @@ class EnhancedCryptoManager extends EventEmitter {
             
             await fs.writeFile(walletPath, JSON.stringify(walletData, null, 2));
         } catch (error) {
-            console.error('Failed to save real wallet data:', error);
+            this.logger.error('Failed to save real wallet data', { error: error.message });
         }
     }
 
+    // AES-256-GCM record with its own scrypt salt (see lib/keystore)
     encryptData(data) {
-        const algorithm = 'aes-256-cbc';
-        const key = crypto.scryptSync('enhanced-crypto-manager-secret', 'salt', 32);
-        const iv = crypto.randomBytes(16);
-        
-        const cipher = crypto.createCipheriv(algorithm, key, iv);
-        let encrypted = cipher.update(data, 'utf8', 'hex');
-        encrypted += cipher.final('hex');
-        
-        return iv.toString('hex') + ':' + encrypted;
+        if (!this.keystore) {
+            throw new KeystoreError('Keystore is locked');
+        }
+        return this.keystore.encrypt(data);
     }
 
     decryptData(encryptedData) {
         try {
-            const algorithm = 'aes-256-cbc';
-            const key = crypto.scryptSync('enhanced-crypto-manager-secret', 'salt', 32);
-            
-            const [ivHex, encrypted] = encryptedData.split(':');
-            const iv = Buffer.from(ivHex, 'hex');
-            
-            const decipher = crypto.createDecipheriv(algorithm, key, iv);
-            let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-            decrypted += decipher.final('utf8');
-            
-            return decrypted;
+            if (!this.keystore) {
+                throw new KeystoreError('Keystore is locked');
+            }
+            return this.keystore.decrypt(encryptedData);
         } catch (error) {
-            console.error('Failed to decrypt data:', error);
+            this.logger.error('Failed to decrypt data', { error: error.message });
             return null;
         }
     }
@@ -1105,6 +1151,8 @@ class EnhancedCryptoManager extends EventEmitter {
                 binance: !!this.binanceClient,
                 coinStats: this.coinStats !== null
             },
+            circuitBreakers: this.getCircuitBreakerStatus(),
+            rateLimits: this.rateLimiter.getStatus(),
             wallets: {
                 total: this.realWallets.size,
                 multiChain: Array.from(this.realWallets.values()).filter(w => w.wallets).length
@@ -1128,17 +1176,28 @@ class EnhancedCryptoManager extends EventEmitter {
     async initializeRealWallets() {
         console.log('💳 Initializing enhanced wallet system...');
         
+        if (!this.keystore) {
+            this.keystore = await unlockKeystore(process.env, { legacySecret: LEGACY_SECRETS.enhanced });
+        }
+        
+        const store = await inspectStore(this.realWalletsDir);
+        if (store.pending) {
+            throw new KeystoreError(`Unfinished key rotation, run "npm run rotate-keystore" to finish it or --rollback (${describeStore(store)})`);
+        }
+        this.keyVersion = store.currentVersion;
+        
         // Create multi-chain wallet if none exist
         if (this.realWallets.size === 0) {
             try {
                 await this.createMultiChainWallet();
             } catch (error) {
-                console.warn('Failed to create initial multi-chain wallet:', error.message);
+                this.logger.warn('Failed to create initial multi-chain wallet', { error: error.message });
             }
         }
     }
 
-    async stopRealSystems() {
+    // Timers stop first; in-flight runs get options.timeout (config.shutdownTimeout) before they are cancelled
+    async stopRealSystems(options = {}) {
         console.log('🛑 ENHANCED CRYPTO MANAGER: Stopping all systems...');
         
         // Stop timers
@@ -1157,8 +1216,24 @@ class EnhancedCryptoManager extends EventEmitter {
             this.portfolioSyncTimer = null;
         }
         
+        const timeout = options.timeout ?? this.config.shutdownTimeout;
+        const { completed, cancelled } = await this.operations.drain(timeout);
+        if (cancelled.length > 0) {
+            this.logger.warn('Cancelled operations still running at the shutdown deadline', { timeout, cancelled });
+        }
+        
+        if (this.alerts) {
+            await this.alerts.stop();
+            this.alerts = null;
+        }
+        
+        this.walletWritesClosed = true;
+        await this.rateLimiter.flush().catch((error) => {
+            this.logger.warn('Failed to save the compute-unit budget spent today', { error: error.message });
+        });
+        this.rateLimiter.close();
         this.isActive = false;
-        this.emit('enhanced-systems-stopped');
+        this.emit('enhanced-systems-stopped', { completed, cancelled });
         console.log('✅ ENHANCED CRYPTO MANAGER: All systems stopped');
     }
 }
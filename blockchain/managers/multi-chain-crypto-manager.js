@@ -6,12 +6,50 @@
 
 const EventEmitter = require('events');
 const fs = require('fs').promises;
+const { watch: watchFile } = require('fs');
 const path = require('path');
-const crypto = require('crypto');
 const axios = require('axios');
+const { EndpointPool } = require('../lib/endpoint-pool');
+const { BlockSubscriber } = require('../lib/block-subscriber');
+const { RpcBatcher } = require('../lib/rpc-batcher');
+const { mapWithConcurrency } = require('../lib/concurrency');
+const { formatUnits } = require('../lib/units');
+const { ConfigValidationError, parseConfig, prepareConfig } = require('../lib/config-schema');
+const { CircuitBreaker, forwardBreakerEvents } = require('../lib/circuit-breaker');
+const { MetricsRegistry, createMetricsServer } = require('../lib/metrics-registry');
+const { createApiServer } = require('../lib/api-server');
+const { EventStream } = require('../lib/event-stream');
+const { AlertEngine } = require('../lib/alert-engine');
+const { HealthHistory } = require('../lib/health-history');
+const { createLogger, secretsFromEnv } = require('../lib/logger');
+const { Keystore, KeystoreError, unlockKeystore, toWeb3SecretStorage, isLegacyRecord, LEGACY_SECRETS } = require('../lib/keystore');
+const { inspectStore, describeStore, DEFAULT_KEY_VERSION } = require('../lib/key-rotation');
+const {
+    FAMILIES: HD_FAMILIES,
+    DEFAULT_GAP_LIMIT,
+    generateMnemonic,
+    normalizeMnemonic,
+    mnemonicToSeed,
+    deriveAccount,
+    discoverAddresses
+} = require('../lib/hd-wallet');
+const { WatchOnlyError, normalizeWatchAddress, parseExtendedPublicKey, deriveXpubAddress } = require('../lib/watch-only');
+const { decodeKey, encodeKey, keyForFamily, sealExport, openExport, isSealedExport } = require('../lib/wallet-formats');
+const { createBundle, writeBundle } = require('../lib/wallet-backup');
+const { RateLimiterRegistry, PRIORITIES } = require('../lib/rate-limiter');
+const { retry, classifyError } = require('../lib/retry-policy');
+const { OperationTracker, abortable, throwIfAborted } = require('../lib/operation-tracker');
+const {
+    ChainHeadTracker,
+    expectedBlockTime,
+    DEFAULT_DEGRADED_BLOCKS,
+    DEFAULT_STALLED_BLOCKS
+} = require('../lib/chain-head-tracker');
+const { BitcoinAdapter } = require('../adapters/bitcoin-adapter');
+const { StarknetAdapter, normalizeAddress: normalizeStarknetAddress } = require('../adapters/starknet-adapter');
 
 // Import Web3 and blockchain libraries with error handling
-let Web3, solanaWeb3, bitcoin;
+let Web3, solanaWeb3;
 
 try {
     const Web3Import = require('web3');
@@ -26,136 +64,95 @@ try {
     console.warn('⚠️  Solana Web3 not available:', error.message);
 }
 
-try {
-    bitcoin = require('bitcoinjs-lib');
-} catch (error) {
-    console.warn('⚠️  Bitcoin library not available:', error.message);
-}
-
-// Circuit Breaker for network resilience
-class NetworkCircuitBreaker {
-    constructor(network, threshold = 3, timeout = 30000) {
-        this.network = network;
-        this.failureCount = 0;
-        this.threshold = threshold;
-        this.timeout = timeout;
-        this.state = 'CLOSED';
-        this.nextAttempt = Date.now();
-        this.lastError = null;
-    }
-    
-    async execute(operation) {
-        if (this.state === 'OPEN') {
-            if (Date.now() < this.nextAttempt) {
-                throw new Error(`Circuit breaker OPEN for ${this.network} - service temporarily unavailable. Last error: ${this.lastError}`);
-            }
-            this.state = 'HALF_OPEN';
-        }
-        
-        try {
-            const result = await operation();
-            this.onSuccess();
-            return result;
-        } catch (error) {
-            this.onFailure(error);
-            throw error;
-        }
-    }
-    
-    onSuccess() {
-        this.failureCount = 0;
-        this.state = 'CLOSED';
-        this.lastError = null;
-    }
-    
-    onFailure(error) {
-        this.failureCount++;
-        this.lastError = error.message;
-        if (this.failureCount >= this.threshold) {
-            this.state = 'OPEN';
-            this.nextAttempt = Date.now() + this.timeout;
-            console.warn(`🚨 Circuit breaker OPEN for ${this.network} after ${this.failureCount} failures`);
-        }
-    }
-
-    getStatus() {
-        return {
-            network: this.network,
-            state: this.state,
-            failures: this.failureCount,
-            nextAttempt: this.state === 'OPEN' ? new Date(this.nextAttempt) : null,
-            lastError: this.lastError
-        };
-    }
+// Default provider factories; each can be replaced through `options.providers`
+function defaultProviders() {
+    return {
+        createEVMProvider: Web3 ? (url) => new Web3(url) : null,
+        createSolanaConnection: solanaWeb3 ? (url) => new solanaWeb3.Connection(url, 'confirmed') : null,
+        httpClient: axios,
+        WebSocket: null
+    };
 }
 
-// Enhanced Logger with multi-chain context
-class MultiChainLogger {
-    constructor(service) {
-        this.service = service;
-        this.logs = [];
-    }
-    
-    log(level, message, metadata = {}) {
-        const logEntry = {
-            timestamp: new Date().toISOString(),
-            service: this.service,
-            level,
-            message,
-            network: metadata.network || 'global',
-            ...metadata
-        };
-        
-        this.logs.push(logEntry);
-        console.log(`[${level.toUpperCase()}] ${this.service}${metadata.network ? `[${metadata.network}]` : ''}: ${message}`, 
-                   Object.keys(metadata).length > 0 ? metadata : '');
-    }
-    
-    info(message, metadata) { this.log('info', message, metadata); }
-    warn(message, metadata) { this.log('warn', message, metadata); }
-    error(message, metadata) { this.log('error', message, metadata); }
-    success(message, metadata) { this.log('success', message, metadata); }
-    
-    getLogs(network = null) {
-        return network ? this.logs.filter(log => log.network === network) : this.logs;
-    }
+// Whether any key or mnemonic in a wallet file still uses the old AES-CBC string format
+function hasLegacyRecords(walletData) {
+    return Object.values(walletData.networks || {}).some(data => isLegacyRecord(data.privateKey)) ||
+        isLegacyRecord(walletData.hd?.mnemonic);
 }
 
-// Retry logic with exponential backoff
-async function withRetry(operation, maxRetries = 3, baseDelay = 1000, networkName = 'unknown') {
-    const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            return await operation();
-        } catch (error) {
-            if (attempt === maxRetries) {
-                console.error(`❌ ${networkName}: All ${maxRetries} attempts failed:`, error.message);
-                throw error;
-            }
-            
-            const retryDelay = baseDelay * Math.pow(2, attempt - 1);
-            console.warn(`⚠️  ${networkName}: Attempt ${attempt} failed, retrying in ${retryDelay}ms:`, error.message);
-            await delay(retryDelay);
-        }
-    }
-}
+const systemClock = {
+    now: () => Date.now(),
+    setInterval: (fn, ms) => setInterval(fn, ms),
+    clearInterval: (timer) => clearInterval(timer)
+};
 
 class MultiChainCryptoManager extends EventEmitter {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.configPath] - Path to crypto-config.json
+     * @param {Object} [options.config] - Configuration object, used instead of reading configPath
+     * @param {Object} [options.env] - Variables for ${VAR} placeholders (defaults to process.env)
+     * @param {Object} [options.providers] - createEVMProvider(url), createSolanaConnection(url), httpClient, WebSocket
+     * @param {Object} [options.clock] - now(), setInterval(fn, ms), clearInterval(timer)
+     * @param {string} [options.storageDir] - Base directory for runtime data
+     * @param {string} [options.walletsDir] - Wallet file directory (defaults to the legacy managers/multi_chain_wallets)
+     * @param {Keystore} [options.keystore] - Unlocked keystore (defaults to ENCRYPTION_SECRET from env, or a passphrase prompt)
+     * @param {boolean} [options.watchConfig=false] - Reload the configuration when configPath changes
+     * @param {Logger} [options.logger] - Structured logger (defaults to one configured from LOG_* variables in env)
+     * @param {MetricsRegistry} [options.metricsRegistry] - Registry to publish telemetry into
+     * @param {boolean} [options.autoStart=true] - Call start() from the constructor
+     */
+    constructor(options = {}) {
         super();
         
         // Core system state
         this.isActive = false;
-        this.logger = new MultiChainLogger('MultiChainCryptoManager');
+        this.startPromise = null;
         
-        // Load configuration
+        // Injected dependencies
+        this.providers = { ...defaultProviders(), ...options.providers };
+        this.clock = { ...systemClock, ...options.clock };
+        
+        // Storage locations
+        this.configPath = options.configPath || path.join(__dirname, '..', 'config', 'crypto-config.json');
+        this.storageDir = options.storageDir || path.join(__dirname, '..');
+        this.walletsDir = options.walletsDir || (options.storageDir
+            ? path.join(options.storageDir, 'multi_chain_wallets')
+            : path.join(__dirname, 'multi_chain_wallets'));
+        
+        // Load configuration (${VAR} placeholders are filled from options.env)
+        this.env = options.env || process.env;
+        this.logger = options.logger || createLogger('MultiChainCryptoManager', { env: this.env });
+        this.configSource = options.config || null;
         this.config = null;
         this.networkConnections = new Map();
         this.circuitBreakers = new Map();
+        this.endpointPools = new Map();
         this.balanceCache = new Map();
+        this.rpcBatchers = new Map();
         this.portfolioData = new Map();
         
+        // Per-provider token buckets and daily compute-unit budgets (config.rate_limits)
+        // The budget spent today survives restarts in <storageDir>/rate_limit_usage.json
+        this.rateLimiter = new RateLimiterRegistry({}, {
+            now: () => this.clock.now(),
+            stateFile: path.join(this.storageDir, 'rate_limit_usage.json')
+        });
+        this.forwardRateLimitEvents();
+        
+        // In-flight health checks, balance sweeps, connects and reloads; drained on shutdown
+        this.operations = new OperationTracker();
+        this.walletWritesClosed = false;
+        
+        // Encrypted bundles of every wallet after each change (config.security.backupEnabled)
+        this.backupWriting = Promise.resolve();
+        this.backupQueued = false;
+        
+        // Encrypts keys and mnemonics; unlocked before wallets are loaded. Files record the
+        // version of the secret they were written under (see lib/key-rotation)
+        this.keystore = options.keystore || null;
+        this.keyVersion = DEFAULT_KEY_VERSION;
+        
         // Multi-chain wallet storage
         this.multiChainWallets = new Map();
         this.crossChainTransactions = new Map();
@@ -164,6 +161,21 @@ class MultiChainCryptoManager extends EventEmitter {
         this.networkHealth = new Map();
         this.healthCheckInterval = null;
         this.balanceUpdateInterval = null;
+        this.headTracker = new ChainHeadTracker({ now: () => this.clock.now() });
+        
+        // WebSocket head subscriptions (subscription update mode)
+        this.blockSubscribers = new Map();
+        this.lastHeadRefresh = new Map();
+        
+        // Lazy connection mode: in-flight connects and last use per network
+        this.pendingConnections = new Map();
+        this.networkLastUsed = new Map();
+        this.idleSweepInterval = null;
+        
+        // Config file watcher (options.watchConfig)
+        this.watchConfig = options.watchConfig === true;
+        this.configWatcher = null;
+        this.configReloadTimer = null;
         
         // Performance metrics
         this.metrics = {
@@ -174,8 +186,47 @@ class MultiChainCryptoManager extends EventEmitter {
             averageResponseTime: {},
             lastHealthCheck: null
         };
+        
+        // Prometheus telemetry (served on /metrics when config.metrics.enabled)
+        this.metricsRegistry = options.metricsRegistry || new MetricsRegistry();
+        this.metricsServer = null;
+        this.initializeTelemetry();
+        
+        // JWT-authenticated HTTP API (config.api.enabled) and its dashboard event stream
+        this.apiServer = null;
+        this.eventStream = null;
+        
+        // Alert rules and notification sinks (config.alerts.enabled)
+        this.alerts = null;
+        
+        // Append-only health check / breaker history (config.history.enabled)
+        this.healthHistory = null;
+
+        if (options.autoStart !== false) {
+            // Failures are reported through the 'system-error' event
+            this.start().catch(() => {});
+        }
+    }
+
+    // Connect networks, load wallets and start monitoring. Safe to call more than once.
+    start() {
+        if (!this.startPromise) {
+            this.operations.open();
+            this.walletWritesClosed = false;
+            this.startPromise = this.init().catch((error) => {
+                this.startPromise = null;
+                throw error;
+            });
+        }
+        return this.startPromise;
+    }
 
-        this.init();
+    async stop() {
+        if (this.startPromise) {
+            await this.startPromise.catch(() => {});
+        }
+        await this.shutdown();
+        this.startPromise = null;
     }
 
     async init() {
@@ -185,25 +236,57 @@ class MultiChainCryptoManager extends EventEmitter {
             // Load configuration
             await this.loadConfiguration();
             
+            // Record from the first connect on, so startup failures show up in reports
+            if (this.config.history?.enabled) {
+                this.startHealthHistory();
+            }
+            
             // Initialize circuit breakers for all networks
             this.initializeCircuitBreakers();
             
+            // Build weighted endpoint lists for failover
+            this.initializeEndpointPools();
+            
             // Connect to priority networks first
             await this.connectToPriorityNetworks();
             
-            // Connect to all other networks
-            await this.connectToAllNetworks();
+            // Connect to all other networks (lazy mode connects them on first use)
+            if (this.isLazyMode()) {
+                this.startIdleEviction();
+            } else {
+                await this.connectToAllNetworks();
+            }
             
             // Initialize multi-chain wallets
             await this.initializeMultiChainWallets();
             
+            if (this.config.alerts?.enabled) {
+                this.startAlerting();
+            }
+            
             // Start monitoring systems
             this.startNetworkHealthMonitoring();
             this.startBalanceTracking();
             
+            if (this.isSubscriptionMode()) {
+                this.startBlockSubscriptions();
+            }
+            
+            if (this.watchConfig) {
+                this.watchConfiguration();
+            }
+            
+            if (this.config.metrics?.enabled) {
+                await this.startMetricsServer();
+            }
+            
+            if (this.config.api?.enabled) {
+                await this.startApiServer();
+            }
+            
             this.isActive = true;
             this.emit('multi-chain-system-ready', { 
-                timestamp: new Date(), 
+                timestamp: new Date(this.clock.now()), 
                 status: 'LIVE',
                 networks: this.getConnectedNetworks().length,
                 totalNetworks: Object.keys(this.config.alchemy.mainnet_networks).length
@@ -217,14 +300,16 @@ class MultiChainCryptoManager extends EventEmitter {
         } catch (error) {
             this.logger.error('Multi-chain system initialization failed', { error: error.message });
             this.emit('system-error', error);
+            throw error;
         }
     }
 
     async loadConfiguration() {
         try {
-            const configPath = path.join(__dirname, 'config', 'crypto-config.json');
-            const configData = await fs.readFile(configPath, 'utf8');
-            this.config = JSON.parse(configData);
+            this.config = await this.readConfiguration();
+            this.configureHeadTracking();
+            this.rateLimiter.configure(this.config.rate_limits || {});
+            await this.rateLimiter.load();
             
             this.logger.info('Configuration loaded successfully', {
                 totalNetworks: this.config.alchemy.total_networks,
@@ -233,31 +318,231 @@ class MultiChainCryptoManager extends EventEmitter {
             });
             
         } catch (error) {
+            if (error instanceof ConfigValidationError) {
+                error.errors.forEach(problem => this.logger.error(`Configuration error: ${problem}`));
+                throw error;
+            }
             throw new Error(`Failed to load configuration: ${error.message}`);
         }
     }
 
+    // Read, interpolate and validate the configuration without applying it
+    async readConfiguration() {
+        if (this.configSource) {
+            return prepareConfig(this.configSource, { env: this.env, source: 'configuration object' });
+        }
+        
+        const configData = await fs.readFile(this.configPath, 'utf8');
+        return parseConfig(configData, { env: this.env, source: this.configPath });
+    }
+
+    getAllNetworkConfigs(config = this.config) {
+        return {
+            ...config.alchemy.mainnet_networks,
+            ...config.alchemy.testnet_networks
+        };
+    }
+
     initializeCircuitBreakers() {
         // Create circuit breakers for all networks
-        const allNetworks = {
-            ...this.config.alchemy.mainnet_networks,
-            ...this.config.alchemy.testnet_networks
-        };
+        const allNetworks = this.getAllNetworkConfigs();
 
-        Object.keys(allNetworks).forEach(networkKey => {
-            this.circuitBreakers.set(networkKey, new NetworkCircuitBreaker(networkKey, 3, 60000));
-            this.metrics.connectionAttempts[networkKey] = 0;
-            this.metrics.successfulConnections[networkKey] = 0;
-            this.metrics.failedConnections[networkKey] = 0;
-            this.metrics.totalRequests[networkKey] = 0;
-            this.metrics.averageResponseTime[networkKey] = 0;
-        });
+        Object.keys(allNetworks).forEach(networkKey => this.initializeNetworkBreaker(networkKey));
 
         this.logger.info('Circuit breakers initialized', { 
             networks: Object.keys(allNetworks).length 
         });
     }
 
+    // Breaker policy: manager default < multi_chain_config.circuit_breaker < the network's own circuit_breaker
+    getBreakerPolicy(networkKey) {
+        const networkConfig = this.getAllNetworkConfigs()[networkKey] || {};
+        return [
+            { open_timeout: 60000 },
+            this.config.multi_chain_config?.circuit_breaker,
+            networkConfig.circuit_breaker
+        ].reduce((policy, section) => ({ ...policy, ...section }), {});
+    }
+
+    initializeNetworkBreaker(networkKey) {
+        const breaker = new CircuitBreaker(networkKey, this.getBreakerPolicy(networkKey), {
+            now: () => this.clock.now()
+        });
+        this.circuitBreakers.set(networkKey, forwardBreakerEvents(breaker, this, this.logger));
+        this.metrics.connectionAttempts[networkKey] = 0;
+        this.metrics.successfulConnections[networkKey] = 0;
+        this.metrics.failedConnections[networkKey] = 0;
+        this.metrics.totalRequests[networkKey] = 0;
+        this.metrics.averageResponseTime[networkKey] = 0;
+    }
+
+    initializeEndpointPools() {
+        const allNetworks = this.getAllNetworkConfigs();
+
+        Object.entries(allNetworks).forEach(([networkKey, networkConfig]) => {
+            this.initializeNetworkEndpoints(networkKey, networkConfig);
+        });
+
+        this.logger.info('Endpoint pools initialized', {
+            networks: this.endpointPools.size,
+            endpoints: Array.from(this.endpointPools.values()).reduce((acc, pool) => acc + pool.endpoints.length, 0)
+        });
+    }
+
+    initializeNetworkEndpoints(networkKey, networkConfig) {
+        try {
+            this.endpointPools.set(networkKey, new EndpointPool(networkKey, networkConfig, { now: this.clock.now }));
+        } catch (error) {
+            this.logger.warn(`Skipping endpoint pool for ${networkKey}`, {
+                network: networkKey,
+                error: error.message
+            });
+        }
+    }
+
+    // ==================== CONFIGURATION RELOAD ====================
+
+    // Re-read the configuration and apply network changes without a restart.
+    // Unchanged networks keep their connection, wallets, breaker and metrics.
+    reloadConfiguration(options = {}) {
+        return this.operations.run('config-reload', signal => this.runConfigurationReload(signal), options.signal);
+    }
+
+    async runConfigurationReload(signal) {
+        let nextConfig;
+        try {
+            nextConfig = await abortable(this.readConfiguration(), signal);
+        } catch (error) {
+            this.logger.error('Configuration reload rejected, keeping current configuration', {
+                error: error.message
+            });
+            this.emit('config-reload-failed', { error: error.message });
+            throw error;
+        }
+        
+        const previousNetworks = this.getAllNetworkConfigs();
+        const nextNetworks = this.getAllNetworkConfigs(nextConfig);
+        
+        const diff = {
+            added: Object.keys(nextNetworks).filter(key => !previousNetworks[key]),
+            removed: Object.keys(previousNetworks).filter(key => !nextNetworks[key]),
+            changed: Object.keys(nextNetworks).filter(key =>
+                previousNetworks[key] && JSON.stringify(previousNetworks[key]) !== JSON.stringify(nextNetworks[key])
+            )
+        };
+        
+        const previousHealthInterval = this.config.multi_chain_config?.health_check_interval;
+        this.config = nextConfig;
+        this.configureHeadTracking();
+        this.rateLimiter.configure(this.config.rate_limits || {});
+        this.circuitBreakers.forEach((breaker, networkKey) => breaker.setPolicy(this.getBreakerPolicy(networkKey)));
+        
+        // Changed networks are torn down and rebuilt from their new definition
+        for (const networkKey of [...diff.removed, ...diff.changed]) {
+            this.teardownNetwork(networkKey);
+            if (diff.removed.includes(networkKey)) {
+                this.emit('network-removed', { network: networkKey, config: previousNetworks[networkKey] });
+            }
+        }
+        
+        for (const networkKey of [...diff.added, ...diff.changed]) {
+            const networkConfig = nextNetworks[networkKey];
+            this.initializeNetworkBreaker(networkKey);
+            this.initializeNetworkEndpoints(networkKey, networkConfig);
+            
+            if (this.isActive && this.shouldConnectEagerly(networkKey)) {
+                await this.connectToNetwork(networkKey, networkConfig, signal);
+                if (this.isSubscriptionMode() && this.networkConnections.has(networkKey)) {
+                    this.subscribeToNetwork(networkKey);
+                }
+            }
+            
+            this.emit(diff.added.includes(networkKey) ? 'network-added' : 'network-updated', {
+                network: networkKey,
+                connected: this.networkConnections.has(networkKey)
+            });
+        }
+        
+        if (this.isActive) {
+            this.stopIdleEviction();
+            if (this.isLazyMode()) this.startIdleEviction();
+        }
+        
+        await this.reconfigureAlerting();
+        this.syncConfigWallets();
+        
+        if (nextConfig.history?.enabled && !this.healthHistory) {
+            this.startHealthHistory();
+        } else if (!nextConfig.history?.enabled && this.healthHistory) {
+            await this.healthHistory.close();
+            this.healthHistory = null;
+        }
+        
+        const healthInterval = nextConfig.multi_chain_config?.health_check_interval;
+        if (this.healthCheckInterval && healthInterval !== previousHealthInterval) {
+            this.clock.clearInterval(this.healthCheckInterval);
+            this.healthCheckInterval = this.clock.setInterval(() => {
+                // Failures are recorded per network; a rejection only means shutdown began
+                this.performHealthCheck().catch(() => {});
+            }, healthInterval || 60000);
+        }
+        
+        this.logger.success('Configuration reloaded', {
+            added: diff.added,
+            removed: diff.removed,
+            changed: diff.changed
+        });
+        this.emit('configuration-reloaded', diff);
+        
+        return diff;
+    }
+
+    // Drop every piece of per-network state. Wallet addresses for the network are kept
+    // so keys are never lost; they simply stop being refreshed.
+    teardownNetwork(networkKey) {
+        this.unsubscribeFromNetwork(networkKey);
+        
+        const pool = this.endpointPools.get(networkKey);
+        if (pool) {
+            pool.endpoints.forEach(endpoint => this.rpcBatchers.delete(endpoint.url));
+        }
+        
+        this.networkConnections.delete(networkKey);
+        this.networkHealth.delete(networkKey);
+        this.circuitBreakers.get(networkKey)?.removeAllListeners();
+        this.circuitBreakers.delete(networkKey);
+        this.endpointPools.delete(networkKey);
+        this.lastHeadRefresh.delete(networkKey);
+        this.headTracker.forget(networkKey);
+        this.networkLastUsed.delete(networkKey);
+        
+        ['connectionAttempts', 'successfulConnections', 'failedConnections', 'totalRequests', 'averageResponseTime']
+            .forEach(metric => delete this.metrics[metric][networkKey]);
+        
+        Array.from(this.balanceCache.keys())
+            .filter(key => key.endsWith(`_${networkKey}`))
+            .forEach(key => this.balanceCache.delete(key));
+    }
+
+    // Reload automatically when the config file changes on disk
+    watchConfiguration() {
+        if (this.configSource || this.configWatcher) return;
+        
+        // Watch the directory: editors often replace the file rather than write it in place
+        const configFile = path.basename(this.configPath);
+        this.configWatcher = watchFile(path.dirname(this.configPath), (eventType, filename) => {
+            if (filename && filename !== configFile) return;
+            
+            clearTimeout(this.configReloadTimer);
+            this.configReloadTimer = setTimeout(() => {
+                this.configReloadTimer = null;
+                this.reloadConfiguration().catch(() => {});
+            }, 500);
+        });
+        
+        this.logger.info('Watching configuration file for changes', { configPath: this.configPath });
+    }
+
     async connectToPriorityNetworks() {
         const priorityNetworks = this.config.alchemy.network_priorities || ['ethereum', 'polygon', 'arbitrum', 'base'];
         
@@ -292,24 +577,143 @@ class MultiChainCryptoManager extends EventEmitter {
         }
     }
 
-    async connectToNetwork(networkKey, networkConfig) {
+    // ==================== LAZY CONNECTIONS ====================
+
+    isLazyMode() {
+        return this.config.multi_chain_config?.connection_mode === 'lazy';
+    }
+
+    getIdleTimeout() {
+        return this.config.multi_chain_config?.idle_timeout || 600000;
+    }
+
+    isPriorityNetwork(networkKey) {
+        return (this.config.alchemy.network_priorities || []).includes(networkKey);
+    }
+
+    shouldConnectEagerly(networkKey) {
+        if (!this.config.alchemy.mainnet_networks[networkKey]) return false;
+        return !this.isLazyMode() || this.isPriorityNetwork(networkKey);
+    }
+
+    touchNetwork(networkKey) {
+        this.networkLastUsed.set(networkKey, this.clock.now());
+    }
+
+    // Connection for a network, connecting on first use. Concurrent callers share one attempt.
+    async ensureNetwork(networkKey, options = {}) {
+        const networkConfig = this.getAllNetworkConfigs()[networkKey];
+        if (!networkConfig) {
+            throw new Error(`Unknown network: ${networkKey}`);
+        }
+
+        this.touchNetwork(networkKey);
+        if (this.networkConnections.has(networkKey)) {
+            return this.networkConnections.get(networkKey);
+        }
+
+        // The shared attempt is only cancelled by shutdown; options.signal just stops this caller waiting.
+        // No new connections are opened once shutdown has begun.
+        if (!this.pendingConnections.has(networkKey)) {
+            const pending = this.operations.run(`connect:${networkKey}`, async (signal) => {
+                await this.connectToNetwork(networkKey, networkConfig, signal);
+                if (this.networkConnections.has(networkKey)) {
+                    this.logger.info(`Connected to ${networkConfig.name} on demand`, { network: networkKey });
+                    if (this.isSubscriptionMode()) {
+                        this.subscribeToNetwork(networkKey);
+                    }
+                }
+            }).finally(() => this.pendingConnections.delete(networkKey));
+            this.pendingConnections.set(networkKey, pending);
+        }
+        await abortable(this.pendingConnections.get(networkKey), options.signal);
+
+        const connection = this.networkConnections.get(networkKey);
+        if (!connection) {
+            throw new Error(`${networkConfig.name} is not available`);
+        }
+        return connection;
+    }
+
+    startIdleEviction() {
+        const idleTimeout = this.getIdleTimeout();
+        this.logger.info('Lazy connection mode enabled', { idleTimeout });
+
+        this.idleSweepInterval = this.clock.setInterval(() => {
+            this.evictIdleNetworks();
+        }, Math.min(idleTimeout, 60000));
+    }
+
+    stopIdleEviction() {
+        if (this.idleSweepInterval) {
+            this.clock.clearInterval(this.idleSweepInterval);
+            this.idleSweepInterval = null;
+        }
+    }
+
+    // Close non-priority networks nobody has used for idle_timeout. Background balance
+    // sweeps and health checks do not count as use, so they never keep a network open.
+    evictIdleNetworks() {
+        const idleTimeout = this.getIdleTimeout();
+        const evicted = [];
+
+        this.getConnectedNetworks()
+            .filter(networkKey => !this.isPriorityNetwork(networkKey))
+            .forEach(networkKey => {
+                const lastUsed = this.networkLastUsed.get(networkKey) || 0;
+                const idleFor = this.clock.now() - lastUsed;
+                if (idleFor < idleTimeout) return;
+
+                this.disconnectNetwork(networkKey);
+                evicted.push(networkKey);
+                this.logger.info(`Closed idle connection to ${networkKey}`, { network: networkKey, idleFor });
+                this.emit('network-evicted', { network: networkKey, idleFor });
+            });
+
+        return evicted;
+    }
+
+    // Drop the live connection but keep the breaker, endpoint scores and metrics
+    disconnectNetwork(networkKey) {
+        this.unsubscribeFromNetwork(networkKey);
+
+        const connection = this.networkConnections.get(networkKey);
+        if (connection && connection.endpoint) {
+            this.rpcBatchers.delete(connection.endpoint);
+        }
+
+        this.networkConnections.delete(networkKey);
+        this.networkHealth.delete(networkKey);
+        this.lastHeadRefresh.delete(networkKey);
+        this.headTracker.forget(networkKey);
+    }
+
+    // `signal` abandons the attempt; an aborted connect never replaces the live connection
+    async connectToNetwork(networkKey, networkConfig, signal = null) {
         const circuitBreaker = this.circuitBreakers.get(networkKey);
         this.metrics.connectionAttempts[networkKey]++;
         
         try {
             await circuitBreaker.execute(async () => {
-                const startTime = Date.now();
+                if (!this.endpointPools.has(networkKey)) {
+                    throw new Error(`No endpoints configured for ${networkKey}`);
+                }
+                
+                const startTime = this.clock.now();
                 
                 if (networkConfig.type === 'solana') {
-                    await this.connectToSolana(networkKey, networkConfig);
+                    await this.connectToSolana(networkKey, networkConfig, signal);
                 } else if (networkConfig.type === 'bitcoin') {
-                    await this.connectToBitcoin(networkKey, networkConfig);
+                    await this.connectToBitcoin(networkKey, networkConfig, signal);
+                } else if (networkConfig.type === 'starknet') {
+                    await this.connectToStarknet(networkKey, networkConfig, signal);
                 } else {
-                    await this.connectToEVMNetwork(networkKey, networkConfig);
+                    await this.connectToEVMNetwork(networkKey, networkConfig, signal);
                 }
                 
-                const responseTime = Date.now() - startTime;
+                const responseTime = this.clock.now() - startTime;
                 this.updateMetrics(networkKey, responseTime, true);
+                this.observeRequest(networkKey, 'connect', responseTime);
                 
                 this.logger.success(`Connected to ${networkConfig.name}`, {
                     network: networkKey,
@@ -319,7 +723,12 @@ class MultiChainCryptoManager extends EventEmitter {
             });
             
         } catch (error) {
+            if (signal && signal.aborted) {
+                this.logger.info(`Connection to ${networkConfig.name} cancelled`, { network: networkKey });
+                return;
+            }
             this.metrics.failedConnections[networkKey]++;
+            this.observeRequest(networkKey, 'connect', null, error);
             this.logger.error(`Failed to connect to ${networkConfig.name}`, {
                 network: networkKey,
                 error: error.message
@@ -327,16 +736,19 @@ class MultiChainCryptoManager extends EventEmitter {
         }
     }
 
-    async connectToEVMNetwork(networkKey, networkConfig) {
-        if (!Web3) {
+    async connectToEVMNetwork(networkKey, networkConfig, signal = null) {
+        if (!this.providers.createEVMProvider) {
             throw new Error('Web3 library not available');
         }
 
-        return await withRetry(async () => {
-            const web3 = new Web3(networkConfig.endpoint);
+        const pool = this.endpointPools.get(networkKey);
+
+        return await this.retryOperation('connect', networkKey, () => pool.tryEach(async (endpoint) => {
+            const web3 = this.providers.createEVMProvider(endpoint.url);
+            await this.throttle(endpoint.url, ['eth_blockNumber', 'eth_chainId'], { signal });
             
             // Test connection with timeout
-            const connectionTest = Promise.race([
+            const connectionTest = abortable(Promise.race([
                 Promise.all([
                     web3.eth.getBlockNumber(),
                     web3.eth.getChainId()
@@ -344,85 +756,160 @@ class MultiChainCryptoManager extends EventEmitter {
                 new Promise((_, reject) => 
                     setTimeout(() => reject(new Error('Connection timeout')), 15000)
                 )
-            ]);
+            ]), signal);
             
-            const [blockNumber, chainId] = await connectionTest;
+            const [blockNumber, chainId] = (await connectionTest).map(Number);
             
             // Verify chain ID matches if specified
             if (networkConfig.chain_id && chainId !== networkConfig.chain_id) {
                 throw new Error(`Chain ID mismatch: expected ${networkConfig.chain_id}, got ${chainId}`);
             }
+            throwIfAborted(signal);
             
             this.networkConnections.set(networkKey, {
                 type: 'evm',
                 web3: web3,
                 config: networkConfig,
+                endpoint: endpoint.url,
                 blockNumber: blockNumber,
                 chainId: chainId,
-                lastUpdate: new Date(),
+                lastUpdate: new Date(this.clock.now()),
                 status: 'connected'
             });
             
             this.networkHealth.set(networkKey, {
                 status: 'healthy',
-                lastCheck: new Date(),
+                lastCheck: new Date(this.clock.now()),
                 blockNumber: blockNumber,
+                endpoint: endpoint.url,
                 latency: 0
             });
             
             return true;
-        }, 3, 2000, networkConfig.name);
+        }, signal), signal);
     }
 
-    async connectToSolana(networkKey, networkConfig) {
-        if (!solanaWeb3) {
+    async connectToSolana(networkKey, networkConfig, signal = null) {
+        if (!this.providers.createSolanaConnection) {
             throw new Error('Solana Web3 library not available');
         }
 
-        return await withRetry(async () => {
-            const connection = new solanaWeb3.Connection(networkConfig.endpoint, 'confirmed');
+        const pool = this.endpointPools.get(networkKey);
+
+        return await this.retryOperation('connect', networkKey, () => pool.tryEach(async (endpoint) => {
+            const connection = this.providers.createSolanaConnection(endpoint.url);
+            await this.throttle(endpoint.url, ['getVersion', 'getSlot'], { signal });
             
             // Test connection
-            const version = await connection.getVersion();
-            const slot = await connection.getSlot();
+            const version = await abortable(connection.getVersion(), signal);
+            const slot = await abortable(connection.getSlot(), signal);
+            throwIfAborted(signal);
             
             this.networkConnections.set(networkKey, {
                 type: 'solana',
                 connection: connection,
                 config: networkConfig,
+                endpoint: endpoint.url,
                 version: version,
                 slot: slot,
-                lastUpdate: new Date(),
+                lastUpdate: new Date(this.clock.now()),
                 status: 'connected'
             });
             
             this.networkHealth.set(networkKey, {
                 status: 'healthy',
-                lastCheck: new Date(),
+                lastCheck: new Date(this.clock.now()),
                 slot: slot,
+                endpoint: endpoint.url,
                 latency: 0
             });
             
             return true;
-        }, 3, 2000, networkConfig.name);
+        }, signal), signal);
     }
 
-    async connectToBitcoin(networkKey, networkConfig) {
-        // Bitcoin connection implementation (simplified for now)
-        this.networkConnections.set(networkKey, {
-            type: 'bitcoin',
-            config: networkConfig,
-            lastUpdate: new Date(),
-            status: 'connected'
-        });
-        
-        this.networkHealth.set(networkKey, {
-            status: 'healthy',
-            lastCheck: new Date(),
-            latency: 0
-        });
-        
-        return true;
+    async connectToBitcoin(networkKey, networkConfig, signal = null) {
+        const pool = this.endpointPools.get(networkKey);
+
+        return await this.retryOperation('connect', networkKey, () => pool.tryEach(async (endpoint) => {
+            const adapter = new BitcoinAdapter(endpoint.url, {
+                backend: networkConfig.backend,
+                network: networkConfig.bitcoin_network,
+                httpClient: this.providers.httpClient,
+                timeout: this.config.multi_chain_config?.connection_timeout,
+                beforeRequest: method => this.throttle(endpoint.url, method, { signal: this.operations.signal }),
+                signal: this.operations.signal
+            });
+            
+            // Test connection
+            const blockNumber = await abortable(adapter.getBlockHeight(), signal);
+            throwIfAborted(signal);
+            
+            this.networkConnections.set(networkKey, {
+                type: 'bitcoin',
+                adapter: adapter,
+                config: networkConfig,
+                endpoint: endpoint.url,
+                backend: adapter.backend,
+                blockNumber: blockNumber,
+                lastUpdate: new Date(this.clock.now()),
+                status: 'connected'
+            });
+            
+            this.networkHealth.set(networkKey, {
+                status: 'healthy',
+                lastCheck: new Date(this.clock.now()),
+                blockNumber: blockNumber,
+                endpoint: endpoint.url,
+                latency: 0
+            });
+            
+            return true;
+        }, signal), signal);
+    }
+
+    async connectToStarknet(networkKey, networkConfig, signal = null) {
+        const pool = this.endpointPools.get(networkKey);
+
+        return await this.retryOperation('connect', networkKey, () => pool.tryEach(async (endpoint) => {
+            const adapter = new StarknetAdapter(endpoint.url, {
+                batcher: this.getRpcBatcher(endpoint.url)
+            });
+            
+            // Test connection
+            const [blockNumber, { chainId, name }] = await abortable(Promise.all([
+                adapter.getBlockNumber(),
+                adapter.getChainId()
+            ]), signal);
+            
+            // Chain IDs are felts, so compare numerically ('0x534e5f4d41494e' === '0x0534e5f4d41494e')
+            if (networkConfig.chain_id && BigInt(chainId) !== BigInt(networkConfig.chain_id)) {
+                throw new Error(`Chain ID mismatch: expected ${networkConfig.chain_id}, got ${chainId} (${name})`);
+            }
+            throwIfAborted(signal);
+            
+            this.networkConnections.set(networkKey, {
+                type: 'starknet',
+                adapter: adapter,
+                config: networkConfig,
+                endpoint: endpoint.url,
+                blockNumber: blockNumber,
+                chainId: chainId,
+                chainName: name,
+                lastUpdate: new Date(this.clock.now()),
+                status: 'connected'
+            });
+            
+            this.networkHealth.set(networkKey, {
+                status: 'healthy',
+                lastCheck: new Date(this.clock.now()),
+                blockNumber: blockNumber,
+                endpoint: endpoint.url,
+                latency: 0
+            });
+            
+            return true;
+        }, signal), signal);
     }
 
     updateMetrics(networkKey, responseTime, success) {
@@ -444,6 +931,17 @@ class MultiChainCryptoManager extends EventEmitter {
     async initializeMultiChainWallets() {
         this.logger.info('Initializing multi-chain wallet system');
         
+        if (!this.keystore) {
+            this.keystore = await unlockKeystore(this.env, { legacySecret: LEGACY_SECRETS.multiChain });
+        }
+        
+        // Files under two secrets can't all be read; the rotation has to be finished or rolled back first
+        const store = await inspectStore(this.walletsDir);
+        if (store.pending) {
+            throw new KeystoreError(`Unfinished key rotation, run "npm run rotate-keystore" to finish it or --rollback (${describeStore(store)})`);
+        }
+        this.keyVersion = store.currentVersion;
+        
         // Load existing wallets
         await this.loadExistingWallets();
         
@@ -452,52 +950,81 @@ class MultiChainCryptoManager extends EventEmitter {
             await this.createMultiChainWallet('default_wallet');
         }
         
+        this.syncConfigWallets();
+        this.scheduleBackup();
+        
         this.logger.success('Multi-chain wallet system initialized', {
             wallets: this.multiChainWallets.size
         });
     }
 
-    async createMultiChainWallet(walletId = null) {
-        walletId = walletId || `wallet_${Date.now()}`;
+    /**
+     * Addresses are generated for `networkKeys` (connected on demand) or every connected network.
+     * Every key is derived from one BIP39 mnemonic, so EVM networks share an address.
+     * @param {Object} [options] - { mnemonic (default: a new 12-word one), account (BIP44 account index), signal,
+     *   overwrite (replace a wallet with the same id; without it an id in use is refused) }
+     */
+    createMultiChainWallet(walletId = null, networkKeys = null, options = {}) {
+        return this.operations.run('create-wallet', signal =>
+            this.runWalletCreation(walletId, networkKeys, options, signal), options.signal);
+    }
+
+    async runWalletCreation(walletId, networkKeys, options, signal) {
+        walletId = walletId || `wallet_${this.clock.now()}`;
+        this.assertWalletIdFree(walletId, options);
+        
+        const mnemonic = options.mnemonic ? normalizeMnemonic(options.mnemonic) : generateMnemonic();
+        const account = options.account || 0;
+        const seed = mnemonicToSeed(mnemonic);
+        
+        // EVM networks share one key, which is encrypted once
+        const records = new Map();
+        const encrypt = (value) => {
+            if (!records.has(value)) records.set(value, this.encryptData(value));
+            return records.get(value);
+        };
         
         const wallet = {
             id: walletId,
-            created: new Date(),
+            created: new Date(this.clock.now()),
             networks: {},
             totalValueUSD: 0,
             lastSync: null,
-            addresses: {}
+            addresses: {},
+            // Keys and the mnemonic stay encrypted in memory too; they are only decrypted on request
+            hd: {
+                mnemonic: this.encryptData(mnemonic),
+                account,
+                ...(options.discovered ? { discovered: options.discovered } : {})
+            }
         };
 
+        if (networkKeys) {
+            await Promise.allSettled(networkKeys.map(networkKey => this.ensureNetwork(networkKey, { signal })));
+        }
+        
         // Generate addresses for each connected network
-        const connectedNetworks = this.getConnectedNetworks();
+        const connectedNetworks = this.getConnectedNetworks()
+            .filter(networkKey => !networkKeys || networkKeys.includes(networkKey));
         
         for (const networkKey of connectedNetworks) {
             const connection = this.networkConnections.get(networkKey);
             
+            // Starknet accounts are deployed contracts, so they are attached with addStarknetAccount()
+            if (!HD_FAMILIES[connection.type]) continue;
+            
             try {
-                if (connection.type === 'evm') {
-                    const account = connection.web3.eth.accounts.create();
-                    wallet.networks[networkKey] = {
-                        address: account.address,
-                        privateKey: account.privateKey,
-                        type: 'evm',
-                        balance: 0,
-                        tokens: {}
-                    };
-                    wallet.addresses[networkKey] = account.address;
-                    
-                } else if (connection.type === 'solana') {
-                    const keypair = solanaWeb3.Keypair.generate();
-                    wallet.networks[networkKey] = {
-                        address: keypair.publicKey.toBase58(),
-                        privateKey: Buffer.from(keypair.secretKey).toString('hex'),
-                        type: 'solana',
-                        balance: 0,
-                        tokens: {}
-                    };
-                    wallet.addresses[networkKey] = keypair.publicKey.toBase58();
-                }
+                const key = deriveAccount(seed, connection.type, { account, network: connection.adapter?.network });
+                wallet.networks[networkKey] = {
+                    address: key.address,
+                    privateKey: encrypt(key.privateKey),
+                    derivationPath: key.path,
+                    type: connection.type,
+                    balance: 0,
+                    ...(connection.type === 'bitcoin' ? { unconfirmedBalance: 0 } : {}),
+                    tokens: {}
+                };
+                wallet.addresses[networkKey] = key.address;
                 
             } catch (error) {
                 this.logger.warn(`Failed to create wallet for ${networkKey}`, {
@@ -507,11 +1034,16 @@ class MultiChainCryptoManager extends EventEmitter {
             }
         }
 
+        // A cancelled creation leaves nothing behind; the id is checked again as another creation may have taken it
+        throwIfAborted(signal);
+        this.assertWalletIdFree(walletId, options);
         this.multiChainWallets.set(walletId, wallet);
         await this.saveWallet(wallet);
+        this.scheduleBackup();
 
         this.logger.success('Multi-chain wallet created', {
             walletId: walletId,
+            account,
             networks: Object.keys(wallet.networks).length
         });
 
@@ -520,12 +1052,484 @@ class MultiChainCryptoManager extends EventEmitter {
         return walletId;
     }
 
+    // Wallet ids name the wallet files, so reusing one would destroy the keys and mnemonic saved under it
+    assertWalletIdFree(walletId, options = {}) {
+        if (this.multiChainWallets.has(walletId) && !options.overwrite) {
+            throw new Error(`Wallet ${walletId} already exists`);
+        }
+    }
+
+    // The wallet's BIP39 mnemonic in clear text; null for wallets without one
+    getWalletMnemonic(walletId) {
+        const wallet = this.multiChainWallets.get(walletId);
+        if (!wallet) {
+            throw new Error(`Wallet ${walletId} not found`);
+        }
+        return wallet.hd ? this.decryptData(wallet.hd.mnemonic) : null;
+    }
+
+    // Private key of one network entry in clear text, in the format it was created in
+    getWalletPrivateKey(walletId, networkKey) {
+        const wallet = this.multiChainWallets.get(walletId);
+        if (wallet?.watchOnly) {
+            throw new WatchOnlyError(walletId);
+        }
+        const networkWallet = wallet?.networks[networkKey];
+        if (!networkWallet) {
+            throw new Error(`Wallet ${walletId} has no ${networkKey} address`);
+        }
+        if (!networkWallet.privateKey) {
+            throw new Error(`Wallet ${walletId} holds no key for ${networkKey}`);
+        }
+        return this.decryptData(networkWallet.privateKey);
+    }
+
+    /**
+     * Web3 Secret Storage v3 JSON of an EVM key, protected by its own passphrase.
+     * @param {Object} [options] - { kdfParams: { n, r, p } } (default n = 262144, as geth writes)
+     */
+    exportWalletKeystore(walletId, networkKey, passphrase, options = {}) {
+        const networkWallet = this.multiChainWallets.get(walletId)?.networks[networkKey];
+        if (networkWallet && networkWallet.type !== 'evm') {
+            throw new Error(`Web3 Secret Storage export is only available for EVM keys (${networkKey} is ${networkWallet.type})`);
+        }
+        const privateKey = this.getWalletPrivateKey(walletId, networkKey);
+        if (!privateKey) {
+            throw new KeystoreError(`Cannot decrypt the ${networkKey} key of wallet ${walletId}`);
+        }
+        return toWeb3SecretStorage(privateKey, passphrase, options);
+    }
+
+    /**
+     * Bring an existing mnemonic or key in as a new wallet.
+     * @param {Object} source - { format, data, passphrase, networks, account }. format: mnemonic, hex, solana-json,
+     *   wif or web3-keystore. data may also be a sealed export from exportWallet(), opened with `passphrase`.
+     *   Single keys go on `networks`, or on every connected network of the key's family (EVM for hex keys).
+     * @param {Object} [options] - { signal, overwrite (replace a wallet with the same id) }
+     * @returns {Promise<string>} walletId
+     */
+    async importWallet(walletId, source, options = {}) {
+        walletId = walletId || `wallet_${this.clock.now()}`;
+        this.assertWalletIdFree(walletId, options);
+
+        let { format, data, account } = source;
+        if (isSealedExport(data)) {
+            const opened = openExport(data, source.passphrase);
+            ({ format, data } = opened);
+            account = account ?? opened.account;
+        }
+
+        if (format === 'mnemonic') {
+            return this.createMultiChainWallet(walletId, source.networks || null, { ...options, mnemonic: data, account });
+        }
+        return this.operations.run('import-wallet', signal =>
+            this.runKeyImport(walletId, format, data, source, options, signal), options.signal);
+    }
+
+    async runKeyImport(walletId, format, data, source, options, signal) {
+        const decoded = decodeKey(format, data, { passphrase: source.passphrase });
+        const networkConfigs = this.getAllNetworkConfigs();
+        const typeOf = networkKey => networkConfigs[networkKey].type || 'evm';
+        const networkKeys = source.networks ||
+            this.getConnectedNetworks().filter(networkKey => typeOf(networkKey) === decoded.families[0]);
+        if (networkKeys.length === 0) {
+            throw new Error(`No connected ${decoded.families[0]} network to import the key on; pass networks`);
+        }
+
+        // Networks of one family share the key, which is encrypted once
+        const records = new Map();
+        const encrypt = (value) => {
+            if (!records.has(value)) records.set(value, this.encryptData(value));
+            return records.get(value);
+        };
+
+        const wallet = {
+            id: walletId,
+            created: new Date(this.clock.now()),
+            imported: { format },
+            networks: {},
+            totalValueUSD: 0,
+            lastSync: null,
+            addresses: {}
+        };
+
+        for (const networkKey of networkKeys) {
+            if (!networkConfigs[networkKey]) {
+                throw new Error(`Unknown network: ${networkKey}`);
+            }
+            const type = typeOf(networkKey);
+            if (!decoded.families.includes(type)) {
+                throw new Error(`A ${format} key cannot be used on ${networkKey} (${type})`);
+            }
+            const bitcoinNetwork = networkConfigs[networkKey].bitcoin_network || 'mainnet';
+            if (decoded.network && (decoded.network === 'mainnet') !== (bitcoinNetwork === 'mainnet')) {
+                throw new Error(`The WIF key is for Bitcoin ${decoded.network}, but ${networkKey} is ${bitcoinNetwork}`);
+            }
+
+            const key = keyForFamily(type, decoded.key, { network: bitcoinNetwork });
+            wallet.networks[networkKey] = {
+                address: key.address,
+                privateKey: encrypt(key.privateKey),
+                type,
+                balance: 0,
+                ...(type === 'bitcoin' ? { unconfirmedBalance: 0 } : {}),
+                tokens: {}
+            };
+            wallet.addresses[networkKey] = key.address;
+        }
+
+        throwIfAborted(signal);
+        this.assertWalletIdFree(walletId, options);
+        this.multiChainWallets.set(walletId, wallet);
+        await this.saveWallet(wallet);
+        this.scheduleBackup();
+
+        this.logger.success('Wallet imported', { walletId, format, networks: networkKeys.length });
+        this.emit('wallet-created', { walletId, networks: networkKeys, imported: format });
+        return walletId;
+    }
+
+    /**
+     * The wallet's mnemonic, or one network's key, in a standard format other wallets read. EVM keys default
+     * to web3-keystore, encrypted under `passphrase` by its own standard. mnemonic, hex, solana-json and wif
+     * have no encryption of their own, so they need an explicit choice: `plain` returns them in clear text,
+     * `sealed` wraps them in a sealed export under `passphrase` that openExport() in lib/wallet-formats
+     * opens and importWallet() takes as it is.
+     * @param {Object} options - { format: mnemonic, hex, solana-json, wif or web3-keystore, network (all but mnemonic),
+     *   passphrase, kdfParams, plain, sealed }
+     * @returns {Object|string} keystore JSON, sealed export, or the plain phrase / key
+     */
+    exportWallet(walletId, { format = null, network = null, passphrase, kdfParams, plain = false, sealed = false } = {}) {
+        const wallet = this.multiChainWallets.get(walletId);
+        if (!wallet) {
+            throw new Error(`Wallet ${walletId} not found`);
+        }
+        if (wallet.watchOnly) {
+            throw new WatchOnlyError(walletId);
+        }
+
+        format = format || (wallet.networks[network]?.type === 'evm' ? 'web3-keystore' : null);
+        if (!format) {
+            throw new Error(`Export of wallet ${walletId} needs a format`);
+        }
+        if (format === 'web3-keystore') {
+            return this.exportWalletKeystore(walletId, network, passphrase, { kdfParams });
+        }
+        if (!plain === !sealed) {
+            throw new Error(`${format} exports have no encryption of their own: pass either { plain: true } ` +
+                'for the clear-text key or { sealed: true, passphrase } for a sealed export');
+        }
+        const pack = exported => (plain ? exported.data : sealExport(exported, passphrase, { kdfParams }));
+
+        if (format === 'mnemonic') {
+            const mnemonic = this.getWalletMnemonic(walletId);
+            if (!mnemonic) {
+                throw new Error(`Wallet ${walletId} has no mnemonic to export`);
+            }
+            return pack({ format, data: mnemonic, walletId, account: wallet.hd.account });
+        }
+
+        const privateKey = this.getWalletPrivateKey(walletId, network);
+        if (!privateKey) {
+            throw new KeystoreError(`Cannot decrypt the ${network} key of wallet ${walletId}`);
+        }
+        const networkWallet = wallet.networks[network];
+        const data = encodeKey(format, networkWallet.type, privateKey, {
+            network: this.getAllNetworkConfigs()[network]?.bitcoin_network || 'mainnet'
+        });
+        return pack({ format, data, walletId, network, address: networkWallet.address });
+    }
+
+    /**
+     * Rebuild wallets from a mnemonic alone. Accounts are scanned from 0 until one shows no activity
+     * (BIP44 account discovery); within an account, addresses are scanned until `gapLimit` unused ones
+     * in a row (multi_chain_config.hd_gap_limit, default 20). Account 0 becomes `walletId`, later used
+     * accounts `<walletId>_account_<n>`. Nothing is created if any of these ids is in use, unless `overwrite` is set.
+     * @param {Object} [options] - { networks, gapLimit, signal, overwrite }
+     * @returns {Promise<Object[]>} [{ walletId, account, discovered }] where discovered lists the used
+     *   addresses per scheme (evm, solana, or a Bitcoin network key) and the next unused index
+     */
+    restoreWalletFromMnemonic(walletId, mnemonic, options = {}) {
+        return this.operations.run('restore-wallet', signal =>
+            this.runWalletRestore(walletId, mnemonic, options, signal), options.signal);
+    }
+
+    async runWalletRestore(walletId, mnemonic, options, signal) {
+        const seed = mnemonicToSeed(mnemonic);
+        const gapLimit = options.gapLimit || this.config.multi_chain_config?.hd_gap_limit || DEFAULT_GAP_LIMIT;
+
+        this.assertWalletIdFree(walletId, options);
+        if (options.networks) {
+            await Promise.allSettled(options.networks.map(networkKey => this.ensureNetwork(networkKey, { signal })));
+        }
+        const networkKeys = this.getConnectedNetworks()
+            .filter(networkKey => !options.networks || options.networks.includes(networkKey));
+
+        // EVM and Solana addresses are the same on every network of the family, so activity on any of them
+        // counts; Bitcoin networks derive with their own coin type
+        const schemes = new Map();
+        networkKeys.forEach((networkKey) => {
+            const connection = this.networkConnections.get(networkKey);
+            if (!HD_FAMILIES[connection.type]) return;
+            if (connection.type === 'bitcoin' && !connection.adapter.hasAddressHistory) {
+                throw new Error(`Restoring from a mnemonic needs an Esplora backend on ${networkKey}: ` +
+                    `${connection.adapter.backend} only sees unspent outputs, so spent-out addresses would be missed. ` +
+                    'Leave it out with { networks }');
+            }
+            const scheme = connection.type === 'bitcoin' ? networkKey : connection.type;
+            if (!schemes.has(scheme)) {
+                schemes.set(scheme, { family: connection.type, network: connection.adapter?.network, networkKeys: [] });
+            }
+            schemes.get(scheme).networkKeys.push(networkKey);
+        });
+
+        // Every used account is found before any wallet is written, so a taken id stops the whole restore
+        const accounts = [];
+        for (let account = 0; ; account++) {
+            const discovered = {};
+            let used = false;
+
+            for (const [scheme, { family, network, networkKeys: keys }] of schemes) {
+                const isUsed = async address => (await Promise.all(keys.map(networkKey =>
+                    this.addressHasActivity(networkKey, address, signal)))).some(Boolean);
+
+                // Bitcoin scans its receive and change chains separately
+                const chains = family === 'bitcoin' ? [0, 1] : [0];
+                const results = [];
+                for (const change of chains) {
+                    results.push(await discoverAddresses(
+                        index => deriveAccount(seed, family, { account, change, index, network }),
+                        isUsed,
+                        { gapLimit, signal }
+                    ));
+                }
+
+                discovered[scheme] = {
+                    addresses: results.flatMap((result, change) => result.used.map(entry => ({
+                        index: entry.index,
+                        ...(family === 'bitcoin' ? { change } : {}),
+                        path: entry.path,
+                        address: entry.address
+                    }))),
+                    nextIndex: results[0].nextIndex
+                };
+                used = used || results.some(result => result.used.length > 0);
+            }
+
+            if (account > 0 && !used) break;
+            accounts.push({ walletId: account === 0 ? walletId : `${walletId}_account_${account}`, account, discovered });
+        }
+
+        accounts.forEach(({ walletId: id }) => this.assertWalletIdFree(id, options));
+        const restored = [];
+        for (const { walletId: id, account, discovered } of accounts) {
+            await this.runWalletCreation(id, networkKeys, { mnemonic, account, discovered, overwrite: options.overwrite }, signal);
+            restored.push({ walletId: id, account, discovered });
+        }
+
+        this.logger.success('Wallets restored from mnemonic', {
+            walletId,
+            accounts: restored.length,
+            gapLimit
+        });
+        return restored;
+    }
+
+    // Whether an address was ever used: a nonce or balance on EVM, any signature on Solana, any transaction on Bitcoin
+    addressHasActivity(networkKey, address, signal = null) {
+        const connection = this.networkConnections.get(networkKey);
+
+        return this.retryOperation('balance', networkKey, () => abortable((async () => {
+            if (connection.type === 'evm') {
+                const batcher = this.getRpcBatcher(connection.endpoint);
+                const [nonce, balance] = await Promise.all([
+                    batcher.call('eth_getTransactionCount', [address, 'latest']),
+                    batcher.call('eth_getBalance', [address, 'latest'])
+                ]);
+                return BigInt(nonce) > 0n || BigInt(balance) > 0n;
+            }
+
+            if (connection.type === 'solana') {
+                const signatures = await this.getRpcBatcher(connection.endpoint)
+                    .call('getSignaturesForAddress', [address, { limit: 1, commitment: 'confirmed' }]);
+                return signatures.length > 0;
+            }
+
+            if (connection.type === 'bitcoin') {
+                return connection.adapter.hasHistory(address);
+            }
+
+            return false;
+        })(), signal), signal);
+    }
+
+    // Attach an existing (deployed) Starknet account to a wallet; no key material is stored
+    addStarknetAccount(walletId, address, networkKey = 'starknet', options = {}) {
+        return this.operations.run('add-starknet-account', signal =>
+            this.runStarknetAccountAddition(walletId, address, networkKey, options, signal), options.signal);
+    }
+
+    async runStarknetAccountAddition(walletId, address, networkKey, options, signal) {
+        const wallet = this.multiChainWallets.get(walletId);
+        if (!wallet) {
+            throw new Error(`Wallet ${walletId} not found`);
+        }
+
+        const networkConfig = this.getAllNetworkConfigs()[networkKey];
+        if (!networkConfig || networkConfig.type !== 'starknet') {
+            throw new Error(`${networkKey} is not a Starknet network`);
+        }
+
+        const accountAddress = normalizeStarknetAddress(address);
+        wallet.networks[networkKey] = {
+            address: accountAddress,
+            privateKey: null,
+            type: 'starknet',
+            balance: 0,
+            tokens: {}
+        };
+        wallet.addresses[networkKey] = accountAddress;
+
+        await this.saveWallet(wallet);
+        this.scheduleBackup();
+        await this.updateWalletBalances(walletId, [networkKey], { ...options, signal });
+
+        this.logger.info('Starknet account added', { walletId, network: networkKey, address: accountAddress });
+        return accountAddress;
+    }
+
+    /**
+     * Track an address, or a Bitcoin extended public key (xpub / zpub / tpub / vpub), without its keys.
+     * Watch-only wallets take part in balance sweeps, portfolio totals and balance history; reading
+     * their keys (and so signing) throws WatchOnlyError.
+     * @param {Object} source - { address } or { xpub }, plus networks: the network keys to watch it on
+     * @param {Object} [options] - { signal, overwrite (replace a wallet with the same id) }
+     */
+    importWatchOnlyWallet(walletId, source, options = {}) {
+        return this.operations.run('import-watch-only', signal =>
+            this.runWatchOnlyImport(walletId, source, options, signal), options.signal);
+    }
+
+    async runWatchOnlyImport(walletId, source, options, signal) {
+        this.assertWalletIdFree(walletId, options);
+        const wallet = this.buildWatchOnlyWallet(walletId, source, 'import');
+        this.multiChainWallets.set(walletId, wallet);
+        await this.saveWallet(wallet);
+        this.scheduleBackup();
+
+        this.logger.success('Watch-only wallet imported', {
+            walletId,
+            networks: Object.keys(wallet.networks).length,
+            xpub: !!source.xpub
+        });
+        this.emit('wallet-created', { walletId, networks: Object.keys(wallet.networks), watchOnly: true });
+
+        await this.updateWalletBalances(walletId, null, { ...options, signal });
+        return walletId;
+    }
+
+    // Wallet entry for a watch-only definition; throws on unknown networks and addresses a network can't hold
+    buildWatchOnlyWallet(walletId, { address = null, xpub = null, networks = null }, source) {
+        if (!address === !xpub) {
+            throw new Error(`Watch-only wallet ${walletId} needs either an address or an xpub`);
+        }
+        if (!Array.isArray(networks) || networks.length === 0) {
+            throw new Error(`Watch-only wallet ${walletId} needs a list of networks`);
+        }
+
+        const networkConfigs = this.getAllNetworkConfigs();
+        const wallet = {
+            id: walletId,
+            created: new Date(this.clock.now()),
+            watchOnly: { source, ...(xpub ? { xpub: xpub.trim() } : { address }), networks },
+            networks: {},
+            totalValueUSD: 0,
+            lastSync: null,
+            addresses: {}
+        };
+
+        for (const networkKey of networks) {
+            const networkConfig = networkConfigs[networkKey];
+            if (!networkConfig) {
+                throw new Error(`Unknown network: ${networkKey}`);
+            }
+            const type = networkConfig.type || 'evm';
+            const bitcoinNetwork = networkConfig.bitcoin_network || 'mainnet';
+
+            const entry = {
+                address: null,
+                privateKey: null,
+                type,
+                balance: 0,
+                ...(type === 'bitcoin' ? { unconfirmedBalance: 0 } : {}),
+                tokens: {}
+            };
+
+            if (xpub) {
+                if (type !== 'bitcoin') {
+                    throw new Error(`xpub wallets are only supported on Bitcoin networks (${networkKey} is ${type})`);
+                }
+                if (networkConfig.backend !== 'esplora') {
+                    throw new Error(`xpub wallets need an Esplora backend to find used addresses (${networkKey} uses bitcoind)`);
+                }
+                const key = parseExtendedPublicKey(xpub, bitcoinNetwork);
+                // Used addresses are discovered on the first balance update
+                Object.assign(entry, {
+                    address: deriveXpubAddress(key, { network: bitcoinNetwork }).address,
+                    xpub: xpub.trim(),
+                    derived: null
+                });
+            } else {
+                entry.address = normalizeWatchAddress(type, address, { network: bitcoinNetwork });
+            }
+
+            wallet.networks[networkKey] = entry;
+            wallet.addresses[networkKey] = entry.address;
+        }
+
+        return wallet;
+    }
+
+    // Watch-only wallets from the config `wallets` section, keyed by wallet id (usually the address).
+    // They are not written to wallet files, so removing an entry stops tracking it.
+    syncConfigWallets() {
+        const entries = this.config.wallets || {};
+
+        for (const [walletId, wallet] of this.multiChainWallets) {
+            if (wallet.watchOnly?.source === 'config' && !entries[walletId]) {
+                this.multiChainWallets.delete(walletId);
+            }
+        }
+
+        for (const [walletId, entry] of Object.entries(entries)) {
+            const existing = this.multiChainWallets.get(walletId);
+            if (existing && existing.watchOnly?.source !== 'config') {
+                this.logger.warn('Config wallet skipped: a wallet with the same id exists', { walletId });
+                continue;
+            }
+
+            const definition = { address: entry.address || null, xpub: entry.xpub || null, networks: entry.networks || null };
+            const current = existing?.watchOnly;
+            if (current && (current.address || null) === definition.address && (current.xpub || null) === definition.xpub &&
+                JSON.stringify(current.networks) === JSON.stringify(definition.networks)) {
+                continue;
+            }
+
+            try {
+                this.multiChainWallets.set(walletId, this.buildWatchOnlyWallet(walletId, definition, 'config'));
+            } catch (error) {
+                this.logger.warn(`Config wallet ${walletId} skipped`, { walletId, error: error.message });
+            }
+        }
+    }
+
     async loadExistingWallets() {
         try {
-            const walletsDir = path.join(__dirname, 'multi_chain_wallets');
+            const walletsDir = this.walletsDir;
             await fs.mkdir(walletsDir, { recursive: true });
             
             const walletFiles = await fs.readdir(walletsDir);
+            const legacyFiles = [];
             
             for (const file of walletFiles) {
                 if (file.endsWith('.json')) {
@@ -533,6 +1537,7 @@ class MultiChainCryptoManager extends EventEmitter {
                         const walletPath = path.join(walletsDir, file);
                         const walletData = JSON.parse(await fs.readFile(walletPath, 'utf8'));
                         this.multiChainWallets.set(walletData.id, walletData);
+                        if (hasLegacyRecords(walletData)) legacyFiles.push(file);
                     } catch (error) {
                         this.logger.warn(`Failed to load wallet ${file}`, { error: error.message });
                     }
@@ -540,6 +1545,11 @@ class MultiChainCryptoManager extends EventEmitter {
             }
             
             this.logger.info('Existing wallets loaded', { count: this.multiChainWallets.size });
+            if (legacyFiles.length > 0) {
+                this.logger.warn('Wallet files still use the legacy AES-CBC key format; run "npm run migrate-keystore" to re-encrypt them', {
+                    files: legacyFiles
+                });
+            }
             
         } catch (error) {
             this.logger.warn('Failed to load existing wallets', { error: error.message });
@@ -547,27 +1557,22 @@ class MultiChainCryptoManager extends EventEmitter {
     }
 
     async saveWallet(wallet) {
+        // Late writers (e.g. work cancelled at the shutdown deadline) must not touch wallet files
+        if (this.walletWritesClosed) {
+            this.logger.warn('Wallet not saved: manager is shut down', { walletId: wallet.id });
+            return;
+        }
+        // Config wallets are rebuilt from the config on every start
+        if (wallet.watchOnly?.source === 'config') return;
+
         try {
-            const walletsDir = path.join(__dirname, 'multi_chain_wallets');
+            const walletsDir = this.walletsDir;
             await fs.mkdir(walletsDir, { recursive: true });
             
             const walletPath = path.join(walletsDir, `${wallet.id}.json`);
             
-            // Encrypt sensitive data before saving
-            const encryptedWallet = {
-                ...wallet,
-                networks: Object.fromEntries(
-                    Object.entries(wallet.networks).map(([network, data]) => [
-                        network,
-                        {
-                            ...data,
-                            privateKey: this.encryptData(data.privateKey)
-                        }
-                    ])
-                )
-            };
-            
-            await fs.writeFile(walletPath, JSON.stringify(encryptedWallet, null, 2));
+            // Keys are encrypted when they are created, so the wallet is written as it is
+            await fs.writeFile(walletPath, JSON.stringify({ ...wallet, keyVersion: this.keyVersion }, null, 2));
             
         } catch (error) {
             this.logger.error('Failed to save wallet', { 
@@ -582,67 +1587,302 @@ class MultiChainCryptoManager extends EventEmitter {
     startBalanceTracking() {
         this.logger.info('Starting balance tracking system');
         
-        // Initial balance fetch
-        this.updateAllBalances();
+        // Initial balance fetch (per-network failures are logged; a rejection only means shutdown began)
+        this.updateAllBalances().catch(() => {});
         
         // Set up periodic balance updates
-        this.balanceUpdateInterval = setInterval(() => {
-            this.updateAllBalances();
+        this.balanceUpdateInterval = this.clock.setInterval(() => {
+            this.updateAllBalances().catch(() => {});
         }, 60000); // Update every minute
     }
 
-    async updateAllBalances() {
-        const wallets = Array.from(this.multiChainWallets.values());
+    updateAllBalances(options = {}) {
+        return this.operations.run('balance-sweep', async (signal) => {
+            const wallets = Array.from(this.multiChainWallets.values());
+            const networkKeys = this.getPolledNetworks()
+                .filter(networkKey => wallets.some(wallet => wallet.networks[networkKey]));
+            
+            // Sweep networks in parallel; wallets on the same network share batched requests
+            await mapWithConcurrency(networkKeys, this.getQueryConcurrency(), networkKey =>
+                this.sweepNetworkBalances(networkKey, wallets, signal)
+            );
+            
+            throwIfAborted(signal);
+            wallets.forEach(wallet => this.completeWalletSync(wallet));
+        }, options.signal);
+    }
+
+    // Refresh every wallet's balance on a single network (used on new heads)
+    updateNetworkBalances(networkKey, options = {}) {
+        return this.operations.run(`balance-sweep:${networkKey}`, async (signal) => {
+            const wallets = Array.from(this.multiChainWallets.values())
+                .filter(wallet => wallet.networks[networkKey]);
+            
+            await this.sweepNetworkBalances(networkKey, wallets, signal);
+            wallets.forEach(wallet => this.completeWalletSync(wallet));
+        }, options.signal);
+    }
+
+    updateWalletBalances(walletId, networkKeys = null, options = {}) {
+        return this.operations.run(`wallet-balances:${walletId}`, async (signal) => {
+            const wallet = this.multiChainWallets.get(walletId);
+            if (!wallet) return;
+
+            const walletNetworks = Object.keys(wallet.networks)
+                .filter(networkKey => !networkKeys || networkKeys.includes(networkKey));
+            
+            // An explicit request for a wallet connects the networks it needs
+            await mapWithConcurrency(walletNetworks, this.getQueryConcurrency(), async (networkKey) => {
+                await this.ensureNetwork(networkKey, { signal }).catch(() => null);
+                await this.updateNetworkWalletBalance(wallet, networkKey, signal);
+            });
+
+            throwIfAborted(signal);
+            this.completeWalletSync(wallet);
+        }, options.signal);
+    }
+
+    // Connect `networkKeys` (default: every configured network) on demand, reporting per-network outcomes
+    async connectNetworks(networkKeys = null, options = {}) {
+        const keys = networkKeys || Object.keys(this.getAllNetworkConfigs());
+        const results = await mapWithConcurrency(keys, this.getQueryConcurrency(), networkKey =>
+            this.ensureNetwork(networkKey, options)
+        );
+        throwIfAborted(options.signal);
         
-        for (const wallet of wallets) {
-            await this.updateWalletBalances(wallet.id);
+        return {
+            connected: keys.filter((key, index) => results[index].status === 'fulfilled'),
+            failed: Object.fromEntries(keys
+                .map((key, index) => [key, results[index]])
+                .filter(([, result]) => result.status === 'rejected')
+                .map(([key, result]) => [key, result.reason.message]))
+        };
+    }
+
+    async sweepNetworkBalances(networkKey, wallets, signal = null) {
+        await Promise.all(
+            wallets
+                .filter(wallet => wallet.networks[networkKey])
+                .map(wallet => this.updateNetworkWalletBalance(wallet, networkKey, signal))
+        );
+    }
+
+    async updateNetworkWalletBalance(wallet, networkKey, signal = null) {
+        const networkWallet = wallet.networks[networkKey];
+        const connection = this.networkConnections.get(networkKey);
+        if (!networkWallet || !connection) return;
+
+        // Wallets watched before the network moved to bitcoind; it cannot find their used addresses
+        if (networkWallet.xpub && !connection.adapter.hasAddressHistory) {
+            this.logger.warn(`Skipping xpub wallet on ${networkKey}: it needs an Esplora backend`, { walletId: wallet.id, network: networkKey });
+            return;
         }
+
+        const startTime = this.clock.now();
+        try {
+            if (networkWallet.xpub && !networkWallet.derived) {
+                await this.discoverXpubAddresses(wallet, networkKey, signal);
+            }
+            const balances = await this.retryOperation('balance', networkKey, () =>
+                abortable(networkWallet.xpub
+                    ? this.fetchXpubBalance(networkKey, networkWallet)
+                    : this.fetchNativeBalance(networkKey, networkWallet.address), signal), signal
+            );
+            if (balances === null) return;
+            this.observeRequest(networkKey, 'balance', this.clock.now() - startTime);
+
+            Object.assign(networkWallet, balances);
+            
+            // Cache balance for quick access
+            this.balanceCache.set(`${wallet.id}_${networkKey}`, {
+                ...balances,
+                lastUpdate: new Date(this.clock.now())
+            });
+
+        } catch (error) {
+            // Cancelled lookups say nothing about the endpoint either; stop the sweep quietly
+            if (signal && signal.aborted) throw error;
+
+            // Running out of budget says nothing about the endpoint's health
+            if (error.code !== 'BUDGET_EXHAUSTED') {
+                this.endpointPools.get(networkKey)?.recordFailure(connection.endpoint, error);
+            }
+            this.observeRequest(networkKey, 'balance', this.clock.now() - startTime, error);
+            this.logger.warn(`Failed to update balance for ${networkKey}`, {
+                walletId: wallet.id,
+                network: networkKey,
+                error: error.message
+            });
+        }
+    }
+
+    // Native balance fields for a wallet entry ({ balance } plus chain-specific extras).
+    // EVM and Solana go through the endpoint's batcher, so concurrent lookups share one HTTP request.
+    async fetchNativeBalance(networkKey, address) {
+        const connection = this.networkConnections.get(networkKey);
+
+        if (connection.type === 'evm') {
+            const weiBalance = await this.getRpcBatcher(connection.endpoint).call('eth_getBalance', [address, 'latest']);
+            return { balance: formatUnits(weiBalance, 18) };
+        }
+
+        if (connection.type === 'solana') {
+            const result = await this.getRpcBatcher(connection.endpoint).call('getBalance', [address, { commitment: 'confirmed' }]);
+            return { balance: formatUnits(result.value, 9) };
+        }
+
+        if (connection.type === 'bitcoin') {
+            const { confirmed, unconfirmed } = await connection.adapter.getBalance(address);
+            return { balance: confirmed, unconfirmedBalance: unconfirmed };
+        }
+
+        if (connection.type === 'starknet') {
+            // STRK pays v3 transaction fees, ETH the legacy ones; both are tracked
+            const tokens = await connection.adapter.getBalances(address);
+            return { balance: tokens.STRK, tokens };
+        }
+
+        return null;
+    }
+
+    // Gap-limit scan of a watched xpub's receive and change chains (multi_chain_config.hd_gap_limit)
+    async discoverXpubAddresses(wallet, networkKey, signal = null) {
+        const networkWallet = wallet.networks[networkKey];
+        const network = this.networkConnections.get(networkKey).adapter.network;
+        const key = parseExtendedPublicKey(networkWallet.xpub, network);
+        const gapLimit = this.config.multi_chain_config?.hd_gap_limit || DEFAULT_GAP_LIMIT;
+
+        const results = [];
+        for (const change of [0, 1]) {
+            results.push(await discoverAddresses(
+                index => deriveXpubAddress(key, { change, index, network }),
+                address => this.addressHasActivity(networkKey, address, signal),
+                { gapLimit, signal }
+            ));
+        }
+
+        networkWallet.derived = results.flatMap((result, change) => result.used.map(entry => ({
+            change,
+            index: entry.index,
+            path: entry.path,
+            address: entry.address
+        })));
+        // The first unused address of each chain is watched too, so the next payment is seen
+        networkWallet.next = results.map((result, change) => deriveXpubAddress(key, { change, index: result.nextIndex, network }).address);
+        networkWallet.address = networkWallet.next[0];
+        wallet.addresses[networkKey] = networkWallet.address;
+    }
+
+    // Balance summed over a watched xpub's used addresses and the next unused one of each chain
+    async fetchXpubBalance(networkKey, networkWallet) {
+        const connection = this.networkConnections.get(networkKey);
+        const used = networkWallet.derived.map(entry => entry.address);
+        const balances = await Promise.all([...used, ...networkWallet.next].map(address => connection.adapter.getBalance(address)));
+
+        const confirmedSats = balances.reduce((sum, balance) => sum + balance.confirmedSats, 0);
+        const unconfirmedSats = balances.reduce((sum, balance) => sum + balance.unconfirmedSats, 0);
+
+        // Funds on a watched unused address mean the wallet moved past it; scan again on the next update
+        if (balances.slice(used.length).some(balance => balance.confirmedSats + balance.unconfirmedSats !== 0)) {
+            networkWallet.derived = null;
+        }
+
+        return { balance: formatUnits(confirmedSats, 8), unconfirmedBalance: formatUnits(unconfirmedSats, 8) };
     }
 
-    async updateWalletBalances(walletId) {
+    // Unspent outputs for a wallet's Bitcoin address
+    async listUtxos(walletId, networkKey = 'bitcoin') {
         const wallet = this.multiChainWallets.get(walletId);
-        if (!wallet) return;
+        const networkWallet = wallet?.networks[networkKey];
 
-        let totalValueUSD = 0;
+        if (!networkWallet) {
+            throw new Error(`Wallet ${walletId} has no ${networkKey} address`);
+        }
 
-        for (const [networkKey, networkWallet] of Object.entries(wallet.networks)) {
-            const connection = this.networkConnections.get(networkKey);
-            if (!connection) continue;
+        const connection = await this.ensureNetwork(networkKey);
+        if (connection.type !== 'bitcoin') {
+            throw new Error(`${networkKey} is not a connected Bitcoin network`);
+        }
 
-            try {
-                let balance = 0;
+        return await connection.adapter.listUnspent(networkWallet.address);
+    }
 
-                if (connection.type === 'evm') {
-                    const weiBalance = await connection.web3.eth.getBalance(networkWallet.address);
-                    balance = parseFloat(connection.web3.utils.fromWei(weiBalance, 'ether'));
-                    
-                } else if (connection.type === 'solana') {
-                    const publicKey = new solanaWeb3.PublicKey(networkWallet.address);
-                    const lamportBalance = await connection.connection.getBalance(publicKey);
-                    balance = lamportBalance / solanaWeb3.LAMPORTS_PER_SOL;
-                }
+    completeWalletSync(wallet) {
+        wallet.lastSync = new Date(this.clock.now());
+        wallet.totalValueUSD = 0; // TODO: Add price conversion
+        
+        this.emit('balances-updated', { walletId: wallet.id, watchOnly: !!wallet.watchOnly, balances: wallet.networks });
+    }
 
-                networkWallet.balance = balance;
-                
-                // Cache balance for quick access
-                this.balanceCache.set(`${walletId}_${networkKey}`, {
-                    balance: balance,
-                    lastUpdate: new Date()
-                });
+    getRpcBatcher(url) {
+        if (!this.rpcBatchers.has(url)) {
+            this.rpcBatchers.set(url, new RpcBatcher(url, {
+                httpClient: this.providers.httpClient,
+                maxBatchSize: this.config.multi_chain_config?.rpc_batch_size || 50,
+                batchWindow: this.config.multi_chain_config?.rpc_batch_window ?? 10,
+                timeout: this.config.multi_chain_config?.connection_timeout || 15000,
+                signal: this.operations.signal,
+                beforeSend: (requests) => {
+                    // Explicit priorities win; otherwise the limiter derives one from the methods
+                    const explicit = requests.map(request => request.priority).filter(Boolean);
+                    const priority = PRIORITIES.find(level => explicit.includes(level));
+                    return this.throttle(url, requests.map(request => request.method), {
+                        priority,
+                        signal: this.operations.signal
+                    });
+                }
+            }));
+        }
+        return this.rpcBatchers.get(url);
+    }
 
-            } catch (error) {
-                this.logger.warn(`Failed to update balance for ${networkKey}`, {
-                    walletId: walletId,
-                    network: networkKey,
-                    error: error.message
-                });
+    // Run `operation` under the named retry policy (connect, balance, send, ...), counting retries by error class
+    retryOperation(policy, networkKey, operation, signal = null) {
+        return retry(operation, {
+            policy,
+            signal,
+            name: this.getAllNetworkConfigs()[networkKey]?.name || networkKey,
+            logger: this.logger,
+            now: () => this.clock.now(),
+            onRetry: ({ errorClass }) => {
+                this.telemetry.requestRetries.inc({ network: networkKey, operation: policy, class: errorClass });
             }
-        }
+        });
+    }
+
+    // Wait for the endpoint's provider to allow `methods`; endpoints without rate limits pass straight through
+    throttle(url, methods, { priority = null, signal = null } = {}) {
+        return this.rateLimiter.acquire(url, methods, {
+            ...(priority ? { priority } : {}),
+            ...(signal ? { signal } : {})
+        });
+    }
+
+    forwardRateLimitEvents() {
+        this.rateLimiter.on('budget-throttling', (status) => {
+            this.logger.warn(`Compute-unit budget for ${status.provider} at ${Math.round(status.budgetUsage * 100)}%, slowing down balance sweeps`, {
+                provider: status.provider,
+                usedToday: status.usedToday,
+                dailyBudget: status.dailyBudget
+            });
+            this.emit('rate-limit-throttling', status);
+        });
+        this.rateLimiter.on('budget-exhausted', (event) => {
+            this.logger.error(`Compute-unit budget for ${event.provider} exhausted for ${event.priority}-priority requests`, event);
+            this.emit('rate-limit-exhausted', event);
+        });
+        this.rateLimiter.on('save-failed', (error) => {
+            this.logger.warn('Failed to save the compute-unit budget spent today', { error: error.message });
+        });
+        this.rateLimiter.on('budget-reset', (status) => {
+            this.logger.info(`Compute-unit budget for ${status.provider} reset for the new day`, { provider: status.provider });
+        });
+    }
 
-        wallet.lastSync = new Date();
-        wallet.totalValueUSD = totalValueUSD; // TODO: Add price conversion
-        
-        this.emit('balances-updated', { walletId, balances: wallet.networks });
+    getQueryConcurrency() {
+        const multiChainConfig = this.config.multi_chain_config || {};
+        if (multiChainConfig.parallel_queries === false) return 1;
+        return multiChainConfig.max_parallel_networks || 5;
     }
 
     // ==================== NETWORK HEALTH MONITORING ====================
@@ -650,66 +1890,576 @@ class MultiChainCryptoManager extends EventEmitter {
     startNetworkHealthMonitoring() {
         this.logger.info('Starting network health monitoring');
         
-        // Initial health check
-        this.performHealthCheck();
+        // Initial health check (results land in networkHealth; a rejection only means shutdown began)
+        this.performHealthCheck().catch(() => {});
         
         // Set up periodic health checks
-        this.healthCheckInterval = setInterval(() => {
-            this.performHealthCheck();
+        this.healthCheckInterval = this.clock.setInterval(() => {
+            this.performHealthCheck().catch(() => {});
         }, this.config.multi_chain_config?.health_check_interval || 60000);
     }
 
-    async performHealthCheck() {
-        this.metrics.lastHealthCheck = new Date();
+    performHealthCheck(options = {}) {
+        return this.operations.run('health-check', signal => this.runHealthCheck(signal), options.signal);
+    }
+
+    async runHealthCheck(signal) {
+        this.metrics.lastHealthCheck = new Date(this.clock.now());
         
-        const healthPromises = this.getConnectedNetworks().map(async (networkKey) => {
+        const healthPromises = this.getPolledNetworks().map(async (networkKey) => {
             const connection = this.networkConnections.get(networkKey);
-            const startTime = Date.now();
+            const startTime = this.clock.now();
             
             try {
                 let healthData = {};
                 
                 if (connection.type === 'evm') {
-                    const blockNumber = await connection.web3.eth.getBlockNumber();
+                    await this.throttle(connection.endpoint, 'eth_blockNumber', { signal });
+                    const blockNumber = await abortable(connection.web3.eth.getBlockNumber(), signal);
                     healthData = { blockNumber };
                     
                 } else if (connection.type === 'solana') {
-                    const slot = await connection.connection.getSlot();
+                    await this.throttle(connection.endpoint, 'getSlot', { signal });
+                    const slot = await abortable(connection.connection.getSlot(), signal);
                     healthData = { slot };
+                    
+                } else if (connection.type === 'bitcoin') {
+                    const blockNumber = await abortable(connection.adapter.getBlockHeight(), signal);
+                    healthData = { blockNumber };
+                    
+                } else if (connection.type === 'starknet') {
+                    const blockNumber = await abortable(connection.adapter.getBlockNumber(), signal);
+                    healthData = { blockNumber };
                 }
                 
-                const latency = Date.now() - startTime;
+                const latency = this.clock.now() - startTime;
+                this.endpointPools.get(networkKey)?.recordSuccess(connection.endpoint, latency);
+                this.observeRequest(networkKey, 'health_check', latency);
+                this.recordHead(networkKey, connection.endpoint, healthData.blockNumber ?? healthData.slot);
                 
                 this.networkHealth.set(networkKey, {
                     status: 'healthy',
-                    lastCheck: new Date(),
+                    lastCheck: new Date(this.clock.now()),
                     latency: latency,
+                    endpoint: connection.endpoint,
                     ...healthData
                 });
                 
             } catch (error) {
+                // A cancelled check is not a verdict on the endpoint
+                if (signal.aborted) return;
+
+                const budgetExhausted = error.code === 'BUDGET_EXHAUSTED';
+                if (!budgetExhausted) {
+                    this.endpointPools.get(networkKey)?.recordFailure(connection.endpoint, error);
+                }
+                this.observeRequest(networkKey, 'health_check', this.clock.now() - startTime, error);
+                
                 this.networkHealth.set(networkKey, {
                     status: 'unhealthy',
-                    lastCheck: new Date(),
+                    lastCheck: new Date(this.clock.now()),
                     error: error.message,
-                    latency: Date.now() - startTime
+                    endpoint: connection.endpoint,
+                    latency: this.clock.now() - startTime
                 });
                 
                 this.logger.warn(`Network health check failed for ${networkKey}`, {
                     network: networkKey,
                     error: error.message
                 });
+                
+                if (!budgetExhausted) {
+                    await this.failoverNetwork(networkKey, signal);
+                }
             }
         });
         
         await Promise.allSettled(healthPromises);
+        throwIfAborted(signal);
+        
+        // Standby endpoints provide the reference head for lag detection
+        const connectedNetworks = this.getConnectedNetworks();
+        await Promise.allSettled(connectedNetworks.map(networkKey => this.sampleStandbyEndpoints(networkKey, signal)));
+        
+        // Subscribed networks are assessed too, so a silent WebSocket shows up as a stalled head
+        await Promise.allSettled(connectedNetworks.map(networkKey => this.assessHeadFreshness(networkKey, signal)));
+        throwIfAborted(signal);
         
         this.emit('health-check-completed', {
-            timestamp: new Date(),
+            timestamp: new Date(this.clock.now()),
             networks: Object.fromEntries(this.networkHealth)
         });
     }
 
+    // ==================== HEAD FRESHNESS ====================
+
+    configureHeadTracking() {
+        const multiChainConfig = this.config.multi_chain_config || {};
+        this.headTracker.degradedBlocks = multiChainConfig.head_degraded_blocks || DEFAULT_DEGRADED_BLOCKS;
+        this.headTracker.stalledBlocks = multiChainConfig.head_stalled_blocks || DEFAULT_STALLED_BLOCKS;
+    }
+
+    recordHead(networkKey, endpoint, height) {
+        const networkConfig = this.getAllNetworkConfigs()[networkKey] || {};
+        this.headTracker.record(networkKey, endpoint, Number(height), expectedBlockTime(networkKey, networkConfig));
+    }
+
+    // Head height straight from an endpoint, independent of the network's active connection
+    async fetchHeadHeight(networkKey, url, signal = null) {
+        const connection = this.networkConnections.get(networkKey);
+
+        if (connection.type === 'bitcoin') {
+            const adapter = new BitcoinAdapter(url, {
+                backend: connection.config.backend,
+                network: connection.config.bitcoin_network,
+                httpClient: this.providers.httpClient,
+                beforeRequest: method => this.throttle(url, method, { signal }),
+                signal
+            });
+            return await adapter.getBlockHeight();
+        }
+
+        const method = {
+            evm: 'eth_blockNumber',
+            solana: 'getSlot',
+            starknet: 'starknet_blockNumber'
+        }[connection.type];
+
+        return Number(await abortable(this.getRpcBatcher(url).call(method, []), signal));
+    }
+
+    async sampleStandbyEndpoints(networkKey, signal = null) {
+        const pool = this.endpointPools.get(networkKey);
+        const connection = this.networkConnections.get(networkKey);
+        if (!pool || !connection || pool.endpoints.length < 2) return;
+
+        const standby = pool.endpoints.filter(endpoint => endpoint.url !== connection.endpoint);
+        await Promise.allSettled(standby.map(async (endpoint) => {
+            const startTime = this.clock.now();
+            try {
+                const height = await this.fetchHeadHeight(networkKey, endpoint.url, signal);
+                pool.recordSuccess(endpoint.url, this.clock.now() - startTime);
+                this.recordHead(networkKey, endpoint.url, height);
+            } catch (error) {
+                if (signal && signal.aborted) return;
+                pool.recordFailure(endpoint.url, error);
+            }
+        }));
+    }
+
+    // Fold the head tracker's verdict for the active endpoint into its health entry.
+    // Unreachable networks stay 'unhealthy'; a stalled head triggers failover first.
+    async assessHeadFreshness(networkKey, signal = null) {
+        const health = this.networkHealth.get(networkKey);
+        if (!health || health.status === 'unhealthy') return;
+
+        // A live subscription reports every block, so silence since its last one counts as head age
+        const live = !this.getPolledNetworks().includes(networkKey);
+        const evaluation = this.headTracker.evaluate(networkKey, health.endpoint, { live });
+        if (!evaluation) return;
+
+        if (evaluation.state !== 'healthy') {
+            this.logger.warn(`${networkKey} head is ${evaluation.state}: ${evaluation.reason}`, {
+                network: networkKey,
+                endpoint: health.endpoint,
+                headAge: evaluation.headAge,
+                lag: evaluation.lag
+            });
+        }
+
+        if (evaluation.state === 'stalled') {
+            this.endpointPools.get(networkKey)?.recordFailure(health.endpoint, new Error(evaluation.reason));
+            await this.failoverNetwork(networkKey, signal);
+        }
+
+        // Reconnecting resets the health entry, so judge whichever endpoint is active now
+        const current = this.networkHealth.get(networkKey);
+        const verdict = current && this.headTracker.evaluate(networkKey, current.endpoint, { live });
+        if (!verdict) return;
+
+        const { state, ...head } = verdict;
+        this.networkHealth.set(networkKey, { ...current, status: state, head });
+    }
+
+    // ==================== BLOCK SUBSCRIPTIONS ====================
+
+    isSubscriptionMode() {
+        return this.config.multi_chain_config?.update_mode === 'subscription';
+    }
+
+    startBlockSubscriptions() {
+        this.logger.info('Starting WebSocket block subscriptions');
+        
+        this.getConnectedNetworks().forEach(networkKey => this.subscribeToNetwork(networkKey));
+        
+        this.logger.info('Block subscriptions started', {
+            subscribed: this.blockSubscribers.size,
+            polled: this.getConnectedNetworks().length - this.blockSubscribers.size
+        });
+    }
+
+    subscribeToNetwork(networkKey) {
+        const connection = this.networkConnections.get(networkKey);
+        const endpoint = this.endpointPools.get(networkKey)?.getActiveEndpoint();
+        
+        if (!connection || !endpoint || !endpoint.websocket) return null;
+        if (connection.type !== 'evm' && connection.type !== 'solana') return null;
+        
+        this.unsubscribeFromNetwork(networkKey);
+        
+        const subscriber = new BlockSubscriber(networkKey, endpoint.websocket, {
+            type: connection.type,
+            WebSocket: this.providers.WebSocket || undefined,
+            fallbackAfter: this.config.multi_chain_config?.subscription_fallback_after || 3
+        });
+        
+        subscriber.on('block', (head) => this.onNewHead(networkKey, head));
+        
+        subscriber.on('connected', ({ recovered }) => {
+            if (recovered) {
+                this.logger.info(`Block subscription restored for ${networkKey}, leaving HTTP polling`, {
+                    network: networkKey
+                });
+                this.emit('subscription-restored', { network: networkKey });
+            }
+        });
+        
+        subscriber.on('fallback', ({ attempts, error }) => {
+            this.logger.warn(`Block subscription down for ${networkKey}, falling back to HTTP polling`, {
+                network: networkKey,
+                attempts,
+                error
+            });
+            this.emit('subscription-fallback', { network: networkKey, error });
+        });
+        
+        subscriber.on('socket-error', (error) => {
+            this.logger.warn(`Block subscription error for ${networkKey}`, {
+                network: networkKey,
+                error: error.message
+            });
+        });
+        
+        this.blockSubscribers.set(networkKey, subscriber.start());
+        return subscriber;
+    }
+
+    unsubscribeFromNetwork(networkKey) {
+        const subscriber = this.blockSubscribers.get(networkKey);
+        if (subscriber) {
+            subscriber.removeAllListeners();
+            subscriber.stop();
+            this.blockSubscribers.delete(networkKey);
+        }
+    }
+
+    async onNewHead(networkKey, head) {
+        const connection = this.networkConnections.get(networkKey);
+        if (!connection) return;
+        
+        const { error, ...previous } = this.networkHealth.get(networkKey) || {};
+        const headData = connection.type === 'solana' ? { slot: head.number } : { blockNumber: head.number };
+        
+        this.recordHead(networkKey, connection.endpoint, head.number);
+        const { state, ...headState } = this.headTracker.evaluate(networkKey, connection.endpoint);
+        
+        this.networkHealth.set(networkKey, {
+            ...previous,
+            status: state,
+            lastCheck: new Date(this.clock.now()),
+            endpoint: connection.endpoint,
+            head: headState,
+            ...headData
+        });
+        
+        this.emit('new-head', { network: networkKey, ...headData });
+        
+        // Fast chains produce several heads per second; refresh at most once per interval
+        const minInterval = this.config.multi_chain_config?.subscription_min_refresh || 5000;
+        const lastRefresh = this.lastHeadRefresh.get(networkKey) || 0;
+        if (this.clock.now() - lastRefresh < minInterval) return;
+        
+        this.lastHeadRefresh.set(networkKey, this.clock.now());
+        
+        this.emit('health-check-completed', {
+            timestamp: new Date(this.clock.now()),
+            networks: { [networkKey]: this.networkHealth.get(networkKey) }
+        });
+        
+        await this.updateNetworkBalances(networkKey).catch(() => {});
+    }
+
+    // Networks that are not covered by a live subscription and must be polled over HTTP
+    getPolledNetworks() {
+        return this.getConnectedNetworks().filter(networkKey => {
+            const subscriber = this.blockSubscribers.get(networkKey);
+            return !subscriber || !subscriber.isLive();
+        });
+    }
+
+    getSubscriptionStatus() {
+        return Object.fromEntries(
+            Array.from(this.blockSubscribers.entries()).map(([key, subscriber]) => [
+                key, subscriber.getStatus()
+            ])
+        );
+    }
+
+    // Reconnect a network through its next-best endpoint after the active one failed
+    async failoverNetwork(networkKey, signal = null) {
+        const pool = this.endpointPools.get(networkKey);
+        const connection = this.networkConnections.get(networkKey);
+        
+        if (!pool || !connection || pool.endpoints.length < 2) return false;
+        if (this.config.multi_chain_config?.failover_enabled === false) return false;
+        
+        const previousEndpoint = connection.endpoint;
+        await this.connectToNetwork(networkKey, connection.config, signal);
+        
+        const activeEndpoint = this.networkConnections.get(networkKey)?.endpoint;
+        if (activeEndpoint === previousEndpoint) return false;
+        
+        this.logger.warn(`Failed over ${connection.config.name} to next endpoint`, {
+            network: networkKey,
+            from: previousEndpoint,
+            to: activeEndpoint
+        });
+        this.emit('endpoint-failover', { network: networkKey, from: previousEndpoint, to: activeEndpoint });
+        
+        if (this.blockSubscribers.has(networkKey)) {
+            this.subscribeToNetwork(networkKey);
+        }
+        
+        return true;
+    }
+
+    // ==================== TELEMETRY ====================
+
+    initializeTelemetry() {
+        const registry = this.metricsRegistry;
+        
+        this.telemetry = {
+            requestDuration: registry.histogram('blockchain_request_duration_seconds',
+                'Latency of network requests by operation', ['network', 'operation']),
+            requestErrors: registry.counter('blockchain_request_errors_total',
+                'Failed network requests by operation and error class', ['network', 'operation', 'class']),
+            requestRetries: registry.counter('blockchain_request_retries_total',
+                'Retried network requests by operation and error class', ['network', 'operation', 'class']),
+            connectionAttempts: registry.counter('blockchain_connection_attempts_total',
+                'Connection attempts per network', ['network']),
+            breakerState: registry.gauge('blockchain_circuit_breaker_state',
+                'Circuit breaker state (0 = closed, 1 = half-open, 2 = open)', ['network']),
+            blockHeight: registry.gauge('blockchain_block_height',
+                'Latest block height (slot on Solana) seen on the active endpoint', ['network']),
+            networkUp: registry.gauge('blockchain_network_up',
+                'Whether the network is connected and not unhealthy', ['network', 'status']),
+            connectedNetworks: registry.gauge('blockchain_connected_networks',
+                'Number of connected networks'),
+            walletBalance: registry.gauge('blockchain_wallet_balance',
+                'Wallet balance in whole units of the native coin or token', ['wallet', 'network', 'asset']),
+            computeUnitsUsed: registry.gauge('blockchain_compute_units_used',
+                'Compute units spent today per provider', ['provider']),
+            computeUnitBudget: registry.gauge('blockchain_compute_unit_budget',
+                'Daily compute-unit budget per provider', ['provider']),
+            rateLimitWaiting: registry.gauge('blockchain_rate_limit_waiting',
+                'Requests waiting for rate limit tokens', ['provider', 'priority'])
+        };
+        
+        // Gauges are rebuilt from live state on every scrape so removed networks and wallets disappear
+        registry.addCollector(() => this.collectTelemetry());
+    }
+
+    // transient, rate_limited, provider or permanent (see lib/retry-policy.js)
+    errorClass(error) {
+        return error.errorClass || classifyError(error, this.clock.now()).errorClass;
+    }
+
+    observeRequest(networkKey, operation, latency, error = null) {
+        if (latency !== null) {
+            this.telemetry.requestDuration.observe({ network: networkKey, operation }, latency / 1000);
+        }
+        if (error) {
+            this.telemetry.requestErrors.inc({ network: networkKey, operation, class: this.errorClass(error) });
+        }
+    }
+
+    collectTelemetry() {
+        const {
+            connectionAttempts, breakerState, blockHeight, networkUp, connectedNetworks, walletBalance,
+            computeUnitsUsed, computeUnitBudget, rateLimitWaiting
+        } = this.telemetry;
+        const stateValues = { CLOSED: 0, HALF_OPEN: 1, OPEN: 2 };
+        
+        // connectionAttempts mirrors this.metrics, which drops removed networks
+        [
+            connectionAttempts, breakerState, blockHeight, networkUp, walletBalance,
+            computeUnitsUsed, computeUnitBudget, rateLimitWaiting
+        ].forEach(metric => metric.reset());
+        
+        Object.entries(this.metrics.connectionAttempts).forEach(([network, attempts]) => {
+            connectionAttempts.set({ network }, attempts);
+        });
+        
+        this.circuitBreakers.forEach((breaker, network) => {
+            breakerState.set({ network }, stateValues[breaker.state]);
+        });
+        
+        this.networkHealth.forEach((health, network) => {
+            const height = health.blockNumber ?? health.slot;
+            if (Number.isFinite(Number(height))) {
+                blockHeight.set({ network }, Number(height));
+            }
+            networkUp.set({ network, status: health.status }, health.status === 'unhealthy' ? 0 : 1);
+        });
+        
+        connectedNetworks.set({}, this.getConnectedNetworks().length);
+        
+        Object.values(this.rateLimiter.getStatus()).forEach(status => {
+            computeUnitsUsed.set({ provider: status.provider }, status.usedToday);
+            if (status.dailyBudget) {
+                computeUnitBudget.set({ provider: status.provider }, status.dailyBudget);
+            }
+            Object.entries(status.waiting).forEach(([priority, count]) => {
+                rateLimitWaiting.set({ provider: status.provider, priority }, count);
+            });
+        });
+        
+        this.multiChainWallets.forEach(wallet => {
+            Object.entries(wallet.networks).forEach(([network, entry]) => {
+                walletBalance.set({ wallet: wallet.id, network, asset: 'native' }, Number(entry.balance) || 0);
+                Object.entries(entry.tokens || {}).forEach(([asset, amount]) => {
+                    if (typeof amount === 'number') {
+                        walletBalance.set({ wallet: wallet.id, network, asset }, amount);
+                    }
+                });
+            });
+        });
+    }
+
+    renderMetrics() {
+        return this.metricsRegistry.render();
+    }
+
+    async startMetricsServer() {
+        const { host = '127.0.0.1', port = 9464, path: metricsPath = '/metrics' } = this.config.metrics || {};
+        
+        this.metricsServer = createMetricsServer(this.metricsRegistry, { path: metricsPath });
+        await new Promise((resolve, reject) => {
+            this.metricsServer.once('error', reject);
+            this.metricsServer.listen(port, host, resolve);
+        });
+        
+        const address = this.metricsServer.address();
+        this.logger.info('Metrics endpoint listening', { url: `http://${host}:${address.port}${metricsPath}` });
+        return address;
+    }
+
+    // ==================== ALERTING ====================
+
+    // Rules read this manager's events and status views; relative file sink paths resolve against storageDir
+    startAlerting() {
+        this.alerts = new AlertEngine(this, this.config.alerts, {
+            clock: this.clock,
+            logger: this.logger,
+            priorityNetworks: () => this.config.alchemy.network_priorities || [],
+            sinkDeps: { httpClient: this.providers.httpClient, baseDir: this.storageDir }
+        });
+        ['alert-fired', 'alert-resolved', 'alert-delivery-failed'].forEach((event) => {
+            this.alerts.on(event, payload => this.emit(event, payload));
+        });
+        this.alerts.start();
+        
+        this.logger.info('Alerting enabled', this.alerts.getStatus());
+        return this.alerts;
+    }
+
+    // Follow config.alerts after a reload; alerts of rules that still exist keep their state
+    async reconfigureAlerting() {
+        const enabled = this.config.alerts?.enabled === true;
+        if (this.alerts && enabled) {
+            this.alerts.configure(this.config.alerts);
+        } else if (this.alerts) {
+            await this.alerts.stop();
+            this.alerts = null;
+        } else if (enabled && this.isActive) {
+            this.startAlerting();
+        }
+    }
+
+    getActiveAlerts() {
+        return this.alerts ? this.alerts.getActiveAlerts() : [];
+    }
+
+    // ==================== HEALTH HISTORY ====================
+
+    // Day files go to config.history.directory, relative to storageDir (default health_history/)
+    startHealthHistory() {
+        const historyConfig = this.config.history || {};
+        const directory = path.resolve(this.storageDir, historyConfig.directory || 'health_history');
+        
+        this.healthHistory = new HealthHistory(directory, {
+            retentionDays: historyConfig.retention_days,
+            now: () => this.clock.now(),
+            logger: this.logger,
+            secrets: secretsFromEnv(this.env)
+        }).attach(this);
+        
+        this.logger.info('Health history enabled', { directory, retentionDays: this.healthHistory.retentionDays });
+        return this.healthHistory;
+    }
+
+    requireHealthHistory() {
+        if (!this.healthHistory) {
+            throw new Error('Health history is not enabled (config.history.enabled)');
+        }
+        return this.healthHistory;
+    }
+
+    // Recorded checks, breaker transitions, failovers and balance changes; options: { from, to, networks, types, wallets, limit }
+    async queryHealthHistory(options = {}) {
+        return this.requireHealthHistory().query(options);
+    }
+
+    // Balance changes of one wallet (owned or watch-only); options: { from, to, networks, limit }
+    async getWalletHistory(walletId, options = {}) {
+        if (!this.multiChainWallets.has(walletId)) {
+            throw new Error(`Wallet ${walletId} not found`);
+        }
+        return this.requireHealthHistory().query({ ...options, types: ['balance'], wallets: [walletId] });
+    }
+
+    // Uptime, latency percentiles and incident timelines per network; options: { from, to, networks }
+    async getHealthReport(options = {}) {
+        return this.requireHealthHistory().report(options);
+    }
+
+    // host and port fall back to DASHBOARD_HOST / DASHBOARD_PORT; the signing key only ever comes from JWT_SECRET
+    async startApiServer() {
+        const apiConfig = this.config.api || {};
+        const host = apiConfig.host || this.env.DASHBOARD_HOST || '127.0.0.1';
+        const port = apiConfig.port ?? (parseInt(this.env.DASHBOARD_PORT, 10) || 8080);
+        
+        this.eventStream = new EventStream(this);
+        this.apiServer = createApiServer(this, {
+            secret: this.env.JWT_SECRET,
+            logger: this.logger,
+            now: () => this.clock.now(),
+            eventStream: this.eventStream,
+            dashboardFile: path.join(__dirname, '..', 'dashboard', 'unified-blockchain-dashboard.html')
+        });
+        await new Promise((resolve, reject) => {
+            this.apiServer.once('error', reject);
+            this.apiServer.listen(port, host, resolve);
+        });
+        
+        const address = this.apiServer.address();
+        this.logger.info('HTTP API listening', {
+            url: `http://${host}:${address.port}`,
+            dashboard: `http://${host}:${address.port}/dashboard`
+        });
+        return address;
+    }
+
     // ==================== UTILITY METHODS ====================
 
     getConnectedNetworks() {
@@ -733,6 +2483,105 @@ class MultiChainCryptoManager extends EventEmitter {
         );
     }
 
+    // Health, breaker and endpoint state for one configured network; null for unknown networks
+    getNetworkHealth(networkKey) {
+        const networkConfig = this.getAllNetworkConfigs()[networkKey];
+        if (!networkConfig) return null;
+        
+        return {
+            network: networkKey,
+            name: networkConfig.name,
+            type: networkConfig.type || 'evm',
+            chainId: networkConfig.chain_id ?? null,
+            connected: this.networkConnections.has(networkKey),
+            health: this.networkHealth.get(networkKey) || null,
+            heads: this.headTracker.getStatus(networkKey)[networkKey] || null,
+            circuitBreaker: this.getCircuitBreakerStatus(networkKey),
+            endpoints: this.getEndpointStatus(networkKey)
+        };
+    }
+
+    // Wallet summaries without key material
+    listWallets() {
+        return Array.from(this.multiChainWallets.values()).map(wallet => ({
+            id: wallet.id,
+            created: wallet.created,
+            watchOnly: !!wallet.watchOnly,
+            lastSync: wallet.lastSync,
+            totalValueUSD: wallet.totalValueUSD,
+            addresses: Object.fromEntries(
+                Object.entries(wallet.networks).map(([networkKey, data]) => [networkKey, data.address])
+            )
+        }));
+    }
+
+    // Last known balances per network (privateKey stripped); null for unknown wallets
+    getWalletBalances(walletId) {
+        const wallet = this.multiChainWallets.get(walletId);
+        if (!wallet) return null;
+        
+        return {
+            walletId: wallet.id,
+            watchOnly: !!wallet.watchOnly,
+            lastSync: wallet.lastSync,
+            totalValueUSD: wallet.totalValueUSD,
+            networks: Object.fromEntries(
+                Object.entries(wallet.networks).map(([networkKey, { privateKey, ...data }]) => [networkKey, data])
+            )
+        };
+    }
+
+    /**
+     * Native balance per network summed over every wallet, with the watch-only share. An address
+     * (or xpub) held by several wallets, e.g. owned and also watched, is counted once.
+     * @returns {Object} { <networkKey>: { balance, watchOnly, addresses } }
+     */
+    getPortfolioTotals() {
+        const totals = {};
+        const counted = new Set();
+
+        // Owned wallets first, so an address that is both owned and watched counts as owned
+        const wallets = Array.from(this.multiChainWallets.values())
+            .sort((a, b) => Number(!!a.watchOnly) - Number(!!b.watchOnly));
+
+        for (const wallet of wallets) {
+            for (const [networkKey, data] of Object.entries(wallet.networks)) {
+                const holder = `${networkKey}:${data.xpub || data.address}`;
+                if (counted.has(holder)) continue;
+                counted.add(holder);
+
+                const total = totals[networkKey] || (totals[networkKey] = { balance: 0, watchOnly: 0, addresses: 0 });
+                const balance = Number(data.balance) || 0;
+                total.balance += balance;
+                if (wallet.watchOnly) total.watchOnly += balance;
+                total.addresses++;
+            }
+        }
+        return totals;
+    }
+
+    getEndpointStatus(networkKey = null) {
+        if (networkKey) {
+            const pool = this.endpointPools.get(networkKey);
+            return pool ? pool.getStatus() : null;
+        }
+        
+        return Object.fromEntries(
+            Array.from(this.endpointPools.entries()).map(([key, pool]) => [
+                key, pool.getStatus()
+            ])
+        );
+    }
+
+    // Number of networks per health state (healthy, degraded, stalled, unhealthy)
+    getHealthStateCounts() {
+        const counts = { healthy: 0, degraded: 0, stalled: 0, unhealthy: 0 };
+        this.networkHealth.forEach(health => {
+            counts[health.status] = (counts[health.status] || 0) + 1;
+        });
+        return counts;
+    }
+
     getSystemStatus() {
         const connectedNetworks = this.getConnectedNetworks();
         const totalNetworks = Object.keys(this.config.alchemy.mainnet_networks).length;
@@ -743,47 +2592,101 @@ class MultiChainCryptoManager extends EventEmitter {
                 connected: connectedNetworks.length,
                 total: totalNetworks,
                 health: Object.fromEntries(this.networkHealth),
-                connections: connectedNetworks
+                connections: connectedNetworks,
+                activeEndpoints: Object.fromEntries(
+                    connectedNetworks.map(key => [key, this.networkConnections.get(key).endpoint || null])
+                ),
+                states: this.getHealthStateCounts(),
+                endpoints: this.getEndpointStatus(),
+                heads: this.headTracker.getStatus(),
+                connectionMode: this.isLazyMode() ? 'lazy' : 'eager',
+                lastUsed: Object.fromEntries(
+                    Array.from(this.networkLastUsed).map(([key, time]) => [key, new Date(time)])
+                ),
+                subscriptions: this.getSubscriptionStatus()
             },
             wallets: {
                 total: this.multiChainWallets.size,
+                watchOnly: Array.from(this.multiChainWallets.values()).filter(wallet => wallet.watchOnly).length,
                 addresses: Array.from(this.multiChainWallets.values()).reduce((acc, wallet) => {
                     return acc + Object.keys(wallet.networks).length;
                 }, 0)
             },
             metrics: this.metrics,
+            rpcBatching: Array.from(this.rpcBatchers.values()).map(batcher => batcher.getStats()),
+            rateLimits: this.rateLimiter.getStatus(),
             circuitBreakers: this.getCircuitBreakerStatus(),
+            alerts: this.alerts ? this.alerts.getStatus() : null,
             lastHealthCheck: this.metrics.lastHealthCheck
         };
     }
 
+    // ==================== WALLET BACKUPS ====================
+
+    // BACKUP_SECRET lets bundles open on a machine with another master secret; without it they use the master secret
+    getBackupKeystore() {
+        return this.env.BACKUP_SECRET ? new Keystore(this.env.BACKUP_SECRET) : this.keystore;
+    }
+
+    /**
+     * Write an encrypted bundle of every wallet to security.backupDirectory (default wallet_backups/ under
+     * storageDir), keeping the newest security.backupRetention (default 10). Config watch-only wallets are
+     * left out, as they come back with the config. "npm run restore-wallets" restores a bundle.
+     * @returns {Promise<string>} path of the bundle
+     */
+    async backupWallets() {
+        const security = this.config.security || {};
+        const wallets = Array.from(this.multiChainWallets.values())
+            .filter(wallet => wallet.watchOnly?.source !== 'config');
+
+        const bundle = createBundle(wallets, {
+            keystore: this.keystore,
+            backupKeystore: this.getBackupKeystore(),
+            now: () => this.clock.now()
+        });
+        const file = await writeBundle(path.resolve(this.storageDir, security.backupDirectory || 'wallet_backups'), bundle, {
+            retention: security.backupRetention
+        });
+
+        this.logger.info('Wallet backup written', { file, wallets: bundle.wallets.length });
+        this.emit('wallets-backed-up', { file, wallets: bundle.wallets });
+        return file;
+    }
+
+    // Backs up after wallet changes when security.backupEnabled is set. Changes arriving while a
+    // backup is queued share it; failures are logged, as the wallet files themselves are written.
+    scheduleBackup() {
+        if (!this.config.security?.backupEnabled || this.backupQueued) {
+            return this.backupWriting;
+        }
+
+        this.backupQueued = true;
+        this.backupWriting = this.backupWriting.then(() => {
+            this.backupQueued = false;
+            return this.backupWallets();
+        }).catch((error) => {
+            this.logger.error('Wallet backup failed', { error: error.message });
+        });
+        return this.backupWriting;
+    }
+
     // ==================== ENCRYPTION UTILITIES ====================
 
+    // AES-256-GCM record with its own scrypt salt (see lib/keystore)
     encryptData(data) {
-        const algorithm = 'aes-256-cbc';
-        const key = crypto.scryptSync('multi-chain-crypto-manager-secret', 'salt', 32);
-        const iv = crypto.randomBytes(16);
-        
-        const cipher = crypto.createCipheriv(algorithm, key, iv);
-        let encrypted = cipher.update(data, 'utf8', 'hex');
-        encrypted += cipher.final('hex');
-        
-        return iv.toString('hex') + ':' + encrypted;
+        if (!this.keystore) {
+            throw new KeystoreError('Keystore is locked: start the manager or pass options.keystore first');
+        }
+        return this.keystore.encrypt(data);
     }
 
+    // Plaintext of a record (legacy AES-CBC strings included); null if it cannot be decrypted
     decryptData(encryptedData) {
         try {
-            const algorithm = 'aes-256-cbc';
-            const key = crypto.scryptSync('multi-chain-crypto-manager-secret', 'salt', 32);
-            
-            const [ivHex, encrypted] = encryptedData.split(':');
-            const iv = Buffer.from(ivHex, 'hex');
-            
-            const decipher = crypto.createDecipheriv(algorithm, key, iv);
-            let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-            decrypted += decipher.final('utf8');
-            
-            return decrypted;
+            if (!this.keystore) {
+                throw new KeystoreError('Keystore is locked');
+            }
+            return this.keystore.decrypt(encryptedData);
         } catch (error) {
             this.logger.error('Failed to decrypt data', { error: error.message });
             return null;
@@ -792,31 +2695,95 @@ class MultiChainCryptoManager extends EventEmitter {
 
     // ==================== CLEANUP METHODS ====================
 
-    async shutdown() {
+    // Stop accepting work, give in-flight operations options.timeout (multi_chain_config.shutdown_timeout)
+    // to finish, cancel the rest, then save wallets. 'system-shutdown' fires once everything has settled.
+    async shutdown(options = {}) {
         this.logger.info('Shutting down multi-chain crypto manager');
         
         // Clear intervals
         if (this.healthCheckInterval) {
-            clearInterval(this.healthCheckInterval);
+            this.clock.clearInterval(this.healthCheckInterval);
+            this.healthCheckInterval = null;
         }
         
         if (this.balanceUpdateInterval) {
-            clearInterval(this.balanceUpdateInterval);
+            this.clock.clearInterval(this.balanceUpdateInterval);
+            this.balanceUpdateInterval = null;
+        }
+        
+        this.stopIdleEviction();
+        
+        if (this.configWatcher) {
+            this.configWatcher.close();
+            this.configWatcher = null;
+            clearTimeout(this.configReloadTimer);
+        }
+        
+        // Close WebSocket subscriptions
+        Array.from(this.blockSubscribers.keys()).forEach(networkKey => this.unsubscribeFromNetwork(networkKey));
+        this.lastHeadRefresh.clear();
+        
+        // Dashboard streams end now; they would otherwise hold the API server open
+        if (this.eventStream) {
+            this.eventStream.close();
+            this.eventStream = null;
+        }
+        
+        // The API stops accepting connections; requests already running finish or are cancelled below
+        const apiClosed = this.apiServer
+            ? new Promise(resolve => this.apiServer.close(() => resolve()))
+            : Promise.resolve();
+        
+        // Let in-flight work finish until the deadline, then cancel what is left
+        const timeout = options.timeout ?? this.config?.multi_chain_config?.shutdown_timeout ?? 10000;
+        const { completed, cancelled } = await this.operations.drain(timeout);
+        if (cancelled.length > 0) {
+            this.logger.warn('Cancelled operations still running at the shutdown deadline', { timeout, cancelled });
+        }
+        
+        // Alert notifications already on their way are delivered before the process exits
+        if (this.alerts) {
+            await this.alerts.stop();
+            this.alerts = null;
+        }
+        
+        if (this.healthHistory) {
+            await this.healthHistory.close();
+            this.healthHistory = null;
+        }
+        
+        if (this.apiServer) {
+            this.apiServer.closeAllConnections();
+            await apiClosed;
+            this.apiServer = null;
+        }
+        
+        if (this.metricsServer) {
+            await new Promise(resolve => this.metricsServer.close(() => resolve()));
+            this.metricsServer = null;
         }
         
-        // Save all wallets
+        // Save all wallets, then refuse further writes
         const savePromises = Array.from(this.multiChainWallets.values()).map(wallet => 
             this.saveWallet(wallet)
         );
         await Promise.allSettled(savePromises);
+        await this.backupWriting;
+        this.walletWritesClosed = true;
         
         // Clear connections
         this.networkConnections.clear();
         this.networkHealth.clear();
         this.balanceCache.clear();
+        this.rpcBatchers.clear();
+        await this.rateLimiter.flush().catch((error) => {
+            this.logger.warn('Failed to save the compute-unit budget spent today', { error: error.message });
+        });
+        this.rateLimiter.close();
+        this.networkLastUsed.clear();
         
         this.isActive = false;
-        this.emit('system-shutdown');
+        this.emit('system-shutdown', { completed, cancelled });
         
         this.logger.success('Multi-chain crypto manager shutdown complete');
     }
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * HEALTH REPORT - SLA SUMMARY FROM RECORDED HEALTH HISTORY
+ * Per-network uptime | p50 / p95 / p99 latency | Incident timelines
+ *
+ * Usage: node scripts/health-report.js [--from 7d] [--to now] [--network ethereum]... [--dir health_history] [--json]
+ */
+
+const path = require('path');
+const { HealthHistory, formatReport, parseTime } = require('../lib/health-history');
+
+const USAGE = `Usage: node scripts/health-report.js [options]
+
+  --from <time>      Start of the period: ISO date or duration back from now (default 7d)
+  --to <time>        End of the period (default now)
+  --network <key>    Only this network; repeat for more
+  --dir <path>       History directory (default: blockchain/health_history)
+  --json             Print the report as JSON
+  --help             Show this message`;
+
+function parseArgs(argv) {
+    const options = { from: '7d', to: 'now', networks: [], dir: path.join(__dirname, '..', 'health_history'), json: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        if (arg === '--from') options.from = value();
+        else if (arg === '--to') options.to = value();
+        else if (arg === '--network') options.networks.push(value());
+        else if (arg === '--dir') options.dir = path.resolve(value());
+        else if (arg === '--json') options.json = true;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+
+    return options;
+}
+
+async function main(argv = process.argv.slice(2)) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const now = Date.now();
+    const history = new HealthHistory(options.dir);
+    const report = await history.report({
+        from: parseTime(options.from, now),
+        to: parseTime(options.to, now),
+        networks: options.networks
+    });
+
+    console.log(options.json ? JSON.stringify(report, null, 2) : formatReport(report));
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`health-report: ${error.message}`);
+        console.error(USAGE);
+        process.exit(1);
+    });
+}
+
+module.exports = { main, parseArgs };
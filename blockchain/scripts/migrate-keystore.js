@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * MIGRATE KEYSTORE - RE-ENCRYPT WALLET FILES WITH THE HARDENED KEYSTORE
+ * Legacy AES-256-CBC strings and clear-text keys -> AES-256-GCM records under ENCRYPTION_SECRET
+ *
+ * Usage: node scripts/migrate-keystore.js [--dir managers/multi_chain_wallets]... [--legacy multiChain|enhanced] [--dry-run]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const {
+    Keystore,
+    KeystoreError,
+    unlockKeystore,
+    isEncryptedRecord,
+    isLegacyRecord,
+    legacySecretForStore,
+    LEGACY_SECRETS
+} = require('../lib/keystore');
+const { inspectStore, describeStore } = require('../lib/key-rotation');
+
+const DEFAULT_DIRS = [
+    path.join(__dirname, '..', 'managers', 'multi_chain_wallets'),
+    path.join(__dirname, '..', 'managers', 'real_wallets')
+];
+
+const USAGE = `Usage: node scripts/migrate-keystore.js [options]
+
+  --dir <path>    Wallet directory to migrate; repeat for more
+                  (default: managers/multi_chain_wallets and managers/real_wallets)
+  --legacy <name> Old passphrase of the files: multiChain or enhanced (default: by directory name,
+                  multiChain for multi_chain_wallets and enhanced for real_wallets)
+  --dry-run       Report what would change without writing
+  --help          Show this message
+
+The new secret comes from ENCRYPTION_SECRET, or a passphrase prompt when it is unset.`;
+
+function parseArgs(argv) {
+    const options = { dirs: [], legacy: null, dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dir') {
+            if (i + 1 >= argv.length) throw new Error('--dir needs a value');
+            options.dirs.push(path.resolve(argv[++i]));
+        } else if (arg === '--legacy') {
+            if (!LEGACY_SECRETS[argv[i + 1]]) throw new Error(`--legacy needs one of ${Object.keys(LEGACY_SECRETS).join(', ')}`);
+            options.legacy = argv[++i];
+        } else if (arg === '--dry-run') options.dryRun = true;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+
+    if (options.dirs.length === 0) options.dirs = DEFAULT_DIRS;
+    return options;
+}
+
+/**
+ * Re-encrypt one wallet file. Records already in the new format are left alone.
+ * @param {Object} [options] - { dryRun, keyVersion (stamped on files that have none) }
+ * @returns {Promise<{ file, legacy, plaintext }>} how many fields of each kind were converted
+ */
+async function migrateFile(file, keystore, options = {}) {
+    const document = JSON.parse(await fs.readFile(file, 'utf8'));
+    const counts = { file, legacy: 0, plaintext: 0 };
+
+    const migrated = Keystore.mapSecrets(document, (value) => {
+        if (isEncryptedRecord(value) || typeof value !== 'string') return value;
+        if (isLegacyRecord(value)) {
+            counts.legacy++;
+            return keystore.encrypt(keystore.decrypt(value));
+        }
+        counts.plaintext++;
+        return keystore.encrypt(value);
+    });
+
+    if (!options.dryRun && counts.legacy + counts.plaintext > 0) {
+        // Written next to the original and renamed over it, so a crash never leaves half a file
+        const temporary = `${file}.migrating`;
+        const keyVersion = migrated.keyVersion || options.keyVersion;
+        await fs.writeFile(temporary, JSON.stringify(keyVersion ? { ...migrated, keyVersion } : migrated, null, 2), { mode: 0o600 });
+        await fs.rename(temporary, file);
+    }
+    return counts;
+}
+
+async function main(argv = process.argv.slice(2), options = {}) {
+    const args = parseArgs(argv);
+    if (args.help) {
+        console.log(USAGE);
+        return [];
+    }
+
+    const keystore = options.keystore || await unlockKeystore(process.env);
+    const results = [];
+
+    for (const dir of args.dirs) {
+        const store = await inspectStore(dir);
+        if (store.pending) {
+            throw new KeystoreError(`Finish the key rotation first (${describeStore(store)})`);
+        }
+        // Only the directory's own legacy passphrase is tried, as a wrong one can pass the padding check
+        const storeKeystore = keystore.withLegacySecret(args.legacy ? LEGACY_SECRETS[args.legacy] : legacySecretForStore(dir));
+        for (const { name: file } of store.files) {
+            const result = await migrateFile(path.join(dir, file), storeKeystore, { ...args, keyVersion: store.currentVersion });
+            results.push(result);
+            const changed = result.legacy + result.plaintext;
+            console.log(`${changed > 0 ? (args.dryRun ? 'would migrate' : 'migrated') : 'up to date'}  ${path.join(dir, file)}` +
+                (changed > 0 ? ` (${result.legacy} legacy, ${result.plaintext} clear-text field(s))` : ''));
+        }
+    }
+
+    if (results.length === 0) {
+        console.log('No wallet files found.');
+    }
+    return results;
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`migrate-keystore: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { main, parseArgs, migrateFile };
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * RESTORE WALLETS - WRITE A BACKUP BUNDLE BACK INTO A WALLET DIRECTORY
+ * Bundle under BACKUP_SECRET (or the old master secret) -> wallet files under ENCRYPTION_SECRET
+ *
+ * Usage: node scripts/restore-wallets.js [--file wallet_backups/wallets-....json] [--dir managers/multi_chain_wallets] [--overwrite] [--dry-run]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { unlockKeystore } = require('../lib/keystore');
+const { restoreBundle } = require('../lib/wallet-backup');
+
+const DEFAULT_BACKUP_DIR = path.join(__dirname, '..', 'wallet_backups');
+const DEFAULT_DIR = path.join(__dirname, '..', 'managers', 'multi_chain_wallets');
+
+const USAGE = `Usage: node scripts/restore-wallets.js [options]
+
+  --file <path>   Backup bundle to restore (default: the newest in wallet_backups/)
+  --dir <path>    Wallet directory to restore into (default: managers/multi_chain_wallets)
+  --overwrite     Replace wallets that already have a file
+  --dry-run       Report what would be restored without writing
+  --help          Show this message
+
+The bundle opens with BACKUP_SECRET, or with the master secret when it is unset. Restored keys are
+encrypted under ENCRYPTION_SECRET; either is prompted for when unset. Stop the manager first.`;
+
+function parseArgs(argv) {
+    const options = { file: null, dir: DEFAULT_DIR, overwrite: false, dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--file' || arg === '--dir') {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            options[arg.slice(2)] = path.resolve(argv[++i]);
+        } else if (arg === '--overwrite') options.overwrite = true;
+        else if (arg === '--dry-run') options.dryRun = true;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+    return options;
+}
+
+// Bundle names sort by creation time
+async function newestBundle(dir) {
+    const names = (await fs.readdir(dir).catch(() => []))
+        .filter(name => /^wallets-.+\.json$/.test(name))
+        .sort();
+    if (names.length === 0) {
+        throw new Error(`No backup bundles in ${dir}; pass --file`);
+    }
+    return path.join(dir, names[names.length - 1]);
+}
+
+/**
+ * @param {string[]} [argv]
+ * @param {Object} [options] - { env, keystore, backupKeystore } to pass the secrets or keystores without prompting
+ */
+async function main(argv = process.argv.slice(2), options = {}) {
+    const args = parseArgs(argv);
+    if (args.help) {
+        console.log(USAGE);
+        return null;
+    }
+
+    const file = args.file || await newestBundle(DEFAULT_BACKUP_DIR);
+    const bundle = JSON.parse(await fs.readFile(file, 'utf8'));
+
+    const env = options.env || process.env;
+    const keystore = options.keystore || await unlockKeystore(env);
+    const backupKeystore = options.backupKeystore || (env.BACKUP_SECRET
+        ? await unlockKeystore(env, { variable: 'BACKUP_SECRET' })
+        : keystore);
+
+    const result = await restoreBundle(bundle, args.dir, { ...args, keystore, backupKeystore });
+    for (const walletId of result.restored) {
+        console.log(`${args.dryRun ? 'would restore' : 'restored'}  ${walletId}`);
+    }
+    for (const walletId of result.skipped) {
+        console.log(`skipped  ${walletId} (already in ${args.dir}; use --overwrite to replace it)`);
+    }
+    console.log(`${result.restored.length} wallet(s) from ${file}${bundle.created ? ` (backed up ${bundle.created})` : ''}`);
+    return result;
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`restore-wallets: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { main, parseArgs };
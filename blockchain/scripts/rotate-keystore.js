@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * ROTATE KEYSTORE - MOVE WALLET FILES TO A NEW MASTER SECRET
+ * ENCRYPTION_SECRET -> NEW_ENCRYPTION_SECRET | Backup + rollback | Finishes interrupted rotations
+ *
+ * Usage: node scripts/rotate-keystore.js [--dir managers/multi_chain_wallets]... [--status | --rollback] [--keep-backup]
+ */
+
+const path = require('path');
+const { unlockKeystore, KeystoreError, legacySecretForStore } = require('../lib/keystore');
+const { inspectStore, describeStore, rotateDirectory, rollbackDirectory } = require('../lib/key-rotation');
+
+const DEFAULT_DIRS = [
+    path.join(__dirname, '..', 'managers', 'multi_chain_wallets'),
+    path.join(__dirname, '..', 'managers', 'real_wallets')
+];
+
+const USAGE = `Usage: node scripts/rotate-keystore.js [options]
+
+  --dir <path>     Wallet directory; repeat for more
+                   (default: managers/multi_chain_wallets and managers/real_wallets)
+  --status         Show the key versions in each directory and any unfinished rotation
+  --rollback       Restore the backup of an unfinished rotation
+  --keep-backup    Keep the backup (readable with the old secret) after a successful rotation
+  --help           Show this message
+
+The current secret comes from ENCRYPTION_SECRET and the new one from NEW_ENCRYPTION_SECRET;
+either is prompted for when unset. Stop every manager using these directories first.`;
+
+function parseArgs(argv) {
+    const options = { dirs: [], mode: 'rotate', keepBackup: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dir') {
+            if (i + 1 >= argv.length) throw new Error('--dir needs a value');
+            options.dirs.push(path.resolve(argv[++i]));
+        } else if (arg === '--status') options.mode = 'status';
+        else if (arg === '--rollback') options.mode = 'rollback';
+        else if (arg === '--keep-backup') options.keepBackup = true;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+
+    if (options.dirs.length === 0) options.dirs = DEFAULT_DIRS;
+    return options;
+}
+
+/**
+ * @param {string[]} [argv]
+ * @param {Object} [options] - { env, from, to } to pass the secrets or keystores without prompting
+ */
+async function main(argv = process.argv.slice(2), options = {}) {
+    const args = parseArgs(argv);
+    if (args.help) {
+        console.log(USAGE);
+        return [];
+    }
+
+    if (args.mode === 'status') {
+        const stores = [];
+        for (const dir of args.dirs) {
+            const store = await inspectStore(dir);
+            stores.push(store);
+            console.log(`${store.pending ? 'UNFINISHED' : 'ok'}  ${describeStore(store)}`);
+        }
+        return stores;
+    }
+
+    if (args.mode === 'rollback') {
+        const results = [];
+        for (const dir of args.dirs) {
+            const rolledBack = await rollbackDirectory(dir);
+            results.push({ dir, rolledBack });
+            console.log(`${rolledBack ? 'rolled back' : 'no rotation in progress'}  ${dir}`);
+        }
+        return results;
+    }
+
+    const env = options.env || process.env;
+    const from = options.from || await unlockKeystore(env, { question: 'Current encryption passphrase: ' });
+    const to = options.to || await unlockKeystore(env, {
+        variable: 'NEW_ENCRYPTION_SECRET',
+        question: 'New encryption passphrase: ',
+        confirm: true
+    });
+    if (from.secret === to.secret) {
+        throw new KeystoreError('The new secret must differ from the current one');
+    }
+
+    const results = [];
+    for (const dir of args.dirs) {
+        const result = await rotateDirectory(dir, { from: from.withLegacySecret(legacySecretForStore(dir)), to, keepBackup: args.keepBackup });
+        results.push(result);
+        console.log(`${result.resumed ? 'finished' : 'rotated'}  ${dir}: ${result.rotated} file(s) now at key version ${result.version}` +
+            (result.skipped > 0 ? `, ${result.skipped} already there` : '') +
+            (result.backup ? `; backup in ${result.backup}` : ''));
+    }
+    console.log('Set ENCRYPTION_SECRET to the new secret before starting the managers again.');
+    return results;
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`rotate-keystore: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { main, parseArgs };
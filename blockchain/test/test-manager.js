@@ -3,6 +3,11 @@
  */
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+
+// Managers unlock their keystore with this; those built without an env read it from process.env
+const TEST_ENCRYPTION_SECRET = 'stand-in-encryption-secret';
+process.env.ENCRYPTION_SECRET = process.env.ENCRYPTION_SECRET || TEST_ENCRYPTION_SECRET;
 
 console.log('🧪 Starting Multi-Chain Crypto Manager Tests...');
 
@@ -11,7 +16,32 @@ async function runTests() {
         testConfigurationLoading,
         testNetworkDefinitions,
         testManagerInstantiation,
-        testCircuitBreakerInitialization
+        testCircuitBreakerInitialization,
+        testEndpointPoolFailover,
+        testBlockSubscriberReconnect,
+        testRpcBatchingAndCoalescing,
+        testManagerLifecycleWithStandIns,
+        testConfigSchemaValidation,
+        testConfigurationHotReload,
+        testBitcoinAdapter,
+        testStarknetAdapter,
+        testHeadStalenessDetection,
+        testLazyConnectionsAndIdleEviction,
+        testCircuitBreakerRollingWindow,
+        testPrometheusMetricsEndpoint,
+        testStructuredLoggingAndRedaction,
+        testProviderRateLimiting,
+        testErrorClassificationAndRetryPolicy,
+        testGracefulShutdownDraining,
+        testHttpApiWithJwt,
+        testDashboardEventStream,
+        testAlertRulesAndSinks,
+        testHealthHistoryReports,
+        testHdWalletDerivation,
+        testHardenedKeystore,
+        testKeyRotation,
+        testWatchOnlyWallets,
+        testWalletImportExport
     ];
 
     let passed = 0;
@@ -38,6 +68,75 @@ async function runTests() {
     }
 }
 
+// Poll until `predicate` holds; keeps timer-driven tests stable on slow machines
+async function waitFor(predicate, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    while (!predicate()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+// Minimal two-network configuration for manager tests
+function createStandInConfig() {
+    return {
+        schema_version: 1,
+        alchemy: {
+            mainnet_networks: {
+                ethereum: { name: 'Ethereum', endpoint: 'https://eth.stand-in', chain_id: 1 },
+                solana: { name: 'Solana', endpoint: 'https://sol.stand-in', type: 'solana' }
+            },
+            testnet_networks: {},
+            network_priorities: ['ethereum']
+        },
+        multi_chain_config: {
+            parallel_queries: true,
+            health_check_interval: 60000,
+            rpc_batch_window: 1
+        }
+    };
+}
+
+// Local stand-ins for Web3, Solana Connection and the JSON-RPC HTTP client
+function createStandInProviders(state = {}) {
+    state.blockNumber = state.blockNumber || 100;
+    state.slot = state.slot || 5000;
+    state.rpcCalls = state.rpcCalls || [];
+    
+    return {
+        createEVMProvider: (url) => ({
+            eth: {
+                getBlockNumber: async () => BigInt(state.blockNumber),
+                getChainId: async () => BigInt((state.chainIds || {})[url] || 1)
+            }
+        }),
+        createSolanaConnection: () => ({
+            getVersion: async () => ({ 'solana-core': '1.18.0' }),
+            getSlot: async () => state.slot
+        }),
+        httpClient: {
+            post: async (url, payload) => {
+                state.rpcCalls.push(...payload.map(request => request.method));
+                return {
+                    data: payload.map(request => ({
+                        jsonrpc: '2.0',
+                        id: request.id,
+                        result: request.method === 'getBalance'
+                            ? { context: { slot: state.slot }, value: 2000000000 }
+                            : '0xde0b6b3a7640000'
+                    }))
+                };
+            }
+        }
+    };
+}
+
+function createTempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'multi-chain-test-'));
+}
+
 async function testConfigurationLoading() {
     const configPath = path.join(__dirname, '../config/crypto-config.json');
     
@@ -85,7 +184,7 @@ async function testManagerInstantiation() {
     
     try {
         const Manager = require(managerPath);
-        const manager = new Manager();
+        const manager = new Manager({ autoStart: false });
         
         if (typeof manager.init !== 'function') {
             throw new Error('Manager init method not found');
@@ -100,16 +199,2523 @@ async function testManagerInstantiation() {
 }
 
 async function testCircuitBreakerInitialization() {
-    // Test circuit breaker class exists in manager
-    const managerPath = path.join(__dirname, '../managers/multi-chain-crypto-manager.js');
-    const managerCode = fs.readFileSync(managerPath, 'utf8');
+    // Both managers use the shared breaker module instead of their own classes
+    for (const file of ['multi-chain-crypto-manager.js', 'enhanced-crypto-manager.js']) {
+        const managerCode = fs.readFileSync(path.join(__dirname, '../managers', file), 'utf8');
+        
+        if (!managerCode.includes("require('../lib/circuit-breaker')") || /class \w*CircuitBreaker/.test(managerCode)) {
+            throw new Error(`${file} should use lib/circuit-breaker`);
+        }
+        
+        if (!managerCode.includes('forwardBreakerEvents')) {
+            throw new Error(`${file} does not forward breaker events`);
+        }
+    }
+}
+
+async function testEndpointPoolFailover() {
+    const { EndpointPool } = require('../lib/endpoint-pool');
+    
+    const pool = new EndpointPool('ethereum', {
+        endpoint: 'https://primary.example',
+        endpoints: [
+            { url: 'https://backup.example', weight: 2 },
+            'https://last-resort.example'
+        ]
+    });
+    
+    if (pool.endpoints.length !== 3) {
+        throw new Error(`Expected 3 endpoints, found ${pool.endpoints.length}`);
+    }
+    
+    if (pool.getOrderedEndpoints()[0].url !== 'https://backup.example') {
+        throw new Error('Higher weight endpoint should be tried first');
+    }
+    
+    const attempted = [];
+    const result = await pool.tryEach(async (endpoint) => {
+        attempted.push(endpoint.url);
+        if (endpoint.url === 'https://backup.example') {
+            throw new Error('503 Service Unavailable');
+        }
+        return endpoint.url;
+    });
+    
+    if (result !== 'https://primary.example' || attempted.length !== 2) {
+        throw new Error(`Failover did not reach the next endpoint (tried ${attempted.join(', ')})`);
+    }
+    
+    const status = pool.getStatus();
+    if (status.active !== 'https://primary.example') {
+        throw new Error('Active endpoint not reported after failover');
+    }
+    
+    if (pool.getOrderedEndpoints()[0].url !== 'https://primary.example') {
+        throw new Error('Failing endpoint should be scored below the healthy one');
+    }
+    
+    let allFailed = false;
+    try {
+        await pool.tryEach(async () => { throw new Error('down'); });
+    } catch (error) {
+        allFailed = /All 3 endpoints failed/.test(error.message);
+    }
+    
+    // The connection still uses the last good endpoint, so it stays active until another one succeeds
+    if (!allFailed || pool.getStatus().active !== 'https://primary.example' || pool.getActiveEndpoint()?.url !== 'https://primary.example') {
+        throw new Error('Pool should report failure once every endpoint is down and keep the last good endpoint');
+    }
+}
+
+async function testBlockSubscriberReconnect() {
+    const EventEmitter = require('events');
+    const { BlockSubscriber } = require('../lib/block-subscriber');
+    
+    const sockets = [];
+    class FakeWebSocket extends EventEmitter {
+        constructor(url) {
+            super();
+            this.url = url;
+            this.sent = [];
+            sockets.push(this);
+            setImmediate(() => this.emit('open'));
+        }
+        send(data) { this.sent.push(JSON.parse(data)); }
+        close() { setImmediate(() => this.emit('close')); }
+    }
+    
+    const subscriber = new BlockSubscriber('ethereum', 'wss://eth.example', {
+        WebSocket: FakeWebSocket,
+        baseDelay: 1,
+        fallbackAfter: 2
+    });
+    
+    const heads = [];
+    const events = [];
+    subscriber.on('block', head => heads.push(head.number));
+    subscriber.on('fallback', () => events.push('fallback'));
+    subscriber.on('connected', ({ recovered }) => events.push(recovered ? 'recovered' : 'connected'));
+    
+    subscriber.start();
+    await waitFor(() => sockets[0] && sockets[0].sent.length > 0);
+    
+    if (sockets[0].sent[0].method !== 'eth_subscribe' || sockets[0].sent[0].params[0] !== 'newHeads') {
+        throw new Error('newHeads subscription request not sent');
+    }
+    
+    sockets[0].emit('message', JSON.stringify({ jsonrpc: '2.0', id: 1, result: '0xsub' }));
+    sockets[0].emit('message', JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'eth_subscription',
+        params: { subscription: '0xsub', result: { number: '0x10', hash: '0xabc', timestamp: '0x1' } }
+    }));
+    
+    if (!subscriber.isLive() || heads[0] !== 16) {
+        throw new Error('New head not parsed from subscription');
+    }
+    
+    // Drop the socket twice: the second drop should trigger the polling fallback
+    sockets[0].close();
+    await waitFor(() => sockets.length > 1);
+    sockets[1].close();
+    await waitFor(() => sockets.length > 2);
+    
+    if (!events.includes('fallback') || subscriber.isLive()) {
+        throw new Error('Fallback not signalled after repeated disconnects');
+    }
+    
+    const latest = sockets[sockets.length - 1];
+    latest.emit('message', JSON.stringify({ jsonrpc: '2.0', id: 1, result: '0xsub2' }));
+    
+    if (events[events.length - 1] !== 'recovered' || !subscriber.isLive()) {
+        throw new Error('Subscription did not recover after reconnect');
+    }
+    
+    subscriber.stop();
+    
+    if (subscriber.getStatus().state !== 'stopped') {
+        throw new Error('Subscriber did not stop');
+    }
+}
+
+async function testRpcBatchingAndCoalescing() {
+    const { RpcBatcher } = require('../lib/rpc-batcher');
+    const { mapWithConcurrency } = require('../lib/concurrency');
+    const { formatUnits } = require('../lib/units');
+    
+    const posts = [];
+    const httpClient = {
+        post: async (url, payload) => {
+            posts.push(payload);
+            return {
+                data: payload.map(request => request.params[0] === '0xbad'
+                    ? { jsonrpc: '2.0', id: request.id, error: { code: -32602, message: 'invalid address' } }
+                    : { jsonrpc: '2.0', id: request.id, result: '0xde0b6b3a7640000' })
+            };
+        }
+    };
+    
+    const batcher = new RpcBatcher('https://rpc.example', { httpClient, batchWindow: 5 });
+    const [first, duplicate, other, bad] = await Promise.allSettled([
+        batcher.call('eth_getBalance', ['0xaaa', 'latest']),
+        batcher.call('eth_getBalance', ['0xaaa', 'latest']),
+        batcher.call('eth_getBalance', ['0xbbb', 'latest']),
+        batcher.call('eth_getBalance', ['0xbad', 'latest'])
+    ]);
+    
+    if (posts.length !== 1 || posts[0].length !== 3) {
+        throw new Error(`Expected one batch of 3 requests, got ${posts.map(batch => batch.length).join(', ')}`);
+    }
+    
+    if (first.value !== '0xde0b6b3a7640000' || duplicate.value !== first.value || other.status !== 'fulfilled') {
+        throw new Error('Batched results not routed back to callers');
+    }
+    
+    if (bad.status !== 'rejected' || bad.reason.code !== -32602) {
+        throw new Error('JSON-RPC error not surfaced to its caller');
+    }
+    
+    if (batcher.getStats().coalesced !== 1) {
+        throw new Error('Duplicate in-flight request was not coalesced');
+    }
+    
+    if (formatUnits(first.value, 18) !== 1 || formatUnits(1500000000n, 9) !== 1.5) {
+        throw new Error('Base unit conversion incorrect');
+    }
+    
+    let active = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([1, 2, 3, 4, 5, 6], 2, async (item) => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        if (item === 4) throw new Error('network down');
+        return item * 2;
+    });
+    
+    if (peak !== 2 || results[0].value !== 2 || results[3].status !== 'rejected') {
+        throw new Error('Concurrency limit or settled results incorrect');
+    }
+}
+
+async function testManagerLifecycleWithStandIns() {
+    const Manager = require('../managers/multi-chain-crypto-manager');
+    const storageDir = createTempDir();
+    
+    const manager = new Manager({
+        config: createStandInConfig(),
+        providers: createStandInProviders(),
+        storageDir,
+        autoStart: false
+    });
+    
+    if (manager.isActive || manager.getConnectedNetworks().length !== 0) {
+        throw new Error('Manager should not connect before start()');
+    }
+    
+    const balancesUpdated = new Promise(resolve => manager.once('balances-updated', resolve));
+    await manager.start();
+    await balancesUpdated;
+    
+    const status = manager.getSystemStatus();
+    if (!status.isActive || status.networks.connected !== 2) {
+        throw new Error(`Expected 2 connected networks, got ${status.networks.connected}`);
+    }
+    
+    const wallet = manager.multiChainWallets.get('default_wallet');
+    if (!wallet || wallet.networks.ethereum.balance !== 1 || wallet.networks.solana.balance !== 2) {
+        throw new Error('Default wallet balances not read through the injected providers');
+    }
+    
+    if (!fs.existsSync(path.join(storageDir, 'multi_chain_wallets', 'default_wallet.json'))) {
+        throw new Error('Wallet not written to the configured storage directory');
+    }
+    
+    const shutdown = new Promise(resolve => manager.once('system-shutdown', resolve));
+    await manager.stop();
+    await shutdown;
+    
+    if (manager.isActive || manager.getConnectedNetworks().length !== 0) {
+        throw new Error('Manager still active after stop()');
+    }
+    
+    fs.rmSync(storageDir, { recursive: true, force: true });
+}
+
+async function testConfigSchemaValidation() {
+    const { parseConfig, prepareConfig, ConfigValidationError } = require('../lib/config-schema');
+    const configPath = path.join(__dirname, '../config/crypto-config.json');
+    const configText = fs.readFileSync(configPath, 'utf8');
+    
+    if (configText.includes('44dSO41R6RzBr6Fe0GsUs')) {
+        throw new Error('API key should come from ${ALCHEMY_API_KEY}, not the config file');
+    }
+    
+    const config = parseConfig(configText, { env: { ALCHEMY_API_KEY: 'test-key' } });
+    if (!config.alchemy.mainnet_networks.polygon.endpoint.endsWith('/v2/test-key')) {
+        throw new Error('Placeholder not filled from the environment');
+    }
+    
+    const expectErrors = (run, patterns) => {
+        try {
+            run();
+        } catch (error) {
+            if (!(error instanceof ConfigValidationError)) throw error;
+            patterns.forEach((pattern) => {
+                if (!error.errors.some(problem => pattern.test(problem))) {
+                    throw new Error(`Missing validation error ${pattern} in: ${error.errors.join(' | ')}`);
+                }
+            });
+            return;
+        }
+        throw new Error('Invalid configuration was accepted');
+    };
+    
+    expectErrors(() => parseConfig(configText, { env: {} }), [
+        /^alchemy\.api_key: environment variable ALCHEMY_API_KEY is not set \(also used by \d+ other values\)$/
+    ]);
+    
+    expectErrors(() => parseConfig('{"schema_version": 1, "alchemy": {"mainnet_networks": {\n' +
+        '"a": {"name": "A", "endpoint": "https://a", "chain_id": 1},\n' +
+        '"a": {"name": "A2", "endpoint": "https://a2", "chain_id": 2}}}}'), [
+        /^alchemy\.mainnet_networks\.a: duplicate key on line 3$/
+    ]);
+    
+    const broken = createStandInConfig();
+    delete broken.alchemy.mainnet_networks.ethereum.chain_id;
+    broken.alchemy.network_priorities.push('ethereum_classic');
+    broken.multi_chain_config.parallel_queries = 'yes';
+    broken.alchemy.testnet_networks.solana = { name: 'Solana Devnet', endpoint: 'https://devnet.stand-in', type: 'solana' };
+    
+    expectErrors(() => prepareConfig(broken), [
+        /^alchemy\.mainnet_networks\.ethereum\.chain_id: required for EVM networks$/,
+        /^alchemy\.network_priorities\[1\]: "ethereum_classic" is not a mainnet network$/,
+        /^multi_chain_config\.parallel_queries: must be a boolean/,
+        /^alchemy\.testnet_networks\.solana: duplicate network key/
+    ]);
+    
+    const defaults = prepareConfig({ ...createStandInConfig(), label: '${DEPLOYMENT:-local}' }, { env: {} });
+    if (defaults.label !== 'local') {
+        throw new Error('Placeholder default not applied');
+    }
+}
+
+async function testConfigurationHotReload() {
+    const Manager = require('../managers/multi-chain-crypto-manager');
+    const storageDir = createTempDir();
+    const configPath = path.join(storageDir, 'crypto-config.json');
+    const config = createStandInConfig();
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    
+    const manager = new Manager({
+        configPath,
+        providers: createStandInProviders({ chainIds: { 'https://polygon.stand-in': 137 } }),
+        storageDir,
+        autoStart: false
+    });
+    
+    await manager.start();
+    const ethereumConnection = manager.getNetworkConnection('ethereum');
+    const ethereumBreaker = manager.circuitBreakers.get('ethereum');
+    const walletAddress = manager.multiChainWallets.get('default_wallet').addresses.ethereum;
+    
+    const events = [];
+    manager.on('network-added', ({ network, connected }) => events.push(`added:${network}:${connected}`));
+    manager.on('network-removed', ({ network }) => events.push(`removed:${network}`));
+    
+    delete config.alchemy.mainnet_networks.solana;
+    config.alchemy.mainnet_networks.polygon = { name: 'Polygon PoS', endpoint: 'https://polygon.stand-in', chain_id: 137 };
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    
+    const diff = await manager.reloadConfiguration();
+    
+    if (diff.added.join() !== 'polygon' || diff.removed.join() !== 'solana' || diff.changed.length !== 0) {
+        throw new Error(`Unexpected diff: ${JSON.stringify(diff)}`);
+    }
+    
+    if (events.join() !== 'removed:solana,added:polygon:true') {
+        throw new Error(`Unexpected events: ${events.join()}`);
+    }
+    
+    if (manager.getNetworkConnection('solana') || manager.circuitBreakers.has('solana') ||
+        manager.metrics.connectionAttempts.solana !== undefined) {
+        throw new Error('Removed network state was not torn down');
+    }
+    
+    if (manager.getNetworkConnection('ethereum') !== ethereumConnection ||
+        manager.circuitBreakers.get('ethereum') !== ethereumBreaker ||
+        manager.metrics.connectionAttempts.ethereum !== 1) {
+        throw new Error('Unchanged network was reconnected or lost its metrics');
+    }
+    
+    if (manager.multiChainWallets.get('default_wallet').addresses.ethereum !== walletAddress) {
+        throw new Error('Wallets changed during reload');
+    }
+    
+    fs.writeFileSync(configPath, '{"schema_version": 1, "alchemy": {}}');
+    let rejected = false;
+    try {
+        await manager.reloadConfiguration();
+    } catch (error) {
+        rejected = true;
+    }
+    
+    if (!rejected || !manager.getNetworkConnection('polygon')) {
+        throw new Error('Invalid configuration should be rejected and leave networks untouched');
+    }
+    
+    await manager.stop();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+}
+
+async function testBitcoinAdapter() {
+    const { BitcoinAdapter } = require('../adapters/bitcoin-adapter');
+    const Manager = require('../managers/multi-chain-crypto-manager');
+    
+    const keyPair = BitcoinAdapter.generateKeyPair('mainnet');
+    if (!/^bc1q[a-z0-9]{38}$/.test(keyPair.address) || keyPair.privateKey.length !== 64) {
+        throw new Error(`Unexpected P2WPKH key pair: ${keyPair.address}`);
+    }
+    
+    // Esplora: confirmed from chain_stats, unconfirmed from mempool_stats
+    const esplora = new BitcoinAdapter('https://esplora.stand-in/api/', {
+        backend: 'esplora',
+        httpClient: {
+            get: async (url) => {
+                if (url.endsWith('/blocks/tip/height')) return { data: 840000 };
+                if (url.endsWith('/utxo')) {
+                    return { data: [
+                        { txid: 'aa', vout: 0, value: 150000000, status: { confirmed: true, block_height: 839990 } },
+                        { txid: 'bb', vout: 1, value: 2500, status: { confirmed: false } }
+                    ] };
+                }
+                return { data: {
+                    chain_stats: { funded_txo_sum: 200000000, spent_txo_sum: 50000000 },
+                    mempool_stats: { funded_txo_sum: 2500, spent_txo_sum: 0 }
+                } };
+            }
+        }
+    });
+    
+    const esploraBalance = await esplora.getBalance(keyPair.address);
+    const utxos = await esplora.listUnspent(keyPair.address);
+    if (await esplora.getBlockHeight() !== 840000 || esploraBalance.confirmed !== 1.5 ||
+        esploraBalance.unconfirmed !== 0.000025 || utxos.length !== 2 || utxos[1].confirmed) {
+        throw new Error('Esplora backend returned unexpected chain data');
+    }
+    
+    let invalidRejected = false;
+    try {
+        await esplora.getBalance('not-an-address');
+    } catch (error) {
+        invalidRejected = true;
+    }
+    if (!invalidRejected) {
+        throw new Error('Invalid Bitcoin address should be rejected');
+    }
+    
+    // bitcoind through the manager: connection, health and wallet balances
+    const config = createStandInConfig();
+    config.alchemy.mainnet_networks.bitcoin = {
+        name: 'Bitcoin',
+        endpoint: 'https://btc.stand-in',
+        type: 'bitcoin',
+        backend: 'bitcoind'
+    };
+    const providers = createStandInProviders();
+    const evmPost = providers.httpClient.post;
+    let scanning = false;
+    providers.httpClient.post = async (url, payload) => {
+        if (url !== 'https://btc.stand-in') return evmPost(url, payload);
+        if (payload.method === 'scantxoutset') {
+            // Like bitcoind, only one scan runs at a time
+            if (scanning) return { data: { id: payload.id, result: null, error: { code: -8, message: 'Scan already in progress' } } };
+            scanning = true;
+            await new Promise(resolve => setTimeout(resolve, 5));
+            scanning = false;
+        }
+        const results = {
+            getblockcount: 840001,
+            scantxoutset: { unspents: [{ txid: 'cc', vout: 0, amount: 0.25, height: 839000 }] }
+        };
+        return { data: { id: payload.id, result: results[payload.method], error: null } };
+    };
+    
+    const storageDir = createTempDir();
+    const manager = new Manager({ config, providers, storageDir, autoStart: false });
+    await manager.start();
+    await manager.updateWalletBalances('default_wallet');
+    
+    const bitcoinWallet = manager.multiChainWallets.get('default_wallet').networks.bitcoin;
+    if (!bitcoinWallet || !bitcoinWallet.address.startsWith('bc1q')) {
+        throw new Error('Default wallet should get a Bitcoin address');
+    }
+    // bitcoind cannot see mempool amounts per address, so the unconfirmed balance is unknown rather than 0
+    if (bitcoinWallet.balance !== 0.25 || bitcoinWallet.unconfirmedBalance !== null) {
+        throw new Error(`Unexpected Bitcoin balance ${bitcoinWallet.balance}/${bitcoinWallet.unconfirmedBalance}`);
+    }
+    
+    const adapter = manager.networkConnections.get('bitcoin').adapter;
+    const concurrent = await Promise.all([adapter.getBalance(bitcoinWallet.address), adapter.listUnspent(bitcoinWallet.address)]);
+    if (concurrent[0].confirmedSats !== 25000000 || concurrent[1].length !== 1) {
+        throw new Error('Concurrent scans should wait for each other');
+    }
+    
+    // Address history and everything built on it need Esplora
+    const refusals = await Promise.all([
+        adapter.hasHistory(bitcoinWallet.address),
+        manager.importWatchOnlyWallet('cold', { xpub: 'zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs', networks: ['bitcoin'] }),
+        manager.restoreWalletFromMnemonic('restored', 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about')
+    ].map(attempt => attempt.then(() => null, error => error)));
+    if (!refusals.every(error => error && /Esplora/.test(error.message)) || manager.multiChainWallets.has('cold') || manager.multiChainWallets.has('restored')) {
+        throw new Error(`bitcoind should refuse history lookups: ${refusals.map(error => error && error.message)}`);
+    }
+    
+    await manager.performHealthCheck();
+    const health = manager.networkHealth.get('bitcoin');
+    if (health.status !== 'healthy' || health.blockNumber !== 840001) {
+        throw new Error('Bitcoin health should report the node block height');
+    }
+    
+    const walletUtxos = await manager.listUtxos('default_wallet');
+    if (walletUtxos.length !== 1 || walletUtxos[0].value !== 25000000) {
+        throw new Error('listUtxos should return satoshi values from the node');
+    }
+    
+    await manager.stop();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+}
+
+async function testStarknetAdapter() {
+    const { normalizeAddress, decodeChainId, FEE_TOKENS } = require('../adapters/starknet-adapter');
+    const Manager = require('../managers/multi-chain-crypto-manager');
+    
+    if (normalizeAddress('0x1ABC') !== `0x${'0'.repeat(60)}1abc` || decodeChainId('0x534e5f4d41494e') !== 'SN_MAIN') {
+        throw new Error('Starknet address or chain ID normalization failed');
+    }
+    
+    for (const invalid of ['0x0', `0x8${'0'.repeat(63)}`, 'abc']) {
+        let rejected = false;
+        try {
+            normalizeAddress(invalid);
+        } catch (error) {
+            rejected = true;
+        }
+        if (!rejected) throw new Error(`Invalid Starknet address accepted: ${invalid}`);
+    }
+    
+    const config = createStandInConfig();
+    config.alchemy.mainnet_networks.starknet = {
+        name: 'Starknet',
+        endpoint: 'https://starknet.stand-in',
+        type: 'starknet',
+        chain_id: '0x534e5f4d41494e'
+    };
+    const state = {};
+    const providers = createStandInProviders(state);
+    const evmPost = providers.httpClient.post;
+    providers.httpClient.post = async (url, payload) => {
+        if (url !== 'https://starknet.stand-in') return evmPost(url, payload);
+        state.starknetCalls = (state.starknetCalls || 0) + 1;
+        return {
+            data: payload.map(request => {
+                let result = { starknet_blockNumber: 1200000, starknet_chainId: '0x534e5f4d41494e' }[request.method];
+                if (request.method === 'starknet_call') {
+                    // 3 STRK fits in the low word; 2^128 wei ETH only in the high word
+                    result = request.params[0].contract_address === FEE_TOKENS.STRK.address
+                        ? ['0x29a2241af62c0000', '0x0']
+                        : ['0x0', '0x1'];
+                }
+                return { jsonrpc: '2.0', id: request.id, result };
+            })
+        };
+    };
+    
+    const storageDir = createTempDir();
+    const manager = new Manager({ config, providers, storageDir, autoStart: false });
+    await manager.start();
+    
+    const connection = manager.getNetworkConnection('starknet');
+    if (!connection || connection.type !== 'starknet' || connection.chainName !== 'SN_MAIN') {
+        throw new Error('Starknet should connect through its own adapter, not the EVM path');
+    }
+    if (manager.multiChainWallets.get('default_wallet').networks.starknet) {
+        throw new Error('Starknet accounts should not be generated');
+    }
+    
+    const address = await manager.addStarknetAccount('default_wallet', '0x0123abc');
+    const account = manager.multiChainWallets.get('default_wallet').networks.starknet;
+    if (address.length !== 66 || account.balance !== 3 || account.tokens.ETH !== 2 ** 128 / 1e18) {
+        throw new Error(`Unexpected Starknet balances ${JSON.stringify(account.tokens)}`);
+    }
+    
+    await manager.performHealthCheck();
+    if (manager.networkHealth.get('starknet').blockNumber !== 1200000) {
+        throw new Error('Starknet health should report starknet_blockNumber');
+    }
+    
+    await manager.stop();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+}
+
+async function testHeadStalenessDetection() {
+    const { ChainHeadTracker } = require('../lib/chain-head-tracker');
+    const Manager = require('../managers/multi-chain-crypto-manager');
+    
+    let now = 0;
+    const tracker = new ChainHeadTracker({ now: () => now });
+    tracker.record('ethereum', 'a', 100, 12000);
+    tracker.record('ethereum', 'b', 100, 12000);
+    now = 30000;
+    tracker.record('ethereum', 'a', 102);
+    tracker.record('ethereum', 'b', 110);
+    
+    const lagging = tracker.evaluate('ethereum', 'a');
+    if (lagging.state !== 'degraded' || lagging.lag !== 8) {
+        throw new Error(`Endpoint 8 blocks behind should be degraded, got ${lagging.state}`);
+    }
+    if (tracker.evaluate('ethereum', 'b').state !== 'healthy') {
+        throw new Error('Endpoint at the best head should be healthy');
+    }
+    
+    // 250 ms blocks: a standby sampled 2 s later is 8 blocks ahead without the active endpoint lagging
+    now = 100000;
+    tracker.record('arbitrum', 'active', 1000, 250);
+    now = 102000;
+    tracker.record('arbitrum', 'standby', 1008, 250);
+    if (tracker.evaluate('arbitrum', 'active').state !== 'healthy') {
+        throw new Error('Samples taken at different times should not count as lag');
+    }
+    if (tracker.evaluate('arbitrum', 'active', { live: true }).state !== 'degraded') {
+        throw new Error('A silent live feed should age up to now');
+    }
+    tracker.record('arbitrum', 'standby', 1020);
+    const behind = tracker.evaluate('arbitrum', 'active');
+    if (behind.state !== 'degraded' || behind.lag !== 12) {
+        throw new Error(`Lag beyond the elapsed block times should still count, got ${behind.state} / ${behind.lag}`);
+    }
+    
+    // Built-in block times are keyed by configured network names
+    const { BLOCK_TIMES } = require('../lib/chain-head-tracker');
+    const configured = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'crypto-config.json'), 'utf8')).alchemy;
+    const networkKeys = new Set([...Object.keys(configured.mainnet_networks), ...Object.keys(configured.testnet_networks || {})]);
+    const unknown = Object.keys(BLOCK_TIMES).filter(key => !networkKeys.has(key));
+    if (unknown.length > 0) {
+        throw new Error(`Block times for unconfigured networks: ${unknown.join(', ')}`);
+    }
+    
+    // Manager: active endpoint stuck at block 100 while the standby keeps advancing
+    now = 0;
+    let standbyHeight = 100;
+    const config = createStandInConfig();
+    delete config.alchemy.mainnet_networks.solana;
+    config.alchemy.mainnet_networks.ethereum = {
+        name: 'Ethereum',
+        chain_id: 1,
+        endpoints: [
+            { url: 'https://eth.stand-in', weight: 10 },
+            { url: 'https://eth-standby.stand-in', weight: 1 }
+        ]
+    };
+    const providers = createStandInProviders({ blockNumber: 100 });
+    const evmPost = providers.httpClient.post;
+    providers.httpClient.post = async (url, payload) => {
+        if (payload[0].method !== 'eth_blockNumber') return evmPost(url, payload);
+        return { data: payload.map(request => ({ jsonrpc: '2.0', id: request.id, result: `0x${standbyHeight.toString(16)}` })) };
+    };
+    
+    const storageDir = createTempDir();
+    const manager = new Manager({
+        config,
+        providers,
+        storageDir,
+        autoStart: false,
+        clock: { now: () => now, setInterval: () => null, clearInterval: () => {} }
+    });
+    await manager.start();
+    await manager.performHealthCheck();
+    
+    if (manager.networkHealth.get('ethereum').status !== 'healthy') {
+        throw new Error('Fresh head should be healthy');
+    }
+    
+    now = 61000;
+    standbyHeight = 105;
+    await manager.performHealthCheck();
+    const degraded = manager.networkHealth.get('ethereum');
+    if (degraded.status !== 'degraded' || degraded.head.headAge !== 61000) {
+        throw new Error(`Head unchanged for 5+ block times should be degraded, got ${degraded.status}`);
+    }
+    
+    now = 200000;
+    standbyHeight = 117;
+    const completed = new Promise(resolve => manager.once('health-check-completed', resolve));
+    await manager.performHealthCheck();
+    const event = await completed;
+    
+    if (event.networks.ethereum.status !== 'stalled' || manager.getSystemStatus().networks.states.stalled !== 1) {
+        throw new Error('Stalled head should appear in health-check-completed and getSystemStatus()');
+    }
+    if (manager.getSystemStatus().networks.heads.ethereum['https://eth-standby.stand-in'].state !== 'healthy') {
+        throw new Error('Advancing standby endpoint should stay healthy');
+    }
+    
+    await manager.stop();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+}
+
+async function testLazyConnectionsAndIdleEviction() {
+    const Manager = require('../managers/multi-chain-crypto-manager');
+    
+    let now = 0;
+    const config = createStandInConfig();
+    config.multi_chain_config.connection_mode = 'lazy';
+    config.multi_chain_config.idle_timeout = 300000;
+    
+    const storageDir = createTempDir();
+    const manager = new Manager({
+        config,
+        providers: createStandInProviders(),
+        storageDir,
+        autoStart: false,
+        clock: { now: () => now, setInterval: () => null, clearInterval: () => {} }
+    });
+    await manager.start();
+    
+    if (manager.getConnectedNetworks().join() !== 'ethereum') {
+        throw new Error(`Only priority networks should be warmed, got ${manager.getConnectedNetworks()}`);
+    }
+    
+    // Concurrent first uses share one connection attempt
+    const [first, second] = await Promise.all([manager.ensureNetwork('solana'), manager.ensureNetwork('solana')]);
+    if (first !== second || first.type !== 'solana') {
+        throw new Error('Solana should connect once on first use');
+    }
+    
+    await manager.createMultiChainWallet('trading', ['solana']);
+    await manager.updateWalletBalances('trading');
+    if (manager.multiChainWallets.get('trading').networks.solana.balance !== 2) {
+        throw new Error('Lazily connected network should serve balance queries');
+    }
+    
+    const evictedEvents = [];
+    manager.on('network-evicted', event => evictedEvents.push(event.network));
+    
+    now = 200000;
+    manager.evictIdleNetworks();
+    await manager.updateAllBalances();
+    now = 400000;
+    manager.evictIdleNetworks();
+    
+    if (evictedEvents.join() !== 'solana' || manager.getConnectedNetworks().join() !== 'ethereum') {
+        throw new Error('Idle non-priority network should be evicted; background sweeps must not keep it open');
+    }
+    
+    await manager.updateWalletBalances('trading');
+    if (!manager.getNetworkConnection('solana')) {
+        throw new Error('Evicted network should reconnect on the next use');
+    }
+    
+    await manager.stop();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+}
+
+async function testCircuitBreakerRollingWindow() {
+    const { CircuitBreaker, CircuitOpenError } = require('../lib/circuit-breaker');
+    const Manager = require('../managers/multi-chain-crypto-manager');
+    
+    let now = 0;
+    const breaker = new CircuitBreaker('ethereum', {
+        window: 10000,
+        minimum_calls: 4,
+        failure_rate_threshold: 0.5,
+        open_timeout: 5000,
+        half_open_max_calls: 2
+    }, { now: () => now });
+    
+    const events = [];
+    ['breaker-opened', 'breaker-half-open', 'breaker-closed'].forEach(event =>
+        breaker.on(event, status => events.push(`${event}:${status.previous}`))
+    );
+    
+    const ok = () => breaker.execute(async () => 'ok');
+    const fail = () => breaker.execute(async () => { throw new Error('rpc down'); }).catch(error => error);
+    
+    // Failures that have aged out of the window no longer count
+    await fail();
+    await fail();
+    now = 11000;
+    await ok();
+    await fail();
+    if (breaker.state !== 'CLOSED') {
+        throw new Error('1 failure in 2 windowed calls is below minimum_calls and must not trip');
+    }
+    
+    await ok();
+    await fail();
+    if (breaker.state !== 'OPEN') {
+        throw new Error(`2/4 failures in the window should open the breaker, got ${breaker.state}`);
+    }
+    if (!((await fail()) instanceof CircuitOpenError)) {
+        throw new Error('Open breaker should reject calls with CircuitOpenError');
+    }
+    
+    // HALF_OPEN lets exactly half_open_max_calls probes through at once
+    now = 17000;
+    let releaseProbes;
+    const gate = new Promise(resolve => { releaseProbes = resolve; });
+    const probes = [1, 2, 3].map(() => breaker.execute(() => gate).then(() => 'ok', error => error));
+    releaseProbes();
+    const results = await Promise.all(probes);
+    
+    if (results.filter(result => result === 'ok').length !== 2 || !(results[2] instanceof CircuitOpenError)) {
+        throw new Error('HALF_OPEN should admit 2 probes and reject the third');
+    }
+    if (breaker.state !== 'CLOSED' || events.join() !== 'breaker-opened:CLOSED,breaker-half-open:OPEN,breaker-closed:HALF_OPEN') {
+        throw new Error(`Unexpected breaker transitions: ${events.join()}`);
+    }
+    
+    // Managers re-emit breaker events and apply per-network policies
+    const config = createStandInConfig();
+    config.multi_chain_config.circuit_breaker = { minimum_calls: 1, failure_rate_threshold: 1 };
+    config.alchemy.mainnet_networks.solana.circuit_breaker = { open_timeout: 1234 };
+    const storageDir = createTempDir();
+    const manager = new Manager({ config, providers: createStandInProviders(), storageDir, autoStart: false });
+    await manager.loadConfiguration();
+    manager.initializeCircuitBreakers();
+    
+    const opened = new Promise(resolve => manager.once('breaker-opened', resolve));
+    await manager.circuitBreakers.get('solana').execute(async () => { throw new Error('boom'); }).catch(() => {});
+    const status = await opened;
+    
+    if (status.network !== 'solana' || status.policy.openTimeout !== 1234 ||
+        manager.getCircuitBreakerStatus('ethereum').policy.openTimeout !== 60000) {
+        throw new Error('Manager should forward breaker-opened and merge per-network policies');
+    }
+    
+    fs.rmSync(storageDir, { recursive: true, force: true });
+}
+
+async function testPrometheusMetricsEndpoint() {
+    const http = require('http');
+    const { MetricsRegistry } = require('../lib/metrics-registry');
+    const Manager = require('../managers/multi-chain-crypto-manager');
+    
+    const registry = new MetricsRegistry();
+    const latency = registry.histogram('test_latency_seconds', 'Test latency', ['network'], [0.1, 1]);
+    latency.observe({ network: 'eth"main' }, 0.05);
+    latency.observe({ network: 'eth"main' }, 0.5);
+    const rendered = registry.render();
+    
+    if (!rendered.includes('test_latency_seconds_bucket{network="eth\\"main",le="0.1"} 1') ||
+        !rendered.includes('test_latency_seconds_bucket{network="eth\\"main",le="+Inf"} 2') ||
+        !rendered.includes('test_latency_seconds_count{network="eth\\"main"} 2')) {
+        throw new Error(`Unexpected histogram exposition:\n${rendered}`);
+    }
+    
+    const config = createStandInConfig();
+    config.metrics = { enabled: true, host: '127.0.0.1', port: 0 };
+    const storageDir = createTempDir();
+    const manager = new Manager({ config, providers: createStandInProviders(), storageDir, autoStart: false });
+    await manager.start();
+    await manager.updateAllBalances();
+    
+    const { port } = manager.metricsServer.address();
+    const { status, contentType, body } = await new Promise((resolve, reject) => {
+        http.get(`http://127.0.0.1:${port}/metrics`, (response) => {
+            let data = '';
+            response.on('data', chunk => { data += chunk; });
+            response.on('end', () => resolve({
+                status: response.statusCode,
+                contentType: response.headers['content-type'],
+                body: data
+            }));
+        }).on('error', reject);
+    });
+    
+    if (status !== 200 || !contentType.startsWith('text/plain; version=0.0.4')) {
+        throw new Error(`Unexpected /metrics response ${status} ${contentType}`);
+    }
+    
+    const expected = [
+        'blockchain_connected_networks 2',
+        'blockchain_circuit_breaker_state{network="ethereum"} 0',
+        'blockchain_block_height{network="ethereum"} 100',
+        'blockchain_wallet_balance{wallet="default_wallet",network="solana",asset="native"} 2',
+        'blockchain_request_duration_seconds_count{network="ethereum",operation="balance"}',
+        'blockchain_request_duration_seconds_bucket{network="solana",operation="connect",le="+Inf"} 1'
+    ];
+    const missing = expected.filter(line => !body.includes(line));
+    if (missing.length > 0) {
+        throw new Error(`Missing metrics: ${missing.join('; ')}`);
+    }
     
-    if (!managerCode.includes('NetworkCircuitBreaker')) {
-        throw new Error('NetworkCircuitBreaker class not found in manager');
+    manager.observeRequest('ethereum', 'balance', 20, Object.assign(new Error('Request failed'), { response: { status: 429 } }));
+    if (!manager.renderMetrics().includes('blockchain_request_errors_total{network="ethereum",operation="balance",class="rate_limited"} 1')) {
+        throw new Error('Errors should be counted by class');
     }
     
-    if (!managerCode.includes('execute')) {
-        throw new Error('Circuit breaker execute method not found');
+    await manager.stop();
+    if (manager.metricsServer) {
+        throw new Error('Metrics server should close on stop()');
+    }
+    fs.rmSync(storageDir, { recursive: true, force: true });
+}
+
+async function testStructuredLoggingAndRedaction() {
+    const { Logger, FileSink, createLogger, REDACTED } = require('../lib/logger');
+    const logDir = createTempDir();
+    
+    const captured = [];
+    const logger = new Logger('Test', {
+        level: 'info',
+        bufferSize: 3,
+        secrets: ['sup3r-s3cret-share'],
+        sinks: [{ write: entry => captured.push(entry) }]
+    });
+    
+    logger.debug('hidden below info');
+    logger.info('Connecting', {
+        network: 'ethereum',
+        endpoint: 'https://eth-mainnet.g.alchemy.com/v2/44dSO41R6RzBr6Fe0GsUs',
+        privateKey: '0xabc123',
+        wallet: { mnemonic: 'abandon abandon about' }
+    });
+    logger.warn('Portfolio https://api.example.com/portfolio?shareToken=abc&limit=5 sup3r-s3cret-share');
+    logger.error('seed was legal winner thank year wave sausage worth useful legal winner thank yellow');
+    logger.info('fourth entry');
+    
+    const [connect, portfolio, seed] = captured;
+    if (captured.length !== 4 || connect.endpoint !== `https://eth-mainnet.g.alchemy.com/v2/${REDACTED}` ||
+        connect.privateKey !== REDACTED || connect.wallet.mnemonic !== REDACTED) {
+        throw new Error(`Structured fields not redacted: ${JSON.stringify(connect)}`);
+    }
+    if (portfolio.message.includes('abc&') || portfolio.message.includes('sup3r') || !seed.message.endsWith(REDACTED)) {
+        throw new Error(`Free-text secrets not redacted: ${portfolio.message} / ${seed.message}`);
+    }
+    if (logger.getLogs().length !== 3 || logger.getLogs()[0].level !== 'warn' || logger.getLogs('ethereum').length !== 0) {
+        throw new Error('History should be a ring buffer of the last 3 entries');
+    }
+    
+    // Size rotation keeps at most maxFiles old files
+    const logFile = path.join(logDir, 'system.log');
+    const sizeSink = new FileSink(logFile, { maxSize: 200, maxFiles: 2 });
+    for (let i = 0; i < 10; i++) {
+        sizeSink.write({ level: 'info', message: `entry ${i} ${'x'.repeat(60)}` });
+    }
+    const rotated = fs.readdirSync(logDir).sort();
+    if (rotated.join() !== 'system.log,system.log.1,system.log.2' ||
+        JSON.parse(fs.readFileSync(logFile, 'utf8').trim().split('\n').pop()).message.indexOf('entry 9') !== 0) {
+        throw new Error(`Unexpected size rotation: ${rotated.join()}`);
+    }
+    
+    // Daily rotation renames the file after its date
+    let now = Date.parse('2026-03-01T23:59:00Z');
+    const dailyFile = path.join(logDir, 'daily.log');
+    const dailySink = new FileSink(dailyFile, { rotation: 'daily', now: () => now });
+    dailySink.write({ message: 'day one' });
+    now = Date.parse('2026-03-02T00:01:00Z');
+    dailySink.write({ message: 'day two' });
+    if (!fs.readFileSync(`${dailyFile}.2026-03-01`, 'utf8').includes('day one') ||
+        fs.readFileSync(dailyFile, 'utf8').includes('day one')) {
+        throw new Error('Daily rotation should move the previous day to daily.log.2026-03-01');
+    }
+    
+    // LOG_LEVEL / LOG_FILE from the environment; env secrets are scrubbed
+    const envLogger = createLogger('EnvTest', {
+        env: { LOG_LEVEL: 'warn', LOG_FILE: path.join(logDir, 'env.log'), COINSTATS_SHARE_TOKEN: 'share-token-value-123' },
+        sinks: undefined
+    });
+    envLogger.sinks = envLogger.sinks.filter(sink => sink instanceof FileSink);
+    envLogger.info('dropped');
+    envLogger.warn('token share-token-value-123 leaked');
+    const lines = fs.readFileSync(path.join(logDir, 'env.log'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    if (lines.length !== 1 || lines[0].message !== `token ${REDACTED} leaked` || lines[0].service !== 'EnvTest') {
+        throw new Error(`LOG_LEVEL/LOG_FILE not applied: ${JSON.stringify(lines)}`);
+    }
+    
+    fs.rmSync(logDir, { recursive: true, force: true });
+}
+
+async function testProviderRateLimiting() {
+    const { RateLimiter, RateLimiterRegistry } = require('../lib/rate-limiter');
+    const Manager = require('../managers/multi-chain-crypto-manager');
+    
+    let now = Date.parse('2026-03-01T12:00:00Z');
+    const timers = [];
+    const limiter = new RateLimiter('alchemy', {
+        hosts: ['alchemy.com'],
+        compute_units_per_second: 100,
+        burst: 100,
+        daily_budget: 1000,
+        slowdown_at: 0.5
+    }, {
+        now: () => now,
+        setTimeout: (fn, ms) => { timers.push({ fn, ms }); return timers.length; },
+        clearTimeout: () => {}
+    });
+    const runTimers = () => timers.splice(0).forEach(timer => { now += timer.ms; timer.fn(); });
+    
+    // A batch is charged the sum of its method costs
+    await limiter.acquire(Array(10).fill('eth_blockNumber'));
+    if (limiter.used !== 100 || limiter.tokens !== 0) {
+        throw new Error(`Batch should cost 100 CU, used ${limiter.used} with ${limiter.tokens} tokens left`);
+    }
+    
+    // Waiters are served by priority: the send overtakes the earlier balance lookup
+    const order = [];
+    const sweep = limiter.acquire('eth_getBalance').then(() => order.push('sweep'));
+    const send = limiter.acquire('eth_sendRawTransaction').then(() => order.push('send'));
+    if (limiter.getStatus().waiting.low !== 1 || limiter.getStatus().waiting.high !== 1) {
+        throw new Error('Both calls should wait for tokens');
+    }
+    while (order.length < 2) {
+        runTimers();
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    await Promise.all([sweep, send]);
+    if (order.join() !== 'send,sweep' || limiter.used !== 369) {
+        throw new Error(`Unexpected grant order ${order.join()} (${limiter.used} CU used)`);
+    }
+    
+    // Past slowdown_at low-priority calls take more tokens; at 90% they are refused
+    limiter.used = 700;
+    if (limiter.bucketCost({ priority: 'low', cost: 19 }) !== 57 || limiter.bucketCost({ priority: 'normal', cost: 19 }) !== 19) {
+        throw new Error('Low-priority calls should cost 3x tokens halfway between slowdown_at and the cutoff');
+    }
+    now += 10000;
+    limiter.used = 890;
+    const refused = await limiter.acquire('eth_getBalance').then(() => null, error => error);
+    if (!refused || refused.code !== 'BUDGET_EXHAUSTED') {
+        throw new Error('Balance sweeps should stop at 90% of the budget');
+    }
+    await limiter.acquire('eth_blockNumber');
+    await limiter.acquire('eth_sendRawTransaction', { priority: 'high' }).then(
+        () => { throw new Error('A call over the full budget should be refused'); },
+        error => { if (error.code !== 'BUDGET_EXHAUSTED') throw error; }
+    );
+    
+    // The budget starts over on the next UTC day
+    now = Date.parse('2026-03-02T00:00:01Z');
+    await limiter.acquire('eth_getBalance');
+    if (limiter.used !== 19 || limiter.getStatus().throttling) {
+        throw new Error('Daily budget should reset at midnight UTC');
+    }
+    
+    // Manager: stand-in endpoint behind a provider entry; balances stop first, health checks keep running
+    const config = createStandInConfig();
+    config.rate_limits = {
+        standin: { hosts: ['eth.stand-in'], compute_units_per_second: 1000000, daily_budget: 100000 }
+    };
+    const storageDir = createTempDir();
+    const manager = new Manager({ config, providers: createStandInProviders(), storageDir, autoStart: false });
+    const exhausted = [];
+    manager.on('rate-limit-exhausted', event => exhausted.push(event));
+    await manager.start();
+    await manager.updateAllBalances();
+    
+    const standin = manager.rateLimiter.limiters.get('standin');
+    const status = manager.getSystemStatus().rateLimits.standin;
+    if (!status || status.usedToday < 10 + 19 || manager.rateLimiter.forUrl('https://sol.stand-in') !== null) {
+        throw new Error(`Ethereum calls should be charged to the stand-in provider: ${JSON.stringify(status)}`);
+    }
+    if (!manager.renderMetrics().includes('blockchain_compute_unit_budget{provider="standin"} 100000')) {
+        throw new Error('Compute-unit budget should be exported');
+    }
+    
+    standin.used = 95000;
+    await manager.updateAllBalances();
+    await manager.performHealthCheck();
+    const pool = manager.getEndpointStatus('ethereum');
+    if (exhausted.length !== 1 || exhausted[0].priority !== 'low' ||
+        manager.networkHealth.get('ethereum').status !== 'healthy' || pool.endpoints[0].failures !== 0) {
+        throw new Error(`Only the sweep should be refused, without blaming the endpoint: ${JSON.stringify(exhausted)}`);
+    }
+    
+    // The budget spent today is saved on shutdown and taken over by the next process
+    const spent = standin.used;
+    await manager.stop();
+    const restarted = new Manager({ config, providers: createStandInProviders(), storageDir, autoStart: false });
+    await restarted.loadConfiguration();
+    if (restarted.rateLimiter.limiters.get('standin').used !== spent || restarted.getSystemStatus().rateLimits.standin.usedToday !== spent) {
+        throw new Error(`A restart should keep the budget spent today (${spent} CU)`);
+    }
+    restarted.rateLimiter.close();
+    
+    // Usage saved on another day is not carried over
+    const nextDay = new RateLimiterRegistry(config.rate_limits, {
+        now: () => Date.now() + 24 * 60 * 60 * 1000,
+        stateFile: path.join(storageDir, 'rate_limit_usage.json')
+    });
+    await nextDay.load();
+    if (nextDay.limiters.get('standin').used !== 0) {
+        throw new Error('Budget saved on an earlier day should not count against today');
+    }
+    nextDay.close();
+    
+    fs.rmSync(storageDir, { recursive: true, force: true });
+}
+
+async function testErrorClassificationAndRetryPolicy() {
+    const { retry, classifyError } = require('../lib/retry-policy');
+    const Manager = require('../managers/multi-chain-crypto-manager');
+    
+    const httpError = (status, headers = {}) =>
+        Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+    const rpcError = (code, message) => Object.assign(new Error(message), { code });
+    const now = Date.parse('2026-03-01T12:00:00Z');
+    
+    const cases = [
+        [new Error('Chain ID mismatch: expected 1, got 5'), 'permanent', false],
+        [rpcError(-32000, 'insufficient funds for gas * price + value'), 'permanent', false],
+        [rpcError(-32000, 'header not found'), 'provider', true],
+        [rpcError(-32601, 'the method eth_foo does not exist'), 'permanent', false],
+        [rpcError(-32005, 'limit exceeded'), 'rate_limited', true],
+        [httpError(503), 'provider', true],
+        [httpError(401), 'permanent', false],
+        [Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), 'transient', true],
+        [Object.assign(new Error('breaker open'), { code: 'CIRCUIT_OPEN' }), 'provider', false]
+    ];
+    cases.forEach(([error, expectedClass, expectedRetryable]) => {
+        const { errorClass, retryable } = classifyError(error, now);
+        if (errorClass !== expectedClass || retryable !== expectedRetryable) {
+            throw new Error(`"${error.message}" classified as ${errorClass}/${retryable}, expected ${expectedClass}/${expectedRetryable}`);
+        }
+    });
+    
+    if (classifyError(httpError(429, { 'Retry-After': '3' }), now).retryAfter !== 3000 ||
+        classifyError(httpError(429, { 'retry-after': 'Sun, 01 Mar 2026 12:00:10 GMT' }), now).retryAfter !== 10000) {
+        throw new Error('Retry-After should be read as seconds or as an HTTP date');
+    }
+    
+    // Endpoint pools fail with every endpoint's error: permanent only if all of them are
+    const mixed = Object.assign(new Error('All endpoints failed'), {
+        errors: [new Error('Chain ID mismatch'), httpError(429, { 'retry-after': '2' })]
+    });
+    const allPermanent = Object.assign(new Error('All endpoints failed'), {
+        errors: [new Error('Chain ID mismatch'), new Error('Invalid address')]
+    });
+    if (classifyError(mixed, now).errorClass !== 'rate_limited' || classifyError(mixed, now).retryAfter !== 2000 ||
+        classifyError(allPermanent, now).retryable) {
+        throw new Error('Pool failures should be classified from their endpoint errors');
+    }
+    
+    const run = async (policy, failures) => {
+        const delays = [];
+        let calls = 0;
+        const result = await retry(async () => {
+            calls++;
+            if (calls <= failures.length) throw failures[calls - 1];
+            return 'ok';
+        }, {
+            policy,
+            logger: { warn: () => {}, error: () => {} },
+            sleep: async (ms) => { delays.push(ms); },
+            random: () => 1,
+            now: () => now
+        }).catch(error => error);
+        return { result, calls, delays };
+    };
+    
+    // Jitter (random() = 1 removes the full 50%) and Retry-After, whichever is longer
+    const transient = await run('default', [new Error('socket hang up'), httpError(429, { 'retry-after': '4' })]);
+    if (transient.result !== 'ok' || transient.delays.join() !== '500,4000') {
+        throw new Error(`Unexpected retry delays ${transient.delays.join()}`);
+    }
+    
+    const permanent = await run('connect', [new Error('Chain ID mismatch: expected 1, got 5')]);
+    if (permanent.calls !== 1 || permanent.result.errorClass !== 'permanent' || permanent.result.attempts !== 1) {
+        throw new Error('Permanent errors must not be retried');
+    }
+    
+    // Sends are only retried when the provider refused them outright
+    const sendTimeout = await run('send', [new Error('Connection timeout')]);
+    const sendThrottled = await run('send', [httpError(429)]);
+    if (sendTimeout.calls !== 1 || sendThrottled.result !== 'ok' || sendThrottled.calls !== 2) {
+        throw new Error('Sends should retry a 429 but never a timeout');
+    }
+    
+    // Manager: a chain ID mismatch fails the connect at once and is counted as permanent
+    const state = { chainIds: { 'https://eth.stand-in': 5 } };
+    const providers = createStandInProviders(state);
+    let evmProviders = 0;
+    const createEVMProvider = providers.createEVMProvider;
+    providers.createEVMProvider = (url) => { evmProviders++; return createEVMProvider(url); };
+    
+    const storageDir = createTempDir();
+    const manager = new Manager({ config: createStandInConfig(), providers, storageDir, autoStart: false });
+    const started = Date.now();
+    await manager.start();
+    
+    if (evmProviders !== 1 || Date.now() - started > 1500 || manager.getNetworkConnection('ethereum')) {
+        throw new Error(`Chain ID mismatch should not be retried (${evmProviders} attempts)`);
+    }
+    if (!manager.renderMetrics().includes('blockchain_request_errors_total{network="ethereum",operation="connect",class="permanent"} 1')) {
+        throw new Error('Connect failure should be counted with its error class');
+    }
+    
+    await manager.stop();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+}
+
+async function testGracefulShutdownDraining() {
+    const { OperationTracker, sleep } = require('../lib/operation-tracker');
+    const { RateLimiter } = require('../lib/rate-limiter');
+    const { retry } = require('../lib/retry-policy');
+    const Manager = require('../managers/multi-chain-crypto-manager');
+    
+    // Fast work finishes inside the deadline; slow work is cancelled once it passes
+    const tracker = new OperationTracker();
+    const fast = tracker.run('fast', signal => sleep(10, signal));
+    const slow = tracker.run('slow', signal => sleep(10000, signal)).catch(error => error);
+    const started = Date.now();
+    const { completed, cancelled } = await tracker.drain(100);
+    
+    if (completed.join() !== 'fast' || cancelled.join() !== 'slow' || Date.now() - started > 1000) {
+        throw new Error(`Unexpected drain result: completed ${completed}, cancelled ${cancelled}`);
+    }
+    await fast;
+    if ((await slow).code !== 'SHUTTING_DOWN') {
+        throw new Error('Cancelled work should reject with the shutdown reason');
+    }
+    const late = await tracker.run('late', async () => 'ran').catch(error => error);
+    if (late.code !== 'SHUTTING_DOWN') {
+        throw new Error('New work must be refused once draining has begun');
+    }
+    
+    // Work run with a caller's signal unlinks from both signals once it settles, and still sees the caller's abort
+    const { getEventListeners } = require('events');
+    const linked = new OperationTracker();
+    const caller = new AbortController();
+    for (let index = 0; index < 20; index++) {
+        await linked.run(`linked-${index}`, async () => index, caller.signal);
+    }
+    const abortedByCaller = linked.run('aborted', signal => sleep(10000, signal), caller.signal).catch(error => error);
+    caller.abort(new Error('caller gave up'));
+    if ((await abortedByCaller).message !== 'caller gave up' ||
+        getEventListeners(caller.signal, 'abort').length + getEventListeners(linked.signal, 'abort').length !== 0) {
+        throw new Error('Linked signals should forward aborts and remove their listeners when work settles');
+    }
+    
+    // Aborting cuts a retry's backoff short and stops further attempts
+    const controller = new AbortController();
+    let attempts = 0;
+    const retried = retry(async () => {
+        attempts++;
+        throw new Error('socket hang up');
+    }, { policy: 'default', signal: controller.signal, logger: { warn: () => {}, error: () => {} } }).catch(error => error);
+    setTimeout(() => controller.abort(), 20);
+    const retryStarted = Date.now();
+    await retried;
+    if (attempts !== 1 || Date.now() - retryStarted > 500) {
+        throw new Error(`Aborted retry should stop at once (${attempts} attempts)`);
+    }
+    
+    // Aborted rate limit waiters leave the queue
+    const limiter = new RateLimiter('alchemy', { hosts: ['alchemy.com'], compute_units_per_second: 10, burst: 10 }, {
+        setTimeout: () => 1,
+        clearTimeout: () => {}
+    });
+    await limiter.acquire('eth_blockNumber');
+    const waiter = new AbortController();
+    const waiting = limiter.acquire('eth_blockNumber', { signal: waiter.signal }).catch(error => error);
+    waiter.abort();
+    if ((await waiting).code !== 'ABORT_ERR' || limiter.getStatus().waiting.normal !== 0) {
+        throw new Error('Aborted waiters should be rejected and dequeued');
+    }
+    
+    // Manager: balance lookups hang until cancelled; the health check completes in time
+    const state = {};
+    const providers = createStandInProviders(state);
+    const post = providers.httpClient.post;
+    providers.httpClient.post = (url, payload, options) => {
+        if (!payload.some(request => request.method === 'getBalance' || request.method === 'eth_getBalance')) {
+            return post(url, payload, options);
+        }
+        return new Promise((resolve, reject) => {
+            options.signal.addEventListener('abort', () => {
+                reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' }));
+            });
+        });
+    };
+    
+    const storageDir = createTempDir();
+    const manager = new Manager({ config: createStandInConfig(), providers, storageDir, autoStart: false });
+    await manager.start();
+    await waitFor(() => manager.operations.getStatus().inFlight.some(operation => operation.name === 'balance-sweep'));
+    
+    let shutdownEvent = null;
+    manager.on('system-shutdown', (event) => {
+        shutdownEvent = { ...event, inFlight: manager.operations.getStatus().inFlight.length };
+    });
+    await manager.shutdown({ timeout: 100 });
+    
+    if (!shutdownEvent || shutdownEvent.inFlight !== 0 || !shutdownEvent.cancelled.includes('balance-sweep')) {
+        throw new Error(`system-shutdown should fire after cancelling the sweep: ${JSON.stringify(shutdownEvent)}`);
+    }
+    if (manager.getEndpointStatus('ethereum').endpoints[0].failures !== 0) {
+        throw new Error('Cancelled lookups must not count as endpoint failures');
+    }
+    
+    // Nothing touches wallet files after shutdown
+    const walletFile = path.join(storageDir, 'multi_chain_wallets', 'default_wallet.json');
+    const saved = fs.readFileSync(walletFile, 'utf8');
+    const wallet = manager.multiChainWallets.get('default_wallet');
+    await manager.saveWallet({ ...wallet, totalValueUSD: 42 });
+    const refused = await manager.updateAllBalances().catch(error => error);
+    if (fs.readFileSync(walletFile, 'utf8') !== saved || refused.code !== 'SHUTTING_DOWN') {
+        throw new Error('Wallet writes and new work must be refused after shutdown');
+    }
+    const lateWallets = await Promise.all([
+        manager.importWatchOnlyWallet('late', { address: '0xea6d82c3b35ab38dfe37ca6c059d4411923e0014', networks: ['ethereum'] }),
+        manager.addStarknetAccount('default_wallet', '0x123abc')
+    ].map(attempt => attempt.then(() => null, error => error)));
+    if (!lateWallets.every(error => error?.code === 'SHUTTING_DOWN') || manager.multiChainWallets.has('late')) {
+        throw new Error('Wallet imports must be refused after shutdown');
+    }
+    
+    fs.rmSync(storageDir, { recursive: true, force: true });
+}
+
+async function testHttpApiWithJwt() {
+    const http = require('http');
+    const { signToken, verifyToken } = require('../lib/jwt');
+    const Manager = require('../managers/multi-chain-crypto-manager');
+    
+    const secret = 'test-secret-that-is-at-least-32-characters';
+    const now = Date.now();
+    
+    // Tampered, unsigned ("alg": "none") and expired tokens are all rejected
+    const token = signToken({ sub: 'billing', scope: 'read' }, secret, { expiresIn: 60 });
+    if (verifyToken(token, secret).sub !== 'billing') {
+        throw new Error('A freshly signed token should verify');
+    }
+    const [header, payload] = token.split('.');
+    const forged = `${header}.${Buffer.from(JSON.stringify({ sub: 'billing', scope: 'read write' })).toString('base64url')}.${token.split('.')[2]}`;
+    const unsigned = `${Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url')}.${payload}.`;
+    const expired = signToken({ scope: 'read' }, secret, { expiresIn: 60, now: () => now - 3600 * 1000 });
+    [forged, unsigned, expired].forEach((candidate) => {
+        let rejected = false;
+        try { verifyToken(candidate, secret); } catch (error) { rejected = error.code === 'INVALID_TOKEN'; }
+        if (!rejected) throw new Error(`Token should be rejected: ${candidate}`);
+    });
+    
+    // The API refuses to start without a signing key
+    const config = createStandInConfig();
+    config.api = { enabled: true, host: '127.0.0.1', port: 0 };
+    const unkeyed = new Manager({ config, providers: createStandInProviders(), storageDir: createTempDir(), env: { ENCRYPTION_SECRET: TEST_ENCRYPTION_SECRET }, autoStart: false });
+    const refused = await unkeyed.start().catch(error => error);
+    await unkeyed.stop();
+    fs.rmSync(unkeyed.storageDir, { recursive: true, force: true });
+    if (!(refused instanceof Error) || !refused.message.includes('JWT_SECRET')) {
+        throw new Error('Starting the API without JWT_SECRET should fail');
+    }
+    
+    const storageDir = createTempDir();
+    const manager = new Manager({
+        config,
+        providers: createStandInProviders(),
+        storageDir,
+        env: { JWT_SECRET: secret, ENCRYPTION_SECRET: TEST_ENCRYPTION_SECRET },
+        autoStart: false
+    });
+    await manager.start();
+    const { port } = manager.apiServer.address();
+    
+    const request = (method, urlPath, { bearer = null, body = null } = {}) => new Promise((resolve, reject) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (bearer) headers.Authorization = `Bearer ${bearer}`;
+        const req = http.request({ host: '127.0.0.1', port, path: urlPath, method, headers }, (response) => {
+            let data = '';
+            response.on('data', chunk => { data += chunk; });
+            response.on('end', () => resolve({
+                status: response.statusCode,
+                headers: response.headers,
+                text: data,
+                body: data ? JSON.parse(data) : null
+            }));
+        });
+        req.on('error', reject);
+        req.end(body ? JSON.stringify(body) : undefined);
+    });
+    const reader = signToken({ sub: 'dashboard', scope: 'read' }, secret, { expiresIn: 300 });
+    const writer = signToken({ sub: 'provisioning', scope: 'read write' }, secret, { expiresIn: 300 });
+    
+    const anonymous = await request('GET', '/status');
+    const wrongKey = await request('GET', '/status', { bearer: signToken({ scope: 'read' }, 'another-secret-that-is-32-characters-long') });
+    if (anonymous.status !== 401 || !anonymous.headers['www-authenticate'] || wrongKey.status !== 401) {
+        throw new Error(`Unauthenticated requests should get 401 (got ${anonymous.status}, ${wrongKey.status})`);
+    }
+    
+    const status = await request('GET', '/status', { bearer: reader });
+    const health = await request('GET', '/networks/ethereum/health', { bearer: reader });
+    const unknown = await request('GET', '/networks/nowhere/health', { bearer: reader });
+    const breakers = await request('GET', '/circuit-breakers', { bearer: reader });
+    if (status.status !== 200 || status.body.networks.connected !== 2 ||
+        health.body.connected !== true || health.body.health.status !== 'healthy' || unknown.status !== 404 ||
+        breakers.body.ethereum.state !== 'CLOSED') {
+        throw new Error('Status, network health and circuit breaker routes returned unexpected data');
+    }
+    
+    const wallets = await request('GET', '/wallets', { bearer: reader });
+    const balances = await request('GET', '/wallets/default_wallet/balances?refresh=true', { bearer: reader });
+    if (wallets.body.wallets[0].id !== 'default_wallet' || balances.body.networks.solana.balance !== 2 ||
+        /privateKey/.test(wallets.text + balances.text)) {
+        throw new Error('Wallet routes should return addresses and balances without key material');
+    }
+    
+    // Creating wallets needs the write scope and a file-safe, unused id
+    const readOnly = await request('POST', '/wallets', { bearer: reader, body: { id: 'treasury' } });
+    const created = await request('POST', '/wallets', { bearer: writer, body: { id: 'treasury', networks: ['ethereum'] } });
+    const duplicate = await request('POST', '/wallets', { bearer: writer, body: { id: 'treasury' } });
+    const traversal = await request('POST', '/wallets', { bearer: writer, body: { id: '../escape' } });
+    const wrongMethod = await request('DELETE', '/wallets', { bearer: writer });
+    if (readOnly.status !== 403 || created.status !== 201 || !/^0x[0-9a-fA-F]{40}$/.test(created.body.addresses.ethereum) ||
+        duplicate.status !== 409 || traversal.status !== 400 || wrongMethod.status !== 405) {
+        throw new Error(`Unexpected wallet creation responses: ${[readOnly, created, duplicate, traversal, wrongMethod].map(r => r.status)}`);
+    }
+    if (!fs.existsSync(path.join(storageDir, 'multi_chain_wallets', 'treasury.json'))) {
+        throw new Error('Wallets created over the API should be saved');
+    }
+    
+    await manager.stop();
+    if (manager.apiServer) {
+        throw new Error('API server should be closed on shutdown');
+    }
+    fs.rmSync(storageDir, { recursive: true, force: true });
+}
+
+async function testDashboardEventStream() {
+    const http = require('http');
+    const { signToken } = require('../lib/jwt');
+    const Manager = require('../managers/multi-chain-crypto-manager');
+    
+    const secret = 'test-secret-that-is-at-least-32-characters';
+    const config = createStandInConfig();
+    config.api = { enabled: true, host: '127.0.0.1', port: 0 };
+    const storageDir = createTempDir();
+    const manager = new Manager({
+        config,
+        providers: createStandInProviders(),
+        storageDir,
+        env: { JWT_SECRET: secret, ENCRYPTION_SECRET: TEST_ENCRYPTION_SECRET },
+        autoStart: false
+    });
+    await manager.start();
+    const { port } = manager.apiServer.address();
+    const reader = signToken({ scope: 'read' }, secret, { expiresIn: 300 });
+    const writer = signToken({ scope: 'read write' }, secret, { expiresIn: 300 });
+    
+    const request = (method, urlPath, bearer = null) => new Promise((resolve, reject) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (bearer) headers.Authorization = `Bearer ${bearer}`;
+        const req = http.request({ host: '127.0.0.1', port, path: urlPath, method, headers }, (response) => {
+            let data = '';
+            response.on('data', chunk => { data += chunk; });
+            response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, text: data }));
+        });
+        req.on('error', reject);
+        req.end(method === 'POST' ? '{}' : undefined);
+    });
+    
+    // Browsers pass the token as ?access_token= because EventSource cannot set headers
+    const refused = await request('GET', '/events');
+    if (refused.status !== 401) {
+        throw new Error(`The event stream should require a token (got ${refused.status})`);
+    }
+    
+    const events = [];
+    let raw = '';
+    let streamEnded = false;
+    const stream = await new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path: `/events?access_token=${reader}` }, (response) => {
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => {
+                raw += chunk;
+                const blocks = raw.split('\n\n');
+                raw = blocks.pop();
+                blocks.forEach((block) => {
+                    const event = /^event: (.+)$/m.exec(block);
+                    const data = /^data: (.+)$/m.exec(block);
+                    if (event && data) events.push({ event: event[1], data: JSON.parse(data[1]), text: data[1] });
+                });
+            });
+            response.on('end', () => { streamEnded = true; });
+            resolve(response);
+        }).on('error', reject);
+    });
+    if (stream.headers['content-type'] !== 'text/event-stream; charset=utf-8') {
+        throw new Error('The event stream should be served as text/event-stream');
+    }
+    await waitFor(() => events.some(entry => entry.event === 'snapshot'), 2000);
+    const snapshot = events.find(entry => entry.event === 'snapshot').data;
+    if (snapshot.status.networks.connected !== 2 || snapshot.wallets[0].id !== 'default_wallet') {
+        throw new Error('The stream should open with a snapshot of status and wallets');
+    }
+    
+    // Dashboard controls call real manager operations and their events reach the stream
+    const connect = await request('POST', '/networks/connect', writer);
+    const created = await request('POST', '/wallets', writer);
+    const refreshed = await request('POST', '/balances/refresh', writer);
+    const checked = await request('POST', '/health-check', writer);
+    const portfolio = await request('GET', '/portfolio', reader);
+    const networks = await request('GET', '/networks', reader);
+    if (connect.status !== 200 || JSON.parse(connect.text).connected.length !== 2 || created.status !== 201 ||
+        refreshed.status !== 200 || checked.status !== 200 || JSON.parse(checked.text).networks.ethereum.status !== 'healthy' ||
+        JSON.parse(portfolio.text).wallets.length !== 2 || JSON.parse(networks.text).networks[0].chainId !== 1) {
+        throw new Error('Dashboard control routes returned unexpected responses');
+    }
+    
+    await waitFor(() => ['wallet-created', 'balances-updated', 'health-check-completed']
+        .every(name => events.some(entry => entry.event === name)), 2000);
+    const streamed = events.map(entry => entry.text).join('\n');
+    if (/privateKey/.test(streamed + refreshed.text + portfolio.text)) {
+        throw new Error('Streamed and exported balances must not carry key material');
+    }
+    const balances = events.find(entry => entry.event === 'balances-updated').data;
+    if (!balances.walletId || balances.networks.solana.balance !== 2) {
+        throw new Error('balances-updated should carry the wallet balances view');
+    }
+    
+    // The page itself is public; the data behind it is not
+    const page = await request('GET', '/dashboard');
+    if (page.status !== 200 || !page.headers['content-type'].startsWith('text/html') || !page.text.includes('/events?access_token=')) {
+        throw new Error('The dashboard page should be served by the API');
+    }
+    
+    await manager.stop();
+    await waitFor(() => streamEnded, 2000);
+    if (events[events.length - 1].event !== 'shutdown' || manager.listenerCount('balances-updated') !== 0) {
+        throw new Error('Shutdown should end the stream with a shutdown event and drop its listeners');
+    }
+    fs.rmSync(storageDir, { recursive: true, force: true });
+}
+
+async function testAlertRulesAndSinks() {
+    const net = require('net');
+    const EventEmitter = require('events');
+    const { AlertEngine } = require('../lib/alert-engine');
+    const { sendMail } = require('../lib/alert-sinks');
+    const { validateConfig } = require('../lib/config-schema');
+    const Manager = require('../managers/multi-chain-crypto-manager');
+    
+    // Plain-text SMTP stand-in that records each message body
+    const mails = [];
+    const smtp = net.createServer((socket) => {
+        let buffer = '';
+        let data = null;
+        socket.setEncoding('utf8');
+        socket.write('220 stand-in ESMTP\r\n');
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                if (data !== null) {
+                    if (line === '.') {
+                        mails.push(data);
+                        data = null;
+                        socket.write('250 queued\r\n');
+                    } else {
+                        data += `${line}\n`;
+                    }
+                } else if (/^EHLO/i.test(line)) {
+                    socket.write('250-stand-in\r\n250 8BITMIME\r\n');
+                } else if (/^DATA/i.test(line)) {
+                    data = '';
+                    socket.write('354 go ahead\r\n');
+                } else if (/^QUIT/i.test(line)) {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write('250 ok\r\n');
+                }
+            }
+        });
+    });
+    await new Promise(resolve => smtp.listen(0, '127.0.0.1', resolve));
+    const smtpPort = smtp.address().port;
+    
+    // Credentials never cross an unencrypted connection
+    const insecure = await sendMail({ host: '127.0.0.1', port: smtpPort, user: 'alerts', password: 'hunter2' },
+        { from: 'a@example.com', to: ['b@example.com'], subject: 'x', text: 'x' }).catch(error => error);
+    if (!(insecure instanceof Error) || !/refusing to send credentials/.test(insecure.message)) {
+        throw new Error('SMTP AUTH over a plain connection should be refused');
+    }
+    
+    // A server that never greets is given up on when the signal aborts, long before the reply timeout
+    const silent = net.createServer(() => {});
+    await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+    const started = Date.now();
+    const abandoned = await sendMail({ host: '127.0.0.1', port: silent.address().port },
+        { from: 'a@example.com', to: ['b@example.com'], subject: 'x', text: 'x' }, controller.signal).catch(error => error);
+    await new Promise(resolve => silent.close(resolve));
+    if (abandoned?.code !== 'ABORT_ERR' || Date.now() - started > 5000) {
+        throw new Error(`Aborting should close the SMTP connection, got ${abandoned?.message}`);
+    }
+    
+    let now = 1000000;
+    const source = new EventEmitter();
+    const breakers = { ethereum: { state: 'CLOSED' }, base: { state: 'CLOSED' } };
+    const balances = { base: { balance: 1 } };
+    source.getAllNetworkConfigs = () => ({ ethereum: {}, base: {} });
+    source.getNetworkHealth = () => ({ health: { status: 'healthy' } });
+    source.getCircuitBreakerStatus = () => breakers;
+    source.getWalletBalances = walletId => (walletId === 'treasury' ? { walletId, networks: balances } : null);
+    source.getSystemStatus = () => ({ rateLimits: { alchemy: { budgetUsage: 0.5 } } });
+    
+    const posts = [];
+    const storageDir = createTempDir();
+    const engine = new AlertEngine(source, {
+        rules: [
+            { name: 'priority-breaker-open', condition: 'breaker_state', networks: 'priority', for: 300000, severity: 'critical' },
+            { name: 'treasury-low', condition: 'balance_below', wallet: 'treasury', network: 'base', threshold: 0.1 },
+            { name: 'coinstats-sync', condition: 'event', event: 'portfolio-sync-failed', resolve_event: 'portfolio-synced' }
+        ],
+        sinks: [
+            { type: 'webhook', url: 'https://hooks.stand-in/alerts' },
+            { type: 'file', path: 'alerts/alerts.log' },
+            { type: 'email', host: '127.0.0.1', port: smtpPort, from: 'alerts@example.com', to: ['ops@example.com'], min_severity: 'critical' }
+        ]
+    }, {
+        clock: { now: () => now, setInterval: () => null, clearInterval: () => {} },
+        logger: { info: () => {}, warn: () => {}, error: () => {} },
+        priorityNetworks: () => ['ethereum'],
+        sinkDeps: { httpClient: { post: async (url, body) => { posts.push(body); } }, baseDir: storageDir }
+    });
+    engine.start();
+    
+    // A breaker alert waits out `for`, only covers priority networks and is sent once
+    breakers.ethereum.state = 'OPEN';
+    breakers.base.state = 'OPEN';
+    source.emit('breaker-opened', { network: 'ethereum' });
+    if (posts.length !== 0 || engine.getActiveAlerts()[0].status !== 'pending') {
+        throw new Error('Breaker alert should stay pending until it has lasted `for`');
+    }
+    breakers.ethereum.state = 'HALF_OPEN';
+    now += 300000;
+    engine.evaluate();
+    engine.evaluate();
+    breakers.ethereum.state = 'CLOSED';
+    engine.evaluate();
+    
+    // Balance and event alerts fire at once; repeated events are folded into the open alert
+    balances.base.balance = 0.05;
+    engine.evaluate();
+    balances.base.balance = 0.5;
+    engine.evaluate();
+    source.emit('portfolio-sync-failed', { error: 'CoinStats timeout' });
+    source.emit('portfolio-sync-failed', { error: 'CoinStats timeout' });
+    source.emit('portfolio-synced', {});
+    await engine.flush();
+    
+    const sequence = posts.map(post => `${post.rule}:${post.status}`);
+    const expected = [
+        'priority-breaker-open:firing', 'priority-breaker-open:resolved',
+        'treasury-low:firing', 'treasury-low:resolved',
+        'coinstats-sync:firing', 'coinstats-sync:resolved'
+    ];
+    if (JSON.stringify(sequence) !== JSON.stringify(expected)) {
+        throw new Error(`Unexpected notifications: ${sequence.join(', ')}`);
+    }
+    if (posts[0].instance !== 'ethereum' || !/for 5m$/.test(posts[0].message) || posts[0].fingerprint !== posts[1].fingerprint) {
+        throw new Error('Firing and resolved notifications should share a fingerprint and describe the alert');
+    }
+    
+    const logged = fs.readFileSync(path.join(storageDir, 'alerts', 'alerts.log'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    if (logged.length !== 6 || mails.length !== 2 || !/Subject: \[FIRING\]\[critical\] priority-breaker-open \(ethereum\)/.test(mails[0])) {
+        throw new Error(`File sink should get every notification and email only critical ones (${logged.length}, ${mails.length})`);
+    }
+    
+    // Permanent delivery failures are reported without retries
+    let attempts = 0;
+    const failures = [];
+    engine.on('alert-delivery-failed', failure => failures.push(failure));
+    engine.addSink({ name: 'pager', send: async () => {
+        attempts++;
+        const error = new Error('Request failed with status code 400');
+        error.response = { status: 400 };
+        throw error;
+    } });
+    source.emit('portfolio-sync-failed', { error: 'CoinStats timeout' });
+    await engine.flush();
+    await engine.stop();
+    if (attempts !== 1 || failures.length !== 1 || failures[0].sink !== 'pager') {
+        throw new Error('A permanent delivery failure should be reported once, without retries');
+    }
+    await new Promise(resolve => smtp.close(resolve));
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    
+    // Rules and sinks are validated with the rest of the configuration
+    const invalid = createStandInConfig();
+    invalid.alerts = {
+        enabled: true,
+        rules: [
+            { name: 'low', condition: 'balance_below', wallet: 'treasury', network: 'nowhere' },
+            { name: 'low', condition: 'uptime' },
+            { name: 'routed', condition: 'event', event: 'x', sinks: ['pager'] }
+        ],
+        sinks: [{ type: 'webhook', url: 'ftp://example.com' }, { type: 'sms' }]
+    };
+    const problems = validateConfig(invalid).join('\n');
+    ['alerts.rules[0].threshold: required', 'alerts.rules[0].network: "nowhere"', 'alerts.rules[1].name: "low" is used',
+        'alerts.rules[1].condition: must be one of', 'alerts.rules[2].sinks: "pager"', 'alerts.sinks[0].url', 'alerts.sinks[1].type']
+        .forEach((problem) => {
+            if (!problems.includes(problem)) throw new Error(`Missing validation error: ${problem}\n${problems}`);
+        });
+    
+    // The manager runs the engine from config.alerts and forwards its events
+    const config = createStandInConfig();
+    config.alerts = {
+        enabled: true,
+        rules: [{ name: 'breaker-open', condition: 'breaker_state', states: ['OPEN'], networks: ['ethereum'], severity: 'critical' }],
+        sinks: [{ type: 'file', path: 'alerts.log' }]
+    };
+    const managerDir = createTempDir();
+    const manager = new Manager({ config, providers: createStandInProviders(), storageDir: managerDir, env: { ENCRYPTION_SECRET: TEST_ENCRYPTION_SECRET }, autoStart: false });
+    const fired = [];
+    manager.on('alert-fired', alert => fired.push(alert));
+    await manager.start();
+    if (manager.getSystemStatus().alerts.rules !== 1 || manager.getActiveAlerts().length !== 0) {
+        throw new Error('Healthy stand-in networks should not alert');
+    }
+    manager.circuitBreakers.get('ethereum').transition('OPEN');
+    if (fired.length !== 1 || manager.getActiveAlerts()[0].instance !== 'ethereum') {
+        throw new Error('Opening a breaker should fire the manager\'s breaker rule');
+    }
+    await manager.stop();
+    if (!fs.readFileSync(path.join(managerDir, 'alerts.log'), 'utf8').includes('"rule":"breaker-open"')) {
+        throw new Error('Pending alert deliveries should finish before shutdown completes');
+    }
+    fs.rmSync(managerDir, { recursive: true, force: true });
+}
+
+async function testHealthHistoryReports() {
+    const http = require('http');
+    const { HealthHistory, formatReport } = require('../lib/health-history');
+    const { main: healthReport } = require('../scripts/health-report');
+    const Manager = require('../managers/multi-chain-crypto-manager');
+    
+    const directory = path.join(createTempDir(), 'health_history');
+    const day1 = Date.parse('2026-03-01T23:59:00Z');
+    let now = Date.parse('2026-02-20T12:00:00Z');
+    const history = new HealthHistory(directory, {
+        retentionDays: 7,
+        now: () => now,
+        logger: { info: () => {}, warn: () => {}, error: () => {} },
+        secrets: ['sk-live-0123456789']
+    });
+    
+    // A file from before the retention window is pruned once a newer day is written
+    await history.append({ type: 'check', network: 'ethereum', status: 'healthy', latency: 50 });
+    now = day1 + 5 * 60000;
+    
+    const endpoint = 'https://eth-mainnet.g.alchemy.com/v2/abcdefghijklmnopqrstuvwxyz123456';
+    const check = (offset, status, latency, error) => ({
+        t: day1 + offset * 1000, type: 'check', network: 'ethereum', status, latency, endpoint, ...(error ? { error } : {})
+    });
+    await history.append([
+        check(0, 'healthy', 100),
+        check(30, 'healthy', 200),
+        // The incident straddles midnight, so it spans two day files
+        check(60, 'unhealthy', 5000, `timeout calling ${endpoint} with sk-live-0123456789`),
+        { t: day1 + 61000, type: 'breaker', network: 'ethereum', from: 'CLOSED', to: 'OPEN' },
+        { t: day1 + 62000, type: 'failover', network: 'ethereum', from: endpoint, to: 'https://rpc.backup' },
+        check(90, 'healthy', 400),
+        { t: day1 + 120000, type: 'breaker', network: 'ethereum', from: 'HALF_OPEN', to: 'CLOSED' },
+        check(150, 'healthy', 300),
+        { t: day1 + 10000, type: 'check', network: 'solana', status: 'degraded', latency: 80 }
+    ]);
+    fs.appendFileSync(path.join(directory, '2026-03-02.jsonl'), '{"t": 17725');
+    
+    const files = fs.readdirSync(directory).sort();
+    if (JSON.stringify(files) !== JSON.stringify(['2026-03-01.jsonl', '2026-03-02.jsonl'])) {
+        throw new Error(`Records should be split into day files and old days pruned (got ${files})`);
+    }
+    const stored = files.map(file => fs.readFileSync(path.join(directory, file), 'utf8')).join('');
+    if (stored.includes('abcdefghijklmnopqrstuvwxyz123456') || stored.includes('sk-live-0123456789')) {
+        throw new Error('Endpoint keys and secrets must be redacted before they are written');
+    }
+    
+    const failovers = await history.query({ from: day1 - 60000, to: day1 + 3600000, types: ['failover'] });
+    if (failovers.length !== 1 || failovers[0].to !== 'https://rpc.backup/') {
+        throw new Error('Queries should filter by record type across day files');
+    }
+    const newest = await history.query({ from: day1 - 60000, to: day1 + 3600000, networks: ['ethereum'], types: ['check'], limit: 2 });
+    if (newest.map(record => record.t).join() !== `${day1 + 90000},${day1 + 150000}`) {
+        throw new Error(`A limited query should return the newest records, oldest first: ${JSON.stringify(newest)}`);
+    }
+    
+    const report = await history.report({ from: day1 - 60000, to: day1 + 3600000 });
+    const [ethereum, solana] = report.networks;
+    if (ethereum.checks !== 5 || ethereum.uptime !== 80 || ethereum.latency.p50 !== 200 || ethereum.latency.p99 !== 400 ||
+        solana.uptime !== 100 || ethereum.breakerTransitions !== 2 || ethereum.failovers !== 1) {
+        throw new Error(`Unexpected SLA summary: ${JSON.stringify(report.networks)}`);
+    }
+    
+    // The incident stays open until a healthy check arrives with the breaker closed again
+    const [incident] = ethereum.incidents;
+    if (ethereum.incidents.length !== 1 || incident.start.getTime() !== day1 + 60000 ||
+        incident.end.getTime() !== day1 + 150000 || incident.failedChecks !== 1 ||
+        incident.timeline.map(entry => entry.event.split(':')[0]).join(',') !==
+            'unhealthy,circuit breaker CLOSED -> OPEN,failover https,healthy,circuit breaker HALF_OPEN -> CLOSED') {
+        throw new Error(`Unexpected incident timeline: ${JSON.stringify(ethereum.incidents)}`);
+    }
+    
+    const text = formatReport(report);
+    if (!/ethereum\s+80\.00%\s+5\s+1\s+200ms/.test(text) || !text.includes('Incidents: ethereum')) {
+        throw new Error(`Unexpected text report:\n${text}`);
+    }
+    
+    // The report command reads the same files
+    const printed = [];
+    const log = console.log;
+    console.log = line => printed.push(line);
+    try {
+        await healthReport(['--dir', directory, '--from', new Date(day1 - 60000).toISOString(), '--to', new Date(day1 + 3600000).toISOString(), '--network', 'solana', '--json']);
+    } finally {
+        console.log = log;
+    }
+    const printedReport = JSON.parse(printed[0]);
+    if (printedReport.networks.length !== 1 || printedReport.networks[0].network !== 'solana') {
+        throw new Error('health-report should honour --network and --json');
+    }
+    fs.rmSync(path.dirname(directory), { recursive: true, force: true });
+    
+    // The manager records its own checks and breaker transitions when history is enabled
+    const config = createStandInConfig();
+    config.history = { enabled: true };
+    config.api = { enabled: true, host: '127.0.0.1', port: 0 };
+    const storageDir = createTempDir();
+    const jwtSecret = 'test-secret-that-is-at-least-32-characters';
+    const manager = new Manager({ config, providers: createStandInProviders(), storageDir, env: { ENCRYPTION_SECRET: TEST_ENCRYPTION_SECRET, JWT_SECRET: jwtSecret }, autoStart: false });
+    await manager.start();
+    await manager.performHealthCheck();
+    manager.circuitBreakers.get('solana').transition('OPEN');
+    
+    const managerReport = await manager.getHealthReport({ from: '1h' });
+    const eth = managerReport.networks.find(network => network.network === 'ethereum');
+    const sol = managerReport.networks.find(network => network.network === 'solana');
+    if (!eth || eth.checks < 1 || eth.uptime !== 100 || sol.breakerTransitions !== 1 || sol.incidents.length !== 1) {
+        throw new Error(`Manager history should cover checks and breaker transitions: ${JSON.stringify(managerReport.networks)}`);
+    }
+    
+    // The API returns the newest records and says when older ones were left out
+    const { signToken } = require('../lib/jwt');
+    const page = await new Promise((resolve, reject) => {
+        http.get({
+            host: '127.0.0.1',
+            port: manager.apiServer.address().port,
+            path: '/history/health?from=1h&types=check,breaker&limit=1',
+            headers: { Authorization: `Bearer ${signToken({ scope: 'read' }, jwtSecret, { expiresIn: 60 })}` }
+        }, (response) => {
+            let data = '';
+            response.on('data', chunk => { data += chunk; });
+            response.on('end', () => resolve(JSON.parse(data)));
+        }).on('error', reject);
+    });
+    if (page.records.length !== 1 || page.records[0].type !== 'breaker' || page.truncated !== true) {
+        throw new Error(`History pages should hold the newest records and flag truncation: ${JSON.stringify(page)}`);
+    }
+    await manager.stop();
+    if (!fs.readdirSync(path.join(storageDir, 'health_history')).some(file => file.endsWith('.jsonl'))) {
+        throw new Error('History should survive shutdown on disk');
+    }
+    fs.rmSync(storageDir, { recursive: true, force: true });
+}
+
+async function testHdWalletDerivation() {
+    const { deriveAccount, discoverAddresses, mnemonicToSeed, validateMnemonic } = require('../lib/hd-wallet');
+    const Manager = require('../managers/multi-chain-crypto-manager');
+    
+    // BIP39 / BIP44 / BIP84 reference vectors for the all-"abandon" test mnemonic
+    const mnemonic = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+    const seed = mnemonicToSeed(mnemonic);
+    const vectors = [
+        ['evm', {}, "m/44'/60'/0'/0/0", '0x9858EfFD232B4033E47d90003D41EC34EcaEda94'],
+        ['solana', {}, "m/44'/501'/0'/0'", 'HAgk14JpMQLgt6rVgv7cBQFJWFto5Dqxi472uT3DKpqk'],
+        ['bitcoin', {}, "m/84'/0'/0'/0/0", 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu'],
+        ['bitcoin', { change: 1 }, "m/84'/0'/0'/1/0", 'bc1q8c6fshw2dlwun7ekn9qwf37cu2rn755upcp6el'],
+        ['bitcoin', { network: 'testnet' }, "m/84'/1'/0'/0/0", 'tb1q6rz28mcfaxtmd6v789l9rrlrusdprr9pqcpvkl']
+    ];
+    for (const [family, position, expectedPath, expectedAddress] of vectors) {
+        const { path: derivationPath, address } = deriveAccount(seed, family, position);
+        if (derivationPath !== expectedPath || address !== expectedAddress) {
+            throw new Error(`${family} ${expectedPath} derived ${derivationPath} ${address}`);
+        }
+    }
+    if (validateMnemonic(mnemonic.replace('about', 'abandon')) || !validateMnemonic(`  ${mnemonic.toUpperCase()} `)) {
+        throw new Error('Mnemonic checksums should be verified after normalising case and spacing');
+    }
+    
+    // Discovery stops after gapLimit unused addresses in a row
+    const discovery = await discoverAddresses(index => ({ address: `addr${index}` }), async address => ['addr0', 'addr3'].includes(address), { gapLimit: 3 });
+    if (discovery.used.map(entry => entry.index).join() !== '0,3' || discovery.nextIndex !== 4) {
+        throw new Error(`Unexpected discovery result: ${JSON.stringify(discovery)}`);
+    }
+    
+    // Activity stand-in: EVM nonces for account 0 indexes 0 and 2 and account 1 index 0; one Solana signature
+    const used = new Set([
+        deriveAccount(seed, 'evm', { index: 0 }).address,
+        deriveAccount(seed, 'evm', { index: 2 }).address,
+        deriveAccount(seed, 'evm', { account: 1 }).address,
+        deriveAccount(seed, 'solana', { index: 0 }).address
+    ]);
+    const providers = createStandInProviders();
+    providers.httpClient = {
+        post: async (url, payload) => ({
+            data: payload.map(request => ({
+                jsonrpc: '2.0',
+                id: request.id,
+                result: {
+                    eth_getTransactionCount: used.has(request.params[0]) ? '0x1' : '0x0',
+                    eth_getBalance: '0x0',
+                    getSignaturesForAddress: used.has(request.params[0]) ? [{ signature: 'sig' }] : [],
+                    getBalance: { context: { slot: 1 }, value: 0 }
+                }[request.method]
+            }))
+        })
+    };
+    
+    const storageDir = createTempDir();
+    const manager = new Manager({ config: createStandInConfig(), providers, storageDir, env: { ENCRYPTION_SECRET: TEST_ENCRYPTION_SECRET }, autoStart: false });
+    await manager.start();
+    
+    // A new wallet gets its own mnemonic; an imported one reproduces the reference addresses
+    const fresh = manager.multiChainWallets.get('default_wallet');
+    if (manager.getWalletMnemonic('default_wallet').split(' ').length !== 12 || fresh.networks.ethereum.derivationPath !== "m/44'/60'/0'/0/0") {
+        throw new Error('New wallets should be derived from a fresh 12-word mnemonic');
+    }
+    await manager.createMultiChainWallet('imported', null, { mnemonic: mnemonic.toUpperCase(), account: 1 });
+    const imported = manager.multiChainWallets.get('imported');
+    if (imported.addresses.ethereum !== deriveAccount(seed, 'evm', { account: 1 }).address ||
+        imported.networks.solana.derivationPath !== "m/44'/501'/1'/0'" || manager.getWalletMnemonic('imported') !== mnemonic) {
+        throw new Error('Imported mnemonics should derive keys at the requested account');
+    }
+    const walletFile = fs.readFileSync(path.join(storageDir, 'multi_chain_wallets', 'imported.json'), 'utf8');
+    if (walletFile.includes('abandon') || /privateKey/.test(JSON.stringify(manager.getWalletBalances('imported')))) {
+        throw new Error('Mnemonics and keys must not be stored or returned in clear text');
+    }
+    
+    // Restoring scans accounts until one is unused, and each account until gapLimit unused addresses
+    const restored = await manager.restoreWalletFromMnemonic('restored', mnemonic, { gapLimit: 3 });
+    if (restored.map(entry => entry.walletId).join() !== 'restored,restored_account_1') {
+        throw new Error(`Unexpected restored accounts: ${restored.map(entry => entry.walletId)}`);
+    }
+    const { evm, solana } = restored[0].discovered;
+    if (evm.addresses.map(entry => entry.index).join() !== '0,2' || evm.nextIndex !== 3 ||
+        solana.addresses.length !== 1 || restored[1].discovered.evm.addresses[0].path !== "m/44'/60'/1'/0/0") {
+        throw new Error(`Unexpected discovered addresses: ${JSON.stringify(restored)}`);
+    }
+    if (manager.multiChainWallets.get('restored').addresses.ethereum !== '0x9858EfFD232B4033E47d90003D41EC34EcaEda94' ||
+        !manager.multiChainWallets.get('restored').hd.discovered.evm) {
+        throw new Error('Restored wallets should keep their primary address and discovered addresses');
+    }
+    const duplicate = await manager.restoreWalletFromMnemonic('restored', mnemonic).then(() => null, error => error);
+    const invalid = await manager.createMultiChainWallet('bad', null, { mnemonic: 'not a real mnemonic' }).then(() => null, error => error);
+    if (!/already exists/.test(duplicate?.message) || !/Invalid BIP39 mnemonic/.test(invalid?.message)) {
+        throw new Error('Existing wallet ids and invalid mnemonics should be rejected');
+    }
+    
+    // Taken ids are refused before anything is replaced, including the ids of later accounts
+    const importedFile = fs.readFileSync(path.join(storageDir, 'multi_chain_wallets', 'imported.json'), 'utf8');
+    const recreated = await manager.createMultiChainWallet('imported').then(() => null, error => error);
+    if (!/already exists/.test(recreated?.message) || manager.getWalletMnemonic('imported') !== mnemonic ||
+        fs.readFileSync(path.join(storageDir, 'multi_chain_wallets', 'imported.json'), 'utf8') !== importedFile) {
+        throw new Error('Creating a wallet with a taken id should leave the existing wallet alone');
+    }
+    await manager.createMultiChainWallet('other_account_1');
+    const otherMnemonic = manager.getWalletMnemonic('other_account_1');
+    const clash = await manager.restoreWalletFromMnemonic('other', mnemonic, { gapLimit: 3 }).then(() => null, error => error);
+    if (!/other_account_1 already exists/.test(clash?.message) || manager.multiChainWallets.has('other') ||
+        manager.getWalletMnemonic('other_account_1') !== otherMnemonic) {
+        throw new Error('A restore should not start when one of its account ids is taken');
+    }
+    await manager.restoreWalletFromMnemonic('other', mnemonic, { gapLimit: 3, overwrite: true });
+    if (manager.getWalletMnemonic('other_account_1') !== mnemonic) {
+        throw new Error('overwrite should replace the wallets of a restore');
+    }
+    
+    await manager.stop();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+}
+
+async function testHardenedKeystore() {
+    const { Keystore, unlockKeystore, toWeb3SecretStorage, fromWeb3SecretStorage, isEncryptedRecord, LEGACY_SECRETS } = require('../lib/keystore');
+    const { main: migrateKeystore } = require('../scripts/migrate-keystore');
+    const { PassThrough } = require('stream');
+    const crypto = require('crypto');
+    const { Web3 } = require('web3');
+    const Manager = require('../managers/multi-chain-crypto-manager');
+    
+    // Every record has its own salt and IV; GCM rejects a wrong secret or a flipped byte
+    const keystore = new Keystore(TEST_ENCRYPTION_SECRET);
+    const first = keystore.encrypt('0xsecret');
+    const second = keystore.encrypt('0xsecret');
+    if (first.kdfparams.salt === second.kdfparams.salt || first.ciphertext === second.ciphertext || keystore.decrypt(second) !== '0xsecret') {
+        throw new Error('Records should be salted individually and decrypt to the original');
+    }
+    const tampered = { ...first, ciphertext: `${first.ciphertext.slice(0, -2)}${first.ciphertext.endsWith('00') ? '01' : '00'}` };
+    for (const [store, record] of [[new Keystore('a different secret'), first], [keystore, tampered]]) {
+        let rejected = false;
+        try {
+            store.decrypt(record);
+        } catch (error) {
+            rejected = error.name === 'KeystoreError';
+        }
+        if (!rejected) throw new Error('Wrong secrets and tampered records should be rejected');
+    }
+    for (const secret of ['short', 'your_encryption_secret_here']) {
+        let rejected = false;
+        try {
+            new Keystore(secret);
+        } catch (error) {
+            rejected = true;
+        }
+        if (!rejected) throw new Error(`"${secret}" should not be accepted as a master secret`);
+    }
+    
+    // Without ENCRYPTION_SECRET the passphrase is read from the terminal without echo
+    const input = new PassThrough();
+    const output = new PassThrough();
+    let echoed = '';
+    output.on('data', chunk => { echoed += chunk; });
+    const unlocking = unlockKeystore({}, { prompt: true, input, output });
+    input.end('typed passphrase 42\n');
+    const prompted = await unlocking;
+    if (prompted.decrypt(new Keystore('typed passphrase 42').encrypt('ok')) !== 'ok' || echoed.includes('typed passphrase')) {
+        throw new Error('The prompted passphrase should unlock the keystore without being echoed');
+    }
+    const headless = await unlockKeystore({}, { prompt: false }).then(() => null, error => error);
+    if (!/ENCRYPTION_SECRET is not set/.test(headless?.message)) {
+        throw new Error('Unlocking without a secret or terminal should fail clearly');
+    }
+    
+    // Web3 Secret Storage v3 interoperates with web3.js in both directions
+    const privateKey = '0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318';
+    const exported = toWeb3SecretStorage(privateKey, 'export pass', { kdfParams: { n: 4096 } });
+    const web3 = new Web3();
+    const decrypted = await web3.eth.accounts.decrypt(exported, 'export pass');
+    const imported = fromWeb3SecretStorage(await web3.eth.accounts.encrypt(privateKey, 'export pass', { n: 4096 }), 'export pass');
+    if (decrypted.privateKey !== privateKey || exported.address !== decrypted.address.slice(2).toLowerCase() || imported !== privateKey) {
+        throw new Error('Web3 Secret Storage export and import should round-trip through web3.js');
+    }
+    // Malformed or hostile keystore files fail with a KeystoreError, before any expensive key derivation
+    const crafted = [
+        { ...exported, crypto: { ...exported.crypto, mac: 'abcd' } },
+        { ...exported, crypto: { ...exported.crypto, kdfparams: { ...exported.crypto.kdfparams, n: 2 ** 30 } } },
+        { ...exported, crypto: { ...exported.crypto, kdfparams: { ...exported.crypto.kdfparams, r: 1024 } } },
+        { ...exported, crypto: { ...exported.crypto, kdf: 'pbkdf2', kdfparams: { dklen: 32, salt: 'aa', prf: 'hmac-sha256', c: 1e12 } } },
+        '{ not json'
+    ].map((file) => { try { fromWeb3SecretStorage(file, 'export pass'); } catch (error) { return error; } return null; });
+    if (!crafted.every(error => error?.name === 'KeystoreError') || !/Wrong keystore passphrase/.test(crafted[0].message) ||
+        !/Unsupported scrypt parameters/.test(crafted[1].message) || !/iteration count/.test(crafted[3].message)) {
+        throw new Error(`Crafted keystores should be refused: ${crafted.map(error => error?.message).join(' | ')}`);
+    }
+    
+    // Migration: legacy CBC strings (including values the old saveWallet encrypted twice) and clear text
+    const legacy = (value) => {
+        const iv = crypto.randomBytes(16);
+        const cipher = crypto.createCipheriv('aes-256-cbc', crypto.scryptSync('multi-chain-crypto-manager-secret', 'salt', 32), iv);
+        return `${iv.toString('hex')}:${cipher.update(value, 'utf8', 'hex')}${cipher.final('hex')}`;
+    };
+    const storageDir = createTempDir();
+    const walletsDir = path.join(storageDir, 'multi_chain_wallets');
+    fs.mkdirSync(walletsDir);
+    fs.writeFileSync(path.join(walletsDir, 'old.json'), JSON.stringify({
+        id: 'old',
+        created: new Date().toISOString(),
+        addresses: { ethereum: decrypted.address },
+        networks: {
+            ethereum: { address: decrypted.address, privateKey: legacy(privateKey), type: 'evm', balance: 0, tokens: {} },
+            polygon: { address: decrypted.address, privateKey: legacy(legacy(privateKey)), type: 'evm', balance: 0, tokens: {} },
+            starknet: { address: '0x1', privateKey: null, type: 'starknet', balance: 0, tokens: {} }
+        },
+        hd: { mnemonic: 'clear text mnemonic', account: 0 }
+    }));
+    
+    const lines = [];
+    const log = console.log;
+    console.log = line => lines.push(line);
+    let results;
+    let rerun;
+    try {
+        results = await migrateKeystore(['--dir', walletsDir], { keystore });
+        rerun = await migrateKeystore(['--dir', walletsDir], { keystore });
+    } finally {
+        console.log = log;
+    }
+    const migrated = JSON.parse(fs.readFileSync(path.join(walletsDir, 'old.json'), 'utf8'));
+    if (results[0].legacy !== 2 || results[0].plaintext !== 1 || rerun[0].legacy + rerun[0].plaintext !== 0 ||
+        !isEncryptedRecord(migrated.networks.polygon.privateKey) || migrated.networks.starknet.privateKey !== null ||
+        keystore.decrypt(migrated.networks.polygon.privateKey) !== privateKey || keystore.decrypt(migrated.hd.mnemonic) !== 'clear text mnemonic') {
+        throw new Error(`Unexpected migration result: ${lines.join(' | ')}`);
+    }
+    
+    // A real_wallets record that the multiChain passphrase happens to decrypt with valid padding
+    const [multiChainKey, enhancedKey] = [LEGACY_SECRETS.multiChain, LEGACY_SECRETS.enhanced].map(secret => crypto.scryptSync(secret, 'salt', 32));
+    let stray = null;
+    while (!stray) {
+        const iv = crypto.randomBytes(16);
+        const cipher = crypto.createCipheriv('aes-256-cbc', enhancedKey, iv);
+        const candidate = `${iv.toString('hex')}:${cipher.update(privateKey, 'utf8', 'hex')}${cipher.final('hex')}`;
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-cbc', multiChainKey, iv);
+            decipher.update(candidate.split(':')[1], 'hex');
+            decipher.final();
+            stray = candidate;
+        } catch (error) {
+            // Bad padding; try another IV
+        }
+    }
+    const multiChainStore = keystore.withLegacySecret(LEGACY_SECRETS.multiChain);
+    const strayRejected = (() => { try { multiChainStore.decrypt(stray); } catch (error) { return error; } return null; })();
+    if (strayRejected?.name !== 'KeystoreError' || keystore.withLegacySecret(LEGACY_SECRETS.enhanced).decrypt(stray) !== privateKey) {
+        throw new Error('Legacy records should only decrypt with their own store\'s passphrase');
+    }
+    
+    // Migrating it as a multi_chain_wallets file fails and leaves the file alone; --legacy names the right passphrase
+    const strayDir = path.join(createTempDir(), 'multi_chain_wallets');
+    fs.mkdirSync(strayDir);
+    const strayFile = JSON.stringify({ id: 'stray', networks: { ethereum: { address: decrypted.address, privateKey: stray, type: 'evm' } } });
+    fs.writeFileSync(path.join(strayDir, 'stray.json'), strayFile);
+    console.log = line => lines.push(line);
+    let strayMigration;
+    try {
+        strayMigration = await migrateKeystore(['--dir', strayDir], { keystore }).then(() => null, error => error);
+        if (fs.readFileSync(path.join(strayDir, 'stray.json'), 'utf8') !== strayFile) {
+            throw new Error('A failed migration should leave the legacy file untouched');
+        }
+        await migrateKeystore(['--dir', strayDir, '--legacy', 'enhanced'], { keystore });
+    } finally {
+        console.log = log;
+    }
+    const strayMigrated = JSON.parse(fs.readFileSync(path.join(strayDir, 'stray.json'), 'utf8'));
+    if (!/wrong legacy secret/.test(strayMigration?.message) || keystore.decrypt(strayMigrated.networks.ethereum.privateKey) !== privateKey) {
+        throw new Error(`Stray legacy records should be refused, then migrated with --legacy: ${strayMigration?.message}`);
+    }
+    fs.rmSync(path.dirname(strayDir), { recursive: true, force: true });
+    
+    // The manager writes new-format records and exports EVM keys as Web3 keystores
+    const manager = new Manager({ config: createStandInConfig(), providers: createStandInProviders(), storageDir, env: { ENCRYPTION_SECRET: TEST_ENCRYPTION_SECRET }, autoStart: false });
+    await manager.start();
+    if (manager.getWalletPrivateKey('old', 'ethereum') !== privateKey) {
+        throw new Error('Migrated wallets should decrypt with the master secret');
+    }
+    await manager.createMultiChainWallet('fresh');
+    const freshFile = JSON.parse(fs.readFileSync(path.join(walletsDir, 'fresh.json'), 'utf8'));
+    if (!isEncryptedRecord(freshFile.networks.ethereum.privateKey) || !isEncryptedRecord(freshFile.hd.mnemonic)) {
+        throw new Error('New wallet files should hold AES-GCM records');
+    }
+    const walletExport = manager.exportWalletKeystore('fresh', 'ethereum', 'export pass', { kdfParams: { n: 4096 } });
+    if ((await web3.eth.accounts.decrypt(walletExport, 'export pass')).privateKey !== manager.getWalletPrivateKey('fresh', 'ethereum')) {
+        throw new Error('Exported keystores should hold the wallet key');
+    }
+    let refused = false;
+    try {
+        manager.exportWalletKeystore('fresh', 'solana', 'export pass');
+    } catch (error) {
+        refused = /only available for EVM keys/.test(error.message);
+    }
+    if (!refused) throw new Error('Solana keys should not be exported as Web3 keystores');
+    
+    await manager.stop();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+}
+
+async function testKeyRotation() {
+    const { Keystore } = require('../lib/keystore');
+    const { inspectStore, JOURNAL_FILE } = require('../lib/key-rotation');
+    const { main: rotateKeystore } = require('../scripts/rotate-keystore');
+    const Manager = require('../managers/multi-chain-crypto-manager');
+    
+    const storageDir = createTempDir();
+    const walletsDir = path.join(storageDir, 'multi_chain_wallets');
+    const createManager = secret => new Manager({ config: createStandInConfig(), providers: createStandInProviders(), storageDir, env: { ENCRYPTION_SECRET: secret }, autoStart: false });
+    const readWallet = id => JSON.parse(fs.readFileSync(path.join(walletsDir, `${id}.json`), 'utf8'));
+    
+    const manager = createManager(TEST_ENCRYPTION_SECRET);
+    await manager.start();
+    await manager.createMultiChainWallet('alpha');
+    await manager.createMultiChainWallet('beta');
+    const keys = { alpha: manager.getWalletPrivateKey('alpha', 'ethereum'), beta: manager.getWalletPrivateKey('beta', 'ethereum') };
+    await manager.stop();
+    if (readWallet('alpha').keyVersion !== 1) throw new Error('Wallet files should record key version 1');
+    
+    const current = new Keystore(TEST_ENCRYPTION_SECRET);
+    const next = new Keystore('rotated encryption secret');
+    const lines = [];
+    const log = console.log;
+    const rename = fs.promises.rename;
+    // Fails the chosen calls to fs.promises.rename (1 = journal, then alpha, beta and default_wallet)
+    const failRenames = (shouldFail) => {
+        let calls = 0;
+        fs.promises.rename = (...args) => (shouldFail(++calls) ? Promise.reject(new Error('disk full')) : rename(...args));
+    };
+    const rotate = (argv, options) => rotateKeystore(argv, options).then(result => result, error => error);
+    
+    let wrongSecret, failedWrite, crashed, resumed, status;
+    console.log = line => lines.push(line);
+    try {
+        // A wrong current secret is caught before anything is written
+        const before = fs.readFileSync(path.join(walletsDir, 'alpha.json'), 'utf8');
+        wrongSecret = await rotate(['--dir', walletsDir], { from: new Keystore('not the current secret'), to: next });
+        if (fs.readFileSync(path.join(walletsDir, 'alpha.json'), 'utf8') !== before || fs.readdirSync(walletsDir).some(name => name.startsWith('.'))) {
+            throw new Error('A rotation with the wrong secret should leave no trace');
+        }
+        
+        // A failed write puts every file back
+        failRenames(call => call === 3);
+        failedWrite = await rotate(['--dir', walletsDir], { from: current, to: next });
+        fs.promises.rename = rename;
+        if ((await inspectStore(walletsDir)).pending || readWallet('alpha').keyVersion !== 1 || current.decrypt(readWallet('alpha').networks.ethereum.privateKey) !== keys.alpha) {
+            throw new Error('A failed rotation should be rolled back');
+        }
+        
+        // A crash half-way (the rollback fails too) leaves a journal and files under two secrets
+        failRenames(call => call > 2);
+        crashed = await rotate(['--dir', walletsDir], { from: current, to: next });
+        fs.promises.rename = rename;
+        status = await rotateKeystore(['--dir', walletsDir, '--status']);
+    } finally {
+        fs.promises.rename = rename;
+        console.log = log;
+    }
+    if (!/Cannot decrypt/.test(wrongSecret?.message) || !/rolled back/.test(failedWrite?.message) || !/disk full/.test(crashed?.message)) {
+        throw new Error(`Unexpected rotation errors: ${wrongSecret?.message} | ${failedWrite?.message} | ${crashed?.message}`);
+    }
+    if (!status[0].pending || status[0].versions[1] !== 2 || status[0].versions[2] !== 1 || !fs.existsSync(path.join(walletsDir, JOURNAL_FILE))) {
+        throw new Error(`The interrupted rotation should be reported: ${lines.join(' | ')}`);
+    }
+    
+    // Managers refuse a half-rotated store instead of failing on individual keys later
+    const refused = await createManager('rotated encryption secret').start().then(() => null, error => error);
+    if (!/Unfinished key rotation/.test(refused?.message)) {
+        throw new Error('Managers should not start on an unfinished rotation');
+    }
+    
+    // Running the command again finishes the files still at the old version
+    console.log = line => lines.push(line);
+    try {
+        resumed = await rotateKeystore(['--dir', walletsDir], { from: current, to: next });
+    } finally {
+        console.log = log;
+    }
+    const after = await inspectStore(walletsDir);
+    if (!resumed[0].resumed || resumed[0].rotated !== 2 || resumed[0].skipped !== 1 || after.pending || after.currentVersion !== 2 ||
+        fs.readdirSync(walletsDir).some(name => name.startsWith('.key-'))) {
+        throw new Error(`The resumed rotation should finish and remove its backup: ${JSON.stringify(resumed)}`);
+    }
+    
+    const rotatedManager = createManager('rotated encryption secret');
+    await rotatedManager.start();
+    if (rotatedManager.getWalletPrivateKey('alpha', 'ethereum') !== keys.alpha || rotatedManager.getWalletPrivateKey('beta', 'ethereum') !== keys.beta) {
+        throw new Error('Rotated wallets should decrypt with the new secret');
+    }
+    await rotatedManager.createMultiChainWallet('gamma');
+    await rotatedManager.stop();
+    if (readWallet('gamma').keyVersion !== 2) throw new Error('New files should carry the current key version');
+    
+    // --rollback restores the backup of an unfinished rotation
+    const third = new Keystore('third encryption secret');
+    failRenames(call => call > 2);
+    console.log = line => lines.push(line);
+    try {
+        await rotate(['--dir', walletsDir], { from: next, to: third });
+        fs.promises.rename = rename;
+        await rotateKeystore(['--dir', walletsDir, '--rollback']);
+    } finally {
+        fs.promises.rename = rename;
+        console.log = log;
+    }
+    const rolledBack = await inspectStore(walletsDir);
+    if (rolledBack.pending || rolledBack.currentVersion !== 2 || next.decrypt(readWallet('alpha').networks.ethereum.privateKey) !== keys.alpha) {
+        throw new Error('Rolling back should restore the files under the previous secret');
+    }
+    
+    fs.rmSync(storageDir, { recursive: true, force: true });
+}
+
+async function testWatchOnlyWallets() {
+    const { WatchOnlyError, parseExtendedPublicKey, deriveXpubAddress } = require('../lib/watch-only');
+    const { validateConfig } = require('../lib/config-schema');
+    const Manager = require('../managers/multi-chain-crypto-manager');
+    
+    // Account-level zpub of the "abandon ... about" test mnemonic (BIP84 reference vectors)
+    const zpub = 'zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs';
+    const key = parseExtendedPublicKey(zpub);
+    const receive = index => deriveXpubAddress(key, { index }).address;
+    const change = index => deriveXpubAddress(key, { change: 1, index }).address;
+    if (receive(0) !== 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu' || change(0) !== 'bc1q8c6fshw2dlwun7ekn9qwf37cu2rn755upcp6el') {
+        throw new Error('zpub derivation should match the BIP84 reference addresses');
+    }
+    const wrongNetwork = (() => { try { parseExtendedPublicKey(zpub, 'testnet'); } catch (error) { return error; } })();
+    if (!/does not belong to Bitcoin testnet/.test(wrongNetwork?.message)) {
+        throw new Error('Mainnet keys should be refused on testnet');
+    }
+    
+    const watchedAddress = '0xea6d82c3b35ab38dfe37ca6c059d4411923e0014';
+    const config = createStandInConfig();
+    config.alchemy.mainnet_networks.bitcoin = { name: 'Bitcoin', endpoint: 'https://esplora.stand-in/api', type: 'bitcoin', backend: 'esplora' };
+    config.multi_chain_config.hd_gap_limit = 3;
+    config.history = { enabled: true };
+    config.wallets = {
+        [watchedAddress]: { address: watchedAddress, type: 'ethereum', status: 'active', networks: ['ethereum'] },
+        cold_storage: { xpub: zpub, networks: ['bitcoin'] }
+    };
+    const invalid = validateConfig({ ...config, wallets: { bad: { xpub: zpub, networks: ['ethereum'] }, empty: { networks: ['ethereum'] } } });
+    if (!invalid.some(error => /wallets\.bad\.networks: "ethereum" is not a Bitcoin network/.test(error)) ||
+        !invalid.some(error => /wallets\.empty: needs either "address" or "xpub"/.test(error))) {
+        throw new Error(`Invalid wallet entries should be reported: ${invalid.join(' | ')}`);
+    }
+    
+    // Satoshis received per address; the xpub has used receive 0 and change 0
+    const funds = { [receive(0)]: 100000000, [change(0)]: 50000000 };
+    const providers = createStandInProviders();
+    providers.httpClient.get = async (url) => {
+        if (url.endsWith('/blocks/tip/height')) return { data: 840000 };
+        const sats = funds[url.split('/address/')[1]] || 0;
+        return { data: {
+            chain_stats: { funded_txo_sum: sats, spent_txo_sum: 0, tx_count: sats > 0 ? 1 : 0 },
+            mempool_stats: { funded_txo_sum: 0, spent_txo_sum: 0, tx_count: 0 }
+        } };
+    };
+    
+    const storageDir = createTempDir();
+    const walletsDir = path.join(storageDir, 'multi_chain_wallets');
+    const createManager = () => new Manager({ config, providers, storageDir, env: { ENCRYPTION_SECRET: TEST_ENCRYPTION_SECRET }, autoStart: false });
+    const manager = createManager();
+    await manager.start();
+    
+    // Config wallets are tracked alongside owned ones, but never written to wallet files
+    const listed = manager.listWallets();
+    if (!listed.find(wallet => wallet.id === watchedAddress)?.watchOnly || !listed.find(wallet => wallet.id === 'cold_storage')?.watchOnly ||
+        listed.find(wallet => wallet.id === 'default_wallet').watchOnly || fs.existsSync(path.join(walletsDir, 'cold_storage.json'))) {
+        throw new Error(`Config wallets should be listed as watch-only: ${JSON.stringify(listed)}`);
+    }
+    
+    await manager.updateAllBalances();
+    await manager.updateWalletBalances('cold_storage');
+    const cold = manager.multiChainWallets.get('cold_storage').networks.bitcoin;
+    if (cold.balance !== 1.5 || cold.derived.length !== 2 || cold.address !== receive(1) ||
+        manager.getWalletBalances(watchedAddress).networks.ethereum.balance !== 1) {
+        throw new Error(`Watch-only balances should cover every used address: ${JSON.stringify(cold)}`);
+    }
+    
+    // A payment to the next receive address is counted at once and moves discovery past it
+    funds[receive(1)] = 25000000;
+    await manager.updateWalletBalances('cold_storage');
+    await manager.updateWalletBalances('cold_storage');
+    if (cold.balance !== 1.75 || cold.derived.length !== 3 || cold.address !== receive(2)) {
+        throw new Error(`New payments should extend the watched addresses: ${JSON.stringify(cold)}`);
+    }
+    
+    // Totals count the watched share; balance changes are kept in the history
+    const totals = manager.getPortfolioTotals();
+    if (totals.ethereum.balance !== 2 || totals.ethereum.watchOnly !== 1 || totals.bitcoin.watchOnly !== 1.75 || totals.bitcoin.addresses !== 2) {
+        throw new Error(`Unexpected portfolio totals: ${JSON.stringify(totals)}`);
+    }
+    const history = await manager.getWalletHistory('cold_storage');
+    if (history.map(record => record.balance).join() !== '1.5,1.75' || !history.every(record => record.watchOnly && record.network === 'bitcoin')) {
+        throw new Error(`Unexpected balance history: ${JSON.stringify(history)}`);
+    }
+    const report = await manager.getHealthReport();
+    if (report.networks.some(network => network.checks === 0 && network.breakerTransitions === 0 && network.failovers === 0)) {
+        throw new Error('Balance records should not show up in the health report');
+    }
+    
+    // Watch-only wallets hold no keys, so signing and key export are refused
+    for (const attempt of [
+        () => manager.getWalletPrivateKey('cold_storage', 'bitcoin'),
+        () => manager.exportWalletKeystore(watchedAddress, 'ethereum', 'export pass')
+    ]) {
+        let refused = null;
+        try {
+            attempt();
+        } catch (error) {
+            refused = error;
+        }
+        if (!(refused instanceof WatchOnlyError) || !/watch-only: it holds no keys and cannot sign/.test(refused.message)) {
+            throw new Error(`Signing with a watch-only wallet should be refused: ${refused?.message}`);
+        }
+    }
+    
+    // Imported watch-only wallets are saved and survive a restart
+    await manager.importWatchOnlyWallet('watched_sol', { address: 'HAgk14JpMQLgt6rVgv7cBQFJWFto5Dqxi472uT3DKpqk', networks: ['solana'] });
+    const rejected = await Promise.all([
+        manager.importWatchOnlyWallet('bad_evm', { address: '0x1234', networks: ['ethereum'] }),
+        manager.importWatchOnlyWallet('bad_xpub', { xpub: zpub, networks: ['ethereum'] }),
+        manager.importWatchOnlyWallet('watched_sol', { address: watchedAddress, networks: ['ethereum'] })
+    ].map(attempt => attempt.then(() => null, error => error.message)));
+    if (!/Invalid EVM address/.test(rejected[0]) || !/only supported on Bitcoin networks/.test(rejected[1]) || !/already exists/.test(rejected[2])) {
+        throw new Error(`Invalid imports should be rejected: ${rejected.join(' | ')}`);
+    }
+    if (manager.getWalletBalances('watched_sol').networks.solana.balance !== 2) {
+        throw new Error('Imported watch-only wallets should be refreshed right away');
+    }
+    await manager.stop();
+    
+    delete config.wallets.cold_storage;
+    const restarted = createManager();
+    await restarted.start();
+    if (!restarted.multiChainWallets.get('watched_sol')?.watchOnly || restarted.multiChainWallets.has('cold_storage') ||
+        !restarted.multiChainWallets.has(watchedAddress) || restarted.getSystemStatus().wallets.watchOnly !== 2) {
+        throw new Error('Imported watch-only wallets should be reloaded and removed config wallets dropped');
+    }
+    await restarted.stop();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+}
+
+async function testWalletImportExport() {
+    const solanaWeb3 = require('@solana/web3.js');
+    const { Keystore, KeystoreError, toWeb3SecretStorage } = require('../lib/keystore');
+    const { WatchOnlyError } = require('../lib/watch-only');
+    const { openExport } = require('../lib/wallet-formats');
+    const { main: restoreWallets } = require('../scripts/restore-wallets');
+    const Manager = require('../managers/multi-chain-crypto-manager');
+    
+    const evmKey = '0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318';
+    const wif = 'KwDiBf89QgGbjEhKnhXJuH7LrciVrZi3qYjgd9M7rFU73sVHnoWn';
+    const mnemonic = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+    const solanaKeypair = solanaWeb3.Keypair.generate();
+    
+    const config = createStandInConfig();
+    config.alchemy.mainnet_networks.bitcoin = { name: 'Bitcoin', endpoint: 'https://esplora.stand-in/api', type: 'bitcoin', backend: 'esplora' };
+    config.security = { backupEnabled: true, backupRetention: 2 };
+    const providers = createStandInProviders();
+    providers.httpClient.get = async url => ({ data: url.endsWith('/blocks/tip/height') ? 840000 : {
+        chain_stats: { funded_txo_sum: 0, spent_txo_sum: 0, tx_count: 0 },
+        mempool_stats: { funded_txo_sum: 0, spent_txo_sum: 0, tx_count: 0 }
+    } });
+    
+    const storageDir = createTempDir();
+    const env = { ENCRYPTION_SECRET: TEST_ENCRYPTION_SECRET, BACKUP_SECRET: 'backup bundle secret' };
+    const manager = new Manager({ config, providers, storageDir, env, autoStart: false });
+    await manager.start();
+    
+    // Each format lands on the networks of its family
+    await manager.importWallet('from_hex', { format: 'hex', data: evmKey });
+    await manager.importWallet('from_wif', { format: 'wif', data: wif, networks: ['bitcoin'] });
+    await manager.importWallet('from_solana', { format: 'solana-json', data: JSON.stringify(Array.from(solanaKeypair.secretKey)) });
+    await manager.importWallet('from_keystore', {
+        format: 'web3-keystore',
+        data: toWeb3SecretStorage(evmKey, 'keystore pass', { kdfParams: { n: 4096 } }),
+        passphrase: 'keystore pass'
+    });
+    await manager.importWallet('from_mnemonic', { format: 'mnemonic', data: mnemonic });
+    const addresses = id => manager.multiChainWallets.get(id).addresses;
+    if (addresses('from_hex').ethereum !== '0x2c7536E3605D9C16a7a3D7b1898e529396a65c23' || addresses('from_hex').solana ||
+        addresses('from_wif').bitcoin !== 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4' ||
+        addresses('from_solana').solana !== solanaKeypair.publicKey.toBase58() ||
+        addresses('from_keystore').ethereum !== addresses('from_hex').ethereum ||
+        addresses('from_mnemonic').ethereum !== '0x9858EfFD232B4033E47d90003D41EC34EcaEda94') {
+        throw new Error(`Imported wallets have unexpected addresses: ${JSON.stringify([...manager.multiChainWallets.values()].map(wallet => wallet.addresses))}`);
+    }
+    const refused = await Promise.all([
+        manager.importWallet('wif_on_evm', { format: 'wif', data: wif, networks: ['ethereum'] }),
+        manager.importWallet('bad_checksum', { format: 'wif', data: `${wif.slice(0, -1)}x`, networks: ['bitcoin'] }),
+        manager.importWallet('from_hex', { format: 'hex', data: evmKey })
+    ].map(promise => promise.then(() => null, error => error)));
+    if (!/cannot be used on ethereum/.test(refused[0]?.message) || !/checksum/.test(refused[1]?.message) ||
+        !/already exists/.test(refused[2]?.message) || manager.multiChainWallets.has('wif_on_evm')) {
+        throw new Error(`Mismatched imports should be refused: ${refused.map(error => error?.message).join(' | ')}`);
+    }
+    
+    // Without an id the import gets a generated one, as created wallets do
+    const generatedId = await manager.importWallet(null, { format: 'hex', data: evmKey });
+    if (!/^wallet_\d+$/.test(generatedId) || !manager.multiChainWallets.has(generatedId) || manager.multiChainWallets.has(null) ||
+        !fs.existsSync(path.join(manager.walletsDir, `${generatedId}.json`)) || fs.existsSync(path.join(manager.walletsDir, 'null.json'))) {
+        throw new Error(`An import without an id should get a generated one, got ${generatedId}`);
+    }
+    
+    // Sealed exports are encrypted under their passphrase and open to the original key
+    const sealedHex = manager.exportWallet('from_hex', { format: 'hex', network: 'ethereum', passphrase: 'export passphrase', sealed: true });
+    const sealedWif = manager.exportWallet('from_wif', { format: 'wif', network: 'bitcoin', passphrase: 'export passphrase', sealed: true });
+    const sealedSolana = manager.exportWallet('from_solana', { format: 'solana-json', network: 'solana', passphrase: 'export passphrase', sealed: true });
+    const sealedMnemonic = manager.exportWallet('from_mnemonic', { format: 'mnemonic', passphrase: 'export passphrase', sealed: true });
+    if (JSON.stringify(sealedHex).includes(evmKey.slice(2)) || JSON.stringify(sealedMnemonic).includes('abandon') ||
+        openExport(sealedHex, 'export passphrase').data !== evmKey || openExport(sealedWif, 'export passphrase').data !== wif ||
+        JSON.parse(openExport(sealedSolana, 'export passphrase').data).length !== 64 ||
+        openExport(sealedMnemonic, 'export passphrase').data !== mnemonic) {
+        throw new Error('Exports should hold the sealed key and nothing else in clear text');
+    }
+    const keystoreExport = manager.exportWallet('from_hex', { format: 'web3-keystore', network: 'ethereum', passphrase: 'export passphrase', kdfParams: { n: 4096 } });
+    if (keystoreExport.address !== '2c7536e3605d9c16a7a3d7b1898e529396a65c23') {
+        throw new Error('Web3 keystore exports should carry the wallet address');
+    }
+    
+    // EVM keys default to Web3 Secret Storage; formats without encryption of their own need an explicit choice
+    const defaultExport = manager.exportWallet('from_hex', { network: 'ethereum', passphrase: 'export passphrase', kdfParams: { n: 4096 } });
+    const plainWif = manager.exportWallet('from_wif', { format: 'wif', network: 'bitcoin', plain: true });
+    const plainMnemonic = manager.exportWallet('from_mnemonic', { format: 'mnemonic', plain: true });
+    if (defaultExport.version !== 3 || !defaultExport.crypto || plainWif !== wif || plainMnemonic !== mnemonic) {
+        throw new Error('Exports should use the standard formats');
+    }
+    await manager.importWallet('reimported', { data: sealedWif, passphrase: 'export passphrase', networks: ['bitcoin'] });
+    if (addresses('reimported').bitcoin !== addresses('from_wif').bitcoin) {
+        throw new Error('A sealed export should import as it is');
+    }
+    
+    await manager.importWatchOnlyWallet('watched', { address: '0xea6d82c3b35ab38dfe37ca6c059d4411923e0014', networks: ['ethereum'] });
+    const exportErrors = [
+        () => openExport(sealedHex, 'wrong passphrase'),
+        () => manager.exportWallet('from_hex', { format: 'hex', network: 'ethereum', sealed: true }),
+        () => manager.exportWallet('watched', { format: 'hex', network: 'ethereum', passphrase: 'export passphrase', sealed: true }),
+        () => manager.exportWallet('from_hex', { format: 'mnemonic', passphrase: 'export passphrase', sealed: true }),
+        () => manager.exportWallet('from_hex', { format: 'hex', network: 'ethereum', passphrase: 'export passphrase' })
+    ].map((run) => { try { run(); } catch (error) { return error; } return null; });
+    if (!(exportErrors[0] instanceof KeystoreError) || !/passphrase is required/.test(exportErrors[1]?.message) ||
+        !(exportErrors[2] instanceof WatchOnlyError) || !/no mnemonic/.test(exportErrors[3]?.message) ||
+        !/no encryption of their own/.test(exportErrors[4]?.message)) {
+        throw new Error(`Unexpected export errors: ${exportErrors.map(error => error?.message).join(' | ')}`);
+    }
+    
+    // Wallet changes are backed up, keeping the newest bundles only
+    await manager.backupWriting;
+    await manager.stop();
+    const backupDir = path.join(storageDir, 'wallet_backups');
+    const bundles = fs.readdirSync(backupDir).sort();
+    const bundle = JSON.parse(fs.readFileSync(path.join(backupDir, bundles[bundles.length - 1]), 'utf8'));
+    if (bundles.length > 2 || !bundle.wallets.includes('reimported') || !bundle.wallets.includes('watched') ||
+        JSON.stringify(bundle).includes(evmKey.slice(2))) {
+        throw new Error(`Backups should be encrypted bundles of every wallet: ${bundles.join(', ')}`);
+    }
+    
+    // Another machine restores the bundle under its own master secret
+    const newStorageDir = createTempDir();
+    const newWalletsDir = path.join(newStorageDir, 'multi_chain_wallets');
+    const restoreOptions = { keystore: new Keystore('another machine secret'), backupKeystore: new Keystore('backup bundle secret') };
+    const lines = [];
+    const log = console.log;
+    let restored, again, wrongSecret;
+    console.log = line => lines.push(line);
+    try {
+        wrongSecret = await restoreWallets(['--file', path.join(backupDir, bundles[bundles.length - 1]), '--dir', newWalletsDir],
+            { ...restoreOptions, backupKeystore: new Keystore(TEST_ENCRYPTION_SECRET) }).then(() => null, error => error);
+        restored = await restoreWallets(['--file', path.join(backupDir, bundles[bundles.length - 1]), '--dir', newWalletsDir], restoreOptions);
+        again = await restoreWallets(['--file', path.join(backupDir, bundles[bundles.length - 1]), '--dir', newWalletsDir], restoreOptions);
+    } finally {
+        console.log = log;
+    }
+    if (!(wrongSecret instanceof KeystoreError) || restored.restored.length !== bundle.wallets.length || again.restored.length !== 0 ||
+        again.skipped.length !== bundle.wallets.length) {
+        throw new Error(`Restores should write each wallet once: ${lines.join(' | ')}`);
+    }
+    
+    const restoredManager = new Manager({ config: createStandInConfig(), providers: createStandInProviders(), storageDir: newStorageDir,
+        env: { ENCRYPTION_SECRET: 'another machine secret' }, autoStart: false });
+    await restoredManager.start();
+    try {
+        if (restoredManager.getWalletPrivateKey('from_hex', 'ethereum') !== evmKey ||
+            restoredManager.getWalletMnemonic('from_mnemonic') !== mnemonic ||
+            !restoredManager.multiChainWallets.get('watched').watchOnly) {
+            throw new Error('Restored wallets should open under the new master secret');
+        }
+    } finally {
+        await restoredManager.stop();
     }
 }
 